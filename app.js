@@ -25,6 +25,16 @@ const customerRoutes = require('./routes/customers');
 const orderRoutes = require('./routes/orders');
 const transactionRoutes = require('./routes/transactions');
 const addressRoutes = require('./routes/addresses');
+const cartRoutes = require('./routes/cart');
+const warehouseRoutes = require('./routes/warehouses');
+const searchRoutes = require('./routes/search');
+const reviewRoutes = require('./routes/reviews');
+const questionRoutes = require('./routes/questions');
+const listRoutes = require('./routes/lists');
+const alertRoutes = require('./routes/alerts');
+const priceListRoutes = require('./routes/priceLists');
+const customerGroupRoutes = require('./routes/customerGroups');
+const companyRoutes = require('./routes/companies');
 
 const app = express();
 
@@ -69,7 +79,7 @@ app.options('*', (req, res) => {
   }
   
   res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, PATCH, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With, Accept, Origin');
+  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With, Accept, Origin, X-Cart-Token');
   res.header('Access-Control-Max-Age', '86400'); // 24 hours
   res.status(200).end();
 });
@@ -127,6 +137,16 @@ app.use('/api/customers', customerRoutes);
 app.use('/api/orders', orderRoutes);
 app.use('/api/transactions', transactionRoutes);
 app.use('/api/addresses', addressRoutes);
+app.use('/api/cart', cartRoutes);
+app.use('/api/warehouses', warehouseRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/reviews', reviewRoutes);
+app.use('/api/questions', questionRoutes);
+app.use('/api/lists', listRoutes);
+app.use('/api/alerts', alertRoutes);
+app.use('/api/price-lists', priceListRoutes);
+app.use('/api/customer-groups', customerGroupRoutes);
+app.use('/api/companies', companyRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -0,0 +1,46 @@
+const ProductAlertService = require('../services/ProductAlertService');
+const ResponseService = require('../services/ResponseService');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * Subscribe to a back-in-stock or price-drop alert for a product
+ * @route POST /api/products/:id/alerts
+ * @access Private
+ */
+exports.subscribe = asyncHandler(async (req, res) => {
+  const alert = await ProductAlertService.subscribe(req.params.id, req.user, req.body);
+  const message = alert.type === 'back_in_stock'
+    ? 'We will let you know when this product is back in stock'
+    : 'We will let you know when the price drops';
+  return ResponseService.created(res, alert, message);
+});
+
+/**
+ * Get the current customer's alerts
+ * @route GET /api/alerts/mine
+ * @access Private
+ */
+exports.getMyAlerts = asyncHandler(async (req, res) => {
+  const result = await ProductAlertService.getMyAlerts(req.user._id, req.query);
+  return ResponseService.success(res, 200, 'Alerts retrieved successfully', result.alerts, { pagination: result.pagination });
+});
+
+/**
+ * List alerts and their delivery status
+ * @route GET /api/alerts
+ * @access Private (Admin)
+ */
+exports.getAlerts = asyncHandler(async (req, res) => {
+  const result = await ProductAlertService.getAlerts(req.query);
+  return ResponseService.success(res, 200, 'Alerts retrieved successfully', result.alerts, { pagination: result.pagination });
+});
+
+/**
+ * Delete an alert (customers may delete their own)
+ * @route DELETE /api/alerts/:id
+ * @access Private
+ */
+exports.deleteAlert = asyncHandler(async (req, res) => {
+  await ProductAlertService.deleteAlert(req.params.id, req.user);
+  return ResponseService.deleted(res, 'Alert deleted successfully');
+});
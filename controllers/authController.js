@@ -2,6 +2,7 @@ const { validationResult } = require('express-validator');
 const AuthService = require('../services/AuthService');
 const UserService = require('../services/UserService');
 const ResponseService = require('../services/ResponseService');
+const CartService = require('../services/CartService');
 const { logger } = require('../middleware/logger');
 
 const { 
@@ -20,6 +21,19 @@ const createSendToken = async (user, statusCode, res, message = 'Authentication
   return ResponseService.authSuccess(res, user, accessToken, refreshToken, message);
 };
 
+// Helper function to merge the guest cart into the customer's cart on login
+const mergeGuestCartOnLogin = async (req, user) => {
+  const guestToken = req.headers['x-cart-token'] || req.body.guestToken;
+  if (!guestToken || user.role !== 'user') return;
+
+  try {
+    await CartService.mergeGuestCart(guestToken, user._id);
+  } catch (error) {
+    // Login must not fail because of the cart
+    logger.warn('Failed to merge guest cart on login', { userId: user._id, error: error.message });
+  }
+};
+
 // @desc    Register user
 // @route   POST /api/auth/register
 // @access  Public
@@ -60,6 +74,8 @@ exports.loginWithRole = asyncHandler(async (req, res, next) => {
   // Send SMS notification if applicable
   await AuthService.sendLoginSMS(user, isPhone);
 
+  await mergeGuestCartOnLogin(req, user);
+
   await createSendToken(user, 200, res);
 });
 
@@ -111,6 +127,8 @@ exports.customerLogin = asyncHandler(async (req, res, next) => {
   // Send SMS notification if applicable
   await AuthService.sendLoginSMS(user, isPhone);
 
+  await mergeGuestCartOnLogin(req, user);
+
   await createSendToken(user, 200, res);
 });
 
@@ -185,6 +203,7 @@ exports.verifyCustomerOtp = asyncHandler(async (req, res, next) => {
   }
 
   const { user, accessToken, refreshToken } = await AuthService.verifyCustomerOtp(requestData, otp);
+  await mergeGuestCartOnLogin(req, user);
   const message = isRegistration 
     ? 'Registration successful. Welcome!' 
     : 'Logged in successfully';
@@ -0,0 +1,107 @@
+const CartService = require('../services/CartService');
+const OrderService = require('../services/OrderService');
+const ResponseService = require('../services/ResponseService');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * Resolve the cart owner from the authenticated user or the guest cart token
+ * @param {object} req - Express request object
+ * @returns {object} Cart owner ({ userId } or { guestToken })
+ */
+const getCartOwner = (req) => {
+  if (req.user) {
+    return { userId: req.user._id };
+  }
+  return { guestToken: req.headers['x-cart-token'] || req.body?.guestToken };
+};
+
+/**
+ * Send a cart response, exposing the guest token so the client can keep using it
+ * @param {object} res - Express response object
+ * @param {object} cart - Cart object
+ * @param {string} message - Success message
+ */
+const sendCart = (res, cart, message) => {
+  if (cart.guestToken) {
+    res.set('X-Cart-Token', cart.guestToken);
+  }
+  return ResponseService.success(res, 200, message, cart);
+};
+
+/**
+ * Get the current cart
+ * @route GET /api/cart
+ * @access Public (guest token or customer)
+ */
+exports.getCart = asyncHandler(async (req, res) => {
+  const cart = await CartService.getCart(getCartOwner(req));
+  return sendCart(res, cart, 'Cart retrieved successfully');
+});
+
+/**
+ * Add a product to the cart
+ * @route POST /api/cart/items
+ * @access Public (guest token or customer)
+ */
+exports.addItem = asyncHandler(async (req, res) => {
+  const { productId, quantity = 1 } = req.body;
+  const cart = await CartService.addItem(getCartOwner(req), productId, parseInt(quantity, 10));
+  return sendCart(res, cart, 'Item added to cart');
+});
+
+/**
+ * Update the quantity of a cart line
+ * @route PUT /api/cart/items/:productId
+ * @access Public (guest token or customer)
+ */
+exports.updateItem = asyncHandler(async (req, res) => {
+  const { productId } = req.params;
+  const cart = await CartService.updateItem(getCartOwner(req), productId, parseInt(req.body.quantity, 10));
+  return sendCart(res, cart, 'Cart item updated');
+});
+
+/**
+ * Remove a line from the cart
+ * @route DELETE /api/cart/items/:productId
+ * @access Public (guest token or customer)
+ */
+exports.removeItem = asyncHandler(async (req, res) => {
+  const { productId } = req.params;
+  const cart = await CartService.removeItem(getCartOwner(req), productId);
+  return sendCart(res, cart, 'Item removed from cart');
+});
+
+/**
+ * Clear the cart
+ * @route DELETE /api/cart
+ * @access Public (guest token or customer)
+ */
+exports.clearCart = asyncHandler(async (req, res) => {
+  const cart = await CartService.clearCart(getCartOwner(req));
+  return sendCart(res, cart, 'Cart cleared');
+});
+
+/**
+ * Merge a guest cart into the customer's cart
+ * @route POST /api/cart/merge
+ * @access Private (Customer)
+ */
+exports.mergeCart = asyncHandler(async (req, res) => {
+  const guestToken = req.body.guestToken || req.headers['x-cart-token'];
+  const cart = await CartService.mergeGuestCart(guestToken, req.user._id);
+  return ResponseService.success(res, 200, 'Cart merged successfully', cart);
+});
+
+/**
+ * Convert the customer's cart into an order
+ * @route POST /api/cart/checkout
+ * @access Private (Customer)
+ */
+exports.checkout = asyncHandler(async (req, res) => {
+  const order = await CartService.checkout(req.user, req.body);
+
+  // Send customer and admin notifications (async, don't wait for them)
+  OrderService.notifyOrderPlaced(order);
+
+  return ResponseService.created(res, order, 'Order created successfully');
+});
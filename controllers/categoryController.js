@@ -1,4 +1,5 @@
 const Category = require('../models/Category');
+const CustomerGroupService = require('../services/CustomerGroupService');
 const { S3Client, DeleteObjectCommand } = require("@aws-sdk/client-s3");
 const s3Config = require('../config/s3Config');
 const { asyncHandler, AppError, ValidationError } = require('../middleware/errorHandler');
@@ -110,6 +111,19 @@ const validateGetCategoriesQuery = (query) => {
 };
 
 // Enhanced database query with better error handling
+// Categories hidden from the requesting customer's group (admins see every category)
+const getHiddenCategoryIds = async (user) => {
+  if (user?.role === 'admin') return new Set();
+  const group = await CustomerGroupService.getCustomerGroup(user);
+  const hiddenCategories = await CustomerGroupService.getHiddenCategoryIds(group);
+  return new Set(hiddenCategories.map(String));
+};
+
+// Helper function to drop hidden categories from a list
+const withoutHidden = (categories, hidden) => (
+  hidden.size > 0 ? categories.filter(category => !hidden.has(category._id.toString())) : categories
+);
+
 const fetchCategoriesFromDB = async (query, options = {}) => {
   const { format } = options;
   
@@ -228,16 +242,19 @@ exports.getCategories = asyncHandler(async (req, res) => {
     query.isActive = isActive === 'true';
   }
 
+  const hidden = await getHiddenCategoryIds(req.user);
+
   // Check cache first (for list format)
   const useCache = format === 'list';
   if (useCache) {
     const cachedData = categoryCache.get();
     if (cachedData) {
       logger.info('Categories served from cache');
+      const visibleData = withoutHidden(cachedData, hidden);
       return res.json({
         success: true,
-        data: cachedData,
-        count: cachedData.length,
+        data: visibleData,
+        count: visibleData.length,
         message: 'Categories retrieved successfully (cached)',
         cached: true
       });
@@ -253,9 +270,11 @@ exports.getCategories = asyncHandler(async (req, res) => {
     logger.info('Categories cached for future requests');
   }
 
+  const visibleCategories = withoutHidden(categories, hidden);
+
   // Handle tree format
   if (format === 'tree') {
-    const treeData = buildCategoryTree(categories);
+    const treeData = buildCategoryTree(visibleCategories);
     const treeNodes = treeData.map(convertToTreeNode);
     
     return res.json({
@@ -268,8 +287,8 @@ exports.getCategories = asyncHandler(async (req, res) => {
   // Handle list format
   return res.json({
     success: true,
-    data: categories,
-    count: categories.length,
+    data: visibleCategories,
+    count: visibleCategories.length,
     message: 'Categories retrieved successfully'
   });
 });
@@ -279,7 +298,8 @@ exports.getCategoryById = asyncHandler(async (req, res) => {
     .populate('parent', 'name _id')
     .populate('children', 'name _id isActive order');
   
-  if (!category) {
+  const hidden = await getHiddenCategoryIds(req.user);
+  if (!category || hidden.has(category._id.toString())) {
     throw new AppError('Category not found', 404);
   }
   
@@ -558,7 +578,7 @@ exports.bulkUpdate = asyncHandler(async (req, res) => {
 exports.getCategoriesTree = asyncHandler(async (req, res) => {
   // Optionally filter only active categories
   const categories = await Category.find({ isActive: true }).sort({ order: 1, name: 1 });
-  const tree = buildCategoryTree(categories);
+  const tree = buildCategoryTree(withoutHidden(categories, await getHiddenCategoryIds(req.user)));
   // Convert to tree node format for frontend tree components
   const treeNodes = tree.map(convertToTreeNode);
   res.json(treeNodes);
@@ -579,7 +599,7 @@ exports.getCategoriesSampleTree = (req, res) => {
 
 exports.getCategoriesFrontendTree = asyncHandler(async (req, res) => {
   const categories = await Category.find({ isActive: true }).sort({ order: 1, name: 1 });
-  const tree = buildCategoryTree(categories);
+  const tree = buildCategoryTree(withoutHidden(categories, await getHiddenCategoryIds(req.user)));
   const frontendTree = tree.map(convertToFrontendTreeNode);
   res.json({
     success: true,
@@ -600,9 +620,10 @@ exports.getParentCategories = asyncHandler(async (req, res) => {
   }
 
   try {
-    const parentCategories = await Category.find(query)
+    const categories = await Category.find(query)
       .populate('parent', 'name _id')
       .sort({ order: 1, name: 1 });
+    const parentCategories = withoutHidden(categories, await getHiddenCategoryIds(req.user));
 
     res.json({
       success: true,
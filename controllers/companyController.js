@@ -0,0 +1,187 @@
+const CompanyService = require('../services/CompanyService');
+const OrderService = require('../services/OrderService');
+const ResponseService = require('../services/ResponseService');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * Register a company with the current customer as owner
+ * @route POST /api/companies
+ * @access Private
+ */
+exports.createCompany = asyncHandler(async (req, res) => {
+  const company = await CompanyService.createCompany(req.body, req.user);
+  return ResponseService.created(res, company, 'Company created successfully');
+});
+
+/**
+ * Get the current customer's company
+ * @route GET /api/companies/mine
+ * @access Private (Company member)
+ */
+exports.getMyCompany = asyncHandler(async (req, res) => {
+  const company = await CompanyService.getMyCompany(req.user);
+  return ResponseService.success(res, 200, 'Company retrieved successfully', company);
+});
+
+/**
+ * Update the company's details and billing address
+ * @route PUT /api/companies/mine
+ * @access Private (Company owner)
+ */
+exports.updateMyCompany = asyncHandler(async (req, res) => {
+  const company = await CompanyService.updateCompany(req.user, req.body);
+  return ResponseService.updated(res, company, 'Company updated successfully');
+});
+
+/**
+ * Change a member's company role
+ * @route PATCH /api/companies/mine/members/:userId
+ * @access Private (Company owner)
+ */
+exports.updateMemberRole = asyncHandler(async (req, res) => {
+  const company = await CompanyService.updateMemberRole(req.user, req.params.userId, req.body.role);
+  return ResponseService.updated(res, company, 'Member role updated successfully');
+});
+
+/**
+ * Remove a member, or leave the company
+ * @route DELETE /api/companies/mine/members/:userId
+ * @access Private (Company owner, or the member themselves)
+ */
+exports.removeMember = asyncHandler(async (req, res) => {
+  await CompanyService.removeMember(req.user, req.params.userId);
+  return ResponseService.deleted(res, 'Member removed successfully');
+});
+
+/**
+ * List the company's invitations
+ * @route GET /api/companies/mine/invitations
+ * @access Private (Company owner)
+ */
+exports.getInvitations = asyncHandler(async (req, res) => {
+  const invitations = await CompanyService.getInvitations(req.user, req.query);
+  return ResponseService.success(res, 200, 'Invitations retrieved successfully', invitations);
+});
+
+/**
+ * Email an invitation to join the company
+ * @route POST /api/companies/mine/invitations
+ * @access Private (Company owner)
+ */
+exports.createInvitation = asyncHandler(async (req, res) => {
+  const { invitation, emailSent } = await CompanyService.createInvitation(req.user, req.body);
+  const message = emailSent
+    ? 'Invitation sent successfully'
+    : 'Invitation created but the email could not be sent';
+  return ResponseService.success(res, 201, message, invitation, { emailSent });
+});
+
+/**
+ * Revoke a pending invitation
+ * @route DELETE /api/companies/mine/invitations/:id
+ * @access Private (Company owner)
+ */
+exports.revokeInvitation = asyncHandler(async (req, res) => {
+  const invitation = await CompanyService.revokeInvitation(req.user, req.params.id);
+  return ResponseService.updated(res, invitation, 'Invitation revoked successfully');
+});
+
+/**
+ * Accept an emailed invitation and join the company
+ * @route POST /api/companies/invitations/:token/accept
+ * @access Private
+ */
+exports.acceptInvitation = asyncHandler(async (req, res) => {
+  const company = await CompanyService.acceptInvitation(req.params.token, req.user);
+  return ResponseService.success(res, 200, 'Invitation accepted successfully', company);
+});
+
+/**
+ * List the company's shared delivery addresses
+ * @route GET /api/companies/mine/addresses
+ * @access Private (Company member)
+ */
+exports.getAddresses = asyncHandler(async (req, res) => {
+  const addresses = await CompanyService.getAddresses(req.user);
+  return ResponseService.success(res, 200, 'Company addresses retrieved successfully', addresses);
+});
+
+/**
+ * Add a shared delivery address
+ * @route POST /api/companies/mine/addresses
+ * @access Private (Company owner or approver)
+ */
+exports.addAddress = asyncHandler(async (req, res) => {
+  const address = await CompanyService.addAddress(req.user, req.body);
+  return ResponseService.created(res, address, 'Company address added successfully');
+});
+
+/**
+ * Update a shared delivery address
+ * @route PUT /api/companies/mine/addresses/:addressId
+ * @access Private (Company owner or approver)
+ */
+exports.updateAddress = asyncHandler(async (req, res) => {
+  const address = await CompanyService.updateAddress(req.user, req.params.addressId, req.body);
+  return ResponseService.updated(res, address, 'Company address updated successfully');
+});
+
+/**
+ * Delete a shared delivery address
+ * @route DELETE /api/companies/mine/addresses/:addressId
+ * @access Private (Company owner or approver)
+ */
+exports.deleteAddress = asyncHandler(async (req, res) => {
+  await CompanyService.deleteAddress(req.user, req.params.addressId);
+  return ResponseService.deleted(res, 'Company address deleted successfully');
+});
+
+/**
+ * List orders placed by every member of the company
+ * @route GET /api/companies/mine/orders
+ * @access Private (Company member)
+ */
+exports.getCompanyOrders = asyncHandler(async (req, res) => {
+  const result = await CompanyService.getCompanyOrders(req.user, req.query);
+  return ResponseService.success(res, 200, 'Company orders retrieved successfully', result.orders, { pagination: result.pagination });
+});
+
+/**
+ * Approve a buyer's order
+ * @route PUT /api/companies/mine/orders/:id/approve
+ * @access Private (Company owner or approver)
+ */
+exports.approveOrder = asyncHandler(async (req, res) => {
+  const order = await OrderService.decideApproval(req.params.id, req.user, true, req.body.notes);
+  return ResponseService.updated(res, order, 'Order approved successfully');
+});
+
+/**
+ * Reject a buyer's order and cancel it
+ * @route PUT /api/companies/mine/orders/:id/reject
+ * @access Private (Company owner or approver)
+ */
+exports.rejectOrder = asyncHandler(async (req, res) => {
+  const order = await OrderService.decideApproval(req.params.id, req.user, false, req.body.notes);
+  return ResponseService.updated(res, order, 'Order rejected successfully');
+});
+
+/**
+ * List companies
+ * @route GET /api/companies
+ * @access Private (Admin)
+ */
+exports.getCompanies = asyncHandler(async (req, res) => {
+  const result = await CompanyService.getCompanies(req.query);
+  return ResponseService.success(res, 200, 'Companies retrieved successfully', result.companies, { pagination: result.pagination });
+});
+
+/**
+ * Get a company with its members
+ * @route GET /api/companies/:id
+ * @access Private (Admin)
+ */
+exports.getCompany = asyncHandler(async (req, res) => {
+  const company = await CompanyService.getCompany(req.params.id);
+  return ResponseService.success(res, 200, 'Company retrieved successfully', company);
+});
@@ -0,0 +1,53 @@
+const CustomerGroupService = require('../services/CustomerGroupService');
+const ResponseService = require('../services/ResponseService');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * List customer groups
+ * @route GET /api/customer-groups
+ * @access Private (Admin)
+ */
+exports.getGroups = asyncHandler(async (req, res) => {
+  const result = await CustomerGroupService.getGroups(req.query);
+  return ResponseService.success(res, 200, 'Customer groups retrieved successfully', result.groups, { pagination: result.pagination });
+});
+
+/**
+ * Create a customer group
+ * @route POST /api/customer-groups
+ * @access Private (Admin)
+ */
+exports.createGroup = asyncHandler(async (req, res) => {
+  const group = await CustomerGroupService.createGroup(req.body, req.user._id);
+  return ResponseService.created(res, group, 'Customer group created successfully');
+});
+
+/**
+ * Get a customer group with its hidden categories
+ * @route GET /api/customer-groups/:id
+ * @access Private (Admin)
+ */
+exports.getGroup = asyncHandler(async (req, res) => {
+  const group = await CustomerGroupService.getGroup(req.params.id);
+  return ResponseService.success(res, 200, 'Customer group retrieved successfully', group);
+});
+
+/**
+ * Update a customer group's terms, discount or hidden categories
+ * @route PUT /api/customer-groups/:id
+ * @access Private (Admin)
+ */
+exports.updateGroup = asyncHandler(async (req, res) => {
+  const group = await CustomerGroupService.updateGroup(req.params.id, req.body, req.user._id);
+  return ResponseService.updated(res, group, 'Customer group updated successfully');
+});
+
+/**
+ * Delete an unused customer group
+ * @route DELETE /api/customer-groups/:id
+ * @access Private (Admin)
+ */
+exports.deleteGroup = asyncHandler(async (req, res) => {
+  await CustomerGroupService.deleteGroup(req.params.id, req.user._id);
+  return ResponseService.deleted(res, 'Customer group deleted successfully');
+});
@@ -1,6 +1,7 @@
 const { validationResult } = require('express-validator');
 const UserService = require('../services/UserService');
 const AuthService = require('../services/AuthService');
+const CustomerGroupService = require('../services/CustomerGroupService');
 const ResponseService = require('../services/ResponseService');
 const { 
   ValidationError, 
@@ -172,6 +173,17 @@ exports.reactivateCustomer = asyncHandler(async (req, res, next) => {
   return ResponseService.success(res, 200, 'Customer account reactivated successfully', result);
 });
 
+// @desc    Assign a customer to a customer group (null returns them to the default group)
+// @route   PATCH /api/customers/:id/group
+// @access  Private (Admin only)
+exports.assignCustomerGroup = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+
+  await CustomerGroupService.assignCustomer(id, req.body.customerGroup || null, req.user._id);
+  const customer = await UserService.getUserById(id);
+  return ResponseService.success(res, 200, 'Customer group updated successfully', { customer });
+});
+
 // @desc    Get customer statistics
 // @route   GET /api/customers/stats
 // @access  Private (Admin only)
@@ -1,123 +1,16 @@
 const Order = require('../models/Order');
-const Product = require('../models/Product');
 const User = require('../models/User');
-const Address = require('../models/Address');
 const OrderNotificationService = require('../services/OrderNotificationService');
+const OrderService = require('../services/OrderService');
+const CompanyService = require('../services/CompanyService');
 
 // Create a new order
 exports.createOrder = async (req, res) => {
   try {
-    const orderData = req.body;
-    
-    // Set customer details from authenticated user token
-    orderData.customer = req.user._id;
-    orderData.customerEmail = req.user.email;
-    orderData.customerPhone = req.user.phoneNumber || orderData.customerPhone;
-
-    // Validate and populate product information
-    if (!orderData.items || orderData.items.length === 0) {
-      return res.status(400).json({
-        success: false,
-        message: 'Order must contain at least one item'
-      });
-    }
-
-    // Validate products and calculate prices
-    for (let item of orderData.items) {
-      const product = await Product.findById(item.product);
-      if (!product) {
-        return res.status(400).json({
-          success: false,
-          message: `Product with ID ${item.product} not found`
-        });
-      }
-      
-      // Auto-populate product information
-      item.productName = product.productName;
-      item.sku = product.sku;
-      
-      // Use provided price or product price
-      if (!item.unitPrice) {
-        item.unitPrice = parseFloat(product.price) || 0;
-      }
-      
-      // Calculate total price for item
-      const discountAmount = (item.unitPrice * item.quantity * (item.discount || 0)) / 100;
-      const subtotal = (item.unitPrice * item.quantity) - discountAmount;
-      item.taxAmount = (subtotal * (item.taxRate || 0)) / 100;
-      item.totalPrice = subtotal + item.taxAmount;
-    }
-
-    // Auto-populate shipping address from user's default address if not provided
-    if (!orderData.shippingAddress) {
-      const defaultAddress = await Address.getDefaultAddress(req.user._id);
-      if (defaultAddress) {
-        orderData.shippingAddress = {
-          addressLine1: defaultAddress.street,
-          addressLine2: defaultAddress.street2 || '',
-          city: defaultAddress.city,
-          state: defaultAddress.state || '',
-          country: defaultAddress.country || 'Australia',
-          postalCode: defaultAddress.postalCode || '',
-          phone: req.user.phoneNumber || ''
-        };
-      } else {
-        return res.status(400).json({
-          success: false,
-          message: 'No shipping address provided and no default address found. Please add an address first.'
-        });
-      }
-    }
-
-    // Use billing address as shipping address if not provided
-    if (!orderData.shippingAddress && orderData.billingAddress) {
-      orderData.shippingAddress = orderData.billingAddress;
-    }
-
-    // Set default payment info if not provided
-    if (!orderData.paymentInfo) {
-      orderData.paymentInfo = {
-        paymentMethod: 'invoice',
-        paymentStatus: 'pending'
-      };
-    }
-
-    const order = new Order(orderData);
-    
-    // Add initial tracking entry
-    order.addTrackingUpdate('pending', 'Order created', req.user._id);
-    
-    await order.save();
-
-    // Populate customer and product details for response
-    await order.populate('customer', 'username email firstName lastName phoneNumber');
-    await order.populate('items.product', 'productName sku price');
-
-    // Send SMS notification to customer (async, don't wait for it)
-    OrderNotificationService.sendOrderConfirmation(order, order.customer)
-      .then(success => {
-        if (success) {
-          console.log(`✅ Order confirmation SMS sent to ${order.customer.phoneNumber}`);
-        } else {
-          console.log(`⚠️ Failed to send order confirmation SMS to ${order.customer.phoneNumber}`);
-        }
-      })
-      .catch(error => {
-        console.error('❌ Error sending order confirmation SMS:', error.message);
-      });
+    const order = await OrderService.createOrder(req.body, req.user);
 
-    // Send admin notification (async, don't wait for it)
-    OrderNotificationService.sendAdminNotification(order, order.customer)
-      .then(success => {
-        if (success) {
-          console.log(`✅ Admin notification SMS sent for order ${order.orderNumber}`);
-        } else {
-          console.log(`⚠️ Failed to send admin notification SMS`);
-        }
-      })
-      .catch(error => {
-        console.error('❌ Error sending admin notification SMS:', error.message);
-      });
+    // Send customer and admin notifications (async, don't wait for them)
+    OrderService.notifyOrderPlaced(order);
 
     res.status(201).json({
       success: true,
@@ -126,9 +19,11 @@ exports.createOrder = async (req, res) => {
     });
   } catch (error) {
     console.error('Create order error:', error);
-    res.status(400).json({
+    res.status(error.statusCode || 400).json({
       success: false,
-      message: error.message || 'Failed to create order'
+      message: error.message || 'Failed to create order',
+      // Per-line details, e.g. items that do not have enough stock
+      ...(Array.isArray(error.errors) && error.errors.length > 0 && { errors: error.errors })
     });
   }
 };
@@ -215,8 +110,9 @@ exports.getOrderById = async (req, res) => {
       });
     }
 
-    // Check if user has permission to view this order
-    if (req.user.role !== 'admin' && order.customer._id.toString() !== req.user._id.toString()) {
+    // Check if user has permission to view this order (company members share order history)
+    if (req.user.role !== 'admin' && order.customer._id.toString() !== req.user._id.toString() &&
+      !(await CompanyService.canViewCompanyOrder(order, req.user._id))) {
       return res.status(403).json({
         success: false,
         message: 'You do not have permission to view this order'
@@ -273,13 +169,16 @@ exports.updateOrder = async (req, res) => {
       Object.assign(order, updates);
     } else {
       // Admin can update most fields
-      const restrictedFields = ['_id', 'orderNumber', 'customer', 'createdAt', 'updatedAt'];
+      const restrictedFields = ['_id', 'orderNumber', 'customer', 'approval', 'stockRestoredAt', 'createdAt', 'updatedAt'];
       restrictedFields.forEach(field => delete updateData[field]);
       Object.assign(order, updateData);
     }
 
     await order.save();
 
+    // Put stock back if an admin closed the order (only once the new status is saved)
+    await OrderService.restockIfClosed(order, req.user._id);
+
     // Populate for response
     await order.populate('customer', 'username email firstName lastName');
     await order.populate('items.product', 'productName sku price');
@@ -335,6 +234,9 @@ exports.updateOrderStatus = async (req, res) => {
 
     await order.save();
 
+    // Cancelled and returned orders put their stock back once the new status is saved
+    await OrderService.restockIfClosed(order, req.user._id);
+
     // Populate customer for SMS notification
     await order.populate('customer', 'username email firstName lastName phoneNumber');
 
@@ -406,6 +308,8 @@ exports.cancelOrder = async (req, res) => {
 
     await order.save();
 
+    await OrderService.restockIfClosed(order, req.user._id);
+
     res.json({
       success: true,
       data: order,
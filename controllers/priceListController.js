@@ -0,0 +1,110 @@
+const PriceListService = require('../services/PriceListService');
+const ResponseService = require('../services/ResponseService');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * List price lists
+ * @route GET /api/price-lists
+ * @access Private (Admin)
+ */
+exports.getPriceLists = asyncHandler(async (req, res) => {
+  const result = await PriceListService.getPriceLists(req.query);
+  return ResponseService.success(res, 200, 'Price lists retrieved successfully', result.priceLists, { pagination: result.pagination });
+});
+
+/**
+ * Create a price list
+ * @route POST /api/price-lists
+ * @access Private (Admin)
+ */
+exports.createPriceList = asyncHandler(async (req, res) => {
+  const priceList = await PriceListService.createPriceList(req.body, req.user._id);
+  return ResponseService.created(res, priceList, 'Price list created successfully');
+});
+
+/**
+ * Get a price list with its customers
+ * @route GET /api/price-lists/:id
+ * @access Private (Admin)
+ */
+exports.getPriceList = asyncHandler(async (req, res) => {
+  const priceList = await PriceListService.getPriceList(req.params.id);
+  return ResponseService.success(res, 200, 'Price list retrieved successfully', priceList);
+});
+
+/**
+ * Update a price list's details, customers or validity dates
+ * @route PUT /api/price-lists/:id
+ * @access Private (Admin)
+ */
+exports.updatePriceList = asyncHandler(async (req, res) => {
+  const priceList = await PriceListService.updatePriceList(req.params.id, req.body, req.user._id);
+  return ResponseService.updated(res, priceList, 'Price list updated successfully');
+});
+
+/**
+ * Delete a price list and its lines
+ * @route DELETE /api/price-lists/:id
+ * @access Private (Admin)
+ */
+exports.deletePriceList = asyncHandler(async (req, res) => {
+  await PriceListService.deletePriceList(req.params.id, req.user._id);
+  return ResponseService.deleted(res, 'Price list deleted successfully');
+});
+
+/**
+ * Get the lines of a price list
+ * @route GET /api/price-lists/:id/lines
+ * @access Private (Admin)
+ */
+exports.getLines = asyncHandler(async (req, res) => {
+  const result = await PriceListService.getLines(req.params.id, req.query);
+  return ResponseService.success(res, 200, 'Price list lines retrieved successfully', result.lines, { pagination: result.pagination });
+});
+
+/**
+ * Add a line to a price list (replaces the line for the same product, brand or category)
+ * @route POST /api/price-lists/:id/lines
+ * @access Private (Admin)
+ */
+exports.setLine = asyncHandler(async (req, res) => {
+  const line = await PriceListService.setLine(req.params.id, req.body);
+  return ResponseService.success(res, 200, 'Price list line saved successfully', line);
+});
+
+/**
+ * Change a line's price or validity dates
+ * @route PUT /api/price-lists/:id/lines/:lineId
+ * @access Private (Admin)
+ */
+exports.updateLine = asyncHandler(async (req, res) => {
+  const line = await PriceListService.updateLine(req.params.id, req.params.lineId, req.body);
+  return ResponseService.updated(res, line, 'Price list line updated successfully');
+});
+
+/**
+ * Remove a line from a price list
+ * @route DELETE /api/price-lists/:id/lines/:lineId
+ * @access Private (Admin)
+ */
+exports.deleteLine = asyncHandler(async (req, res) => {
+  await PriceListService.deleteLine(req.params.id, req.params.lineId);
+  return ResponseService.deleted(res, 'Price list line deleted successfully');
+});
+
+/**
+ * Add or replace price list lines from a CSV or XLSX file
+ * @route POST /api/price-lists/:id/lines/upload
+ * @access Private (Admin)
+ */
+exports.uploadLines = asyncHandler(async (req, res) => {
+  const summary = await PriceListService.uploadLines(req.params.id, req.file, req.body, req.user._id);
+
+  if (!summary.applied && summary.errors.length > 0) {
+    return ResponseService.success(res, 200, 'Price list file has errors; no lines were changed', summary);
+  }
+  if (!summary.applied) {
+    return ResponseService.success(res, 200, 'Price list file validated successfully', summary);
+  }
+  return ResponseService.success(res, 200, 'Price list lines uploaded successfully', summary);
+});
@@ -1,8 +1,82 @@
 const ProductService = require('../services/ProductService');
+const InventoryService = require('../services/InventoryService');
+const ProductImportService = require('../services/ProductImportService');
+const ProductExportService = require('../services/ProductExportService');
+const SearchService = require('../services/SearchService');
+const SearchAnalyticsService = require('../services/SearchAnalyticsService');
+const ProductRevisionService = require('../services/ProductRevisionService');
+const ProductRelationshipService = require('../services/ProductRelationshipService');
+const ProductSchedulerService = require('../services/ProductSchedulerService');
+const PriceListService = require('../services/PriceListService');
+const CustomerGroupService = require('../services/CustomerGroupService');
 const ResponseService = require('../services/ResponseService');
-const { asyncHandler } = require('../middleware/errorHandler');
+const { asyncHandler, NotFoundError } = require('../middleware/errorHandler');
 const { logger } = require('../middleware/logger');
 
+/**
+ * Load what the shopper's customer group changes about the catalog: the categories it hides
+ * (admins see everything) and the prices it gets
+ * @param {object} user - Authenticated user (optional)
+ * @returns {Promise<object>} { hiddenCategories, customerPricing }
+ */
+const getShopperContext = async (user) => {
+  const group = await CustomerGroupService.getCustomerGroup(user);
+  const [hiddenCategories, customerPricing] = await Promise.all([
+    user?.role === 'admin' ? [] : CustomerGroupService.getHiddenCategoryIds(group),
+    PriceListService.getCustomerPricing(user, group)
+  ]);
+  return { hiddenCategories, customerPricing };
+};
+
+/**
+ * Remove the products a shopper's group may not see from everything a product response links to
+ * @param {object} product - Product from ProductService.getProductById
+ * @param {Array} hiddenCategories - Category IDs from getHiddenCategoryIds
+ * @returns {object} The same product
+ */
+const hideLinkedProducts = (product, hiddenCategories) => {
+  if (hiddenCategories.length === 0) return product;
+  const isVisible = item => CustomerGroupService.isProductVisible(item, hiddenCategories);
+  const visible = list => (list || []).filter(isVisible);
+
+  product.relatedProducts = visible(product.relatedProducts);
+  product.supersedes = visible(product.supersedes);
+  if (product.linkedProducts) {
+    Object.keys(product.linkedProducts).forEach(type => {
+      product.linkedProducts[type] = visible(product.linkedProducts[type]);
+    });
+  }
+  if (product.supersession && !isVisible(product.supersession.replacedBy)) {
+    product.supersession = null;
+  }
+  if (product.variantGroup && !isVisible(product.variantGroup)) {
+    delete product.variantGroup;
+  }
+  if (product.bundleComponents) {
+    product.bundleComponents = product.bundleComponents.filter(component => isVisible(component.product));
+  }
+  return product;
+};
+
+/**
+ * Collect a product and every product its response links to, each object once
+ * (relatedProducts shares objects with linkedProducts.related, and pricing twice would discount twice)
+ * @param {object} product - Product from ProductService.getProductById
+ * @returns {Array} Products to price
+ */
+const getPricedProducts = (product) => {
+  const products = new Set([
+    product,
+    ...(product.relatedProducts || []),
+    ...Object.values(product.linkedProducts || {}).flat(),
+    product.supersession?.replacedBy,
+    product.variantGroup,
+    ...(product.bundleComponents || []).map(component => component.product)
+  ]);
+  products.delete(undefined);
+  products.delete(null);
+  return [...products];
+};
 
 /**
  * Create a new product
@@ -20,8 +94,41 @@ exports.createProduct = asyncHandler(async (req, res) => {
  * @access Public
  */
 exports.getProducts = asyncHandler(async (req, res) => {
-  const result = await ProductService.getProducts(req.query);
-  return ResponseService.success(res, 200, 'Products retrieved successfully', result.products);
+  const { hiddenCategories, customerPricing } = await getShopperContext(req.user);
+  const result = await ProductService.getProducts({ ...req.query, hiddenCategories });
+  PriceListService.applyToProducts(result.products, customerPricing);
+
+  const meta = {};
+  if (result.facets) meta.facets = result.facets;
+  if (req.query.search) {
+    // Clients send the search ID back with the product the customer opens
+    meta.searchId = SearchAnalyticsService.recordSearch({
+      query: req.query.search,
+      source: 'listing',
+      resultCount: result.products.length,
+      userId: req.user?._id
+    });
+  }
+
+  return ResponseService.success(res, 200, 'Products retrieved successfully', result.products, Object.keys(meta).length > 0 ? meta : null);
+});
+
+/**
+ * Suggest products, categories and brands while the user types
+ * @route GET /api/products/suggest?q=
+ * @access Public
+ */
+exports.getSearchSuggestions = asyncHandler(async (req, res) => {
+  const { hiddenCategories, customerPricing } = await getShopperContext(req.user);
+  const suggestions = await SearchService.suggest(req.query.q, { ...req.query, hiddenCategories });
+  PriceListService.applyToProducts(suggestions.products, customerPricing);
+  suggestions.searchId = SearchAnalyticsService.recordSearch({
+    query: req.query.q,
+    source: 'suggest',
+    resultCount: suggestions.products.length + suggestions.categories.length + suggestions.brands.length,
+    userId: req.user?._id
+  });
+  return ResponseService.success(res, 200, 'Suggestions retrieved successfully', suggestions);
 });
 
 /**
@@ -47,7 +154,54 @@ exports.getAdminProducts = asyncHandler(async (req, res) => {
  */
 exports.getProductById = asyncHandler(async (req, res) => {
   const product = await ProductService.getProductById(req.params.id);
-  return ResponseService.success(res, 200, 'Product retrieved successfully', product);
+
+  const { hiddenCategories, customerPricing } = await getShopperContext(req.user);
+  if (!CustomerGroupService.isProductVisible(product, hiddenCategories)) {
+    throw new NotFoundError('Product');
+  }
+  hideLinkedProducts(product, hiddenCategories);
+  PriceListService.applyToProducts(getPricedProducts(product), customerPricing);
+
+  // Archived products that have been superseded tell the client where to go instead
+  const meta = product.supersession?.redirect
+    ? { redirectTo: `/api/products/${product.supersession.replacedBy._id}` }
+    : undefined;
+
+  return ResponseService.success(res, 200, 'Product retrieved successfully', product, meta);
+});
+
+/**
+ * Create a variant of a product
+ * @route POST /api/products/:id/variants
+ * @access Private (Admin)
+ */
+exports.createVariant = asyncHandler(async (req, res) => {
+  const variant = await ProductService.createVariant(req.params.id, req.body, req.files, req.user?.id);
+  return ResponseService.created(res, variant, 'Product variant created successfully');
+});
+
+/**
+ * Get the variants of a product with their selectable options
+ * @route GET /api/products/:id/variants
+ * @access Public
+ */
+exports.getProductVariants = asyncHandler(async (req, res) => {
+  const { hiddenCategories, customerPricing } = await getShopperContext(req.user);
+  const result = await ProductService.getProductVariants(req.params.id, { ...req.query, hiddenCategories });
+  PriceListService.applyToProducts(result.variants, customerPricing);
+  return ResponseService.success(res, 200, 'Product variants retrieved successfully', result);
+});
+
+/**
+ * Get a price quote for a quantity of a product
+ * @route GET /api/products/:id/price?quantity=
+ * @access Public
+ */
+exports.getProductPrice = asyncHandler(async (req, res) => {
+  const quantity = parseInt(req.query.quantity, 10) || 1;
+  const { hiddenCategories, customerPricing } = await getShopperContext(req.user);
+  const quote = await ProductService.getPriceQuote(req.params.id, quantity, req.user || null, customerPricing, hiddenCategories);
+  return ResponseService.success(res, 200, 'Price quote retrieved successfully', quote);
 });
 
 /**
@@ -77,7 +231,9 @@ exports.deleteProduct = asyncHandler(async (req, res) => {
  */
 exports.getProductsByCategory = asyncHandler(async (req, res) => {
   const { categoryId } = req.params;
-  const result = await ProductService.getProductsByCategory(categoryId, req.query);
+  const { hiddenCategories, customerPricing } = await getShopperContext(req.user);
+  const result = await ProductService.getProductsByCategory(categoryId, { ...req.query, hiddenCategories });
+  PriceListService.applyToProducts(result.products, customerPricing);
   return ResponseService.success(res, 200, 'Products retrieved successfully', result.products);
 });
 
@@ -88,7 +244,9 @@ exports.getProductsByCategory = asyncHandler(async (req, res) => {
  */
 exports.getProductsByBrand = asyncHandler(async (req, res) => {
   const { brandId } = req.params;
-  const result = await ProductService.getProductsByBrand(brandId, req.query);
+  const { hiddenCategories, customerPricing } = await getShopperContext(req.user);
+  const result = await ProductService.getProductsByBrand(brandId, { ...req.query, hiddenCategories });
+  PriceListService.applyToProducts(result.products, customerPricing);
   return ResponseService.success(res, 200, 'Products retrieved successfully', result.products);
 });
 
@@ -107,7 +265,9 @@ exports.getProductsByCategorySlug = asyncHandler(async (req, res) => {
     options.fields = fields;
   }
   
-  const result = await ProductService.getProductsByCategorySlug(slug, options);
+  const { hiddenCategories, customerPricing } = await getShopperContext(req.user);
+  const result = await ProductService.getProductsByCategorySlug(slug, { ...options, hiddenCategories });
+  PriceListService.applyToProducts(result.products, customerPricing);
   return ResponseService.success(res, 200, 'Products retrieved successfully', {
     products: result.products,
     category: result.category,
@@ -161,16 +321,209 @@ exports.duplicateProduct = asyncHandler(async (req, res) => {
  */
 exports.updateProductStock = asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const { quantity } = req.body;
+  const { quantity, type, reason, warehouse } = req.body;
   
   if (typeof quantity !== 'number') {
     return ResponseService.badRequest(res, 'Quantity must be a number');
   }
   
-  const product = await ProductService.updateProductStock(id, quantity, req.user?.id);
+  const product = await ProductService.updateProductStock(id, quantity, req.user?.id, { type, reason, warehouse });
   return ResponseService.updated(res, product, 'Product stock updated successfully');
 });
 
+/**
+ * Get the stock movement history for a product
+ * @route GET /api/products/:id/stock-history
+ * @access Private (Admin)
+ */
+exports.getStockHistory = asyncHandler(async (req, res) => {
+  const result = await InventoryService.getStockHistory(req.params.id, req.query);
+  return ResponseService.success(res, 200, 'Stock history retrieved successfully', {
+    product: result.product,
+    movements: result.movements
+  }, { pagination: result.pagination });
+});
+
+/**
+ * Get a product's revision history with field-level changes
+ * @route GET /api/products/:id/revisions
+ * @access Private (Admin)
+ */
+exports.getProductRevisions = asyncHandler(async (req, res) => {
+  const result = await ProductRevisionService.getRevisions(req.params.id, req.query);
+  return ResponseService.success(res, 200, 'Product revisions retrieved successfully', result.revisions, { pagination: result.pagination });
+});
+
+/**
+ * Get one product revision with its full snapshot
+ * @route GET /api/products/:id/revisions/:version
+ * @access Private (Admin)
+ */
+exports.getProductRevision = asyncHandler(async (req, res) => {
+  const revision = await ProductRevisionService.getRevision(req.params.id, req.params.version);
+  return ResponseService.success(res, 200, 'Product revision retrieved successfully', revision);
+});
+
+/**
+ * Roll a product back to an earlier revision
+ * @route POST /api/products/:id/revisions/:version/rollback
+ * @access Private (Admin)
+ */
+exports.rollbackProduct = asyncHandler(async (req, res) => {
+  const product = await ProductService.rollbackProduct(req.params.id, req.params.version, req.user?.id);
+  return ResponseService.updated(res, product, `Product rolled back to version ${req.params.version}`);
+});
+
+/**
+ * Get a product's relationships and the products that link to it
+ * @route GET /api/products/:id/relationships
+ * @access Private (Admin)
+ */
+exports.getProductRelationships = asyncHandler(async (req, res) => {
+  const result = await ProductRelationshipService.getRelationships(req.params.id);
+  return ResponseService.success(res, 200, 'Product relationships retrieved successfully', result);
+});
+
+/**
+ * Replace all of a product's relationships
+ * @route PUT /api/products/:id/relationships
+ * @access Private (Admin)
+ */
+exports.setProductRelationships = asyncHandler(async (req, res) => {
+  const result = await ProductRelationshipService.setRelationships(req.params.id, req.body.relationships, req.user?.id);
+  return ResponseService.updated(res, result, 'Product relationships updated successfully');
+});
+
+/**
+ * Add a relationship to a product
+ * @route POST /api/products/:id/relationships
+ * @access Private (Admin)
+ */
+exports.addProductRelationship = asyncHandler(async (req, res) => {
+  const result = await ProductRelationshipService.addRelationship(req.params.id, req.body, req.user?.id);
+  return ResponseService.updated(res, result, 'Product relationship saved successfully');
+});
+
+/**
+ * Remove a relationship from a product
+ * @route DELETE /api/products/:id/relationships/:relatedId
+ * @access Private (Admin)
+ */
+exports.removeProductRelationship = asyncHandler(async (req, res) => {
+  const result = await ProductRelationshipService.removeRelationship(req.params.id, req.params.relatedId, req.query.type, req.user?.id);
+  return ResponseService.updated(res, result, 'Product relationship removed successfully');
+});
+
+/**
+ * List upcoming scheduled publish, unpublish and featured expiry changes
+ * @route GET /api/products/admin/scheduled
+ * @access Private (Admin)
+ */
+exports.getScheduledChanges = asyncHandler(async (req, res) => {
+  const changes = await ProductSchedulerService.getUpcomingChanges(req.query);
+  return ResponseService.success(res, 200, 'Scheduled product changes retrieved successfully', changes);
+});
+
+/**
+ * List products in the trash
+ * @route GET /api/products/admin/trash
+ * @access Private (Admin)
+ */
+exports.getDeletedProducts = asyncHandler(async (req, res) => {
+  const result = await ProductService.getDeletedProducts(req.query);
+  return ResponseService.success(res, 200, 'Deleted products retrieved successfully', result.products, { pagination: result.pagination });
+});
+
+/**
+ * Restore a product from the trash
+ * @route POST /api/products/admin/trash/:id/restore
+ * @access Private (Admin)
+ */
+exports.restoreProduct = asyncHandler(async (req, res) => {
+  const product = await ProductService.restoreProduct(req.params.id, req.user?.id);
+  return ResponseService.updated(res, product, 'Product restored successfully');
+});
+
+/**
+ * Permanently delete a product from the trash
+ * @route DELETE /api/products/admin/trash/:id
+ * @access Private (Admin)
+ */
+exports.purgeProduct = asyncHandler(async (req, res) => {
+  const result = await ProductService.purgeProduct(req.params.id, req.user?.id);
+  return ResponseService.success(res, 200, 'Product permanently deleted', result);
+});
+
+/**
+ * Get stock levels as they were at a point in time
+ * @route GET /api/products/admin/stock-on-date?date=
+ * @access Private (Admin)
+ */
+exports.getStockOnDate = asyncHandler(async (req, res) => {
+  const report = await InventoryService.getStockOnDate(req.query);
+  return ResponseService.success(res, 200, 'Stock on date report generated successfully', report);
+});
+
+/**
+ * Import products from a CSV or XLSX file; dry runs return the validation report directly
+ * @route POST /api/products/import
+ * @access Private (Admin)
+ */
+exports.importProducts = asyncHandler(async (req, res) => {
+  const job = await ProductImportService.startImport(req.file, req.body, req.user?.id);
+
+  if (job.dryRun) {
+    return ResponseService.success(res, 200, 'Import file validated successfully', job);
+  }
+  return ResponseService.success(res, 202, 'Product import queued', job);
+});
+
+/**
+ * List recent product import jobs
+ * @route GET /api/products/import/jobs
+ * @access Private (Admin)
+ */
+exports.getImportJobs = asyncHandler(async (req, res) => {
+  const jobs = await ProductImportService.getImportJobs(req.query);
+  return ResponseService.success(res, 200, 'Import jobs retrieved successfully', jobs);
+});
+
+/**
+ * Get a product import job with its error report
+ * @route GET /api/products/import/jobs/:jobId
+ * @access Private (Admin)
+ */
+exports.getImportJob = asyncHandler(async (req, res) => {
+  const job = await ProductImportService.getImportJob(req.params.jobId);
+  return ResponseService.success(res, 200, 'Import job retrieved successfully', job);
+});
+
+/**
+ * Export the catalog as CSV, XLSX or NDJSON using the product listing filters
+ * @route GET /api/products/admin/export?format=csv|xlsx|ndjson
+ * @access Private (Admin)
+ */
+exports.exportProducts = asyncHandler(async (req, res) => {
+  const options = {
+    ...req.query,
+    // Admin default: export everything unless specified
+    status: req.query.status || 'all'
+  };
+  const { contentType, fileName } = ProductExportService.getFormatDetails(options.format);
+
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+
+  try {
+    await ProductExportService.exportProducts(options, res);
+  } catch (error) {
+    // Once rows have been sent the status can no longer change, so the download is cut short instead
+    if (!res.headersSent) throw error;
+    logger.error('Product export failed', { error: error.message, stack: error.stack });
+    res.destroy(error);
+  }
+});
+
 /**
  * Get low stock products
  * @route GET /api/products/low-stock
@@ -199,7 +552,9 @@ exports.getOutOfStockProducts = asyncHandler(async (req, res) => {
  * @access Public
  */
 exports.getFeaturedProducts = asyncHandler(async (req, res) => {
-  const result = await ProductService.getFeaturedProducts(req.query);
+  const { hiddenCategories, customerPricing } = await getShopperContext(req.user);
+  const result = await ProductService.getFeaturedProducts({ ...req.query, hiddenCategories });
+  PriceListService.applyToProducts(result.products, customerPricing);
   return ResponseService.success(res, 200, 'Featured products retrieved successfully', result.products);
 });
 
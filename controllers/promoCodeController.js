@@ -1,6 +1,8 @@
 const PromoCode = require('../models/PromoCode');
 const PromoCodeUsage = require('../models/PromoCodeUsage');
 const Product = require('../models/Product');
+const CustomerGroup = require('../models/CustomerGroup');
+const CustomerGroupService = require('../services/CustomerGroupService');
 const mongoose = require('mongoose');
 
 // Helper function to build search query
@@ -42,6 +44,16 @@ const buildStatusFilter = (status) => {
   }
 };
 
+// Helper function to count how many of the given customer groups exist
+const countCustomerGroups = (groupIds) => CustomerGroup.countDocuments({ _id: { $in: groupIds } });
+
+// Helper function to find the customer group a promo code is checked against
+const getCustomerGroupId = async (customerId) => {
+  const customer = customerId && mongoose.Types.ObjectId.isValid(customerId) ? { _id: customerId } : null;
+  const group = await CustomerGroupService.getCustomerGroup(customer);
+  return group ? group._id : null;
+};
+
 // Get all promo codes with filtering and searching
 exports.getAllPromoCodes = async (req, res) => {
   try {
@@ -65,6 +77,7 @@ exports.getAllPromoCodes = async (req, res) => {
     // Execute query
     const promoCodes = await PromoCode.find(query)
       .populate('applicableProducts', 'productName sku price mainImage')
+      .populate('customerGroups', 'name code')
       .populate('createdBy', 'username firstName lastName')
       .sort(sortObj);
 
@@ -90,6 +103,7 @@ exports.getPromoCodeById = async (req, res) => {
   try {
     const promoCode = await PromoCode.findById(req.params.id)
       .populate('applicableProducts', 'productName sku price mainImage')
+      .populate('customerGroups', 'name code')
       .populate('createdBy', 'username firstName lastName');
 
     if (!promoCode) {
@@ -145,7 +159,8 @@ exports.createPromoCode = async (req, res) => {
       endDate,
       isActive = true,
       applicableProducts = [],
-      allProducts = false
+      allProducts = false,
+      customerGroups = []
     } = req.body;
 
     // Check if code already exists
@@ -177,6 +192,17 @@ exports.createPromoCode = async (req, res) => {
       }
     }
 
+    // Validate customer groups if the code is limited to them
+    if (customerGroups.length > 0 && await countCustomerGroups(customerGroups) !== customerGroups.length) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_CUSTOMER_GROUPS',
+          message: 'One or more specified customer groups do not exist'
+        }
+      });
+    }
+
     // Create promo code
     const promoCode = new PromoCode({
       code: code.toUpperCase(),
@@ -191,6 +217,7 @@ exports.createPromoCode = async (req, res) => {
       isActive,
       applicableProducts: allProducts ? [] : applicableProducts,
       allProducts,
+      customerGroups,
       createdBy: req.user._id
     });
 
@@ -288,6 +315,18 @@ exports.updatePromoCode = async (req, res) => {
       }
     }
 
+    // Validate customer groups if being updated
+    if (updateData.customerGroups && updateData.customerGroups.length > 0 &&
+      await countCustomerGroups(updateData.customerGroups) !== updateData.customerGroups.length) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_CUSTOMER_GROUPS',
+          message: 'One or more specified customer groups do not exist'
+        }
+      });
+    }
+
     // Clear applicable products if allProducts is being set to true
     if (updateData.allProducts) {
       updateData.applicableProducts = [];
@@ -486,7 +525,8 @@ exports.validatePromoCode = async (req, res) => {
     }
 
     // Check basic validity
-    const basicValidation = promoCode.canBeUsed(customerId, orderValue, productIds);
+    const customerGroupId = await getCustomerGroupId(customerId);
+    const basicValidation = promoCode.canBeUsed(customerId, orderValue, productIds, customerGroupId);
     if (!basicValidation.valid) {
       return res.status(200).json({
         success: true,
@@ -803,7 +843,8 @@ exports.applyPromoCode = async (req, res) => {
     }
 
     // Validate promo code
-    const validation = promoCode.canBeUsed(customerId, orderValue, productIds);
+    const customerGroupId = await getCustomerGroupId(customerId);
+    const validation = promoCode.canBeUsed(customerId, orderValue, productIds, customerGroupId);
     if (!validation.valid) {
       return res.status(422).json({
         success: false,
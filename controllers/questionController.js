@@ -0,0 +1,73 @@
+const ProductQuestionService = require('../services/ProductQuestionService');
+const ResponseService = require('../services/ResponseService');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * Ask a question about a product
+ * @route POST /api/products/:id/questions
+ * @access Private
+ */
+exports.askQuestion = asyncHandler(async (req, res) => {
+  const question = await ProductQuestionService.askQuestion(req.params.id, req.body.question, req.user);
+  return ResponseService.created(res, question, 'Question submitted; we will email you when it is answered');
+});
+
+/**
+ * Get a product's published questions and answers
+ * @route GET /api/products/:id/questions
+ * @access Public
+ */
+exports.getProductQuestions = asyncHandler(async (req, res) => {
+  const result = await ProductQuestionService.getProductQuestions(req.params.id, req.query);
+  return ResponseService.success(res, 200, 'Questions retrieved successfully', result.questions, { pagination: result.pagination });
+});
+
+/**
+ * Get the current customer's questions
+ * @route GET /api/questions/mine
+ * @access Private
+ */
+exports.getMyQuestions = asyncHandler(async (req, res) => {
+  const result = await ProductQuestionService.getMyQuestions(req.user._id, req.query);
+  return ResponseService.success(res, 200, 'Questions retrieved successfully', result.questions, { pagination: result.pagination });
+});
+
+/**
+ * List questions for staff to answer
+ * @route GET /api/questions
+ * @access Private (Admin)
+ */
+exports.getQuestions = asyncHandler(async (req, res) => {
+  const result = await ProductQuestionService.getQuestions(req.query);
+  return ResponseService.success(res, 200, 'Questions retrieved successfully', result.questions, { pagination: result.pagination });
+});
+
+/**
+ * Answer a question and notify the asker
+ * @route PUT /api/questions/:id/answer
+ * @access Private (Admin)
+ */
+exports.answerQuestion = asyncHandler(async (req, res) => {
+  const question = await ProductQuestionService.answerQuestion(req.params.id, req.body, req.user._id);
+  return ResponseService.updated(res, question, 'Question answered successfully');
+});
+
+/**
+ * Publish, unpublish or reject a question
+ * @route PATCH /api/questions/:id/status
+ * @access Private (Admin)
+ */
+exports.setQuestionStatus = asyncHandler(async (req, res) => {
+  const question = await ProductQuestionService.setQuestionStatus(req.params.id, req.body.status, req.user._id);
+  return ResponseService.updated(res, question, 'Question status updated successfully');
+});
+
+/**
+ * Delete a question (customers may withdraw their own unanswered questions)
+ * @route DELETE /api/questions/:id
+ * @access Private
+ */
+exports.deleteQuestion = asyncHandler(async (req, res) => {
+  await ProductQuestionService.deleteQuestion(req.params.id, req.user);
+  return ResponseService.deleted(res, 'Question deleted successfully');
+});
@@ -0,0 +1,90 @@
+const ReviewService = require('../services/ReviewService');
+const ResponseService = require('../services/ResponseService');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * Submit a review for a product the customer has received
+ * @route POST /api/products/:id/reviews
+ * @access Private
+ */
+exports.createReview = asyncHandler(async (req, res) => {
+  const review = await ReviewService.createReview(req.params.id, req.body, req.user);
+  return ResponseService.created(res, review, 'Review submitted and awaiting moderation');
+});
+
+/**
+ * Get a product's approved reviews and rating summary
+ * @route GET /api/products/:id/reviews
+ * @access Public
+ */
+exports.getProductReviews = asyncHandler(async (req, res) => {
+  const result = await ReviewService.getProductReviews(req.params.id, req.query);
+  return ResponseService.success(res, 200, 'Reviews retrieved successfully', result.reviews, {
+    summary: result.summary,
+    pagination: result.pagination
+  });
+});
+
+/**
+ * Get the current customer's reviews
+ * @route GET /api/reviews/mine
+ * @access Private
+ */
+exports.getMyReviews = asyncHandler(async (req, res) => {
+  const result = await ReviewService.getMyReviews(req.user._id, req.query);
+  return ResponseService.success(res, 200, 'Reviews retrieved successfully', result.reviews, { pagination: result.pagination });
+});
+
+/**
+ * Edit the current customer's review
+ * @route PUT /api/reviews/:id
+ * @access Private
+ */
+exports.updateReview = asyncHandler(async (req, res) => {
+  const review = await ReviewService.updateReview(req.params.id, req.body, req.user);
+  return ResponseService.updated(res, review, 'Review updated and awaiting moderation');
+});
+
+/**
+ * Delete a review (customers may delete their own)
+ * @route DELETE /api/reviews/:id
+ * @access Private
+ */
+exports.deleteReview = asyncHandler(async (req, res) => {
+  if (req.user.role === 'admin') {
+    await ReviewService.deleteReview(req.params.id, req.user._id);
+  } else {
+    await ReviewService.deleteOwnReview(req.params.id, req.user);
+  }
+  return ResponseService.deleted(res, 'Review deleted successfully');
+});
+
+/**
+ * List reviews for moderation
+ * @route GET /api/reviews
+ * @access Private (Admin)
+ */
+exports.getReviews = asyncHandler(async (req, res) => {
+  const result = await ReviewService.getReviews(req.query);
+  return ResponseService.success(res, 200, 'Reviews retrieved successfully', result.reviews, { pagination: result.pagination });
+});
+
+/**
+ * Approve or reject a review
+ * @route PATCH /api/reviews/:id/moderate
+ * @access Private (Admin)
+ */
+exports.moderateReview = asyncHandler(async (req, res) => {
+  const review = await ReviewService.moderateReview(req.params.id, req.body, req.user._id);
+  return ResponseService.updated(res, review, `Review ${review.status}`);
+});
+
+/**
+ * Reply to a review
+ * @route PUT /api/reviews/:id/reply
+ * @access Private (Admin)
+ */
+exports.replyToReview = asyncHandler(async (req, res) => {
+  const review = await ReviewService.replyToReview(req.params.id, req.body.message, req.user._id);
+  return ResponseService.updated(res, review, 'Reply saved successfully');
+});
@@ -0,0 +1,151 @@
+const SavedListService = require('../services/SavedListService');
+const OrderService = require('../services/OrderService');
+const ResponseService = require('../services/ResponseService');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * Get the current customer's lists
+ * @route GET /api/lists
+ * @access Private
+ */
+exports.getLists = asyncHandler(async (req, res) => {
+  const result = await SavedListService.getLists(req.user._id, req.query);
+  return ResponseService.success(res, 200, 'Lists retrieved successfully', result.lists, { pagination: result.pagination });
+});
+
+/**
+ * Create a list
+ * @route POST /api/lists
+ * @access Private
+ */
+exports.createList = asyncHandler(async (req, res) => {
+  const list = await SavedListService.createList(req.user._id, req.body);
+  return ResponseService.created(res, list, 'List created successfully');
+});
+
+/**
+ * Get a list with current prices and stock notices
+ * @route GET /api/lists/:id
+ * @access Private
+ */
+exports.getList = asyncHandler(async (req, res) => {
+  const list = await SavedListService.getList(req.params.id, req.user._id);
+  return ResponseService.success(res, 200, 'List retrieved successfully', list);
+});
+
+/**
+ * Rename a list or change its description
+ * @route PUT /api/lists/:id
+ * @access Private
+ */
+exports.updateList = asyncHandler(async (req, res) => {
+  const list = await SavedListService.updateList(req.params.id, req.user._id, req.body);
+  return ResponseService.updated(res, list, 'List updated successfully');
+});
+
+/**
+ * Delete a list
+ * @route DELETE /api/lists/:id
+ * @access Private
+ */
+exports.deleteList = asyncHandler(async (req, res) => {
+  await SavedListService.deleteList(req.params.id, req.user._id);
+  return ResponseService.deleted(res, 'List deleted successfully');
+});
+
+/**
+ * Add a product to a list
+ * @route POST /api/lists/:id/items
+ * @access Private
+ */
+exports.addItem = asyncHandler(async (req, res) => {
+  const list = await SavedListService.addItem(req.params.id, req.user._id, req.body);
+  return ResponseService.success(res, 200, 'Product added to list', list);
+});
+
+/**
+ * Change the quantity or note of a listed product
+ * @route PUT /api/lists/:id/items/:productId
+ * @access Private
+ */
+exports.updateItem = asyncHandler(async (req, res) => {
+  const list = await SavedListService.updateItem(req.params.id, req.user._id, req.params.productId, req.body);
+  return ResponseService.updated(res, list, 'List item updated successfully');
+});
+
+/**
+ * Remove a product from a list
+ * @route DELETE /api/lists/:id/items/:productId
+ * @access Private
+ */
+exports.removeItem = asyncHandler(async (req, res) => {
+  const list = await SavedListService.removeItem(req.params.id, req.user._id, req.params.productId);
+  return ResponseService.success(res, 200, 'Product removed from list', list);
+});
+
+/**
+ * Turn on the share link for a list
+ * @route POST /api/lists/:id/share
+ * @access Private
+ */
+exports.shareList = asyncHandler(async (req, res) => {
+  const share = await SavedListService.shareList(req.params.id, req.user._id);
+  return ResponseService.success(res, 200, 'List shared successfully', {
+    ...share,
+    url: `/api/lists/shared/${share.shareToken}`
+  });
+});
+
+/**
+ * Turn off the share link for a list
+ * @route DELETE /api/lists/:id/share
+ * @access Private
+ */
+exports.unshareList = asyncHandler(async (req, res) => {
+  await SavedListService.unshareList(req.params.id, req.user._id);
+  return ResponseService.success(res, 200, 'List is no longer shared');
+});
+
+/**
+ * View a list from its share link
+ * @route GET /api/lists/shared/:token
+ * @access Public
+ */
+exports.getSharedList = asyncHandler(async (req, res) => {
+  const list = await SavedListService.getSharedList(req.params.token, req.user?._id);
+  return ResponseService.success(res, 200, 'List retrieved successfully', list);
+});
+
+/**
+ * Copy a shared list into the current customer's lists
+ * @route POST /api/lists/shared/:token/copy
+ * @access Private
+ */
+exports.copySharedList = asyncHandler(async (req, res) => {
+  const list = await SavedListService.copySharedList(req.params.token, req.user._id);
+  return ResponseService.created(res, list, 'List copied successfully');
+});
+
+/**
+ * Add every product on a list to the cart at current prices
+ * @route POST /api/lists/:id/cart
+ * @access Private (Customer)
+ */
+exports.addListToCart = asyncHandler(async (req, res) => {
+  const cart = await SavedListService.addListToCart(req.params.id, req.user._id);
+  return ResponseService.success(res, 200, 'List added to cart', cart);
+});
+
+/**
+ * Order every product on a list at current prices
+ * @route POST /api/lists/:id/order
+ * @access Private (Customer)
+ */
+exports.orderList = asyncHandler(async (req, res) => {
+  const order = await SavedListService.orderList(req.params.id, req.user, req.body);
+
+  // Send customer and admin notifications (async, don't wait for them)
+  OrderService.notifyOrderPlaced(order);
+
+  return ResponseService.created(res, order, 'Order created successfully');
+});
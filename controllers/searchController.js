@@ -0,0 +1,84 @@
+const SearchService = require('../services/SearchService');
+const SearchAnalyticsService = require('../services/SearchAnalyticsService');
+const ResponseService = require('../services/ResponseService');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * Create a search synonym group
+ * @route POST /api/search/synonyms
+ * @access Private (Admin)
+ */
+exports.createSynonym = asyncHandler(async (req, res) => {
+  const synonym = await SearchService.createSynonym(req.body, req.user._id);
+  return ResponseService.created(res, synonym, 'Synonym group created successfully');
+});
+
+/**
+ * Get all search synonym groups
+ * @route GET /api/search/synonyms
+ * @access Private (Admin)
+ */
+exports.getSynonyms = asyncHandler(async (req, res) => {
+  const synonyms = await SearchService.getSynonyms(req.query);
+  return ResponseService.success(res, 200, 'Synonym groups retrieved successfully', synonyms);
+});
+
+/**
+ * Update a search synonym group
+ * @route PUT /api/search/synonyms/:id
+ * @access Private (Admin)
+ */
+exports.updateSynonym = asyncHandler(async (req, res) => {
+  const synonym = await SearchService.updateSynonym(req.params.id, req.body, req.user._id);
+  return ResponseService.updated(res, synonym, 'Synonym group updated successfully');
+});
+
+/**
+ * Delete a search synonym group
+ * @route DELETE /api/search/synonyms/:id
+ * @access Private (Admin)
+ */
+exports.deleteSynonym = asyncHandler(async (req, res) => {
+  await SearchService.deleteSynonym(req.params.id, req.user._id);
+  return ResponseService.deleted(res, 'Synonym group deleted successfully');
+});
+
+/**
+ * Record the product a customer opened from search results
+ * @route POST /api/search/clicks
+ * @access Public
+ */
+exports.recordClick = asyncHandler(async (req, res) => {
+  await SearchAnalyticsService.recordClick(req.body);
+  return ResponseService.success(res, 200, 'Search click recorded');
+});
+
+/**
+ * Most frequent search queries
+ * @route GET /api/search/analytics/top-queries
+ * @access Private (Admin)
+ */
+exports.getTopQueries = asyncHandler(async (req, res) => {
+  const report = await SearchAnalyticsService.getTopQueries(req.query);
+  return ResponseService.success(res, 200, 'Top search queries retrieved successfully', report);
+});
+
+/**
+ * Search queries that returned no products
+ * @route GET /api/search/analytics/zero-results
+ * @access Private (Admin)
+ */
+exports.getZeroResultQueries = asyncHandler(async (req, res) => {
+  const report = await SearchAnalyticsService.getZeroResultQueries(req.query);
+  return ResponseService.success(res, 200, 'Zero-result search queries retrieved successfully', report);
+});
+
+/**
+ * Click-through rate by search query
+ * @route GET /api/search/analytics/conversion
+ * @access Private (Admin)
+ */
+exports.getConversionByQuery = asyncHandler(async (req, res) => {
+  const report = await SearchAnalyticsService.getConversionByQuery(req.query);
+  return ResponseService.success(res, 200, 'Search conversion retrieved successfully', report);
+});
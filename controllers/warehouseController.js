@@ -0,0 +1,89 @@
+const WarehouseService = require('../services/WarehouseService');
+const InventoryService = require('../services/InventoryService');
+const ResponseService = require('../services/ResponseService');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * Create a warehouse
+ * @route POST /api/warehouses
+ * @access Private (Admin)
+ */
+exports.createWarehouse = asyncHandler(async (req, res) => {
+  const warehouse = await WarehouseService.createWarehouse(req.body, req.user._id);
+  return ResponseService.created(res, warehouse, 'Warehouse created successfully');
+});
+
+/**
+ * Get all warehouses
+ * @route GET /api/warehouses
+ * @access Private (Admin)
+ */
+exports.getWarehouses = asyncHandler(async (req, res) => {
+  const warehouses = await WarehouseService.getWarehouses(req.query);
+  return ResponseService.success(res, 200, 'Warehouses retrieved successfully', warehouses);
+});
+
+/**
+ * Get warehouse by ID
+ * @route GET /api/warehouses/:id
+ * @access Private (Admin)
+ */
+exports.getWarehouseById = asyncHandler(async (req, res) => {
+  const warehouse = await WarehouseService.getWarehouseById(req.params.id);
+  return ResponseService.success(res, 200, 'Warehouse retrieved successfully', warehouse);
+});
+
+/**
+ * Update a warehouse
+ * @route PUT /api/warehouses/:id
+ * @access Private (Admin)
+ */
+exports.updateWarehouse = asyncHandler(async (req, res) => {
+  const warehouse = await WarehouseService.updateWarehouse(req.params.id, req.body, req.user._id);
+  return ResponseService.updated(res, warehouse, 'Warehouse updated successfully');
+});
+
+/**
+ * Delete a warehouse that holds no stock
+ * @route DELETE /api/warehouses/:id
+ * @access Private (Admin)
+ */
+exports.deleteWarehouse = asyncHandler(async (req, res) => {
+  await WarehouseService.deleteWarehouse(req.params.id, req.user._id);
+  return ResponseService.deleted(res, 'Warehouse deleted successfully');
+});
+
+/**
+ * Get the stock held at a warehouse
+ * @route GET /api/warehouses/:id/stock
+ * @access Private (Admin)
+ */
+exports.getWarehouseStock = asyncHandler(async (req, res) => {
+  const result = await WarehouseService.getWarehouseStock(req.params.id, req.query);
+  return ResponseService.success(res, 200, 'Warehouse stock retrieved successfully', result);
+});
+
+/**
+ * Set a product's stock at a warehouse
+ * @route PUT /api/warehouses/:id/stock/:productId
+ * @access Private (Admin)
+ */
+exports.setWarehouseStock = asyncHandler(async (req, res) => {
+  const { quantity, type = 'adjustment', reason } = req.body;
+  const product = await InventoryService.setWarehouseStock(req.params.productId, req.params.id, quantity, {
+    type,
+    user: req.user._id,
+    reason
+  });
+  return ResponseService.updated(res, product, 'Warehouse stock updated successfully');
+});
+
+/**
+ * Transfer stock between warehouses
+ * @route POST /api/warehouses/transfers
+ * @access Private (Admin)
+ */
+exports.transferStock = asyncHandler(async (req, res) => {
+  const transfer = await InventoryService.transferStock(req.body, req.user._id);
+  return ResponseService.created(res, transfer, 'Stock transferred successfully');
+});
@@ -118,8 +118,8 @@ exports.securityMiddleware = [
     },
     credentials: true,
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept', 'Origin'],
-    exposedHeaders: ['X-Total-Count', 'X-Page-Count'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept', 'Origin', 'X-Cart-Token'],
+    exposedHeaders: ['X-Total-Count', 'X-Page-Count', 'X-Cart-Token'],
     maxAge: 86400, // Cache preflight requests for 24 hours
     optionsSuccessStatus: 200, // Some legacy browsers choke on 204
     preflightContinue: false // Let CORS handle preflight, don't pass to next middleware
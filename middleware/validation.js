@@ -1,4 +1,4 @@
-const { body, param } = require('express-validator');
+const { body, param, query } = require('express-validator');
 const { validationResult } = require('express-validator');
 
 // Validation rules for registration
@@ -773,12 +773,24 @@ exports.createOrderValidation = [
     .isFloat({ min: 0 })
     .withMessage('Tax rate must be a positive number'),
   
+  // Price fields above and shippingCost are only accepted from admins (enforced by PricingService)
+  body('shippingCost')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Shipping cost must be a positive number'),
+  
   // Shipping address is optional - will use user's default address if not provided
   body('shippingAddress')
     .optional()
     .isObject()
     .withMessage('Shipping address must be an object'),
   
+  // Company members may ship to one of their company's saved addresses instead
+  body('companyAddressId')
+    .optional()
+    .isMongoId()
+    .withMessage('Company address ID must be a valid MongoDB ObjectId'),
+  
   body('shippingAddress.firstName')
     .optional()
     .trim()
@@ -839,133 +851,1581 @@ exports.createOrderValidation = [
   
   body('priority')
     .optional()
-    .isIn(['low', 'medium', 'high', 'urgent'])
-    .withMessage('Priority must be one of: low, medium, high, urgent'),
-  
-  body('notes')
+    .isIn(['low', 'medium', 'high', 'urgent'])
+    .withMessage('Priority must be one of: low, medium, high, urgent'),
+  
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Notes cannot exceed 1000 characters'),
+  
+  body('currency')
+    .optional()
+    .isLength({ min: 3, max: 3 })
+    .withMessage('Currency must be a 3-letter code')
+    .isUppercase()
+    .withMessage('Currency must be uppercase')
+];
+
+// Validation rules for order update
+exports.updateOrderValidation = [
+  body('shippingAddress')
+    .optional()
+    .isObject()
+    .withMessage('Shipping address must be an object'),
+  
+  body('shippingAddress.firstName')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('First name must be between 1 and 50 characters'),
+  
+  body('shippingAddress.lastName')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Last name must be between 1 and 50 characters'),
+  
+  body('shippingAddress.addressLine1')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Address line 1 must be between 1 and 100 characters'),
+  
+  body('shippingAddress.city')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('City must be between 1 and 50 characters'),
+  
+  body('shippingAddress.state')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('State must be between 1 and 50 characters'),
+  
+  body('shippingAddress.country')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Country must be between 1 and 50 characters'),
+  
+  body('shippingAddress.postalCode')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 20 })
+    .withMessage('Postal code must be between 1 and 20 characters'),
+  
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Notes cannot exceed 1000 characters'),
+  
+  body('internalNotes')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Internal notes cannot exceed 1000 characters'),
+  
+  body('priority')
+    .optional()
+    .isIn(['low', 'medium', 'high', 'urgent'])
+    .withMessage('Priority must be one of: low, medium, high, urgent'),
+  
+  body('shippingMethod')
+    .optional()
+    .isIn(['standard', 'express', 'overnight', 'pickup'])
+    .withMessage('Shipping method must be one of: standard, express, overnight, pickup'),
+  
+  body('estimatedDeliveryDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Estimated delivery date must be a valid date'),
+  
+  body('trackingNumber')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Tracking number cannot exceed 100 characters')
+];
+
+// Validation rules for order status update
+exports.updateOrderStatusValidation = [
+  body('status')
+    .isIn(['pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled', 'returned'])
+    .withMessage('Status must be one of: pending, confirmed, processing, shipped, delivered, cancelled, returned'),
+  
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot exceed 500 characters')
+];
+
+// Validation rules for order cancellation
+exports.cancelOrderValidation = [
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Cancellation reason cannot exceed 500 characters')
+];
+
+// Cart validation rules
+
+// Validation rules for adding a cart item
+exports.addCartItemValidation = [
+  body('productId')
+    .notEmpty()
+    .withMessage('Product ID is required')
+    .isMongoId()
+    .withMessage('Product ID must be a valid MongoDB ObjectId'),
+
+  body('quantity')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Quantity must be a positive integer')
+];
+
+// Validation rules for updating a cart item
+exports.updateCartItemValidation = [
+  param('productId')
+    .isMongoId()
+    .withMessage('Invalid product ID format'),
+
+  body('quantity')
+    .isInt({ min: 1 })
+    .withMessage('Quantity must be a positive integer')
+];
+
+// Validation for cart item product ID parameter
+exports.validateCartProductId = [
+  param('productId')
+    .isMongoId()
+    .withMessage('Invalid product ID format')
+];
+
+// Validation rules for cart checkout
+exports.checkoutCartValidation = [
+  body('shippingAddress')
+    .optional()
+    .isObject()
+    .withMessage('Shipping address must be an object'),
+
+  body('billingAddress')
+    .optional()
+    .isObject()
+    .withMessage('Billing address must be an object'),
+
+  body('companyAddressId')
+    .optional()
+    .isMongoId()
+    .withMessage('Company address ID must be a valid MongoDB ObjectId'),
+
+  body('paymentInfo.paymentMethod')
+    .optional()
+    .isIn(['credit_card', 'bank_transfer', 'paypal', 'invoice', 'cash_on_delivery'])
+    .withMessage('Payment method must be one of: credit_card, bank_transfer, paypal, invoice, cash_on_delivery'),
+
+  body('shippingMethod')
+    .optional()
+    .isIn(['standard', 'express', 'overnight', 'pickup'])
+    .withMessage('Shipping method must be one of: standard, express, overnight, pickup'),
+
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Notes cannot exceed 1000 characters')
+];
+
+// Validation for MongoDB ObjectId parameters
+exports.validateObjectId = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid ID format')
+];
+
+// Validation for creating a product variant (other fields are inherited from the parent)
+exports.createVariantValidation = [
+  body('sku')
+    .trim()
+    .notEmpty()
+    .withMessage('SKU is required')
+    .isLength({ max: 50 })
+    .withMessage('SKU cannot exceed 50 characters'),
+  body('price')
+    .optional()
+    .isFloat({ min: 0.01 })
+    .withMessage('Price must be greater than 0'),
+  body('stock')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Stock must be a non-negative integer'),
+  body('variantOptions')
+    .custom((value) => {
+      let options = value;
+      if (typeof value === 'string') {
+        try {
+          options = JSON.parse(value);
+        } catch (e) {
+          throw new Error('Variant options must be valid JSON');
+        }
+      }
+      if (!Array.isArray(options) || options.length === 0) {
+        throw new Error('Variant options must be a non-empty array of { attribute, value }');
+      }
+      return true;
+    })
+];
+
+// Validation for product price quotes
+exports.priceQuoteValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid ID format'),
+  query('quantity')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Quantity must be a positive integer')
+];
+
+// Validation for manual stock changes
+exports.updateStockValidation = [
+  body('quantity')
+    .isInt({ min: 0 })
+    .withMessage('Quantity must be a non-negative integer'),
+  body('type')
+    .optional()
+    .isIn(['adjustment', 'stocktake'])
+    .withMessage('Type must be adjustment or stocktake'),
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters'),
+  body('warehouse')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid warehouse ID format')
+];
+
+// Validation for the scheduled changes listing
+exports.scheduledChangesValidation = [
+  query('type')
+    .optional()
+    .isIn(['publish', 'unpublish', 'featured_expiry'])
+    .withMessage('Type must be publish, unpublish or featured_expiry'),
+  query('until')
+    .optional()
+    .isISO8601()
+    .withMessage('Until must be a valid date'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 500 })
+    .withMessage('Limit must be between 1 and 500')
+];
+
+// Validation for product revision lookups
+exports.productRevisionValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid product ID format'),
+  param('version')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Version must be a positive integer'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+];
+
+// Validation for product relationships
+const RELATIONSHIP_TYPES = ['related', 'accessory', 'replacement', 'frequently_bought_together'];
+
+exports.setRelationshipsValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid product ID format'),
+  body('relationships')
+    .isArray({ max: 100 })
+    .withMessage('Relationships must be an array of at most 100 links'),
+  body('relationships.*.type')
+    .isIn(RELATIONSHIP_TYPES)
+    .withMessage(`Relationship type must be one of ${RELATIONSHIP_TYPES.join(', ')}`),
+  body('relationships.*.product')
+    .isMongoId()
+    .withMessage('Invalid related product ID format'),
+  body('relationships.*.sortOrder')
+    .optional()
+    .isInt()
+    .withMessage('Sort order must be an integer'),
+  body('relationships.*.note')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Note cannot exceed 200 characters')
+];
+
+exports.addRelationshipValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid product ID format'),
+  body('type')
+    .isIn(RELATIONSHIP_TYPES)
+    .withMessage(`Relationship type must be one of ${RELATIONSHIP_TYPES.join(', ')}`),
+  body('product')
+    .isMongoId()
+    .withMessage('Invalid related product ID format'),
+  body('sortOrder')
+    .optional()
+    .isInt()
+    .withMessage('Sort order must be an integer'),
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Note cannot exceed 200 characters')
+];
+
+exports.removeRelationshipValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid product ID format'),
+  param('relatedId')
+    .isMongoId()
+    .withMessage('Invalid related product ID format'),
+  query('type')
+    .optional()
+    .isIn(RELATIONSHIP_TYPES)
+    .withMessage(`Relationship type must be one of ${RELATIONSHIP_TYPES.join(', ')}`)
+];
+
+// Validation for product reviews
+exports.createReviewValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid product ID format'),
+  body('rating')
+    .isInt({ min: 1, max: 5 })
+    .withMessage('Rating must be a whole number from 1 to 5')
+    .toInt(),
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ max: 150 })
+    .withMessage('Title cannot exceed 150 characters'),
+  body('comment')
+    .optional()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Comment cannot exceed 2000 characters')
+];
+
+exports.updateReviewValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid review ID format'),
+  body('rating')
+    .optional()
+    .isInt({ min: 1, max: 5 })
+    .withMessage('Rating must be a whole number from 1 to 5')
+    .toInt(),
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ max: 150 })
+    .withMessage('Title cannot exceed 150 characters'),
+  body('comment')
+    .optional()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Comment cannot exceed 2000 characters')
+];
+
+exports.reviewListValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  query('rating')
+    .optional()
+    .isInt({ min: 1, max: 5 })
+    .withMessage('Rating must be a whole number from 1 to 5'),
+  query('sort')
+    .optional()
+    .isIn(['newest', 'oldest', 'highest', 'lowest'])
+    .withMessage('Sort must be newest, oldest, highest or lowest'),
+  query('status')
+    .optional()
+    .isIn(['pending', 'approved', 'rejected'])
+    .withMessage('Status must be pending, approved or rejected'),
+  query(['product', 'user'])
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid ID format')
+];
+
+exports.moderateReviewValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid review ID format'),
+  body('status')
+    .isIn(['approved', 'rejected'])
+    .withMessage('Status must be approved or rejected'),
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters')
+];
+
+exports.reviewReplyValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid review ID format'),
+  body('message')
+    .trim()
+    .notEmpty()
+    .withMessage('Reply message is required')
+    .isLength({ max: 2000 })
+    .withMessage('Reply cannot exceed 2000 characters')
+];
+
+// Validation for product questions
+exports.askQuestionValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid product ID format'),
+  body('question')
+    .trim()
+    .isLength({ min: 5, max: 1000 })
+    .withMessage('Question must be between 5 and 1000 characters')
+];
+
+exports.questionListValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  query('status')
+    .optional()
+    .isIn(['pending', 'published', 'rejected'])
+    .withMessage('Status must be pending, published or rejected'),
+  query('product')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid product ID format'),
+  query('answered')
+    .optional()
+    .isBoolean()
+    .withMessage('answered must be a boolean value'),
+  query('sort')
+    .optional()
+    .isIn(['newest', 'oldest'])
+    .withMessage('Sort must be newest or oldest')
+];
+
+exports.answerQuestionValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid question ID format'),
+  body('answer')
+    .trim()
+    .notEmpty()
+    .withMessage('Answer is required')
+    .isLength({ max: 4000 })
+    .withMessage('Answer cannot exceed 4000 characters'),
+  body('publish')
+    .optional()
+    .isBoolean()
+    .withMessage('publish must be a boolean value')
+    .toBoolean()
+];
+
+exports.questionStatusValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid question ID format'),
+  body('status')
+    .isIn(['pending', 'published', 'rejected'])
+    .withMessage('Status must be pending, published or rejected')
+];
+
+// Validation for company accounts
+const companyAddressValidation = (prefix, required) => {
+  const field = name => {
+    const chain = body(`${prefix}${name}`);
+    return required ? chain : chain.optional();
+  };
+  return [
+    body(`${prefix}label`)
+      .optional()
+      .trim()
+      .isLength({ max: 50 })
+      .withMessage('Label cannot exceed 50 characters'),
+    body(`${prefix}contactName`)
+      .optional()
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage('Contact name cannot exceed 100 characters'),
+    body(`${prefix}phone`)
+      .optional()
+      .trim()
+      .isLength({ max: 20 })
+      .withMessage('Phone number cannot exceed 20 characters'),
+    field('addressLine1')
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Address line 1 must be between 1 and 100 characters'),
+    body(`${prefix}addressLine2`)
+      .optional()
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage('Address line 2 cannot exceed 100 characters'),
+    field('city')
+      .trim()
+      .isLength({ min: 1, max: 50 })
+      .withMessage('City must be between 1 and 50 characters'),
+    field('state')
+      .trim()
+      .isLength({ min: 1, max: 50 })
+      .withMessage('State must be between 1 and 50 characters'),
+    field('postalCode')
+      .trim()
+      .isLength({ min: 1, max: 20 })
+      .withMessage('Postal code must be between 1 and 20 characters'),
+    body(`${prefix}country`)
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 50 })
+      .withMessage('Country must be between 1 and 50 characters')
+  ];
+};
+
+exports.companyValidation = [
+  body('tradingName')
+    .trim()
+    .notEmpty()
+    .withMessage('Trading name is required')
+    .isLength({ max: 150 })
+    .withMessage('Trading name cannot exceed 150 characters'),
+  body('legalName')
+    .optional()
+    .trim()
+    .isLength({ max: 150 })
+    .withMessage('Legal name cannot exceed 150 characters'),
+  // The model checks the ABN check digit
+  body('abn')
+    .trim()
+    .matches(/^\d{2}\s?\d{3}\s?\d{3}\s?\d{3}$/)
+    .withMessage('ABN must be 11 digits'),
+  body('email')
+    .optional()
+    .isEmail()
+    .withMessage('Please enter a valid email')
+    .normalizeEmail(),
+  body('phone')
+    .optional()
+    .trim()
+    .isLength({ max: 20 })
+    .withMessage('Phone number cannot exceed 20 characters'),
+  body('billingAddress')
+    .isObject()
+    .withMessage('Billing address is required'),
+  ...companyAddressValidation('billingAddress.', true)
+];
+
+exports.updateCompanyValidation = [
+  body('tradingName')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Trading name cannot be empty')
+    .isLength({ max: 150 })
+    .withMessage('Trading name cannot exceed 150 characters'),
+  body('legalName')
+    .optional()
+    .trim()
+    .isLength({ max: 150 })
+    .withMessage('Legal name cannot exceed 150 characters'),
+  body('abn')
+    .optional()
+    .trim()
+    .matches(/^\d{2}\s?\d{3}\s?\d{3}\s?\d{3}$/)
+    .withMessage('ABN must be 11 digits'),
+  body('email')
+    .optional()
+    .isEmail()
+    .withMessage('Please enter a valid email')
+    .normalizeEmail(),
+  body('phone')
+    .optional()
+    .trim()
+    .isLength({ max: 20 })
+    .withMessage('Phone number cannot exceed 20 characters'),
+  body('billingAddress')
+    .optional()
+    .isObject()
+    .withMessage('Billing address must be an object'),
+  ...companyAddressValidation('billingAddress.', false)
+];
+
+exports.companyMemberRoleValidation = [
+  param('userId')
+    .isMongoId()
+    .withMessage('Invalid user ID format'),
+  body('role')
+    .isIn(['owner', 'approver', 'buyer', 'viewer'])
+    .withMessage('Role must be one of: owner, approver, buyer, viewer')
+];
+
+exports.companyMemberValidation = [
+  param('userId')
+    .isMongoId()
+    .withMessage('Invalid user ID format')
+];
+
+exports.companyInvitationValidation = [
+  body('email')
+    .isEmail()
+    .withMessage('Please enter a valid email')
+    .normalizeEmail(),
+  body('role')
+    .optional()
+    .isIn(['owner', 'approver', 'buyer', 'viewer'])
+    .withMessage('Role must be one of: owner, approver, buyer, viewer')
+];
+
+exports.companyInvitationQueryValidation = [
+  query('status')
+    .optional()
+    .isIn(['pending', 'accepted', 'revoked'])
+    .withMessage('Status must be one of: pending, accepted, revoked')
+];
+
+exports.acceptCompanyInvitationValidation = [
+  param('token')
+    .isHexadecimal()
+    .withMessage('Invalid invitation token')
+    .isLength({ min: 64, max: 64 })
+    .withMessage('Invalid invitation token')
+];
+
+exports.companyAddressValidation = [
+  ...companyAddressValidation('', true),
+  body('isDefault')
+    .optional()
+    .isBoolean()
+    .withMessage('isDefault must be a boolean value')
+    .toBoolean()
+];
+
+exports.companyAddressIdValidation = [
+  param('addressId')
+    .isMongoId()
+    .withMessage('Invalid address ID format')
+];
+
+exports.updateCompanyAddressValidation = [
+  ...exports.companyAddressIdValidation,
+  ...companyAddressValidation('', false),
+  body('isDefault')
+    .optional()
+    .isBoolean()
+    .withMessage('isDefault must be a boolean value')
+    .toBoolean()
+];
+
+exports.companyOrderQueryValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  query('status')
+    .optional()
+    .isIn(['pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled', 'returned'])
+    .withMessage('Invalid order status'),
+  query('approvalStatus')
+    .optional()
+    .isIn(['pending', 'approved', 'rejected'])
+    .withMessage('Approval status must be one of: pending, approved, rejected'),
+  query('customer')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid customer ID format')
+];
+
+exports.companyOrderApprovalValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid order ID format'),
+  body('notes')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot exceed 500 characters')
+];
+
+exports.companyQueryValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  query('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean value')
+];
+
+// Validation for customer groups
+exports.customerGroupValidation = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Customer group name is required')
+    .isLength({ max: 100 })
+    .withMessage('Customer group name cannot exceed 100 characters'),
+  body('code')
+    .trim()
+    .notEmpty()
+    .withMessage('Customer group code is required')
+    .matches(/^[a-zA-Z0-9_-]+$/)
+    .withMessage('Customer group code can only contain letters, numbers, hyphens and underscores')
+    .isLength({ max: 50 })
+    .withMessage('Customer group code cannot exceed 50 characters'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Description cannot exceed 1000 characters'),
+  body('defaultDiscount')
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Default discount must be between 0 and 100')
+    .toFloat(),
+  body('paymentTermsDays')
+    .optional()
+    .isInt({ min: 0, max: 365 })
+    .withMessage('Payment terms must be between 0 and 365 days')
+    .toInt(),
+  body('minimumOrderValue')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Minimum order value cannot be negative')
+    .toFloat(),
+  body('hiddenCategories')
+    .optional()
+    .isArray()
+    .withMessage('Hidden categories must be an array of category IDs'),
+  body('hiddenCategories.*')
+    .isMongoId()
+    .withMessage('Invalid category ID format'),
+  body('isDefault')
+    .optional()
+    .isBoolean()
+    .withMessage('isDefault must be a boolean value')
+    .toBoolean(),
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean value')
+    .toBoolean()
+];
+
+exports.updateCustomerGroupValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid customer group ID format'),
+  body('name')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Customer group name cannot be empty')
+    .isLength({ max: 100 })
+    .withMessage('Customer group name cannot exceed 100 characters'),
+  body('code')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Customer group code cannot be empty')
+    .matches(/^[a-zA-Z0-9_-]+$/)
+    .withMessage('Customer group code can only contain letters, numbers, hyphens and underscores')
+    .isLength({ max: 50 })
+    .withMessage('Customer group code cannot exceed 50 characters'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Description cannot exceed 1000 characters'),
+  body('defaultDiscount')
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Default discount must be between 0 and 100')
+    .toFloat(),
+  body('paymentTermsDays')
+    .optional()
+    .isInt({ min: 0, max: 365 })
+    .withMessage('Payment terms must be between 0 and 365 days')
+    .toInt(),
+  body('minimumOrderValue')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Minimum order value cannot be negative')
+    .toFloat(),
+  body('hiddenCategories')
+    .optional()
+    .isArray()
+    .withMessage('Hidden categories must be an array of category IDs'),
+  body('hiddenCategories.*')
+    .isMongoId()
+    .withMessage('Invalid category ID format'),
+  body('isDefault')
+    .optional()
+    .isBoolean()
+    .withMessage('isDefault must be a boolean value')
+    .toBoolean(),
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean value')
+    .toBoolean()
+];
+
+exports.customerGroupQueryValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  query('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean value')
+];
+
+exports.assignCustomerGroupValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid customer ID format'),
+  body('customerGroup')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Invalid customer group ID format')
+];
+
+// Validation for customer price lists
+exports.priceListValidation = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Price list name is required')
+    .isLength({ max: 100 })
+    .withMessage('Price list name cannot exceed 100 characters'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Description cannot exceed 1000 characters'),
+  body('customers')
+    .optional()
+    .isArray()
+    .withMessage('Customers must be an array of customer IDs'),
+  body('customers.*')
+    .isMongoId()
+    .withMessage('Invalid customer ID format'),
+  body('customerGroups')
+    .optional()
+    .isArray()
+    .withMessage('Customer groups must be an array of customer group IDs'),
+  body('customerGroups.*')
+    .isMongoId()
+    .withMessage('Invalid customer group ID format'),
+  body('validFrom')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('Valid from must be a valid date'),
+  body('validTo')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('Valid to must be a valid date'),
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean value')
+    .toBoolean()
+];
+
+exports.updatePriceListValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid price list ID format'),
+  body('name')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Price list name cannot be empty')
+    .isLength({ max: 100 })
+    .withMessage('Price list name cannot exceed 100 characters'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Description cannot exceed 1000 characters'),
+  body('customers')
+    .optional()
+    .isArray()
+    .withMessage('Customers must be an array of customer IDs'),
+  body('customers.*')
+    .isMongoId()
+    .withMessage('Invalid customer ID format'),
+  body('customerGroups')
+    .optional()
+    .isArray()
+    .withMessage('Customer groups must be an array of customer group IDs'),
+  body('customerGroups.*')
+    .isMongoId()
+    .withMessage('Invalid customer group ID format'),
+  body('validFrom')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('Valid from must be a valid date'),
+  body('validTo')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('Valid to must be a valid date'),
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean value')
+    .toBoolean()
+];
+
+exports.priceListQueryValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  query('customer')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid customer ID format'),
+  query('customerGroup')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid customer group ID format'),
+  query('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean value'),
+  query('scope')
+    .optional()
+    .isIn(['product', 'brand', 'category'])
+    .withMessage('Scope must be product, brand or category')
+];
+
+exports.priceListLineValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid price list ID format'),
+  body('scope')
+    .isIn(['product', 'brand', 'category'])
+    .withMessage('Scope must be product, brand or category'),
+  body(['product', 'brand', 'category'])
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid product, brand or category ID format'),
+  body('type')
+    .isIn(['fixed', 'percentage'])
+    .withMessage('Type must be fixed or percentage'),
+  body('value')
+    .isFloat({ min: 0 })
+    .withMessage('Value must be a non-negative number')
+    .toFloat(),
+  body('validFrom')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('Valid from must be a valid date'),
+  body('validTo')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('Valid to must be a valid date')
+];
+
+exports.updatePriceListLineValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid price list ID format'),
+  param('lineId')
+    .isMongoId()
+    .withMessage('Invalid line ID format'),
+  body('type')
+    .optional()
+    .isIn(['fixed', 'percentage'])
+    .withMessage('Type must be fixed or percentage'),
+  body('value')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Value must be a non-negative number')
+    .toFloat(),
+  body('validFrom')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('Valid from must be a valid date'),
+  body('validTo')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('Valid to must be a valid date')
+];
+
+exports.priceListLineParamValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid price list ID format'),
+  param('lineId')
+    .isMongoId()
+    .withMessage('Invalid line ID format')
+];
+
+exports.priceListUploadValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid price list ID format'),
+  body('dryRun')
+    .optional()
+    .isBoolean()
+    .withMessage('dryRun must be a boolean value'),
+  body('mode')
+    .optional()
+    .isIn(['upsert', 'replace'])
+    .withMessage('Mode must be upsert or replace')
+];
+
+// Validation for product alerts
+exports.subscribeAlertValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid product ID format'),
+  body('type')
+    .isIn(['back_in_stock', 'price_drop'])
+    .withMessage('Type must be back_in_stock or price_drop'),
+  body('channels')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('Channels must be a non-empty array'),
+  body('channels.*')
+    .isIn(['email', 'sms'])
+    .withMessage('Channels must be email or sms'),
+  body('targetPrice')
+    .optional({ values: 'null' })
+    .isFloat({ min: 0 })
+    .withMessage('Target price must be a non-negative number')
+    .toFloat()
+];
+
+exports.alertListValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  query('type')
+    .optional()
+    .isIn(['back_in_stock', 'price_drop'])
+    .withMessage('Type must be back_in_stock or price_drop'),
+  query('status')
+    .optional()
+    .isIn(['active', 'queued', 'sending', 'sent', 'failed'])
+    .withMessage('Status must be active, queued, sending, sent or failed'),
+  query('product')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid product ID format')
+];
+
+// Validation for saved lists
+exports.createListValidation = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('List name is required')
+    .isLength({ max: 100 })
+    .withMessage('List name cannot exceed 100 characters'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Description cannot exceed 1000 characters'),
+  body('items')
+    .optional()
+    .isArray({ max: 200 })
+    .withMessage('Items must be an array of at most 200 products'),
+  body('items.*.product')
+    .isMongoId()
+    .withMessage('Invalid product ID format'),
+  body('items.*.quantity')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Quantity must be a positive integer'),
+  body('items.*.note')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Note cannot exceed 500 characters')
+];
+
+exports.listQueryValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+];
+
+exports.updateListValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid list ID format'),
+  body('name')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('List name cannot be empty')
+    .isLength({ max: 100 })
+    .withMessage('List name cannot exceed 100 characters'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Description cannot exceed 1000 characters')
+];
+
+exports.addListItemValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid list ID format'),
+  body('product')
+    .notEmpty()
+    .withMessage('Product ID is required')
+    .isMongoId()
+    .withMessage('Invalid product ID format'),
+  body('quantity')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Quantity must be a positive integer'),
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Note cannot exceed 500 characters')
+];
+
+exports.updateListItemValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid list ID format'),
+  param('productId')
+    .isMongoId()
+    .withMessage('Invalid product ID format'),
+  body('quantity')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Quantity must be a positive integer'),
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Note cannot exceed 500 characters')
+];
+
+exports.listItemParamValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid list ID format'),
+  param('productId')
+    .isMongoId()
+    .withMessage('Invalid product ID format')
+];
+
+exports.shareTokenValidation = [
+  param('token')
+    .isHexadecimal()
+    .isLength({ min: 48, max: 48 })
+    .withMessage('Invalid share link')
+];
+
+// Validation for product stock history
+exports.stockHistoryValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid ID format'),
+  query('type')
+    .optional()
+    .isIn(['order', 'cancellation', 'return', 'adjustment', 'stocktake', 'import', 'transfer'])
+    .withMessage('Invalid movement type'),
+  query('warehouse')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid warehouse ID format'),
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('From must be a valid date'),
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('To must be a valid date'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 200 })
+    .withMessage('Limit must be between 1 and 200')
+];
+
+// Validation for the stock-on-date report
+exports.stockOnDateValidation = [
+  query('date')
+    .isISO8601()
+    .withMessage('Date must be a valid date'),
+  query('brandId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid brand ID format'),
+  query('categories')
+    .optional()
+    .custom(value => (Array.isArray(value) ? value : [value]).every(id => /^[0-9a-fA-F]{24}$/.test(id)))
+    .withMessage('Invalid category ID format'),
+  query('search')
+    .optional()
+    .isString()
+    .withMessage('Search must be text')
+    .isLength({ max: 100 })
+    .withMessage('Search must be at most 100 characters')
+];
+
+// Validation for the public product listing filters
+exports.productListValidation = [
+  query('search')
+    .optional()
+    .isString()
+    .withMessage('Search must be text')
+    .isLength({ max: 100 })
+    .withMessage('Search must be at most 100 characters'),
+  query('brandId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid brand ID format'),
+  query('categories')
+    .optional()
+    .custom(value => (Array.isArray(value) ? value : [value]).every(id => /^[0-9a-fA-F]{24}$/.test(id)))
+    .withMessage('Invalid category ID format'),
+  query(['minPrice', 'maxPrice'])
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Price filters must be positive numbers'),
+  query('priceBuckets')
+    .optional()
+    .isInt({ min: 1, max: 20 })
+    .withMessage('Price buckets must be between 1 and 20'),
+  query('minRating')
     .optional()
+    .isFloat({ min: 0, max: 5 })
+    .withMessage('Minimum rating must be between 0 and 5')
+];
+
+// Validation for search suggestions
+exports.searchSuggestValidation = [
+  query('q')
     .trim()
-    .isLength({ max: 1000 })
-    .withMessage('Notes cannot exceed 1000 characters'),
-  
-  body('currency')
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Search text must be between 1 and 100 characters'),
+  query('limit')
     .optional()
-    .isLength({ min: 3, max: 3 })
-    .withMessage('Currency must be a 3-letter code')
-    .isUppercase()
-    .withMessage('Currency must be uppercase')
+    .isInt({ min: 1, max: 20 })
+    .withMessage('Limit must be between 1 and 20')
 ];
 
-// Validation rules for order update
-exports.updateOrderValidation = [
-  body('shippingAddress')
+// Validation for catalog exports; filters are the same as the product listing
+exports.productExportValidation = [
+  query('format')
     .optional()
-    .isObject()
-    .withMessage('Shipping address must be an object'),
-  
-  body('shippingAddress.firstName')
+    .isIn(['csv', 'xlsx', 'ndjson'])
+    .withMessage('Format must be csv, xlsx or ndjson'),
+  query('brandId')
     .optional()
-    .trim()
-    .isLength({ min: 1, max: 50 })
-    .withMessage('First name must be between 1 and 50 characters'),
-  
-  body('shippingAddress.lastName')
+    .isMongoId()
+    .withMessage('Invalid brand ID format'),
+  query('categories')
     .optional()
-    .trim()
-    .isLength({ min: 1, max: 50 })
-    .withMessage('Last name must be between 1 and 50 characters'),
-  
-  body('shippingAddress.addressLine1')
+    .custom(value => (Array.isArray(value) ? value : [value]).every(id => /^[0-9a-fA-F]{24}$/.test(id)))
+    .withMessage('Invalid category ID format'),
+  query(['minPrice', 'maxPrice'])
     .optional()
-    .trim()
-    .isLength({ min: 1, max: 100 })
-    .withMessage('Address line 1 must be between 1 and 100 characters'),
-  
-  body('shippingAddress.city')
+    .isFloat({ min: 0 })
+    .withMessage('Price filters must be positive numbers'),
+  query('stockStatus')
     .optional()
-    .trim()
-    .isLength({ min: 1, max: 50 })
-    .withMessage('City must be between 1 and 50 characters'),
-  
-  body('shippingAddress.state')
+    .isIn(['in_stock', 'out_of_stock', 'low_stock', 'pre_order'])
+    .withMessage('Invalid stock status'),
+  query('productType')
     .optional()
-    .trim()
-    .isLength({ min: 1, max: 50 })
-    .withMessage('State must be between 1 and 50 characters'),
-  
-  body('shippingAddress.country')
+    .isIn(['simple', 'bundle'])
+    .withMessage('Product type must be simple or bundle')
+];
+
+// Validation for product import uploads
+exports.productImportValidation = [
+  body('dryRun')
     .optional()
-    .trim()
-    .isLength({ min: 1, max: 50 })
-    .withMessage('Country must be between 1 and 50 characters'),
-  
-  body('shippingAddress.postalCode')
+    .isBoolean()
+    .withMessage('dryRun must be a boolean value'),
+  body('mode')
     .optional()
-    .trim()
-    .isLength({ min: 1, max: 20 })
-    .withMessage('Postal code must be between 1 and 20 characters'),
-  
-  body('notes')
+    .isIn(['upsert', 'create', 'update'])
+    .withMessage('Mode must be upsert, create or update')
+];
+
+// Validation for import job lookups
+exports.importJobValidation = [
+  param('jobId')
+    .isMongoId()
+    .withMessage('Invalid import job ID format')
+];
+
+// Optional warehouse fields shared by create and update
+const warehouseFieldValidation = [
+  body('servesStates')
     .optional()
-    .trim()
-    .isLength({ max: 1000 })
-    .withMessage('Notes cannot exceed 1000 characters'),
-  
-  body('internalNotes')
+    .isArray()
+    .withMessage('Served states must be an array'),
+  body('servesPostcodes')
     .optional()
-    .trim()
-    .isLength({ max: 1000 })
-    .withMessage('Internal notes cannot exceed 1000 characters'),
-  
+    .isArray()
+    .withMessage('Served postcodes must be an array of ranges'),
+  body('servesPostcodes.*.from')
+    .isInt({ min: 0 })
+    .withMessage('Postcode range start must be a number'),
+  body('servesPostcodes.*.to')
+    .isInt({ min: 0 })
+    .withMessage('Postcode range end must be a number')
+    .custom((value, { req, path }) => {
+      const index = path.match(/\[(\d+)\]/)[1];
+      if (parseInt(value, 10) < parseInt(req.body.servesPostcodes[index].from, 10)) {
+        throw new Error('Postcode range end cannot be before its start');
+      }
+      return true;
+    }),
   body('priority')
     .optional()
-    .isIn(['low', 'medium', 'high', 'urgent'])
-    .withMessage('Priority must be one of: low, medium, high, urgent'),
-  
-  body('shippingMethod')
+    .isInt()
+    .withMessage('Priority must be an integer'),
+  body('isDefault')
     .optional()
-    .isIn(['standard', 'express', 'overnight', 'pickup'])
-    .withMessage('Shipping method must be one of: standard, express, overnight, pickup'),
-  
-  body('estimatedDeliveryDate')
+    .isBoolean()
+    .withMessage('isDefault must be a boolean'),
+  body('isActive')
     .optional()
-    .isISO8601()
-    .withMessage('Estimated delivery date must be a valid date'),
-  
-  body('trackingNumber')
+    .isBoolean()
+    .withMessage('isActive must be a boolean')
+];
+
+// Validation for creating a warehouse
+exports.createWarehouseValidation = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Warehouse name is required')
+    .isLength({ max: 100 })
+    .withMessage('Warehouse name cannot exceed 100 characters'),
+  body('code')
+    .trim()
+    .notEmpty()
+    .withMessage('Warehouse code is required')
+    .isLength({ max: 20 })
+    .withMessage('Warehouse code cannot exceed 20 characters'),
+  ...warehouseFieldValidation
+];
+
+// Validation for updating a warehouse
+exports.updateWarehouseValidation = [
+  body('name')
     .optional()
     .trim()
+    .notEmpty()
+    .withMessage('Warehouse name cannot be empty')
     .isLength({ max: 100 })
-    .withMessage('Tracking number cannot exceed 100 characters')
+    .withMessage('Warehouse name cannot exceed 100 characters'),
+  body('code')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Warehouse code cannot be empty')
+    .isLength({ max: 20 })
+    .withMessage('Warehouse code cannot exceed 20 characters'),
+  ...warehouseFieldValidation
 ];
 
-// Validation rules for order status update
-exports.updateOrderStatusValidation = [
-  body('status')
-    .isIn(['pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled', 'returned'])
-    .withMessage('Status must be one of: pending, confirmed, processing, shipped, delivered, cancelled, returned'),
-  
-  body('notes')
+// Validation for setting a product's stock at a warehouse
+exports.warehouseStockValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid warehouse ID format'),
+  param('productId')
+    .isMongoId()
+    .withMessage('Invalid product ID format'),
+  body('quantity')
+    .isInt({ min: 0 })
+    .withMessage('Quantity must be a non-negative integer')
+    .toInt(),
+  body('type')
+    .optional()
+    .isIn(['adjustment', 'stocktake'])
+    .withMessage('Type must be adjustment or stocktake'),
+  body('reason')
     .optional()
     .trim()
     .isLength({ max: 500 })
-    .withMessage('Notes cannot exceed 500 characters')
+    .withMessage('Reason cannot exceed 500 characters')
 ];
 
-// Validation rules for order cancellation
-exports.cancelOrderValidation = [
+// Validation for stock transfers between warehouses
+exports.stockTransferValidation = [
+  body('product')
+    .isMongoId()
+    .withMessage('Invalid product ID format'),
+  body('fromWarehouse')
+    .isMongoId()
+    .withMessage('Invalid source warehouse ID format'),
+  body('toWarehouse')
+    .isMongoId()
+    .withMessage('Invalid destination warehouse ID format'),
+  body('quantity')
+    .isInt({ min: 1 })
+    .withMessage('Quantity must be a positive integer')
+    .toInt(),
   body('reason')
     .optional()
     .trim()
     .isLength({ max: 500 })
-    .withMessage('Cancellation reason cannot exceed 500 characters')
+    .withMessage('Reason cannot exceed 500 characters')
 ];
 
-// Validation for MongoDB ObjectId parameters
-exports.validateObjectId = [
-  param('id')
+// Validation for search synonym groups
+exports.createSynonymValidation = [
+  body('terms')
+    .isArray({ min: 2 })
+    .withMessage('Terms must be an array of at least two search terms'),
+  body('terms.*')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Each term must be between 1 and 100 characters'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters'),
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean value')
+];
+
+exports.updateSynonymValidation = [
+  body('terms')
+    .optional()
+    .isArray({ min: 2 })
+    .withMessage('Terms must be an array of at least two search terms'),
+  body('terms.*')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Each term must be between 1 and 100 characters'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters'),
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean value')
+];
+
+// Validation for search click-throughs
+exports.searchClickValidation = [
+  body('searchId')
     .isMongoId()
-    .withMessage('Invalid ID format')
+    .withMessage('Invalid search ID format'),
+  body('productId')
+    .isMongoId()
+    .withMessage('Invalid product ID format'),
+  body('position')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Position must be a positive integer')
+    .toInt()
+];
+
+// Validation for search analytics reports
+exports.searchAnalyticsValidation = [
+  query(['from', 'to'])
+    .optional()
+    .isISO8601()
+    .withMessage('Dates must be valid ISO 8601 dates'),
+  query('source')
+    .optional()
+    .isIn(['listing', 'suggest'])
+    .withMessage('Source must be listing or suggest'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 500 })
+    .withMessage('Limit must be between 1 and 500'),
+  query('minSearches')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Minimum searches must be a positive integer')
 ];
 
 // Validation for category ID parameter
@@ -1097,7 +2557,17 @@ exports.createPromoCodeValidation = [
   body('allProducts')
     .optional()
     .isBoolean()
-    .withMessage('allProducts must be a boolean value')
+    .withMessage('allProducts must be a boolean value'),
+  
+  body('customerGroups')
+    .optional()
+    .isArray()
+    .withMessage('Customer groups must be an array'),
+  
+  body('customerGroups.*')
+    .optional()
+    .isMongoId()
+    .withMessage('Each customer group must be a valid customer group ID')
 ];
 
 // Validation rules for promo code update
@@ -1201,7 +2671,17 @@ exports.updatePromoCodeValidation = [
   body('allProducts')
     .optional()
     .isBoolean()
-    .withMessage('allProducts must be a boolean value')
+    .withMessage('allProducts must be a boolean value'),
+  
+  body('customerGroups')
+    .optional()
+    .isArray()
+    .withMessage('Customer groups must be an array'),
+  
+  body('customerGroups.*')
+    .optional()
+    .isMongoId()
+    .withMessage('Each customer group must be a valid customer group ID')
 ];
 
 // Validation rules for promo code validation
@@ -1496,6 +2976,11 @@ exports.createProductValidation = [
     .isBoolean()
     .withMessage('Published status must be a boolean'),
   
+  body(['publishAt', 'unpublishAt'])
+    .optional({ values: 'falsy' })
+    .isISO8601()
+    .withMessage('Scheduled publish times must be valid dates'),
+  
   // Weight and Dimensions
   body('weight')
     .optional()
@@ -1591,6 +3076,50 @@ exports.createProductValidation = [
         throw new Error('Meta information must be an object or valid JSON string');
       }
       return true;
+    }),
+  
+  // Bundles
+  body('productType')
+    .optional()
+    .isIn(['simple', 'bundle'])
+    .withMessage('Product type must be simple or bundle'),
+  
+  body('bundleComponents')
+    .optional()
+    .custom((value) => {
+      if (typeof value === 'string') {
+        try {
+          JSON.parse(value);
+        } catch (e) {
+          throw new Error('Bundle components must be valid JSON');
+        }
+      } else if (value && !Array.isArray(value)) {
+        throw new Error('Bundle components must be an array or valid JSON string');
+      }
+      return true;
+    }),
+  
+  body('bundlePricing')
+    .optional()
+    .custom((value) => {
+      let pricing = value;
+      if (typeof value === 'string') {
+        try {
+          pricing = JSON.parse(value);
+        } catch (e) {
+          throw new Error('Bundle pricing must be valid JSON');
+        }
+      }
+      if (!pricing || typeof pricing !== 'object') {
+        throw new Error('Bundle pricing must be an object or valid JSON string');
+      }
+      if (pricing.mode !== undefined && !['fixed', 'components'].includes(pricing.mode)) {
+        throw new Error('Bundle pricing mode must be fixed or components');
+      }
+      if (pricing.discount !== undefined && !(Number(pricing.discount) >= 0 && Number(pricing.discount) <= 100)) {
+        throw new Error('Bundle discount must be between 0 and 100');
+      }
+      return true;
     })
 ];
 
@@ -1768,6 +3297,11 @@ exports.updateProductValidation = [
     .isBoolean()
     .withMessage('Published status must be a boolean'),
   
+  body(['publishAt', 'unpublishAt'])
+    .optional({ values: 'falsy' })
+    .isISO8601()
+    .withMessage('Scheduled publish times must be valid dates'),
+  
   // Weight and Dimensions
   body('weight')
     .optional()
@@ -1863,6 +3397,50 @@ exports.updateProductValidation = [
         throw new Error('Meta information must be an object or valid JSON string');
       }
       return true;
+    }),
+  
+  // Bundles
+  body('productType')
+    .optional()
+    .isIn(['simple', 'bundle'])
+    .withMessage('Product type must be simple or bundle'),
+  
+  body('bundleComponents')
+    .optional()
+    .custom((value) => {
+      if (typeof value === 'string') {
+        try {
+          JSON.parse(value);
+        } catch (e) {
+          throw new Error('Bundle components must be valid JSON');
+        }
+      } else if (value && !Array.isArray(value)) {
+        throw new Error('Bundle components must be an array or valid JSON string');
+      }
+      return true;
+    }),
+  
+  body('bundlePricing')
+    .optional()
+    .custom((value) => {
+      let pricing = value;
+      if (typeof value === 'string') {
+        try {
+          pricing = JSON.parse(value);
+        } catch (e) {
+          throw new Error('Bundle pricing must be valid JSON');
+        }
+      }
+      if (!pricing || typeof pricing !== 'object') {
+        throw new Error('Bundle pricing must be an object or valid JSON string');
+      }
+      if (pricing.mode !== undefined && !['fixed', 'components'].includes(pricing.mode)) {
+        throw new Error('Bundle pricing mode must be fixed or components');
+      }
+      if (pricing.discount !== undefined && !(Number(pricing.discount) >= 0 && Number(pricing.discount) <= 100)) {
+        throw new Error('Bundle discount must be between 0 and 100');
+      }
+      return true;
     })
 ];
 
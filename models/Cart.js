@@ -0,0 +1,125 @@
+const mongoose = require('mongoose');
+
+const CartItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Product is required']
+  },
+  quantity: {
+    type: Number,
+    required: [true, 'Quantity is required'],
+    min: [1, 'Quantity must be at least 1']
+  },
+  unitPrice: {
+    type: Number,
+    default: 0,
+    min: [0, 'Unit price cannot be negative']
+  },
+  discount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Discount cannot be negative'],
+    max: [100, 'Discount cannot exceed 100%']
+  },
+  taxRate: {
+    type: Number,
+    default: 0,
+    min: [0, 'Tax rate cannot be negative']
+  },
+  taxAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Tax amount cannot be negative']
+  },
+  lineTotal: {
+    type: Number,
+    default: 0,
+    min: [0, 'Line total cannot be negative']
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const CartSchema = new mongoose.Schema({
+  // Customer carts are keyed by user, guest carts by an opaque token
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  guestToken: {
+    type: String,
+    trim: true
+  },
+  items: [CartItemSchema],
+  subtotal: {
+    type: Number,
+    default: 0,
+    min: [0, 'Subtotal cannot be negative']
+  },
+  totalDiscount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Total discount cannot be negative']
+  },
+  totalTax: {
+    type: Number,
+    default: 0,
+    min: [0, 'Total tax cannot be negative']
+  },
+  total: {
+    type: Number,
+    default: 0,
+    min: [0, 'Total cannot be negative']
+  },
+  currency: {
+    type: String,
+    default: 'AUD',
+    uppercase: true,
+    minlength: 3,
+    maxlength: 3
+  },
+  lastRepricedAt: {
+    type: Date
+  },
+  // Only set for guest carts so abandoned carts are removed by the TTL index
+  expiresAt: {
+    type: Date
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for better query performance
+CartSchema.index({ user: 1 }, { unique: true, sparse: true });
+CartSchema.index({ guestToken: 1 }, { unique: true, sparse: true });
+CartSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual for total number of units in the cart
+CartSchema.virtual('itemCount').get(function() {
+  return (this.items || []).reduce((sum, item) => sum + item.quantity, 0);
+});
+
+// Instance method to find a line by product ID
+CartSchema.methods.findItem = function(productId) {
+  return this.items.find(item => {
+    const id = item.product && item.product._id ? item.product._id : item.product;
+    return id.toString() === productId.toString();
+  });
+};
+
+// Instance method to recalculate cart totals from line values
+CartSchema.methods.calculateTotals = function() {
+  this.subtotal = this.items.reduce((sum, item) => sum + (item.unitPrice * item.quantity), 0);
+  this.totalDiscount = this.items.reduce((sum, item) => {
+    return sum + (item.unitPrice * item.quantity * item.discount) / 100;
+  }, 0);
+  this.totalTax = this.items.reduce((sum, item) => sum + (item.taxAmount || 0), 0);
+  this.total = this.subtotal - this.totalDiscount + this.totalTax;
+};
+
+module.exports = mongoose.model('Cart', CartSchema);
@@ -0,0 +1,161 @@
+const mongoose = require('mongoose');
+
+// ABN weights from the ATO check digit algorithm
+const ABN_WEIGHTS = [10, 1, 3, 5, 7, 9, 11, 13, 15, 17, 19];
+
+/**
+ * Check an ABN's digits and check digit
+ * @param {string} abn - ABN without spaces
+ * @returns {boolean} True when the ABN is valid
+ */
+const isValidAbn = (abn) => {
+  if (!/^\d{11}$/.test(abn)) return false;
+  const digits = abn.split('').map(Number);
+  digits[0] -= 1;
+  return digits.reduce((sum, digit, index) => sum + digit * ABN_WEIGHTS[index], 0) % 89 === 0;
+};
+
+// Address fields follow the order address so they can be copied onto orders
+const CompanyAddressSchema = new mongoose.Schema({
+  label: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Label cannot exceed 50 characters']
+  },
+  contactName: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Contact name cannot exceed 100 characters']
+  },
+  phone: {
+    type: String,
+    trim: true,
+    maxlength: [20, 'Phone number cannot exceed 20 characters']
+  },
+  addressLine1: {
+    type: String,
+    required: [true, 'Address line 1 is required'],
+    trim: true,
+    maxlength: [100, 'Address line 1 cannot exceed 100 characters']
+  },
+  addressLine2: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Address line 2 cannot exceed 100 characters']
+  },
+  city: {
+    type: String,
+    required: [true, 'City is required'],
+    trim: true,
+    maxlength: [50, 'City cannot exceed 50 characters']
+  },
+  state: {
+    type: String,
+    required: [true, 'State is required'],
+    trim: true,
+    maxlength: [50, 'State cannot exceed 50 characters']
+  },
+  postalCode: {
+    type: String,
+    required: [true, 'Postal code is required'],
+    trim: true,
+    maxlength: [20, 'Postal code cannot exceed 20 characters']
+  },
+  country: {
+    type: String,
+    trim: true,
+    default: 'Australia',
+    maxlength: [50, 'Country cannot exceed 50 characters']
+  },
+  isDefault: {
+    type: Boolean,
+    default: false
+  }
+});
+
+const CompanyMemberSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Member user is required']
+  },
+  // owner manages the company; approver orders and approves buyers' orders; buyer orders; viewer only sees orders and addresses
+  role: {
+    type: String,
+    enum: ['owner', 'approver', 'buyer', 'viewer'],
+    default: 'buyer'
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  joinedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// A business account whose members share addresses and order history
+const CompanySchema = new mongoose.Schema({
+  tradingName: {
+    type: String,
+    required: [true, 'Trading name is required'],
+    trim: true,
+    maxlength: [150, 'Trading name cannot exceed 150 characters']
+  },
+  legalName: {
+    type: String,
+    trim: true,
+    maxlength: [150, 'Legal name cannot exceed 150 characters']
+  },
+  // Stored as 11 digits without spaces
+  abn: {
+    type: String,
+    required: [true, 'ABN is required'],
+    unique: true,
+    trim: true,
+    set: value => (typeof value === 'string' ? value.replace(/\s/g, '') : value),
+    validate: {
+      validator: isValidAbn,
+      message: 'Please enter a valid ABN'
+    }
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
+  },
+  phone: {
+    type: String,
+    trim: true,
+    maxlength: [20, 'Phone number cannot exceed 20 characters']
+  },
+  billingAddress: CompanyAddressSchema,
+  // Delivery addresses every member can order to
+  addresses: [CompanyAddressSchema],
+  members: [CompanyMemberSchema],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// A customer belongs to at most one company
+CompanySchema.index({ 'members.user': 1 }, { unique: true, sparse: true });
+CompanySchema.index({ tradingName: 1 });
+
+// Instance method to find a member's entry
+CompanySchema.methods.findMember = function(userId) {
+  return this.members.find(member => member.user.toString() === userId.toString()) || null;
+};
+
+CompanySchema.statics.isValidAbn = isValidAbn;
+
+module.exports = mongoose.model('Company', CompanySchema);
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+// An emailed invitation to join a company; only a hash of the token is stored
+const CompanyInvitationSchema = new mongoose.Schema({
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: [true, 'Company is required']
+  },
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    lowercase: true,
+    trim: true,
+    match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
+  },
+  role: {
+    type: String,
+    enum: ['owner', 'approver', 'buyer', 'viewer'],
+    default: 'buyer'
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'revoked'],
+    default: 'pending'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  acceptedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  acceptedAt: Date,
+  emailSentAt: Date
+}, {
+  timestamps: true
+});
+
+CompanyInvitationSchema.index({ company: 1, status: 1 });
+CompanyInvitationSchema.index({ email: 1, status: 1 });
+
+module.exports = mongoose.model('CompanyInvitation', CompanyInvitationSchema);
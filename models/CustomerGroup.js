@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+// A customer group (retail, trade, contractor, ...) with the terms its members buy on
+const CustomerGroupSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Customer group name is required'],
+    unique: true,
+    trim: true,
+    maxlength: [100, 'Customer group name cannot exceed 100 characters']
+  },
+  code: {
+    type: String,
+    required: [true, 'Customer group code is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z0-9_-]+$/, 'Customer group code can only contain letters, numbers, hyphens and underscores'],
+    maxlength: [50, 'Customer group code cannot exceed 50 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Description cannot exceed 1000 characters']
+  },
+  // Percentage off the catalog price, used when it beats the quantity level
+  defaultDiscount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Default discount cannot be negative'],
+    max: [100, 'Default discount cannot exceed 100%']
+  },
+  // Days after the order date that payment is due (0 = due on order)
+  paymentTermsDays: {
+    type: Number,
+    default: 0,
+    min: [0, 'Payment terms cannot be negative']
+  },
+  // Members never see products in these categories or their subcategories
+  hiddenCategories: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  }],
+  // Order value after discounts, before tax and shipping
+  minimumOrderValue: {
+    type: Number,
+    default: 0,
+    min: [0, 'Minimum order value cannot be negative']
+  },
+  // Applies to guests and customers without a group
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+CustomerGroupSchema.index({ isDefault: 1, isActive: 1 });
+
+module.exports = mongoose.model('CustomerGroup', CustomerGroupSchema);
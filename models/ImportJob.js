@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+const ImportRowErrorSchema = new mongoose.Schema({
+  row: Number,
+  sku: String,
+  field: String,
+  message: String
+}, { _id: false });
+
+// Tracks a bulk import running in the background
+const ImportJobSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['product_import'],
+    default: 'product_import'
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'processing', 'completed', 'failed'],
+    default: 'queued'
+  },
+  dryRun: {
+    type: Boolean,
+    default: false
+  },
+  mode: {
+    type: String,
+    enum: ['upsert', 'create', 'update'],
+    default: 'upsert'
+  },
+  fileName: String,
+  fileType: {
+    type: String,
+    enum: ['csv', 'xlsx']
+  },
+  totalRows: {
+    type: Number,
+    default: 0
+  },
+  processedRows: {
+    type: Number,
+    default: 0
+  },
+  createdCount: {
+    type: Number,
+    default: 0
+  },
+  updatedCount: {
+    type: Number,
+    default: 0
+  },
+  failedCount: {
+    type: Number,
+    default: 0
+  },
+  // Only the first errors are kept so large files cannot bloat the job document
+  rowErrors: [ImportRowErrorSchema],
+  errorsTruncated: {
+    type: Boolean,
+    default: false
+  },
+  failureReason: String,
+  startedAt: Date,
+  finishedAt: Date,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+ImportJobSchema.index({ createdAt: -1 });
+ImportJobSchema.index({ status: 1 });
+
+module.exports = mongoose.model('ImportJob', ImportJobSchema);
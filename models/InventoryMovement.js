@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+// One entry per stock change; entries are never edited so they can be used to reconcile counts
+const InventoryMovementSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Product is required']
+  },
+  sku: {
+    type: String,
+    uppercase: true,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: ['order', 'cancellation', 'return', 'adjustment', 'stocktake', 'import', 'transfer'],
+    required: [true, 'Movement type is required']
+  },
+  quantityChange: {
+    type: Number,
+    required: [true, 'Quantity change is required']
+  },
+  quantityBefore: {
+    type: Number,
+    required: [true, 'Quantity before is required']
+  },
+  quantityAfter: {
+    type: Number,
+    required: [true, 'Quantity after is required']
+  },
+  // Warehouse-level detail; quantityBefore/After above are always the product total
+  warehouse: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Warehouse'
+  },
+  warehouseQuantityBefore: Number,
+  warehouseQuantityAfter: Number,
+  // Other side of a transfer
+  relatedWarehouse: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Warehouse'
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for history and stock-on-date queries
+InventoryMovementSchema.index({ product: 1, createdAt: -1 });
+InventoryMovementSchema.index({ createdAt: -1 });
+InventoryMovementSchema.index({ warehouse: 1, createdAt: -1 });
+InventoryMovementSchema.index({ order: 1 });
+InventoryMovementSchema.index({ type: 1 });
+
+module.exports = mongoose.model('InventoryMovement', InventoryMovementSchema);
@@ -1,5 +1,69 @@
 const mongoose = require('mongoose');
 
+// Records how a line price was derived so it can be audited later
+const PriceBreakdownSchema = new mongoose.Schema({
+  listPrice: Number,
+  catalogUnitPrice: Number,
+  quantityLevel: Number,
+  tierDiscount: Number,
+  pricingSource: {
+    type: String,
+    enum: ['catalog', 'quantity_level', 'customer_group', 'price_list', 'admin_override']
+  },
+  // Customer price list the unit price came from
+  priceList: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PriceList'
+  },
+  priceListName: String,
+  // Customer group whose default discount was applied
+  customerGroup: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CustomerGroup'
+  },
+  customerGroupName: String,
+  overriddenBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  calculatedAt: Date
+}, { _id: false });
+
+const StockAllocationSchema = new mongoose.Schema({
+  warehouse: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Warehouse',
+    required: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: [1, 'Allocated quantity must be at least 1']
+  }
+}, { _id: false });
+
+// Component units taken from stock for one bundle line
+const BundleComponentItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  sku: String,
+  // Units of the component in one bundle
+  quantity: {
+    type: Number,
+    required: true,
+    min: [1, 'Component quantity must be at least 1']
+  },
+  stockReserved: {
+    type: Number,
+    default: 0,
+    min: [0, 'Reserved stock cannot be negative']
+  },
+  allocations: [StockAllocationSchema]
+}, { _id: false });
+
 const OrderItemSchema = new mongoose.Schema({
   product: {
     type: mongoose.Schema.Types.ObjectId,
@@ -41,7 +105,18 @@ const OrderItemSchema = new mongoose.Schema({
     type: Number,
     default: 0,
     min: [0, 'Tax amount cannot be negative']
-  }
+  },
+  priceBreakdown: PriceBreakdownSchema,
+  // Units taken from stock when the order was placed (0 for untracked and pre-order products)
+  stockReserved: {
+    type: Number,
+    default: 0,
+    min: [0, 'Reserved stock cannot be negative']
+  },
+  // Warehouses the reserved units were taken from
+  allocations: [StockAllocationSchema],
+  // Bundles reserve their components' stock instead of their own
+  bundleComponents: [BundleComponentItemSchema]
 }, { _id: false });
 
 const ShippingAddressSchema = new mongoose.Schema({
@@ -138,6 +213,24 @@ const OrderTrackingSchema = new mongoose.Schema({
   }
 }, { _id: false });
 
+// Company buyers' orders wait for an owner or approver before they are processed
+const OrderApprovalSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending'
+  },
+  decidedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  decidedAt: Date,
+  notes: {
+    type: String,
+    maxlength: [500, 'Approval notes cannot exceed 500 characters']
+  }
+}, { _id: false });
+
 const OrderSchema = new mongoose.Schema({
   orderNumber: {
     type: String,
@@ -149,6 +242,12 @@ const OrderSchema = new mongoose.Schema({
     ref: 'User',
     required: [true, 'Customer is required']
   },
+  // Company the customer ordered for; members share its order history
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company'
+  },
+  approval: OrderApprovalSchema,
   customerEmail: {
     type: String,
     required: [true, 'Customer email is required'],
@@ -251,6 +350,7 @@ const OrderSchema = new mongoose.Schema({
     ref: 'User'
   },
   cancellationReason: String,
+  stockRestoredAt: Date,
   refundAmount: {
     type: Number,
     default: 0,
@@ -264,14 +364,17 @@ const OrderSchema = new mongoose.Schema({
 
 // Indexes for better query performance
 OrderSchema.index({ customer: 1 });
+OrderSchema.index({ company: 1, createdAt: -1 });
+OrderSchema.index({ company: 1, 'approval.status': 1 });
 OrderSchema.index({ customerEmail: 1 });
 OrderSchema.index({ status: 1 });
 OrderSchema.index({ createdAt: -1 });
 OrderSchema.index({ 'paymentInfo.paymentStatus': 1 });
 OrderSchema.index({ estimatedDeliveryDate: 1 });
 
-// Pre-save middleware to generate order number
-OrderSchema.pre('save', async function(next) {
+// Pre-validate middleware to generate order number
+// (runs before validation so the required orderNumber is already set)
+OrderSchema.pre('validate', async function(next) {
   if (this.isNew && !this.orderNumber) {
     const date = new Date();
     const year = date.getFullYear();
@@ -294,11 +397,19 @@ OrderSchema.pre('save', async function(next) {
   next();
 });
 
-// Pre-save middleware to calculate totals
-OrderSchema.pre('save', function(next) {
+// An order waiting for company approval can only stay pending or be cancelled
+OrderSchema.pre('validate', function(next) {
+  if (this.approval && this.approval.status === 'pending' && !['pending', 'cancelled'].includes(this.status)) {
+    this.invalidate('status', 'This order is waiting for company approval');
+  }
+  next();
+});
+
+// Pre-validate middleware to calculate totals
+OrderSchema.pre('validate', function(next) {
   if (this.items && this.items.length > 0) {
-    // Calculate subtotal from items
-    this.subtotal = this.items.reduce((sum, item) => sum + item.totalPrice, 0);
+    // Calculate subtotal from items (before discounts and tax)
+    this.subtotal = this.items.reduce((sum, item) => sum + (item.unitPrice * item.quantity), 0);
     
     // Calculate total discount
     this.totalDiscount = this.items.reduce((sum, item) => {
@@ -309,8 +420,8 @@ OrderSchema.pre('save', function(next) {
     // Calculate total tax
     this.totalTax = this.items.reduce((sum, item) => sum + (item.taxAmount || 0), 0);
     
-    // Calculate total amount
-    this.totalAmount = this.subtotal - this.totalDiscount + this.totalTax + this.shippingCost;
+    // Calculate total amount (rounded to cents)
+    this.totalAmount = Math.round((this.subtotal - this.totalDiscount + this.totalTax + this.shippingCost) * 100) / 100;
   }
   next();
 });
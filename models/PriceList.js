@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+// Negotiated prices for the customers the list is assigned to
+const PriceListSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Price list name is required'],
+    unique: true,
+    trim: true,
+    maxlength: [100, 'Price list name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Description cannot exceed 1000 characters']
+  },
+  customers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Every member of these customer groups gets the list too
+  customerGroups: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CustomerGroup'
+  }],
+  // The list only applies between these dates (either may be left open)
+  validFrom: {
+    type: Date
+  },
+  validTo: {
+    type: Date
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+PriceListSchema.index({ customers: 1, isActive: 1 });
+PriceListSchema.index({ customerGroups: 1, isActive: 1 });
+
+PriceListSchema.pre('validate', function(next) {
+  if (this.validFrom && this.validTo && this.validTo < this.validFrom) {
+    this.invalidate('validTo', 'Valid to date must be after the valid from date');
+  }
+  next();
+});
+
+module.exports = mongoose.model('PriceList', PriceListSchema);
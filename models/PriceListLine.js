@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+// One price rule in a price list: a fixed price for a product, or a percentage off
+// a product, a brand or a category (including its subcategories)
+const PriceListLineSchema = new mongoose.Schema({
+  priceList: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PriceList',
+    required: [true, 'Price list is required']
+  },
+  scope: {
+    type: String,
+    enum: ['product', 'brand', 'category'],
+    required: [true, 'Scope is required']
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  },
+  brand: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Brand'
+  },
+  category: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  },
+  type: {
+    type: String,
+    enum: ['fixed', 'percentage'],
+    required: [true, 'Price type is required']
+  },
+  // Unit price for fixed lines, percentage off the list price for percentage lines
+  value: {
+    type: Number,
+    required: [true, 'Value is required'],
+    min: [0, 'Value cannot be negative']
+  },
+  validFrom: {
+    type: Date
+  },
+  validTo: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+PriceListLineSchema.index({ priceList: 1, product: 1, brand: 1, category: 1 }, { unique: true });
+PriceListLineSchema.index({ product: 1 });
+
+PriceListLineSchema.pre('validate', function(next) {
+  const targets = ['product', 'brand', 'category'].filter(field => this[field]);
+  if (targets.length !== 1 || targets[0] !== this.scope) {
+    this.invalidate(this.scope || 'scope', `A ${this.scope || 'price list'} line must name exactly one ${this.scope || 'product, brand or category'}`);
+  }
+  if (this.type === 'fixed' && this.scope !== 'product') {
+    this.invalidate('type', 'Fixed prices can only be set for a product');
+  }
+  if (this.type === 'percentage' && this.value > 100) {
+    this.invalidate('value', 'Percentage off cannot exceed 100');
+  }
+  if (this.validFrom && this.validTo && this.validTo < this.validFrom) {
+    this.invalidate('validTo', 'Valid to date must be after the valid from date');
+  }
+  next();
+});
+
+module.exports = mongoose.model('PriceListLine', PriceListLineSchema);
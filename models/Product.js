@@ -5,12 +5,94 @@ const AttributeSchema = new mongoose.Schema({
   value: mongoose.Schema.Types.Mixed
 }, { _id: false });
 
+// Wholesale price tier; maxQuantity is left empty on the open-ended top tier
 const QuantityLevelSchema = new mongoose.Schema({
   level: Number,
-  minQuantity: String,
-  maxQuantity: String,
-  price: String,
-  discount: String
+  minQuantity: {
+    type: Number,
+    required: [true, 'Tier minimum quantity is required'],
+    min: [1, 'Tier minimum quantity must be at least 1']
+  },
+  maxQuantity: {
+    type: Number,
+    min: [1, 'Tier maximum quantity must be at least 1']
+  },
+  price: {
+    type: Number,
+    min: [0, 'Tier price cannot be negative']
+  },
+  discount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Tier discount cannot be negative'],
+    max: [100, 'Tier discount cannot exceed 100%']
+  }
+}, { _id: false });
+
+// Value chosen for one variant axis (a select Attribute on the parent product)
+const VariantOptionSchema = new mongoose.Schema({
+  attribute: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Attribute',
+    required: [true, 'Variant attribute is required']
+  },
+  value: {
+    type: String,
+    required: [true, 'Variant option value is required'],
+    trim: true
+  }
+}, { _id: false });
+
+// Typed link to another product; a replacement link means this product is superseded by the linked one
+const RelationshipSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['related', 'accessory', 'replacement', 'frequently_bought_together'],
+    required: [true, 'Relationship type is required']
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Related product is required']
+  },
+  sortOrder: {
+    type: Number,
+    default: 0
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Relationship note cannot exceed 200 characters']
+  }
+}, { _id: false });
+
+// Product and quantity that go into one unit of a bundle
+const BundleComponentSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Bundle component product is required']
+  },
+  quantity: {
+    type: Number,
+    required: [true, 'Bundle component quantity is required'],
+    min: [1, 'Bundle component quantity must be at least 1']
+  }
+}, { _id: false });
+
+// Fixed bundles keep their own price; component bundles are priced from their components less a discount
+const BundlePricingSchema = new mongoose.Schema({
+  mode: {
+    type: String,
+    enum: ['fixed', 'components'],
+    default: 'fixed'
+  },
+  discount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Bundle discount cannot be negative'],
+    max: [100, 'Bundle discount cannot exceed 100%']
+  }
 }, { _id: false });
 
 const ParcelSchema = new mongoose.Schema({
@@ -169,6 +251,13 @@ const ProductSchema = new mongoose.Schema({
   publishedAt: {
     type: Date
   },
+  // Pending scheduled changes, applied and cleared by the product scheduler
+  publishAt: {
+    type: Date
+  },
+  unpublishAt: {
+    type: Date
+  },
   
   // Featured Product Fields
   isFeatured: {
@@ -185,6 +274,19 @@ const ProductSchema = new mongoose.Schema({
     type: Date,
     index: true
   },
+
+  // Approved review summary, maintained by the review service
+  averageRating: {
+    type: Number,
+    default: 0,
+    min: [0, 'Average rating cannot be negative'],
+    max: [5, 'Average rating cannot exceed 5']
+  },
+  reviewCount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Review count cannot be negative']
+  },
   
   // Weight and Dimensions
   weight: {
@@ -206,6 +308,29 @@ const ProductSchema = new mongoose.Schema({
     }
   },
   
+  // Variants: a parent lists its axes, and each variant is a product that links back to it
+  variantAxes: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Attribute'
+  }],
+  parentProduct: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  },
+  variantOptions: [VariantOptionSchema],
+
+  // Bundles (kits) are sold as one product but take their stock from their components
+  productType: {
+    type: String,
+    enum: ['simple', 'bundle'],
+    default: 'simple'
+  },
+  bundleComponents: [BundleComponentSchema],
+  bundlePricing: BundlePricingSchema,
+
+  // Related, accessory, replacement and frequently-bought-together links
+  relationships: [RelationshipSchema],
+  
   // Complex Fields
   attributes: [AttributeSchema],
   quantityLevels: [QuantityLevelSchema],
@@ -241,14 +366,24 @@ ProductSchema.index({ brandId: 1 });
 ProductSchema.index({ status: 1 });
 ProductSchema.index({ price: 1 });
 ProductSchema.index({ createdAt: -1 });
+ProductSchema.index({ parentProduct: 1 });
+ProductSchema.index({ 'relationships.product': 1 });
+ProductSchema.index({ 'bundleComponents.product': 1 });
+ProductSchema.index({ averageRating: -1, reviewCount: -1 });
 ProductSchema.index({ productName: 'text', shortDescription: 'text' });
 
 // Featured product indexes
 ProductSchema.index({ isFeatured: 1, featuredOrder: 1 });
 ProductSchema.index({ isFeatured: 1, featuredUntil: 1 });
+ProductSchema.index({ publishAt: 1 }, { sparse: true });
+ProductSchema.index({ unpublishAt: 1 }, { sparse: true });
 ProductSchema.index({ isFeatured: 1, status: 1, isPublished: 1 });
 
 // Virtual fields
+ProductSchema.virtual('isVariant').get(function() {
+  return !!this.parentProduct;
+});
+
 ProductSchema.virtual('isLowStock').get(function() {
   return this.trackQuantity && this.stock <= this.lowStockThreshold;
 });
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+// A customer's request to be told when a product is back in stock or cheaper
+const ProductAlertSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Product is required']
+  },
+  type: {
+    type: String,
+    enum: ['back_in_stock', 'price_drop'],
+    required: [true, 'Alert type is required']
+  },
+  channels: {
+    type: [{
+      type: String,
+      enum: ['email', 'sms']
+    }],
+    default: ['email'],
+    validate: {
+      validator: channels => channels.length > 0,
+      message: 'At least one notification channel is required'
+    }
+  },
+  // Price drop alerts fire at or below the target, or below the price when subscribing
+  targetPrice: {
+    type: Number,
+    min: [0, 'Target price cannot be negative']
+  },
+  priceAtSubscription: {
+    type: Number
+  },
+  // active -> queued when the condition is met -> sending -> sent (or failed after retries)
+  status: {
+    type: String,
+    enum: ['active', 'queued', 'sending', 'sent', 'failed'],
+    default: 'active'
+  },
+  triggeredAt: {
+    type: Date
+  },
+  // Product price and stock when the alert fired, used in the message
+  triggeredPrice: {
+    type: Number
+  },
+  triggeredStock: {
+    type: Number
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  processingAt: {
+    type: Date
+  },
+  sentAt: {
+    type: Date
+  },
+  sentChannels: [{
+    type: String,
+    enum: ['email', 'sms']
+  }],
+  lastError: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+ProductAlertSchema.index({ product: 1, type: 1, status: 1 });
+ProductAlertSchema.index({ user: 1, createdAt: -1 });
+ProductAlertSchema.index({ status: 1, triggeredAt: 1 });
+
+module.exports = mongoose.model('ProductAlert', ProductAlertSchema);
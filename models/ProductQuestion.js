@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+// Staff answer to a product question
+const QuestionAnswerSchema = new mongoose.Schema({
+  message: {
+    type: String,
+    required: [true, 'Answer is required'],
+    trim: true,
+    maxlength: [4000, 'Answer cannot exceed 4000 characters']
+  },
+  answeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  answeredAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// A customer's question about a product; shown on the product once answered and published
+const ProductQuestionSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Product is required']
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  question: {
+    type: String,
+    required: [true, 'Question is required'],
+    trim: true,
+    minlength: [5, 'Question must be at least 5 characters'],
+    maxlength: [1000, 'Question cannot exceed 1000 characters']
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'published', 'rejected'],
+    default: 'pending'
+  },
+  answer: QuestionAnswerSchema,
+  publishedAt: {
+    type: Date
+  },
+  // When the asker was emailed about the current answer
+  askerNotifiedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+ProductQuestionSchema.index({ product: 1, status: 1, publishedAt: -1 });
+ProductQuestionSchema.index({ status: 1, createdAt: -1 });
+ProductQuestionSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ProductQuestion', ProductQuestionSchema);
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// Field-level change between the product before and after a save
+const RevisionChangeSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    required: true
+  },
+  from: mongoose.Schema.Types.Mixed,
+  to: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+// Versioned snapshot of a product taken after each save
+const ProductRevisionSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Product is required']
+  },
+  version: {
+    type: Number,
+    required: [true, 'Version is required'],
+    min: 1
+  },
+  action: {
+    type: String,
+    enum: ['create', 'update', 'stock', 'rollback', 'delete', 'restore', 'schedule'],
+    required: [true, 'Revision action is required']
+  },
+  changes: [RevisionChangeSchema],
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: [true, 'Snapshot is required']
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot exceed 500 characters']
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  minimize: false
+});
+
+ProductRevisionSchema.index({ product: 1, version: -1 }, { unique: true });
+
+module.exports = mongoose.model('ProductRevision', ProductRevisionSchema);
@@ -69,6 +69,11 @@ const PromoCodeSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Only members of these customer groups may use the code (empty = everyone)
+  customerGroups: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CustomerGroup'
+  }],
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -129,7 +134,7 @@ PromoCodeSchema.pre('save', function(next) {
 });
 
 // Instance method to check if promo code can be used
-PromoCodeSchema.methods.canBeUsed = function(customerId = null, orderValue = 0, productIds = []) {
+PromoCodeSchema.methods.canBeUsed = function(customerId = null, orderValue = 0, productIds = [], customerGroupId = null) {
   // Check if active
   if (!this.isActive) {
     return { valid: false, reason: 'Promo code is not active' };
@@ -149,6 +154,16 @@ PromoCodeSchema.methods.canBeUsed = function(customerId = null, orderValue = 0,
     return { valid: false, reason: 'Promo code usage limit exceeded' };
   }
 
+  // Check customer group eligibility
+  if (this.customerGroups && this.customerGroups.length > 0) {
+    const inGroup = customerGroupId && this.customerGroups.some(groupId =>
+      groupId.toString() === customerGroupId.toString()
+    );
+    if (!inGroup) {
+      return { valid: false, reason: 'Promo code is not available for your customer group' };
+    }
+  }
+
   // Check minimum order value
   if (orderValue < this.minimumOrderValue) {
     return { 
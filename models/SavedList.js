@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+// Product saved to a list; name and SKU are kept so removed products can still be shown
+const SavedListItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Product is required']
+  },
+  productName: String,
+  sku: String,
+  quantity: {
+    type: Number,
+    required: [true, 'Quantity is required'],
+    min: [1, 'Quantity must be at least 1']
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot exceed 500 characters']
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Named list of parts a customer plans to order later (wishlist or job list)
+const SavedListSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  name: {
+    type: String,
+    required: [true, 'List name is required'],
+    trim: true,
+    maxlength: [100, 'List name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Description cannot exceed 1000 characters']
+  },
+  items: [SavedListItemSchema],
+  // Anyone with the token can view the list; removed when sharing is turned off
+  shareToken: {
+    type: String
+  },
+  sharedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+SavedListSchema.index({ user: 1, updatedAt: -1 });
+SavedListSchema.index({ shareToken: 1 }, { unique: true, sparse: true });
+SavedListSchema.index({ 'items.product': 1 });
+
+/**
+ * Find the line for a product
+ * @param {string} productId - Product ID
+ * @returns {object|undefined} List item
+ */
+SavedListSchema.methods.findItem = function(productId) {
+  return this.items.find(item => item.product.toString() === productId.toString());
+};
+
+module.exports = mongoose.model('SavedList', SavedListSchema);
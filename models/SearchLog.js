@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// Days search logs are kept before MongoDB removes them
+const RETENTION_DAYS = parseInt(process.env.SEARCH_LOG_RETENTION_DAYS, 10) || 365;
+
+// One entry per search from the product listing or suggest endpoints
+const SearchLogSchema = new mongoose.Schema({
+  query: {
+    type: String,
+    required: [true, 'Search query is required'],
+    trim: true,
+    maxlength: [200, 'Search query cannot exceed 200 characters']
+  },
+  // Lower-case with collapsed whitespace so reports group "GPO" and "gpo " together
+  normalizedQuery: {
+    type: String,
+    required: true
+  },
+  source: {
+    type: String,
+    enum: ['listing', 'suggest'],
+    required: true
+  },
+  resultCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // First product opened from the results
+  clickedProduct: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  },
+  clickPosition: {
+    type: Number,
+    min: 1
+  },
+  clickedAt: Date
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+SearchLogSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+SearchLogSchema.index({ source: 1, normalizedQuery: 1, createdAt: -1 });
+SearchLogSchema.index({ source: 1, resultCount: 1, createdAt: -1 });
+
+module.exports = mongoose.model('SearchLog', SearchLogSchema);
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// Group of search terms that mean the same thing, e.g. "gpo", "power point"
+const SearchSynonymSchema = new mongoose.Schema({
+  terms: {
+    type: [{
+      type: String,
+      trim: true,
+      lowercase: true,
+      maxlength: [100, 'Synonym term cannot exceed 100 characters']
+    }],
+    validate: {
+      validator: terms => terms.length >= 2,
+      message: 'A synonym group needs at least two terms'
+    }
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+SearchSynonymSchema.index({ terms: 1 });
+SearchSynonymSchema.index({ isActive: 1 });
+
+module.exports = mongoose.model('SearchSynonym', SearchSynonymSchema);
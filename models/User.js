@@ -49,6 +49,11 @@ const userSchema = new mongoose.Schema({
     enum: ['admin', 'user'],
     default: 'user'
   },
+  // Trade tier the customer buys on (the default group applies when unset)
+  customerGroup: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CustomerGroup'
+  },
   isActive: {
     type: Boolean,
     default: true
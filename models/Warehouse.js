@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+// Postcode range served by a warehouse (inclusive, compared numerically)
+const PostcodeRangeSchema = new mongoose.Schema({
+  from: {
+    type: Number,
+    required: [true, 'Postcode range start is required']
+  },
+  to: {
+    type: Number,
+    required: [true, 'Postcode range end is required']
+  }
+}, { _id: false });
+
+const WarehouseSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Warehouse name is required'],
+    trim: true,
+    maxlength: [100, 'Warehouse name cannot exceed 100 characters']
+  },
+  code: {
+    type: String,
+    required: [true, 'Warehouse code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    maxlength: [20, 'Warehouse code cannot exceed 20 characters']
+  },
+  address: {
+    street: { type: String, trim: true },
+    city: { type: String, trim: true },
+    state: { type: String, trim: true },
+    postalCode: { type: String, trim: true },
+    country: { type: String, trim: true, default: 'Australia' }
+  },
+  contactPhone: {
+    type: String,
+    trim: true
+  },
+  // State codes (e.g. NSW, VIC) this warehouse ships to first
+  servesStates: [{
+    type: String,
+    uppercase: true,
+    trim: true
+  }],
+  servesPostcodes: [PostcodeRangeSchema],
+  // Lower numbers are preferred when several warehouses match an address
+  priority: {
+    type: Number,
+    default: 100
+  },
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+WarehouseSchema.index({ isActive: 1, priority: 1 });
+
+// Instance method to check whether the warehouse serves a postcode
+WarehouseSchema.methods.servesPostcode = function(postalCode) {
+  const postcode = parseInt(postalCode, 10);
+  if (isNaN(postcode)) return false;
+  return this.servesPostcodes.some(range => postcode >= range.from && postcode <= range.to);
+};
+
+module.exports = mongoose.model('Warehouse', WarehouseSchema);
@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// Stock held for a product at one warehouse; Product.stock is the total across warehouses
+const WarehouseStockSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Product is required']
+  },
+  warehouse: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Warehouse',
+    required: [true, 'Warehouse is required']
+  },
+  quantity: {
+    type: Number,
+    default: 0,
+    min: [0, 'Warehouse stock cannot be negative']
+  },
+  binLocation: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Bin location cannot exceed 50 characters']
+  }
+}, {
+  timestamps: true
+});
+
+WarehouseStockSchema.index({ product: 1, warehouse: 1 }, { unique: true });
+WarehouseStockSchema.index({ warehouse: 1 });
+
+module.exports = mongoose.model('WarehouseStock', WarehouseStockSchema);
@@ -0,0 +1,42 @@
+const express = require('express');
+const router = express.Router();
+const alertController = require('../controllers/alertController');
+const { protect, adminOnly } = require('../middleware/auth');
+const {
+  alertListValidation,
+  validateObjectId,
+  validateRequest
+} = require('../middleware/validation');
+
+// All alert routes require authentication
+router.use(protect);
+
+// @route   GET /api/alerts/mine
+// @desc    Get the current customer's back-in-stock and price-drop alerts
+// @access  Private
+router.get('/mine',
+  alertListValidation,
+  validateRequest,
+  alertController.getMyAlerts
+);
+
+// @route   GET /api/alerts
+// @desc    List alerts and their delivery status
+// @access  Private (Admin only)
+router.get('/',
+  adminOnly,
+  alertListValidation,
+  validateRequest,
+  alertController.getAlerts
+);
+
+// @route   DELETE /api/alerts/:id
+// @desc    Delete an alert (own alert, or any alert for admins)
+// @access  Private
+router.delete('/:id',
+  validateObjectId,
+  validateRequest,
+  alertController.deleteAlert
+);
+
+module.exports = router;
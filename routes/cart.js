@@ -0,0 +1,59 @@
+const express = require('express');
+const router = express.Router();
+const cartController = require('../controllers/cartController');
+const { protect, optionalAuth, customerOnly } = require('../middleware/auth');
+const {
+  addCartItemValidation,
+  updateCartItemValidation,
+  validateCartProductId,
+  checkoutCartValidation,
+  validateRequest
+} = require('../middleware/validation');
+
+// Guest and customer routes
+// Guests identify their cart with the X-Cart-Token header returned by the first cart response
+
+// Get current cart
+router.get('/', optionalAuth, cartController.getCart);
+
+// Clear cart
+router.delete('/', optionalAuth, cartController.clearCart);
+
+// Add item to cart
+router.post('/items',
+  optionalAuth,
+  addCartItemValidation,
+  validateRequest,
+  cartController.addItem
+);
+
+// Update cart item quantity
+router.put('/items/:productId',
+  optionalAuth,
+  updateCartItemValidation,
+  validateRequest,
+  cartController.updateItem
+);
+
+// Remove item from cart
+router.delete('/items/:productId',
+  optionalAuth,
+  validateCartProductId,
+  validateRequest,
+  cartController.removeItem
+);
+
+// Customer-only routes
+// Merge guest cart into customer cart (called after login)
+router.post('/merge', protect, customerOnly, cartController.mergeCart);
+
+// Convert cart into an order
+router.post('/checkout',
+  protect,
+  customerOnly,
+  checkoutCartValidation,
+  validateRequest,
+  cartController.checkout
+);
+
+module.exports = router;
@@ -3,7 +3,7 @@ const router = express.Router();
 const multer = require('multer');
 const { body } = require('express-validator');
 const categoryController = require('../controllers/categoryController');
-const { protect, restrictTo, adminOnly } = require('../middleware/auth');
+const { protect, restrictTo, adminOnly, optionalAuth } = require('../middleware/auth');
 const { validateRequest } = require('../middleware/validation');
 const { strictLimiter, apiLimiter } = require('../middleware/rateLimit');
 const createUploadMiddleware = require('../middleware/s3');
@@ -86,12 +86,14 @@ router.post('/',
 // Get all categories (Public)
 router.get('/', 
   apiLimiter, 
+  optionalAuth,
   categoryController.getCategories
 );
 
 // Get category tree (Public)
 router.get('/tree', 
   apiLimiter, 
+  optionalAuth,
   categoryController.getCategoriesTree
 );
 
@@ -103,12 +105,14 @@ router.get('/sample-tree',
 // Get frontend tree (Public)
 router.get('/frontend-tree', 
   apiLimiter, 
+  optionalAuth,
   categoryController.getCategoriesFrontendTree
 );
 
 // Get parent categories only (Public)
 router.get('/parents', 
   apiLimiter, 
+  optionalAuth,
   categoryController.getParentCategories
 );
 
@@ -141,6 +145,7 @@ router.patch('/:id/status',
 // Get single category (Public)
 router.get('/:id', 
   apiLimiter, 
+  optionalAuth,
   categoryController.getCategoryById
 );
 
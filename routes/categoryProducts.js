@@ -2,11 +2,13 @@ const express = require('express');
 const router = express.Router();
 const productController = require('../controllers/productController');
 const { apiLimiter } = require('../middleware/rateLimit');
+const { optionalAuth } = require('../middleware/auth');
 
 // Get products by category slug
 // Route: /api/category/:slug
 router.get('/:slug', 
   apiLimiter, 
+  optionalAuth,
   productController.getProductsByCategorySlug
 );
 
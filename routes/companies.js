@@ -0,0 +1,182 @@
+const express = require('express');
+const router = express.Router();
+const companyController = require('../controllers/companyController');
+const { protect, adminOnly } = require('../middleware/auth');
+const {
+  companyValidation,
+  updateCompanyValidation,
+  companyMemberRoleValidation,
+  companyMemberValidation,
+  companyInvitationValidation,
+  companyInvitationQueryValidation,
+  acceptCompanyInvitationValidation,
+  companyAddressValidation,
+  companyAddressIdValidation,
+  updateCompanyAddressValidation,
+  companyOrderQueryValidation,
+  companyOrderApprovalValidation,
+  companyQueryValidation,
+  validateObjectId,
+  validateRequest
+} = require('../middleware/validation');
+
+// All company routes require authentication; company roles are checked by the service
+router.use(protect);
+
+// @route   POST /api/companies
+// @desc    Register a company with the current customer as owner
+// @access  Private
+router.post('/',
+  companyValidation,
+  validateRequest,
+  companyController.createCompany
+);
+
+// @route   GET /api/companies/mine
+// @desc    Get the current customer's company, members and role
+// @access  Private (Company member)
+router.get('/mine', companyController.getMyCompany);
+
+// @route   PUT /api/companies/mine
+// @desc    Update the company's details and billing address
+// @access  Private (Company owner)
+router.put('/mine',
+  updateCompanyValidation,
+  validateRequest,
+  companyController.updateMyCompany
+);
+
+// @route   PATCH /api/companies/mine/members/:userId
+// @desc    Change a member's company role
+// @access  Private (Company owner)
+router.patch('/mine/members/:userId',
+  companyMemberRoleValidation,
+  validateRequest,
+  companyController.updateMemberRole
+);
+
+// @route   DELETE /api/companies/mine/members/:userId
+// @desc    Remove a member, or leave the company
+// @access  Private (Company owner, or the member themselves)
+router.delete('/mine/members/:userId',
+  companyMemberValidation,
+  validateRequest,
+  companyController.removeMember
+);
+
+// @route   GET /api/companies/mine/invitations
+// @desc    List the company's invitations
+// @access  Private (Company owner)
+router.get('/mine/invitations',
+  companyInvitationQueryValidation,
+  validateRequest,
+  companyController.getInvitations
+);
+
+// @route   POST /api/companies/mine/invitations
+// @desc    Email an invitation to join the company
+// @access  Private (Company owner)
+router.post('/mine/invitations',
+  companyInvitationValidation,
+  validateRequest,
+  companyController.createInvitation
+);
+
+// @route   DELETE /api/companies/mine/invitations/:id
+// @desc    Revoke a pending invitation
+// @access  Private (Company owner)
+router.delete('/mine/invitations/:id',
+  validateObjectId,
+  validateRequest,
+  companyController.revokeInvitation
+);
+
+// @route   POST /api/companies/invitations/:token/accept
+// @desc    Accept an emailed invitation and join the company
+// @access  Private
+router.post('/invitations/:token/accept',
+  acceptCompanyInvitationValidation,
+  validateRequest,
+  companyController.acceptInvitation
+);
+
+// @route   GET /api/companies/mine/addresses
+// @desc    List the company's shared delivery addresses
+// @access  Private (Company member)
+router.get('/mine/addresses', companyController.getAddresses);
+
+// @route   POST /api/companies/mine/addresses
+// @desc    Add a shared delivery address
+// @access  Private (Company owner or approver)
+router.post('/mine/addresses',
+  companyAddressValidation,
+  validateRequest,
+  companyController.addAddress
+);
+
+// @route   PUT /api/companies/mine/addresses/:addressId
+// @desc    Update a shared delivery address
+// @access  Private (Company owner or approver)
+router.put('/mine/addresses/:addressId',
+  updateCompanyAddressValidation,
+  validateRequest,
+  companyController.updateAddress
+);
+
+// @route   DELETE /api/companies/mine/addresses/:addressId
+// @desc    Delete a shared delivery address
+// @access  Private (Company owner or approver)
+router.delete('/mine/addresses/:addressId',
+  companyAddressIdValidation,
+  validateRequest,
+  companyController.deleteAddress
+);
+
+// @route   GET /api/companies/mine/orders
+// @desc    List orders placed by every member of the company
+// @access  Private (Company member)
+router.get('/mine/orders',
+  companyOrderQueryValidation,
+  validateRequest,
+  companyController.getCompanyOrders
+);
+
+// @route   PUT /api/companies/mine/orders/:id/approve
+// @desc    Approve an order placed by a buyer
+// @access  Private (Company owner or approver)
+router.put('/mine/orders/:id/approve',
+  companyOrderApprovalValidation,
+  validateRequest,
+  companyController.approveOrder
+);
+
+// @route   PUT /api/companies/mine/orders/:id/reject
+// @desc    Reject an order placed by a buyer and cancel it
+// @access  Private (Company owner or approver)
+router.put('/mine/orders/:id/reject',
+  companyOrderApprovalValidation,
+  validateRequest,
+  companyController.rejectOrder
+);
+
+// @route   GET /api/companies
+// @desc    List companies
+// @access  Private (Admin only)
+router.get('/',
+  adminOnly,
+  companyQueryValidation,
+  validateRequest,
+  companyController.getCompanies
+);
+
+// @route   GET /api/companies/:id
+// @desc    Get a company with its members and order count
+// @access  Private (Admin only)
+router.get('/:id',
+  adminOnly,
+  validateObjectId,
+  validateRequest,
+  companyController.getCompany
+);
+
+module.exports = router;
@@ -0,0 +1,61 @@
+const express = require('express');
+const router = express.Router();
+const customerGroupController = require('../controllers/customerGroupController');
+const { protect, adminOnly } = require('../middleware/auth');
+const {
+  customerGroupValidation,
+  updateCustomerGroupValidation,
+  customerGroupQueryValidation,
+  validateObjectId,
+  validateRequest
+} = require('../middleware/validation');
+
+// All customer group routes are for admins
+router.use(protect, adminOnly);
+
+// @route   GET /api/customer-groups
+// @desc    List customer groups with their member counts
+// @access  Private (Admin only)
+router.get('/',
+  customerGroupQueryValidation,
+  validateRequest,
+  customerGroupController.getGroups
+);
+
+// @route   POST /api/customer-groups
+// @desc    Create a customer group
+// @access  Private (Admin only)
+router.post('/',
+  customerGroupValidation,
+  validateRequest,
+  customerGroupController.createGroup
+);
+
+// @route   GET /api/customer-groups/:id
+// @desc    Get a customer group with its hidden categories
+// @access  Private (Admin only)
+router.get('/:id',
+  validateObjectId,
+  validateRequest,
+  customerGroupController.getGroup
+);
+
+// @route   PUT /api/customer-groups/:id
+// @desc    Update a customer group's discount, payment terms, minimum order or hidden categories
+// @access  Private (Admin only)
+router.put('/:id',
+  updateCustomerGroupValidation,
+  validateRequest,
+  customerGroupController.updateGroup
+);
+
+// @route   DELETE /api/customer-groups/:id
+// @desc    Delete a customer group no customer or promo code uses
+// @access  Private (Admin only)
+router.delete('/:id',
+  validateObjectId,
+  validateRequest,
+  customerGroupController.deleteGroup
+);
+
+module.exports = router;
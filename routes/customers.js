@@ -5,6 +5,7 @@ const { protect, adminOnly } = require('../middleware/auth');
 const {
   createCustomerValidation,
   updateProfileValidation,
+  assignCustomerGroupValidation,
   validateObjectId,
   validateRequest
 } = require('../middleware/validation');
@@ -76,4 +77,13 @@ router.patch('/:id/reactivate',
   customersController.reactivateCustomer
 );
 
+// @route   PATCH /api/customers/:id/group
+// @desc    Assign a customer to a customer group
+// @access  Private (Admin only)
+router.patch('/:id/group',
+  assignCustomerGroupValidation,
+  validateRequest,
+  customersController.assignCustomerGroup
+);
+
 module.exports = router;
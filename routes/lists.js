@@ -0,0 +1,151 @@
+const express = require('express');
+const router = express.Router();
+const savedListController = require('../controllers/savedListController');
+const { protect, optionalAuth, customerOnly } = require('../middleware/auth');
+const {
+  createListValidation,
+  updateListValidation,
+  addListItemValidation,
+  updateListItemValidation,
+  listItemParamValidation,
+  shareTokenValidation,
+  checkoutCartValidation,
+  listQueryValidation,
+  validateObjectId,
+  validateRequest
+} = require('../middleware/validation');
+
+// @route   GET /api/lists/shared/:token
+// @desc    View a list from its share link
+// @access  Public
+router.get('/shared/:token',
+  optionalAuth,
+  shareTokenValidation,
+  validateRequest,
+  savedListController.getSharedList
+);
+
+// All other list routes require authentication
+router.use(protect);
+
+// @route   POST /api/lists/shared/:token/copy
+// @desc    Copy a shared list into the current customer's lists
+// @access  Private
+router.post('/shared/:token/copy',
+  shareTokenValidation,
+  validateRequest,
+  savedListController.copySharedList
+);
+
+// @route   GET /api/lists
+// @desc    Get the current customer's lists
+// @access  Private
+router.get('/',
+  listQueryValidation,
+  validateRequest,
+  savedListController.getLists
+);
+
+// @route   POST /api/lists
+// @desc    Create a list
+// @access  Private
+router.post('/',
+  createListValidation,
+  validateRequest,
+  savedListController.createList
+);
+
+// @route   GET /api/lists/:id
+// @desc    Get a list with current prices and stock notices
+// @access  Private
+router.get('/:id',
+  validateObjectId,
+  validateRequest,
+  savedListController.getList
+);
+
+// @route   PUT /api/lists/:id
+// @desc    Rename a list or change its description
+// @access  Private
+router.put('/:id',
+  updateListValidation,
+  validateRequest,
+  savedListController.updateList
+);
+
+// @route   DELETE /api/lists/:id
+// @desc    Delete a list
+// @access  Private
+router.delete('/:id',
+  validateObjectId,
+  validateRequest,
+  savedListController.deleteList
+);
+
+// @route   POST /api/lists/:id/items
+// @desc    Add a product to a list
+// @access  Private
+router.post('/:id/items',
+  addListItemValidation,
+  validateRequest,
+  savedListController.addItem
+);
+
+// @route   PUT /api/lists/:id/items/:productId
+// @desc    Change the quantity or note of a listed product
+// @access  Private
+router.put('/:id/items/:productId',
+  updateListItemValidation,
+  validateRequest,
+  savedListController.updateItem
+);
+
+// @route   DELETE /api/lists/:id/items/:productId
+// @desc    Remove a product from a list
+// @access  Private
+router.delete('/:id/items/:productId',
+  listItemParamValidation,
+  validateRequest,
+  savedListController.removeItem
+);
+
+// @route   POST /api/lists/:id/share
+// @desc    Turn on the share link for a list
+// @access  Private
+router.post('/:id/share',
+  validateObjectId,
+  validateRequest,
+  savedListController.shareList
+);
+
+// @route   DELETE /api/lists/:id/share
+// @desc    Turn off the share link for a list
+// @access  Private
+router.delete('/:id/share',
+  validateObjectId,
+  validateRequest,
+  savedListController.unshareList
+);
+
+// @route   POST /api/lists/:id/cart
+// @desc    Add every product on a list to the cart at current prices
+// @access  Private (Customer only)
+router.post('/:id/cart',
+  customerOnly,
+  validateObjectId,
+  validateRequest,
+  savedListController.addListToCart
+);
+
+// @route   POST /api/lists/:id/order
+// @desc    Order every product on a list at current prices
+// @access  Private (Customer only)
+router.post('/:id/order',
+  customerOnly,
+  validateObjectId,
+  checkoutCartValidation,
+  validateRequest,
+  savedListController.orderList
+);
+
+module.exports = router;
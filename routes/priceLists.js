@@ -0,0 +1,121 @@
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const priceListController = require('../controllers/priceListController');
+const { protect, adminOnly } = require('../middleware/auth');
+const {
+  priceListValidation,
+  updatePriceListValidation,
+  priceListQueryValidation,
+  priceListLineValidation,
+  updatePriceListLineValidation,
+  priceListLineParamValidation,
+  priceListUploadValidation,
+  validateObjectId,
+  validateRequest
+} = require('../middleware/validation');
+
+// Price list files are parsed in memory and never stored
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: process.env.MAX_IMPORT_FILE_SIZE || 20 * 1024 * 1024 // 20MB limit
+  }
+});
+
+// All price list routes are for admins
+router.use(protect, adminOnly);
+
+// @route   GET /api/price-lists
+// @desc    List price lists
+// @access  Private (Admin only)
+router.get('/',
+  priceListQueryValidation,
+  validateRequest,
+  priceListController.getPriceLists
+);
+
+// @route   POST /api/price-lists
+// @desc    Create a price list
+// @access  Private (Admin only)
+router.post('/',
+  priceListValidation,
+  validateRequest,
+  priceListController.createPriceList
+);
+
+// @route   GET /api/price-lists/:id
+// @desc    Get a price list with its customers
+// @access  Private (Admin only)
+router.get('/:id',
+  validateObjectId,
+  validateRequest,
+  priceListController.getPriceList
+);
+
+// @route   PUT /api/price-lists/:id
+// @desc    Update a price list's details, customers or validity dates
+// @access  Private (Admin only)
+router.put('/:id',
+  updatePriceListValidation,
+  validateRequest,
+  priceListController.updatePriceList
+);
+
+// @route   DELETE /api/price-lists/:id
+// @desc    Delete a price list and its lines
+// @access  Private (Admin only)
+router.delete('/:id',
+  validateObjectId,
+  validateRequest,
+  priceListController.deletePriceList
+);
+
+// @route   GET /api/price-lists/:id/lines
+// @desc    Get the lines of a price list
+// @access  Private (Admin only)
+router.get('/:id/lines',
+  validateObjectId,
+  priceListQueryValidation,
+  validateRequest,
+  priceListController.getLines
+);
+
+// @route   POST /api/price-lists/:id/lines
+// @desc    Add a line (fixed price or percentage off a product, brand or category)
+// @access  Private (Admin only)
+router.post('/:id/lines',
+  priceListLineValidation,
+  validateRequest,
+  priceListController.setLine
+);
+
+// @route   POST /api/price-lists/:id/lines/upload
+// @desc    Add or replace lines from a CSV or XLSX file (columns: sku, brand, category, type, value, validFrom, validTo)
+// @access  Private (Admin only)
+router.post('/:id/lines/upload',
+  upload.single('file'),
+  priceListUploadValidation,
+  validateRequest,
+  priceListController.uploadLines
+);
+
+// @route   PUT /api/price-lists/:id/lines/:lineId
+// @desc    Change a line's price or validity dates
+// @access  Private (Admin only)
+router.put('/:id/lines/:lineId',
+  updatePriceListLineValidation,
+  validateRequest,
+  priceListController.updateLine
+);
+
+// @route   DELETE /api/price-lists/:id/lines/:lineId
+// @desc    Remove a line from a price list
+// @access  Private (Admin only)
+router.delete('/:id/lines/:lineId',
+  priceListLineParamValidation,
+  validateRequest,
+  priceListController.deleteLine
+);
+
+module.exports = router;
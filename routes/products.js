@@ -1,14 +1,39 @@
 const express = require('express');
 const router = express.Router();
+const multer = require('multer');
 const productController = require('../controllers/productController');
+const reviewController = require('../controllers/reviewController');
+const questionController = require('../controllers/questionController');
+const alertController = require('../controllers/alertController');
 const createUploadMiddleware = require('../middleware/s3');
-const { protect, restrictTo, adminOnly } = require('../middleware/auth');
+const { ValidationError } = require('../middleware/errorHandler');
+const { protect, restrictTo, adminOnly, optionalAuth } = require('../middleware/auth');
 const { 
   createProductValidation, 
   updateProductValidation, 
   validateObjectId, 
   validateCategoryId,
   validateBrandId,
+  priceQuoteValidation,
+  createVariantValidation,
+  updateStockValidation,
+  stockHistoryValidation,
+  productRevisionValidation,
+  setRelationshipsValidation,
+  addRelationshipValidation,
+  removeRelationshipValidation,
+  createReviewValidation,
+  reviewListValidation,
+  askQuestionValidation,
+  questionListValidation,
+  subscribeAlertValidation,
+  scheduledChangesValidation,
+  stockOnDateValidation,
+  productImportValidation,
+  productExportValidation,
+  searchSuggestValidation,
+  productListValidation,
+  importJobValidation,
   handleValidationErrors 
 } = require('../middleware/validation');
 
@@ -19,18 +44,36 @@ const upload = createUploadMiddleware('product', {
   maxFileSize: process.env.MAX_FILE_SIZE || 10 * 1024 * 1024 // 10MB limit (larger for PDFs)
 });
 
+// Import files are parsed in memory and never stored
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (req, file, cb) => {
+    if (/\.(csv|xlsx)$/i.test(file.originalname)) {
+      cb(null, true);
+    } else {
+      cb(new ValidationError('Only .csv and .xlsx files can be imported'), false);
+    }
+  },
+  limits: {
+    fileSize: process.env.MAX_IMPORT_FILE_SIZE || 20 * 1024 * 1024 // 20MB limit
+  }
+});
+
 // Public routes
 // Get all products with filtering and pagination
-router.get('/', productController.getProducts);
+router.get('/', optionalAuth, productListValidation, handleValidationErrors, productController.getProducts);
 
 // Get products by category (must come before /:id to avoid conflicts)
-router.get('/category/:categoryId', validateCategoryId, handleValidationErrors, productController.getProductsByCategory);
+router.get('/category/:categoryId', optionalAuth, validateCategoryId, handleValidationErrors, productController.getProductsByCategory);
 
 // Get products by brand (must come before /:id to avoid conflicts)
-router.get('/brand/:brandId', validateBrandId, handleValidationErrors, productController.getProductsByBrand);
+router.get('/brand/:brandId', optionalAuth, validateBrandId, handleValidationErrors, productController.getProductsByBrand);
+
+// Search-as-you-type suggestions (must come before /:id to avoid conflicts)
+router.get('/suggest', optionalAuth, searchSuggestValidation, handleValidationErrors, productController.getSearchSuggestions);
 
 // Get featured products (must come before /:id to avoid conflicts)
-router.get('/featured', productController.getFeaturedProducts);
+router.get('/featured', optionalAuth, productController.getFeaturedProducts);
 
 // Admin-only routes for product management (must come before /:id)
 router.get('/statistics', protect, adminOnly, productController.getProductStatistics);
@@ -44,6 +87,32 @@ router.get('/admin', protect, adminOnly, productController.getAdminProducts);
 // Admin featured products management
 router.get('/admin/featured', protect, adminOnly, productController.getAdminFeaturedProducts);
 
+// Catalog export as CSV/XLSX/NDJSON with the listing filters (Admin only)
+router.get('/admin/export', protect, adminOnly, productExportValidation, handleValidationErrors, productController.exportProducts);
+
+// Upcoming scheduled publish/unpublish and featured expiry (Admin only)
+router.get('/admin/scheduled', protect, adminOnly, scheduledChangesValidation, handleValidationErrors, productController.getScheduledChanges);
+
+// Product trash: list, restore and permanently purge (Admin only)
+router.get('/admin/trash', protect, adminOnly, productController.getDeletedProducts);
+router.post('/admin/trash/:id([0-9a-fA-F]{24})/restore', protect, adminOnly, validateObjectId, handleValidationErrors, productController.restoreProduct);
+router.delete('/admin/trash/:id([0-9a-fA-F]{24})', protect, adminOnly, validateObjectId, handleValidationErrors, productController.purgeProduct);
+
+// Stock levels at a point in time, rebuilt from the inventory ledger (Admin only)
+router.get('/admin/stock-on-date', protect, adminOnly, stockOnDateValidation, handleValidationErrors, productController.getStockOnDate);
+
+// Bulk product import from CSV/XLSX (Admin only)
+router.post('/import', 
+  protect,
+  adminOnly,
+  importUpload.single('file'),
+  productImportValidation,
+  handleValidationErrors,
+  productController.importProducts
+);
+router.get('/import/jobs', protect, adminOnly, productController.getImportJobs);
+router.get('/import/jobs/:jobId', protect, adminOnly, importJobValidation, handleValidationErrors, productController.getImportJob);
+
 // Test S3 upload (Admin only) - Remove this after testing
 router.post('/test-upload', 
   protect,
@@ -107,7 +176,13 @@ router.get('/debug/category/:categoryId', (req, res) => {
 });
 
 // Get single product by ID (must come after specific routes)
-router.get('/:id([0-9a-fA-F]{24})', validateObjectId, handleValidationErrors, productController.getProductById);
+router.get('/:id([0-9a-fA-F]{24})', optionalAuth, validateObjectId, handleValidationErrors, productController.getProductById);
+
+// Get a tiered price quote for a quantity (customer context applied when logged in)
+router.get('/:id([0-9a-fA-F]{24})/price', optionalAuth, priceQuoteValidation, handleValidationErrors, productController.getProductPrice);
+
+// Get the variants of a product with their selectable options
+router.get('/:id([0-9a-fA-F]{24})/variants', optionalAuth, validateObjectId, handleValidationErrors, productController.getProductVariants);
 
 // Protected routes (require authentication)
 // Create product (Admin only)
@@ -141,6 +216,22 @@ router.put('/:id([0-9a-fA-F]{24})',
   productController.updateProduct
 );
 
+// Create a variant under a parent product (Admin only)
+router.post('/:id([0-9a-fA-F]{24})/variants', 
+  protect,
+  adminOnly,
+  validateObjectId,
+  upload.fields([
+    { name: 'mainImage', maxCount: 1 },
+    { name: 'otherImages', maxCount: 10 },
+    { name: 'specificationsFile', maxCount: 1 }
+  ]),
+  upload.errorHandler,
+  createVariantValidation,
+  handleValidationErrors,
+  productController.createVariant
+);
+
 // Delete product (Admin only)
 router.delete('/:id([0-9a-fA-F]{24})', 
   protect,
@@ -171,10 +262,116 @@ router.patch('/:id([0-9a-fA-F]{24})/stock',
   protect,
   adminOnly,
   validateObjectId,
+  updateStockValidation,
   handleValidationErrors,
   productController.updateProductStock
 );
 
+// Stock movement history (Admin only)
+router.get('/:id([0-9a-fA-F]{24})/stock-history', 
+  protect,
+  adminOnly,
+  stockHistoryValidation,
+  handleValidationErrors,
+  productController.getStockHistory
+);
+
+// Revision history and rollback (Admin only)
+router.get('/:id([0-9a-fA-F]{24})/revisions', 
+  protect,
+  adminOnly,
+  productRevisionValidation,
+  handleValidationErrors,
+  productController.getProductRevisions
+);
+
+router.get('/:id([0-9a-fA-F]{24})/revisions/:version', 
+  protect,
+  adminOnly,
+  productRevisionValidation,
+  handleValidationErrors,
+  productController.getProductRevision
+);
+
+router.post('/:id([0-9a-fA-F]{24})/revisions/:version/rollback', 
+  protect,
+  adminOnly,
+  productRevisionValidation,
+  handleValidationErrors,
+  productController.rollbackProduct
+);
+
+// Related, accessory, replacement and frequently-bought-together links (Admin only)
+router.get('/:id([0-9a-fA-F]{24})/relationships', 
+  protect,
+  adminOnly,
+  validateObjectId,
+  handleValidationErrors,
+  productController.getProductRelationships
+);
+
+router.put('/:id([0-9a-fA-F]{24})/relationships', 
+  protect,
+  adminOnly,
+  setRelationshipsValidation,
+  handleValidationErrors,
+  productController.setProductRelationships
+);
+
+router.post('/:id([0-9a-fA-F]{24})/relationships', 
+  protect,
+  adminOnly,
+  addRelationshipValidation,
+  handleValidationErrors,
+  productController.addProductRelationship
+);
+
+router.delete('/:id([0-9a-fA-F]{24})/relationships/:relatedId', 
+  protect,
+  adminOnly,
+  removeRelationshipValidation,
+  handleValidationErrors,
+  productController.removeProductRelationship
+);
+
+// Customer reviews: approved reviews are public, customers who received the product may add one
+router.get('/:id([0-9a-fA-F]{24})/reviews', 
+  validateObjectId,
+  reviewListValidation,
+  handleValidationErrors,
+  reviewController.getProductReviews
+);
+
+router.post('/:id([0-9a-fA-F]{24})/reviews', 
+  protect,
+  createReviewValidation,
+  handleValidationErrors,
+  reviewController.createReview
+);
+
+// Product questions: published answers are public, logged-in customers may ask
+router.get('/:id([0-9a-fA-F]{24})/questions', 
+  validateObjectId,
+  questionListValidation,
+  handleValidationErrors,
+  questionController.getProductQuestions
+);
+
+router.post('/:id([0-9a-fA-F]{24})/questions', 
+  protect,
+  askQuestionValidation,
+  handleValidationErrors,
+  questionController.askQuestion
+);
+
+// Back-in-stock and price-drop alerts for logged-in customers
+router.post('/:id([0-9a-fA-F]{24})/alerts', 
+  protect,
+  subscribeAlertValidation,
+  handleValidationErrors,
+  alertController.subscribe
+);
+
 // Featured product management (Admin only)
 router.patch('/:id([0-9a-fA-F]{24})/feature', 
   protect,
@@ -0,0 +1,64 @@
+const express = require('express');
+const router = express.Router();
+const questionController = require('../controllers/questionController');
+const { protect, adminOnly } = require('../middleware/auth');
+const {
+  questionListValidation,
+  answerQuestionValidation,
+  questionStatusValidation,
+  validateObjectId,
+  validateRequest
+} = require('../middleware/validation');
+
+// All question routes require authentication
+router.use(protect);
+
+// @route   GET /api/questions/mine
+// @desc    Get the current customer's questions
+// @access  Private
+router.get('/mine',
+  questionListValidation,
+  validateRequest,
+  questionController.getMyQuestions
+);
+
+// @route   GET /api/questions
+// @desc    List questions for staff to answer
+// @access  Private (Admin only)
+router.get('/',
+  adminOnly,
+  questionListValidation,
+  validateRequest,
+  questionController.getQuestions
+);
+
+// @route   PUT /api/questions/:id/answer
+// @desc    Answer a question and email the asker
+// @access  Private (Admin only)
+router.put('/:id/answer',
+  adminOnly,
+  answerQuestionValidation,
+  validateRequest,
+  questionController.answerQuestion
+);
+
+// @route   PATCH /api/questions/:id/status
+// @desc    Publish, unpublish or reject a question
+// @access  Private (Admin only)
+router.patch('/:id/status',
+  adminOnly,
+  questionStatusValidation,
+  validateRequest,
+  questionController.setQuestionStatus
+);
+
+// @route   DELETE /api/questions/:id
+// @desc    Delete a question (own unanswered question, or any question for admins)
+// @access  Private
+router.delete('/:id',
+  validateObjectId,
+  validateRequest,
+  questionController.deleteQuestion
+);
+
+module.exports = router;
@@ -0,0 +1,74 @@
+const express = require('express');
+const router = express.Router();
+const reviewController = require('../controllers/reviewController');
+const { protect, adminOnly } = require('../middleware/auth');
+const {
+  updateReviewValidation,
+  reviewListValidation,
+  moderateReviewValidation,
+  reviewReplyValidation,
+  validateObjectId,
+  validateRequest
+} = require('../middleware/validation');
+
+// All review routes require authentication
+router.use(protect);
+
+// @route   GET /api/reviews/mine
+// @desc    Get the current customer's reviews
+// @access  Private
+router.get('/mine',
+  reviewListValidation,
+  validateRequest,
+  reviewController.getMyReviews
+);
+
+// @route   GET /api/reviews
+// @desc    List reviews for moderation
+// @access  Private (Admin only)
+router.get('/',
+  adminOnly,
+  reviewListValidation,
+  validateRequest,
+  reviewController.getReviews
+);
+
+// @route   PUT /api/reviews/:id
+// @desc    Edit the current customer's review
+// @access  Private
+router.put('/:id',
+  updateReviewValidation,
+  validateRequest,
+  reviewController.updateReview
+);
+
+// @route   DELETE /api/reviews/:id
+// @desc    Delete a review (own review, or any review for admins)
+// @access  Private
+router.delete('/:id',
+  validateObjectId,
+  validateRequest,
+  reviewController.deleteReview
+);
+
+// @route   PATCH /api/reviews/:id/moderate
+// @desc    Approve or reject a review
+// @access  Private (Admin only)
+router.patch('/:id/moderate',
+  adminOnly,
+  moderateReviewValidation,
+  validateRequest,
+  reviewController.moderateReview
+);
+
+// @route   PUT /api/reviews/:id/reply
+// @desc    Reply to a review
+// @access  Private (Admin only)
+router.put('/:id/reply',
+  adminOnly,
+  reviewReplyValidation,
+  validateRequest,
+  reviewController.replyToReview
+);
+
+module.exports = router;
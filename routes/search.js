@@ -0,0 +1,89 @@
+const express = require('express');
+const router = express.Router();
+const searchController = require('../controllers/searchController');
+const { protect, adminOnly } = require('../middleware/auth');
+const {
+  createSynonymValidation,
+  updateSynonymValidation,
+  searchClickValidation,
+  searchAnalyticsValidation,
+  validateObjectId,
+  validateRequest
+} = require('../middleware/validation');
+
+// @route   POST /api/search/clicks
+// @desc    Record the product opened from search results
+// @access  Public
+router.post('/clicks',
+  searchClickValidation,
+  validateRequest,
+  searchController.recordClick
+);
+
+// All search management routes require authentication
+router.use(protect);
+
+// All search management routes require admin role
+router.use(adminOnly);
+
+// @route   POST /api/search/synonyms
+// @desc    Create a synonym group
+// @access  Private (Admin only)
+router.post('/synonyms',
+  createSynonymValidation,
+  validateRequest,
+  searchController.createSynonym
+);
+
+// @route   GET /api/search/synonyms
+// @desc    Get all synonym groups
+// @access  Private (Admin only)
+router.get('/synonyms', searchController.getSynonyms);
+
+// @route   PUT /api/search/synonyms/:id
+// @desc    Update a synonym group
+// @access  Private (Admin only)
+router.put('/synonyms/:id',
+  validateObjectId,
+  updateSynonymValidation,
+  validateRequest,
+  searchController.updateSynonym
+);
+
+// @route   DELETE /api/search/synonyms/:id
+// @desc    Delete a synonym group
+// @access  Private (Admin only)
+router.delete('/synonyms/:id',
+  validateObjectId,
+  validateRequest,
+  searchController.deleteSynonym
+);
+
+// @route   GET /api/search/analytics/top-queries
+// @desc    Most frequent search queries
+// @access  Private (Admin only)
+router.get('/analytics/top-queries',
+  searchAnalyticsValidation,
+  validateRequest,
+  searchController.getTopQueries
+);
+
+// @route   GET /api/search/analytics/zero-results
+// @desc    Search queries that returned no products
+// @access  Private (Admin only)
+router.get('/analytics/zero-results',
+  searchAnalyticsValidation,
+  validateRequest,
+  searchController.getZeroResultQueries
+);
+
+// @route   GET /api/search/analytics/conversion
+// @desc    Click-through rate by search query
+// @access  Private (Admin only)
+router.get('/analytics/conversion',
+  searchAnalyticsValidation,
+  validateRequest,
+  searchController.getConversionByQuery
+);
+
+module.exports = router;
@@ -0,0 +1,89 @@
+const express = require('express');
+const router = express.Router();
+const warehouseController = require('../controllers/warehouseController');
+const { protect, adminOnly } = require('../middleware/auth');
+const {
+  createWarehouseValidation,
+  updateWarehouseValidation,
+  warehouseStockValidation,
+  stockTransferValidation,
+  validateObjectId,
+  validateRequest
+} = require('../middleware/validation');
+
+// All warehouse routes require authentication
+router.use(protect);
+
+// All warehouse routes require admin role
+router.use(adminOnly);
+
+// @route   POST /api/warehouses/transfers
+// @desc    Transfer stock between warehouses
+// @access  Private (Admin only)
+router.post('/transfers',
+  stockTransferValidation,
+  validateRequest,
+  warehouseController.transferStock
+);
+
+// @route   POST /api/warehouses
+// @desc    Create a warehouse
+// @access  Private (Admin only)
+router.post('/',
+  createWarehouseValidation,
+  validateRequest,
+  warehouseController.createWarehouse
+);
+
+// @route   GET /api/warehouses
+// @desc    Get all warehouses
+// @access  Private (Admin only)
+router.get('/', warehouseController.getWarehouses);
+
+// @route   GET /api/warehouses/:id
+// @desc    Get warehouse by ID
+// @access  Private (Admin only)
+router.get('/:id',
+  validateObjectId,
+  validateRequest,
+  warehouseController.getWarehouseById
+);
+
+// @route   PUT /api/warehouses/:id
+// @desc    Update a warehouse
+// @access  Private (Admin only)
+router.put('/:id',
+  validateObjectId,
+  updateWarehouseValidation,
+  validateRequest,
+  warehouseController.updateWarehouse
+);
+
+// @route   DELETE /api/warehouses/:id
+// @desc    Delete a warehouse that holds no stock
+// @access  Private (Admin only)
+router.delete('/:id',
+  validateObjectId,
+  validateRequest,
+  warehouseController.deleteWarehouse
+);
+
+// @route   GET /api/warehouses/:id/stock
+// @desc    Get the stock held at a warehouse
+// @access  Private (Admin only)
+router.get('/:id/stock',
+  validateObjectId,
+  validateRequest,
+  warehouseController.getWarehouseStock
+);
+
+// @route   PUT /api/warehouses/:id/stock/:productId
+// @desc    Set a product's stock at a warehouse
+// @access  Private (Admin only)
+router.put('/:id/stock/:productId',
+  warehouseStockValidation,
+  validateRequest,
+  warehouseController.setWarehouseStock
+);
+
+module.exports = router;
@@ -0,0 +1,55 @@
+// Load environment variables
+const envFile = process.env.NODE_ENV === 'production' ? '.env.production' : 'config.env';
+require('dotenv').config({ path: require('path').resolve(__dirname, '..', envFile) });
+
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const ProductService = require('../services/ProductService');
+
+// Converts quantity levels stored as strings into numeric, non-overlapping tiers.
+// Products whose tiers cannot be converted are reported and left unchanged.
+async function migrateQuantityLevels() {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.DB_URI);
+    console.log('Connected to MongoDB');
+
+    // Read the raw documents so string values are not cast by the schema
+    const products = await Product.collection
+      .find({ 'quantityLevels.0': { $exists: true } }, { projection: { sku: 1, quantityLevels: 1 } })
+      .toArray();
+    console.log(`Found ${products.length} products with quantity levels`);
+
+    let migrated = 0;
+    const failed = [];
+
+    for (const product of products) {
+      // Drop empty rows left behind by the admin form
+      const levels = product.quantityLevels.filter(level =>
+        ['minQuantity', 'maxQuantity', 'price', 'discount'].some(field => level[field] !== undefined && level[field] !== null && level[field] !== '')
+      );
+
+      try {
+        const tiers = ProductService.normalizeQuantityLevels(levels);
+        await Product.collection.updateOne({ _id: product._id }, { $set: { quantityLevels: tiers } });
+        migrated++;
+      } catch (error) {
+        failed.push({ sku: product.sku, reason: error.errors?.map(e => e.message).join('; ') || error.message });
+      }
+    }
+
+    console.log(`Migrated ${migrated} products`);
+    if (failed.length > 0) {
+      console.log(`${failed.length} products need manual review:`);
+      failed.forEach(item => console.log(`- ${item.sku}: ${item.reason}`));
+    }
+  } catch (error) {
+    console.error('Error migrating quantity levels:', error);
+  } finally {
+    await mongoose.disconnect();
+    console.log('Disconnected from MongoDB');
+  }
+}
+
+// Run the script
+migrateQuantityLevels();
@@ -10,11 +10,20 @@ console.log(`[Env] ALLOWED_ORIGINS=${process.env.ALLOWED_ORIGINS}`);
 
 const mongoose = require('mongoose');
 const app = require('./app');
+const ProductSchedulerService = require('./services/ProductSchedulerService');
 
 const PORT = process.env.PORT || 5000;
 
-// Validate required environment variables
-const requiredEnvVars = ['DB_URI', 'JWT_SECRET'];
+// Validate required environment variables (shipping rates are charged on every order, so
+// each method needs its own confirmed price)
+const requiredEnvVars = [
+  'DB_URI',
+  'JWT_SECRET',
+  'SHIPPING_STANDARD_COST',
+  'SHIPPING_EXPRESS_COST',
+  'SHIPPING_OVERNIGHT_COST',
+  'SHIPPING_PICKUP_COST'
+];
 const missingEnvVars = requiredEnvVars.filter(envVar => !process.env[envVar]);
 
 if (missingEnvVars.length > 0) {
@@ -98,6 +107,8 @@ const gracefulShutdown = async (signal) => {
   console.log(`\n🛑 Received ${signal}. Starting graceful shutdown...`);
   
   try {
+    ProductSchedulerService.stop();
+
     // Close server
     if (global.server) {
       await new Promise((resolve) => {
@@ -161,6 +172,9 @@ const startServer = async () => {
     // Store server reference for graceful shutdown
     global.server = server;
 
+    // Apply scheduled publishing and featured expiry
+    ProductSchedulerService.start();
+
   } catch (error) {
     console.error('❌ Failed to start server:', error.message);
     console.error('Full error:', error);
@@ -0,0 +1,399 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Cart = require('../models/Cart');
+const Product = require('../models/Product');
+const OrderService = require('./OrderService');
+const PricingService = require('./PricingService');
+const InventoryService = require('./InventoryService');
+const PriceListService = require('./PriceListService');
+const CustomerGroupService = require('./CustomerGroupService');
+const { NotFoundError, ValidationError } = require('../middleware/errorHandler');
+const { logger } = require('../middleware/logger');
+
+// Guest carts are kept for 30 days after their last change
+const GUEST_CART_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+const CART_PRODUCT_FIELDS = 'productName sku price comparePrice mainImage stock stockStatus trackQuantity status isPublished quantityLevels taxRate variantAxes brandId categories parentProduct';
+
+/**
+ * Cart Service - Handles server-side carts for customers and guests
+ */
+class CartService {
+  /**
+   * Generate a new opaque guest cart token
+   * @returns {string} Guest token
+   */
+  generateGuestToken() {
+    return crypto.randomBytes(24).toString('hex');
+  }
+
+  /**
+   * Price a single cart line from the catalog
+   * @param {object} product - Product document
+   * @param {number} quantity - Line quantity
+   * @param {string} customerId - Customer user ID (null for guest carts)
+   * @param {object} customerPricing - Customer pricing from PriceListService.getCustomerPricing (optional)
+   * @returns {object} Line pricing (unitPrice, discount, taxRate, taxAmount, lineTotal)
+   */
+  priceLine(product, quantity, customerId = null, customerPricing = null) {
+    const { unitPrice, discount, taxRate, taxAmount, totalPrice } = PricingService.priceLine(product, quantity, {
+      customer: customerId,
+      customerPricing
+    });
+
+    return { unitPrice, discount, taxRate, taxAmount, lineTotal: totalPrice };
+  }
+
+  /**
+   * Check whether a product can be sold in the requested quantity
+   * @param {object} product - Product document
+   * @param {number} quantity - Requested quantity
+   * @returns {string|null} Reason the line is unavailable, or null if available
+   */
+  getAvailabilityIssue(product, quantity) {
+    if (!OrderService.isSellable(product)) {
+      return 'Product is no longer available';
+    }
+
+    if (product.variantAxes && product.variantAxes.length > 0) {
+      return `Choose a variant of ${product.sku}`;
+    }
+
+    if (InventoryService.isStockTracked(product) && product.stock < quantity) {
+      return product.stock > 0
+        ? `Only ${product.stock} unit(s) of ${product.sku} in stock`
+        : `${product.sku} is out of stock`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Load the existing cart for a customer or guest
+   * @param {object} owner - Cart owner ({ userId } or { guestToken })
+   * @returns {Promise<object|null>} Cart document, or null when there is none
+   */
+  async findCart(owner = {}) {
+    const { userId, guestToken } = owner;
+
+    if (userId) {
+      return Cart.findOne({ user: userId });
+    }
+
+    return guestToken ? Cart.findOne({ guestToken }) : null;
+  }
+
+  /**
+   * Load the cart for a customer or guest, creating it when it does not exist (writes only)
+   * @param {object} owner - Cart owner ({ userId } or { guestToken })
+   * @returns {Promise<object>} Cart document
+   */
+  async getOrCreateCart(owner = {}) {
+    const cart = await this.findCart(owner);
+    if (cart) return cart;
+
+    // Upsert so two first writes at once share one cart instead of hitting the unique user index
+    if (owner.userId) {
+      return Cart.findOneAndUpdate(
+        { user: owner.userId },
+        { $setOnInsert: { user: owner.userId } },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+      );
+    }
+
+    return Cart.create({
+      guestToken: this.generateGuestToken(),
+      expiresAt: new Date(Date.now() + GUEST_CART_TTL_MS)
+    });
+  }
+
+  /**
+   * Reprice every line against the catalog and drop or cap lines that can no longer be sold
+   * @param {object} cart - Cart document
+   * @returns {Promise<Array>} Issues found while repricing
+   */
+  async repriceCart(cart) {
+    const issues = [];
+    const productIds = cart.items.map(item => item.product._id || item.product);
+    const products = await Product.find({ _id: { $in: productIds } }).select(`${CART_PRODUCT_FIELDS} deletedAt`);
+    const productMap = new Map(products.map(product => [product._id.toString(), product]));
+    const { customerPricing, hiddenCategories } = await PriceListService.getShopperContext(cart.user);
+
+    const items = [];
+    for (const item of cart.items) {
+      const productId = (item.product._id || item.product).toString();
+      const product = productMap.get(productId);
+
+      // Products hidden from the customer's group are dropped like ones no longer sold
+      if (product && !CustomerGroupService.isProductVisible(product, hiddenCategories)) {
+        issues.push({ product: productId, sku: product.sku, message: 'Product is no longer available; removed from cart' });
+        continue;
+      }
+
+      const issue = this.getAvailabilityIssue(product, item.quantity);
+
+      const canReduce = OrderService.isSellable(product) && product.stock > 0 &&
+        !(product.variantAxes && product.variantAxes.length > 0);
+      if (issue && !canReduce) {
+        issues.push({ product: productId, sku: product?.sku, message: `${issue}; removed from cart` });
+        continue;
+      }
+
+      if (issue) {
+        issues.push({ product: productId, sku: product.sku, message: `${issue}; quantity reduced to ${product.stock}` });
+        item.quantity = product.stock;
+      }
+
+      Object.assign(item, this.priceLine(product, item.quantity, cart.user, customerPricing));
+      items.push(item);
+    }
+
+    cart.items = items;
+    cart.calculateTotals();
+    cart.lastRepricedAt = new Date();
+    if (cart.guestToken) {
+      cart.expiresAt = new Date(Date.now() + GUEST_CART_TTL_MS);
+    }
+
+    return issues;
+  }
+
+  /**
+   * Save a cart and return it populated for the response
+   * @param {object} cart - Cart document
+   * @param {Array} issues - Issues found while repricing
+   * @returns {Promise<object>} Cart response
+   */
+  async saveAndFormat(cart, issues = []) {
+    await cart.save();
+    await cart.populate('items.product', 'productName sku price comparePrice mainImage stock stockStatus');
+
+    const cartObj = cart.toObject();
+    cartObj.issues = issues;
+    return cartObj;
+  }
+
+  /**
+   * Shape an empty cart for owners who have not added anything yet (nothing is saved)
+   * @param {object} owner - Cart owner ({ userId } or { guestToken })
+   * @returns {object} Empty cart response
+   */
+  emptyCart(owner = {}) {
+    const cartObj = new Cart({ user: owner.userId }).toObject();
+    delete cartObj._id;
+    delete cartObj.id;
+    cartObj.issues = [];
+    return cartObj;
+  }
+
+  /**
+   * Get the current cart, repriced against the catalog
+   * @param {object} owner - Cart owner ({ userId } or { guestToken })
+   * @returns {Promise<object>} Cart
+   */
+  async getCart(owner) {
+    const cart = await this.findCart(owner);
+    if (!cart) {
+      return this.emptyCart(owner);
+    }
+
+    const issues = await this.repriceCart(cart);
+    return this.saveAndFormat(cart, issues);
+  }
+
+  /**
+   * Add a product to the cart (increments quantity when the line already exists)
+   * @param {object} owner - Cart owner ({ userId } or { guestToken })
+   * @param {string} productId - Product ID
+   * @param {number} quantity - Quantity to add
+   * @returns {Promise<object>} Updated cart
+   */
+  async addItem(owner, productId, quantity = 1) {
+    if (!mongoose.Types.ObjectId.isValid(productId)) {
+      throw new ValidationError('Invalid product ID format');
+    }
+
+    const product = await Product.findOne({ _id: productId, deletedAt: { $exists: false } })
+      .select(CART_PRODUCT_FIELDS);
+    const { hiddenCategories } = await PriceListService.getShopperContext(owner.userId);
+    if (!product || !CustomerGroupService.isProductVisible(product, hiddenCategories)) {
+      throw new NotFoundError('Product');
+    }
+
+    const cart = await this.getOrCreateCart(owner);
+    const existingItem = cart.findItem(productId);
+    const newQuantity = (existingItem ? existingItem.quantity : 0) + quantity;
+
+    const issue = this.getAvailabilityIssue(product, newQuantity);
+    if (issue) {
+      throw new ValidationError(issue);
+    }
+
+    if (existingItem) {
+      existingItem.quantity = newQuantity;
+    } else {
+      cart.items.push({ product: product._id, quantity: newQuantity });
+    }
+
+    const issues = await this.repriceCart(cart);
+
+    logger.info('Cart item added', {
+      cartId: cart._id,
+      userId: owner.userId,
+      productId,
+      quantity: newQuantity
+    });
+
+    return this.saveAndFormat(cart, issues);
+  }
+
+  /**
+   * Set the quantity of a cart line
+   * @param {object} owner - Cart owner ({ userId } or { guestToken })
+   * @param {string} productId - Product ID
+   * @param {number} quantity - New quantity
+   * @returns {Promise<object>} Updated cart
+   */
+  async updateItem(owner, productId, quantity) {
+    const cart = await this.findCart(owner);
+    const item = cart && cart.findItem(productId);
+    if (!item) {
+      throw new NotFoundError('Cart item');
+    }
+
+    const product = await Product.findById(productId).select(`${CART_PRODUCT_FIELDS} deletedAt`);
+    const issue = this.getAvailabilityIssue(product, quantity);
+    if (issue) {
+      throw new ValidationError(issue);
+    }
+
+    item.quantity = quantity;
+    const issues = await this.repriceCart(cart);
+    return this.saveAndFormat(cart, issues);
+  }
+
+  /**
+   * Remove a line from the cart
+   * @param {object} owner - Cart owner ({ userId } or { guestToken })
+   * @param {string} productId - Product ID
+   * @returns {Promise<object>} Updated cart
+   */
+  async removeItem(owner, productId) {
+    const cart = await this.findCart(owner);
+    const item = cart && cart.findItem(productId);
+    if (!item) {
+      throw new NotFoundError('Cart item');
+    }
+
+    cart.items = cart.items.filter(line => line !== item);
+    const issues = await this.repriceCart(cart);
+    return this.saveAndFormat(cart, issues);
+  }
+
+  /**
+   * Remove all lines from the cart
+   * @param {object} owner - Cart owner ({ userId } or { guestToken })
+   * @returns {Promise<object>} Empty cart
+   */
+  async clearCart(owner) {
+    const cart = await this.findCart(owner);
+    if (!cart) {
+      return this.emptyCart(owner);
+    }
+
+    cart.items = [];
+    cart.calculateTotals();
+    return this.saveAndFormat(cart);
+  }
+
+  /**
+   * Merge a guest cart into a customer's cart and delete the guest cart
+   * @param {string} guestToken - Guest cart token
+   * @param {string} userId - Customer user ID
+   * @returns {Promise<object>} Merged customer cart
+   */
+  async mergeGuestCart(guestToken, userId) {
+    const cart = await this.getOrCreateCart({ userId });
+    const guestCart = guestToken ? await Cart.findOne({ guestToken }) : null;
+
+    if (guestCart) {
+      guestCart.items.forEach(guestItem => {
+        const existingItem = cart.findItem(guestItem.product);
+        if (existingItem) {
+          existingItem.quantity += guestItem.quantity;
+        } else {
+          cart.items.push({ product: guestItem.product, quantity: guestItem.quantity });
+        }
+      });
+    }
+
+    const issues = await this.repriceCart(cart);
+    const merged = await this.saveAndFormat(cart, issues);
+
+    // Only drop the guest cart once its items are saved in the customer's cart
+    if (guestCart) {
+      await Cart.deleteOne({ _id: guestCart._id });
+
+      logger.info('Guest cart merged', {
+        cartId: cart._id,
+        guestCartId: guestCart._id,
+        userId,
+        mergedLines: guestCart.items.length
+      });
+    }
+
+    return merged;
+  }
+
+  /**
+   * Convert the customer's cart into an order and empty the cart
+   * @param {object} user - Authenticated customer
+   * @param {object} checkoutData - Addresses (or a company address ID), payment info, shipping method and notes
+   * @returns {Promise<object>} Created order
+   */
+  async checkout(user, checkoutData = {}) {
+    const cart = await this.findCart({ userId: user._id });
+    if (!cart || cart.items.length === 0) {
+      throw new ValidationError('Cart is empty');
+    }
+
+    // Reject checkout when repricing changed the cart so the customer can review it first
+    const issues = await this.repriceCart(cart);
+    if (issues.length > 0) {
+      await cart.save();
+      throw new ValidationError('Some cart items are no longer available as requested', issues);
+    }
+
+    const { shippingAddress, billingAddress, companyAddressId, paymentInfo, shippingMethod, notes } = checkoutData;
+    const orderData = {
+      items: cart.items.map(item => ({
+        product: item.product,
+        quantity: item.quantity
+      })),
+      shippingAddress,
+      billingAddress,
+      companyAddressId,
+      paymentInfo,
+      shippingMethod,
+      notes,
+      currency: cart.currency
+    };
+
+    const order = await OrderService.createOrder(orderData, user);
+
+    cart.items = [];
+    cart.calculateTotals();
+    await cart.save();
+
+    logger.info('Cart checked out', {
+      cartId: cart._id,
+      userId: user._id,
+      orderId: order._id,
+      orderNumber: order.orderNumber
+    });
+
+    return order;
+  }
+}
+
+module.exports = new CartService();
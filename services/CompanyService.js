@@ -0,0 +1,703 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Company = require('../models/Company');
+const CompanyInvitation = require('../models/CompanyInvitation');
+const Order = require('../models/Order');
+const User = require('../models/User');
+const { sendEmail, escapeHtml, renderEmailLayout } = require('../utils/email');
+const { NotFoundError, ValidationError, ConflictError, AuthorizationError } = require('../middleware/errorHandler');
+const { logger } = require('../middleware/logger');
+
+// What each company role may do
+const ROLE_PERMISSIONS = {
+  owner: ['manage_company', 'manage_members', 'manage_addresses', 'place_orders', 'approve_orders', 'view_orders'],
+  approver: ['manage_addresses', 'place_orders', 'approve_orders', 'view_orders'],
+  buyer: ['place_orders', 'view_orders'],
+  viewer: ['view_orders']
+};
+
+// Fields an owner may set on the company
+const COMPANY_FIELDS = ['tradingName', 'legalName', 'abn', 'email', 'phone'];
+
+const ADDRESS_FIELDS = ['label', 'contactName', 'phone', 'addressLine1', 'addressLine2', 'city', 'state', 'postalCode', 'country', 'isDefault'];
+
+const INVITATION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+const hashToken = token => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Company Service - Business accounts whose members share addresses and order history
+ */
+class CompanyService {
+  /**
+   * Read page and limit from query options
+   * @param {object} options - Query options
+   * @returns {object} { page, limit }
+   */
+  getPaging(options = {}) {
+    return {
+      page: Math.max(parseInt(options.page, 10) || 1, 1),
+      limit: Math.min(Math.max(parseInt(options.limit, 10) || 10, 1), 100)
+    };
+  }
+
+  /**
+   * Find the active company a user belongs to
+   * @param {string} userId - User ID
+   * @returns {Promise<object|null>} { company, member } or null when the user has no company
+   */
+  async getMembership(userId) {
+    const company = await Company.findOne({ 'members.user': userId, isActive: true });
+    if (!company) return null;
+    return { company, member: company.findMember(userId) };
+  }
+
+  /**
+   * Load the caller's company, failing when they are not in one
+   * @param {string} userId - User ID
+   * @returns {Promise<object>} { company, member }
+   */
+  async getRequiredMembership(userId) {
+    const membership = await this.getMembership(userId);
+    if (!membership) {
+      throw new NotFoundError('Company');
+    }
+    return membership;
+  }
+
+  /**
+   * Check whether a member's role allows an action
+   * @param {object} membership - { company, member }
+   * @param {string} permission - Permission from ROLE_PERMISSIONS
+   * @returns {boolean} True when allowed
+   */
+  can(membership, permission) {
+    return Boolean(membership && (ROLE_PERMISSIONS[membership.member.role] || []).includes(permission));
+  }
+
+  /**
+   * Fail unless a member's role allows an action
+   * @param {object} membership - { company, member }
+   * @param {string} permission - Permission from ROLE_PERMISSIONS
+   * @returns {void}
+   */
+  assertCan(membership, permission) {
+    if (!this.can(membership, permission)) {
+      throw new AuthorizationError(`Your company role (${membership.member.role}) does not allow this action`);
+    }
+  }
+
+  /**
+   * Check that no other company is registered with an ABN
+   * @param {string} abn - ABN (spaces allowed)
+   * @param {string} excludeId - Company being updated (optional)
+   * @returns {Promise<void>}
+   */
+  async assertAbnAvailable(abn, excludeId = null) {
+    const filter = { abn: String(abn).replace(/\s/g, '') };
+    if (excludeId) filter._id = { $ne: excludeId };
+    if (await Company.exists(filter)) {
+      throw new ConflictError('A company with this ABN is already registered');
+    }
+  }
+
+  /**
+   * Keep a single default delivery address
+   * @param {object} company - Company document
+   * @param {object} address - Address that was just set as default
+   * @returns {void}
+   */
+  clearOtherDefaultAddresses(company, address) {
+    if (!address.isDefault) return;
+    company.addresses.forEach(other => {
+      if (other !== address) other.isDefault = false;
+    });
+  }
+
+  /**
+   * Shape a company for a member, with their role and permissions
+   * @param {object} company - Company document
+   * @param {object} member - The caller's member entry
+   * @returns {Promise<object>} Company with populated members
+   */
+  async formatCompany(company, member) {
+    await company.populate('members.user', 'firstName lastName email');
+    const companyObj = company.toObject();
+    companyObj.myRole = member.role;
+    companyObj.permissions = ROLE_PERMISSIONS[member.role];
+    return companyObj;
+  }
+
+  /**
+   * Register a company with the caller as its owner
+   * @param {object} data - Company fields and billingAddress
+   * @param {object} user - Customer creating the company
+   * @returns {Promise<object>} Created company
+   */
+  async createCompany(data, user) {
+    if (await Company.exists({ 'members.user': user._id })) {
+      throw new ConflictError('You already belong to a company');
+    }
+    await this.assertAbnAvailable(data.abn);
+
+    const company = new Company({
+      billingAddress: data.billingAddress,
+      members: [{ user: user._id, role: 'owner' }],
+      createdBy: user._id
+    });
+    COMPANY_FIELDS.forEach(field => {
+      if (data[field] !== undefined) company[field] = data[field];
+    });
+    await company.save();
+
+    logger.info('Company created', { companyId: company._id, userId: user._id, abn: company.abn });
+
+    return this.formatCompany(company, company.members[0]);
+  }
+
+  /**
+   * Get the caller's company
+   * @param {object} user - Company member
+   * @returns {Promise<object>} Company with the caller's role
+   */
+  async getMyCompany(user) {
+    const { company, member } = await this.getRequiredMembership(user._id);
+    return this.formatCompany(company, member);
+  }
+
+  /**
+   * Update the caller's company details
+   * @param {object} user - Company owner
+   * @param {object} data - Fields to change
+   * @returns {Promise<object>} Updated company
+   */
+  async updateCompany(user, data) {
+    const membership = await this.getRequiredMembership(user._id);
+    this.assertCan(membership, 'manage_company');
+    const { company, member } = membership;
+
+    if (data.abn !== undefined) {
+      await this.assertAbnAvailable(data.abn, company._id);
+    }
+    COMPANY_FIELDS.forEach(field => {
+      if (data[field] !== undefined) company[field] = data[field];
+    });
+    if (data.billingAddress !== undefined) {
+      company.billingAddress = data.billingAddress;
+    }
+    await company.save();
+
+    logger.info('Company updated', { companyId: company._id, userId: user._id });
+
+    return this.formatCompany(company, member);
+  }
+
+  /**
+   * Find a member of the caller's company
+   * @param {object} company - Company document
+   * @param {string} memberId - Member's user ID
+   * @returns {object} Member entry
+   */
+  getMember(company, memberId) {
+    const member = mongoose.Types.ObjectId.isValid(memberId) ? company.findMember(memberId) : null;
+    if (!member) {
+      throw new NotFoundError('Company member');
+    }
+    return member;
+  }
+
+  /**
+   * Fail when a change would leave the company without an owner
+   * @param {object} company - Company document
+   * @param {object} member - Member losing the owner role
+   * @returns {void}
+   */
+  assertKeepsOwner(company, member) {
+    if (member.role !== 'owner') return;
+    const owners = company.members.filter(other => other.role === 'owner');
+    if (owners.length === 1) {
+      throw new ValidationError('A company must keep at least one owner');
+    }
+  }
+
+  /**
+   * Change a member's company role
+   * @param {object} user - Company owner
+   * @param {string} memberId - Member's user ID
+   * @param {string} role - New role
+   * @returns {Promise<object>} Updated company
+   */
+  async updateMemberRole(user, memberId, role) {
+    const membership = await this.getRequiredMembership(user._id);
+    this.assertCan(membership, 'manage_members');
+    const { company } = membership;
+
+    const member = this.getMember(company, memberId);
+    if (role !== 'owner') {
+      this.assertKeepsOwner(company, member);
+    }
+    member.role = role;
+    await company.save();
+
+    logger.info('Company member role changed', { companyId: company._id, memberId, role, userId: user._id });
+
+    return this.formatCompany(company, company.findMember(user._id));
+  }
+
+  /**
+   * Remove a member from the company; any member may remove themselves
+   * @param {object} user - Company owner or the leaving member
+   * @param {string} memberId - Member's user ID
+   * @returns {Promise<void>}
+   */
+  async removeMember(user, memberId) {
+    const membership = await this.getRequiredMembership(user._id);
+    if (memberId !== user._id.toString()) {
+      this.assertCan(membership, 'manage_members');
+    }
+    const { company } = membership;
+
+    const member = this.getMember(company, memberId);
+    this.assertKeepsOwner(company, member);
+    company.members = company.members.filter(other => other !== member);
+    await company.save();
+
+    logger.info('Company member removed', { companyId: company._id, memberId, userId: user._id });
+  }
+
+  /**
+   * List the company's invitations
+   * @param {object} user - Company owner
+   * @param {object} options - Query options (status)
+   * @returns {Promise<Array>} Invitations, newest first
+   */
+  async getInvitations(user, options = {}) {
+    const membership = await this.getRequiredMembership(user._id);
+    this.assertCan(membership, 'manage_members');
+
+    const filter = { company: membership.company._id };
+    if (options.status) filter.status = options.status;
+
+    return CompanyInvitation.find(filter)
+      .populate('invitedBy', 'firstName lastName email')
+      .sort({ createdAt: -1 })
+      .lean();
+  }
+
+  /**
+   * Invite someone to the company by email. A pending invitation to the same address is replaced.
+   * @param {object} user - Company owner
+   * @param {object} data - { email, role }
+   * @returns {Promise<object>} { invitation, emailSent }
+   */
+  async createInvitation(user, data) {
+    const membership = await this.getRequiredMembership(user._id);
+    this.assertCan(membership, 'manage_members');
+    const { company } = membership;
+    const email = data.email.toLowerCase().trim();
+
+    const existingUser = await User.findOne({ email }).select('_id').lean();
+    if (existingUser && company.findMember(existingUser._id)) {
+      throw new ConflictError('This person is already a member of the company');
+    }
+
+    await CompanyInvitation.updateMany(
+      { company: company._id, email, status: 'pending' },
+      { status: 'revoked' }
+    );
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const invitation = await CompanyInvitation.create({
+      company: company._id,
+      email,
+      role: data.role || 'buyer',
+      tokenHash: hashToken(token),
+      expiresAt: new Date(Date.now() + INVITATION_TTL_MS),
+      invitedBy: user._id
+    });
+
+    const emailSent = await this.sendInvitationEmail(invitation, company, user, token);
+    if (emailSent) {
+      invitation.emailSentAt = new Date();
+      await invitation.save();
+    }
+
+    logger.info('Company invitation created', { companyId: company._id, invitationId: invitation._id, userId: user._id, emailSent });
+
+    const invitationObj = invitation.toObject();
+    delete invitationObj.tokenHash;
+    return { invitation: invitationObj, emailSent };
+  }
+
+  /**
+   * Email an invitation link
+   * @param {object} invitation - Invitation
+   * @param {object} company - Company
+   * @param {object} inviter - Member who sent the invitation
+   * @param {string} token - Plain invitation token
+   * @returns {Promise<boolean>} True when the email was sent
+   */
+  async sendInvitationEmail(invitation, company, inviter, token) {
+    const companyName = process.env.COMPANY_NAME || 'Online Electrical Wholesale';
+    const companyWebsite = process.env.COMPANY_WEBSITE || 'https://onlineelectricalwholesale.com.au';
+    const acceptUrl = `${companyWebsite}/company/invitations/accept?token=${token}`;
+    const inviterName = `${inviter.firstName || ''} ${inviter.lastName || ''}`.trim() || inviter.email;
+    const subject = `You're invited to join ${company.tradingName} on ${companyName}`;
+    const summary = `${inviterName} has invited you to order for ${company.tradingName} as a ${invitation.role}.`;
+
+    const html = renderEmailLayout(subject, `
+                  <p style="margin: 0 0 20px; color: #666666; font-size: 16px; line-height: 1.6;">Hello,</p>
+                  <p style="margin: 0 0 20px; color: #666666; font-size: 16px; line-height: 1.6;">${escapeHtml(summary)}</p>
+                  <p style="margin: 0 0 20px;">
+                    <a href="${escapeHtml(acceptUrl)}" style="display: inline-block; padding: 12px 24px; background-color: #007bff; color: #ffffff; border-radius: 6px; text-decoration: none; font-size: 16px;">Accept invitation</a>
+                  </p>
+                  <p style="margin: 0; color: #999999; font-size: 14px; line-height: 1.6;">Sign in or register with ${escapeHtml(invitation.email)} to accept. This invitation expires on ${escapeHtml(invitation.expiresAt.toDateString())}.</p>`);
+
+    const text = `${subject}\n\n${summary}\n\nAccept the invitation: ${acceptUrl}\n\n` +
+      `Sign in or register with ${invitation.email} to accept. This invitation expires on ${invitation.expiresAt.toDateString()}.`;
+
+    return sendEmail(invitation.email, subject, html, text);
+  }
+
+  /**
+   * Revoke a pending invitation
+   * @param {object} user - Company owner
+   * @param {string} invitationId - Invitation ID
+   * @returns {Promise<object>} Revoked invitation
+   */
+  async revokeInvitation(user, invitationId) {
+    const membership = await this.getRequiredMembership(user._id);
+    this.assertCan(membership, 'manage_members');
+
+    const invitation = await CompanyInvitation.findOne({ _id: invitationId, company: membership.company._id });
+    if (!invitation) {
+      throw new NotFoundError('Invitation');
+    }
+    if (invitation.status !== 'pending') {
+      throw new ValidationError(`Invitation is already ${invitation.status}`);
+    }
+
+    invitation.status = 'revoked';
+    await invitation.save();
+
+    logger.info('Company invitation revoked', { companyId: membership.company._id, invitationId, userId: user._id });
+
+    return invitation;
+  }
+
+  /**
+   * Join a company with an emailed invitation token
+   * @param {string} token - Plain invitation token
+   * @param {object} user - Signed-in customer the invitation was sent to
+   * @returns {Promise<object>} Joined company
+   */
+  async acceptInvitation(token, user) {
+    const invitation = await CompanyInvitation.findOne({ tokenHash: hashToken(token) });
+    if (!invitation || invitation.status === 'revoked') {
+      throw new NotFoundError('Invitation');
+    }
+    if (invitation.status === 'accepted') {
+      throw new ValidationError('Invitation has already been accepted');
+    }
+    if (invitation.expiresAt < new Date()) {
+      throw new ValidationError('Invitation has expired; ask for a new one');
+    }
+    if (invitation.email !== user.email.toLowerCase()) {
+      throw new AuthorizationError('This invitation was sent to a different email address');
+    }
+    if (await Company.exists({ 'members.user': user._id })) {
+      throw new ConflictError('You already belong to a company');
+    }
+
+    // Claim the invitation before joining so it can only be used once
+    const claimed = await CompanyInvitation.findOneAndUpdate(
+      { _id: invitation._id, status: 'pending', expiresAt: { $gt: new Date() } },
+      { $set: { status: 'accepted', acceptedBy: user._id, acceptedAt: new Date() } },
+      { new: true }
+    );
+    if (!claimed) {
+      throw new ValidationError('Invitation has already been accepted');
+    }
+
+    const releaseClaim = () => CompanyInvitation.updateOne(
+      { _id: invitation._id },
+      { $set: { status: 'pending' }, $unset: { acceptedBy: 1, acceptedAt: 1 } }
+    );
+
+    const company = await Company.findOne({ _id: invitation.company, isActive: true });
+    if (!company) {
+      await releaseClaim();
+      throw new NotFoundError('Company');
+    }
+
+    company.members.push({ user: user._id, role: invitation.role, invitedBy: invitation.invitedBy });
+    try {
+      await company.save();
+    } catch (error) {
+      await releaseClaim();
+      // The members index allows a customer in only one company
+      if (error.code === 11000) {
+        throw new ConflictError('You already belong to a company');
+      }
+      throw error;
+    }
+
+    logger.info('Company invitation accepted', { companyId: company._id, invitationId: invitation._id, userId: user._id });
+
+    return this.formatCompany(company, company.findMember(user._id));
+  }
+
+  /**
+   * List the company's shared delivery addresses
+   * @param {object} user - Company member
+   * @returns {Promise<Array>} Addresses, default first
+   */
+  async getAddresses(user) {
+    const { company } = await this.getRequiredMembership(user._id);
+    return company.addresses
+      .map(address => address.toObject())
+      .sort((a, b) => Number(b.isDefault) - Number(a.isDefault));
+  }
+
+  /**
+   * Find one of the company's delivery addresses
+   * @param {object} company - Company document
+   * @param {string} addressId - Address ID
+   * @returns {object} Address subdocument
+   */
+  getAddress(company, addressId) {
+    const address = mongoose.Types.ObjectId.isValid(addressId) ? company.addresses.id(addressId) : null;
+    if (!address) {
+      throw new NotFoundError('Company address');
+    }
+    return address;
+  }
+
+  /**
+   * Add a shared delivery address
+   * @param {object} user - Company owner or approver
+   * @param {object} data - Address fields
+   * @returns {Promise<object>} Created address
+   */
+  async addAddress(user, data) {
+    const membership = await this.getRequiredMembership(user._id);
+    this.assertCan(membership, 'manage_addresses');
+    const { company } = membership;
+
+    const fields = {};
+    ADDRESS_FIELDS.forEach(field => {
+      if (data[field] !== undefined) fields[field] = data[field];
+    });
+    if (company.addresses.length === 0) fields.isDefault = true;
+
+    company.addresses.push(fields);
+    const address = company.addresses[company.addresses.length - 1];
+    this.clearOtherDefaultAddresses(company, address);
+    await company.save();
+
+    logger.info('Company address added', { companyId: company._id, addressId: address._id, userId: user._id });
+
+    return address;
+  }
+
+  /**
+   * Update a shared delivery address
+   * @param {object} user - Company owner or approver
+   * @param {string} addressId - Address ID
+   * @param {object} data - Fields to change
+   * @returns {Promise<object>} Updated address
+   */
+  async updateAddress(user, addressId, data) {
+    const membership = await this.getRequiredMembership(user._id);
+    this.assertCan(membership, 'manage_addresses');
+    const { company } = membership;
+
+    const address = this.getAddress(company, addressId);
+    ADDRESS_FIELDS.forEach(field => {
+      if (data[field] !== undefined) address[field] = data[field];
+    });
+    this.clearOtherDefaultAddresses(company, address);
+    await company.save();
+
+    logger.info('Company address updated', { companyId: company._id, addressId, userId: user._id });
+
+    return address;
+  }
+
+  /**
+   * Delete a shared delivery address; the next address becomes the default
+   * @param {object} user - Company owner or approver
+   * @param {string} addressId - Address ID
+   * @returns {Promise<void>}
+   */
+  async deleteAddress(user, addressId) {
+    const membership = await this.getRequiredMembership(user._id);
+    this.assertCan(membership, 'manage_addresses');
+    const { company } = membership;
+
+    const address = this.getAddress(company, addressId);
+    const wasDefault = address.isDefault;
+    address.deleteOne();
+    if (wasDefault && company.addresses.length > 0) {
+      company.addresses[0].isDefault = true;
+    }
+    await company.save();
+
+    logger.info('Company address deleted', { companyId: company._id, addressId, userId: user._id });
+  }
+
+  /**
+   * Copy a company address onto an order address
+   * @param {object} address - Company address
+   * @param {object} user - Customer placing the order
+   * @param {object} company - Company
+   * @returns {object} Order address
+   */
+  toOrderAddress(address, user, company) {
+    const [firstName, ...rest] = (address.contactName || '').trim().split(/\s+/);
+    const lastName = rest.join(' ');
+
+    return {
+      firstName: firstName || user.firstName,
+      lastName: lastName || user.lastName,
+      company: company.tradingName,
+      addressLine1: address.addressLine1,
+      addressLine2: address.addressLine2 || '',
+      city: address.city,
+      state: address.state,
+      country: address.country || 'Australia',
+      postalCode: address.postalCode,
+      phone: address.phone || company.phone || user.phoneNumber || ''
+    };
+  }
+
+  /**
+   * Get the company's default delivery address as an order address
+   * @param {object} company - Company document
+   * @param {object} user - Customer placing the order
+   * @param {string} addressId - Address to use instead of the default (optional)
+   * @returns {object|null} Order address or null when the company has no addresses
+   */
+  getOrderAddress(company, user, addressId = null) {
+    const address = addressId
+      ? this.getAddress(company, addressId)
+      : company.addresses.find(other => other.isDefault) || company.addresses[0];
+    return address ? this.toOrderAddress(address, user, company) : null;
+  }
+
+  /**
+   * List orders placed by every member of the caller's company
+   * @param {object} user - Company member
+   * @param {object} options - Query options (status, approvalStatus, customer, page, limit)
+   * @returns {Promise<object>} Orders and pagination
+   */
+  async getCompanyOrders(user, options = {}) {
+    const membership = await this.getRequiredMembership(user._id);
+    this.assertCan(membership, 'view_orders');
+    const { page, limit } = this.getPaging(options);
+
+    const filter = { company: membership.company._id, isActive: true };
+    if (options.status) filter.status = options.status;
+    if (options.approvalStatus) filter['approval.status'] = options.approvalStatus;
+    if (options.customer) filter.customer = options.customer;
+
+    const [orders, total] = await Promise.all([
+      Order.find(filter)
+        .populate('customer', 'firstName lastName email')
+        .populate('items.product', 'productName sku price')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Order.countDocuments(filter)
+    ]);
+
+    return {
+      orders,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Check whether a user may see an order through their company
+   * @param {object} order - Order (customer and company as IDs or populated)
+   * @param {string} userId - User ID
+   * @returns {Promise<boolean>} True when the order belongs to the user's company and their role can view orders
+   */
+  async canViewCompanyOrder(order, userId) {
+    if (!order.company) return false;
+    const membership = await this.getMembership(userId);
+    return Boolean(membership) &&
+      membership.company._id.toString() === (order.company._id || order.company).toString() &&
+      this.can(membership, 'view_orders');
+  }
+
+  /**
+   * List companies for admins
+   * @param {object} options - Query options (search, isActive, page, limit)
+   * @returns {Promise<object>} Companies and pagination
+   */
+  async getCompanies(options = {}) {
+    const { page, limit } = this.getPaging(options);
+
+    const filter = {};
+    if (options.isActive !== undefined) filter.isActive = options.isActive === true || options.isActive === 'true';
+    if (options.search) {
+      const pattern = { $regex: options.search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+      filter.$or = [{ tradingName: pattern }, { legalName: pattern }, { abn: options.search.replace(/\s/g, '') }];
+    }
+
+    const [companies, total] = await Promise.all([
+      Company.find(filter)
+        .select('-addresses')
+        .sort({ tradingName: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Company.countDocuments(filter)
+    ]);
+
+    companies.forEach(company => {
+      company.memberCount = company.members.length;
+      delete company.members;
+    });
+
+    return {
+      companies,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Get a company with its members for admins
+   * @param {string} companyId - Company ID
+   * @returns {Promise<object>} Company
+   */
+  async getCompany(companyId) {
+    if (!mongoose.Types.ObjectId.isValid(companyId)) {
+      throw new ValidationError('Invalid company ID format');
+    }
+
+    const company = await Company.findById(companyId)
+      .populate('members.user', 'firstName lastName email phoneNumber')
+      .lean();
+    if (!company) {
+      throw new NotFoundError('Company');
+    }
+
+    company.orderCount = await Order.countDocuments({ company: company._id });
+    return company;
+  }
+}
+
+module.exports = new CompanyService();
@@ -0,0 +1,322 @@
+const mongoose = require('mongoose');
+const CustomerGroup = require('../models/CustomerGroup');
+const Category = require('../models/Category');
+const User = require('../models/User');
+const PriceList = require('../models/PriceList');
+const PromoCode = require('../models/PromoCode');
+const { NotFoundError, ValidationError, ConflictError } = require('../middleware/errorHandler');
+const { logger } = require('../middleware/logger');
+
+// Fields an admin may set on a group
+const GROUP_FIELDS = ['name', 'code', 'description', 'defaultDiscount', 'paymentTermsDays', 'minimumOrderValue', 'isDefault', 'isActive'];
+
+/**
+ * Customer Group Service - Trade tiers and the terms, pricing and catalog visibility they carry
+ */
+class CustomerGroupService {
+  /**
+   * Read page and limit from query options
+   * @param {object} options - Query options
+   * @returns {object} { page, limit }
+   */
+  getPaging(options = {}) {
+    return {
+      page: Math.max(parseInt(options.page, 10) || 1, 1),
+      limit: Math.min(Math.max(parseInt(options.limit, 10) || 10, 1), 100)
+    };
+  }
+
+  /**
+   * Find the group a customer buys on: their own active group, otherwise the default group
+   * @param {object} customer - User or { _id } (optional; guests get the default group)
+   * @returns {Promise<object|null>} Customer group or null when none applies
+   */
+  async getCustomerGroup(customer) {
+    let groupId = customer?.customerGroup;
+
+    // Callers that only know the user ID pass { _id }
+    if (groupId === undefined && customer?._id && !customer.role) {
+      const user = await User.findById(customer._id).select('customerGroup').lean();
+      groupId = user?.customerGroup;
+    }
+
+    if (groupId) {
+      const group = await CustomerGroup.findOne({ _id: groupId._id || groupId, isActive: true }).lean();
+      if (group) return group;
+    }
+
+    return CustomerGroup.findOne({ isDefault: true, isActive: true }).lean();
+  }
+
+  /**
+   * Get the categories hidden from a group, including every subcategory
+   * @param {object} group - Customer group (optional)
+   * @returns {Promise<Array>} Category ObjectIds
+   */
+  async getHiddenCategoryIds(group) {
+    if (!group || !group.hiddenCategories || group.hiddenCategories.length === 0) return [];
+
+    const categories = await Category.find().select('parent').lean();
+    const children = new Map();
+    categories.forEach(category => {
+      if (!category.parent) return;
+      const parentId = category.parent.toString();
+      if (!children.has(parentId)) children.set(parentId, []);
+      children.get(parentId).push(category._id.toString());
+    });
+
+    const hidden = new Set();
+    const queue = group.hiddenCategories.map(category => (category._id || category).toString());
+    while (queue.length > 0) {
+      const categoryId = queue.shift();
+      if (hidden.has(categoryId)) continue;
+      hidden.add(categoryId);
+      queue.push(...(children.get(categoryId) || []));
+    }
+
+    return [...hidden].map(id => new mongoose.Types.ObjectId(id));
+  }
+
+  /**
+   * Check whether a product is outside every hidden category
+   * @param {object} product - Product with categories (IDs or populated)
+   * @param {Array} hiddenCategories - Category IDs from getHiddenCategoryIds
+   * @returns {boolean} True when the product may be shown
+   */
+  isProductVisible(product, hiddenCategories = []) {
+    if (!product || hiddenCategories.length === 0) return true;
+
+    const hidden = new Set(hiddenCategories.map(String));
+    return !(product.categories || []).some(category => hidden.has((category._id || category).toString()));
+  }
+
+  /**
+   * Check that every hidden category exists
+   * @param {Array} categoryIds - Category IDs
+   * @returns {Promise<Array>} Unique category IDs
+   */
+  async validateCategories(categoryIds = []) {
+    const ids = [...new Set(categoryIds.map(String))];
+    if (ids.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+      throw new ValidationError('Invalid category ID format');
+    }
+
+    const found = await Category.countDocuments({ _id: { $in: ids } });
+    if (found !== ids.length) {
+      throw new ValidationError('One or more categories were not found');
+    }
+    return ids;
+  }
+
+  /**
+   * Check that a group name and code are not used by another group
+   * @param {object} data - { name, code }
+   * @param {string} excludeId - Group being updated (optional)
+   * @returns {Promise<void>}
+   */
+  async assertUnique(data, excludeId = null) {
+    const conditions = [];
+    if (data.name !== undefined) conditions.push({ name: data.name });
+    if (data.code !== undefined) conditions.push({ code: data.code.toLowerCase() });
+    if (conditions.length === 0) return;
+
+    const filter = { $or: conditions };
+    if (excludeId) filter._id = { $ne: excludeId };
+    const existing = await CustomerGroup.findOne(filter).select('name code').lean();
+    if (existing) {
+      throw new ConflictError(existing.name === data.name
+        ? 'A customer group with this name already exists'
+        : 'A customer group with this code already exists');
+    }
+  }
+
+  /**
+   * List customer groups with their member counts
+   * @param {object} options - Query options (isActive, search, page, limit)
+   * @returns {Promise<object>} Customer groups and pagination
+   */
+  async getGroups(options = {}) {
+    const { page, limit } = this.getPaging(options);
+
+    const filter = {};
+    if (options.isActive !== undefined) filter.isActive = options.isActive === true || options.isActive === 'true';
+    if (options.search) {
+      const pattern = { $regex: options.search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+      filter.$or = [{ name: pattern }, { code: pattern }];
+    }
+
+    const [groups, total] = await Promise.all([
+      CustomerGroup.find(filter)
+        .populate('hiddenCategories', 'name slug')
+        .sort({ name: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      CustomerGroup.countDocuments(filter)
+    ]);
+
+    const counts = await User.aggregate([
+      { $match: { customerGroup: { $in: groups.map(group => group._id) } } },
+      { $group: { _id: '$customerGroup', count: { $sum: 1 } } }
+    ]);
+    const countMap = new Map(counts.map(count => [count._id.toString(), count.count]));
+    groups.forEach(group => {
+      group.customerCount = countMap.get(group._id.toString()) || 0;
+    });
+
+    return {
+      groups,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Load a customer group by ID
+   * @param {string} groupId - Customer group ID
+   * @returns {Promise<object>} Customer group document
+   */
+  async getGroupDocument(groupId) {
+    if (!mongoose.Types.ObjectId.isValid(groupId)) {
+      throw new ValidationError('Invalid customer group ID format');
+    }
+
+    const group = await CustomerGroup.findById(groupId);
+    if (!group) {
+      throw new NotFoundError('Customer group');
+    }
+    return group;
+  }
+
+  /**
+   * Get a customer group with its hidden categories and member count
+   * @param {string} groupId - Customer group ID
+   * @returns {Promise<object>} Customer group
+   */
+  async getGroup(groupId) {
+    const group = await this.getGroupDocument(groupId);
+    await group.populate('hiddenCategories', 'name slug');
+
+    const groupObj = group.toObject();
+    groupObj.customerCount = await User.countDocuments({ customerGroup: group._id });
+    return groupObj;
+  }
+
+  /**
+   * Make a group the only default group
+   * @param {object} group - Customer group document
+   * @returns {Promise<void>}
+   */
+  async clearOtherDefaults(group) {
+    if (!group.isDefault) return;
+    await CustomerGroup.updateMany({ _id: { $ne: group._id }, isDefault: true }, { isDefault: false });
+  }
+
+  /**
+   * Create a customer group
+   * @param {object} data - Group fields and hiddenCategories
+   * @param {string} userId - Admin creating the group
+   * @returns {Promise<object>} Created customer group
+   */
+  async createGroup(data, userId) {
+    await this.assertUnique(data);
+
+    const group = new CustomerGroup({ createdBy: userId });
+    GROUP_FIELDS.forEach(field => {
+      if (data[field] !== undefined) group[field] = data[field];
+    });
+    group.hiddenCategories = await this.validateCategories(data.hiddenCategories);
+    await group.save();
+    await this.clearOtherDefaults(group);
+
+    logger.info('Customer group created', { groupId: group._id, userId, code: group.code });
+
+    return group;
+  }
+
+  /**
+   * Update a customer group
+   * @param {string} groupId - Customer group ID
+   * @param {object} data - Fields to change
+   * @param {string} userId - Admin making the change
+   * @returns {Promise<object>} Updated customer group
+   */
+  async updateGroup(groupId, data, userId) {
+    const group = await this.getGroupDocument(groupId);
+    await this.assertUnique({
+      name: data.name !== undefined && data.name !== group.name ? data.name : undefined,
+      code: data.code !== undefined && data.code.toLowerCase() !== group.code ? data.code : undefined
+    }, group._id);
+
+    GROUP_FIELDS.forEach(field => {
+      if (data[field] !== undefined) group[field] = data[field];
+    });
+    if (data.hiddenCategories !== undefined) {
+      group.hiddenCategories = await this.validateCategories(data.hiddenCategories);
+    }
+    group.updatedBy = userId;
+    await group.save();
+    await this.clearOtherDefaults(group);
+
+    logger.info('Customer group updated', { groupId, userId });
+
+    return group;
+  }
+
+  /**
+   * Delete a customer group that no customer or promo code uses. Price lists stop targeting it.
+   * @param {string} groupId - Customer group ID
+   * @param {string} userId - Admin deleting the group
+   * @returns {Promise<void>}
+   */
+  async deleteGroup(groupId, userId) {
+    const group = await this.getGroupDocument(groupId);
+
+    const [customerCount, promoCodeCount] = await Promise.all([
+      User.countDocuments({ customerGroup: group._id }),
+      PromoCode.countDocuments({ customerGroups: group._id })
+    ]);
+    if (customerCount > 0 || promoCodeCount > 0) {
+      throw new ConflictError(
+        `Customer group is used by ${customerCount} customer(s) and ${promoCodeCount} promo code(s); reassign them or deactivate the group instead`
+      );
+    }
+
+    await PriceList.updateMany({ customerGroups: group._id }, { $pull: { customerGroups: group._id } });
+    await group.deleteOne();
+
+    logger.info('Customer group deleted', { groupId, userId, code: group.code });
+  }
+
+  /**
+   * Put a customer in a group, or back on the default group
+   * @param {string} customerId - Customer user ID
+   * @param {string|null} groupId - Customer group ID (null removes the customer's group)
+   * @param {string} userId - Admin making the change
+   * @returns {Promise<object|null>} The customer's new group
+   */
+  async assignCustomer(customerId, groupId, userId) {
+    const customer = await User.findOne({ _id: customerId, role: 'user' });
+    if (!customer) {
+      throw new NotFoundError('Customer');
+    }
+
+    const group = groupId ? await this.getGroupDocument(groupId) : null;
+    if (group && !group.isActive) {
+      throw new ValidationError('Customers cannot be assigned to an inactive customer group');
+    }
+
+    customer.customerGroup = group ? group._id : undefined;
+    await customer.save({ validateBeforeSave: false });
+
+    logger.info('Customer group assigned', { customerId, groupId: group ? group._id : null, userId });
+
+    return group;
+  }
+}
+
+module.exports = new CustomerGroupService();
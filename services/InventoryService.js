@@ -0,0 +1,818 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const Order = require('../models/Order');
+const InventoryMovement = require('../models/InventoryMovement');
+const Warehouse = require('../models/Warehouse');
+const WarehouseStock = require('../models/WarehouseStock');
+const WarehouseService = require('./WarehouseService');
+const { NotFoundError, ValidationError } = require('../middleware/errorHandler');
+const { logger } = require('../middleware/logger');
+
+// Recalculates stockStatus inside the same atomic update as the stock change
+// (mirrors the Product pre-save hook; pre-order products keep their status)
+const STOCK_STATUS_STAGE = {
+  $set: {
+    stockStatus: {
+      $cond: [
+        { $or: [{ $eq: ['$stockStatus', 'pre_order'] }, { $ne: ['$trackQuantity', true] }] },
+        '$stockStatus',
+        {
+          $switch: {
+            branches: [
+              { case: { $lte: ['$stock', 0] }, then: 'out_of_stock' },
+              { case: { $lte: ['$stock', '$lowStockThreshold'] }, then: 'low_stock' }
+            ],
+            default: 'in_stock'
+          }
+        }
+      ]
+    }
+  }
+};
+
+/**
+ * Inventory Service - Changes product stock and keeps the movement ledger
+ */
+class InventoryService {
+  constructor() {
+    this.stockIncreaseListeners = [];
+  }
+
+  /**
+   * Register a function to run after a product's stock goes up (e.g. back-in-stock alerts)
+   * @param {Function} listener - Called with the updated product
+   */
+  onStockIncrease(listener) {
+    this.stockIncreaseListeners.push(listener);
+  }
+
+  /**
+   * Run the stock increase listeners for a product
+   * @param {object} product - Product after the change
+   * @returns {Promise<void>}
+   */
+  async notifyStockIncrease(product) {
+    for (const listener of this.stockIncreaseListeners) {
+      try {
+        await listener(product);
+      } catch (error) {
+        // The stock change has already been applied, so log instead of failing the request
+        logger.error('Stock increase listener failed', { productId: product._id, error: error.message });
+      }
+    }
+  }
+
+  /**
+   * Check whether stock is counted for a product
+   * @param {object} product - Product document
+   * @returns {boolean} True when orders should decrement stock
+   */
+  isStockTracked(product) {
+    return !!product.trackQuantity && product.stockStatus !== 'pre_order';
+  }
+
+  /**
+   * Record a stock change in the movement ledger
+   * @param {object} product - Product after the change
+   * @param {number} quantityBefore - Stock before the change
+   * @param {object} movement - Movement details ({ type, user, reason, order, warehouse, warehouseQuantityBefore, warehouseQuantityAfter, relatedWarehouse })
+   * @returns {Promise<object|null>} Movement entry
+   */
+  async recordMovement(product, quantityBefore, movement = {}) {
+    try {
+      return await InventoryMovement.create({
+        product: product._id,
+        sku: product.sku,
+        type: movement.type,
+        quantityChange: product.stock - quantityBefore,
+        quantityBefore,
+        quantityAfter: product.stock,
+        warehouse: movement.warehouse,
+        warehouseQuantityBefore: movement.warehouseQuantityBefore,
+        warehouseQuantityAfter: movement.warehouseQuantityAfter,
+        relatedWarehouse: movement.relatedWarehouse,
+        order: movement.order,
+        reason: movement.reason,
+        user: movement.user
+      });
+    } catch (error) {
+      // The stock change has already been applied, so log instead of failing the request
+      logger.error('Failed to record inventory movement', {
+        productId: product._id,
+        type: movement.type,
+        quantityBefore,
+        quantityAfter: product.stock,
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Atomically change a product's stock level
+   * @param {string} productId - Product ID
+   * @param {number} delta - Units to add (negative to remove)
+   * @param {object} movement - Movement details ({ type, user, reason, order, warehouse, ... })
+   * @param {boolean} enforceAvailable - Refuse to take more units than are in stock
+   * @returns {Promise<object|null>} Updated product, or null when there was not enough stock
+   */
+  async adjustStock(productId, delta, movement = {}, enforceAvailable = true) {
+    const filter = { _id: productId };
+    if (delta < 0 && enforceAvailable) {
+      filter.stock = { $gte: -delta };
+    }
+
+    const product = await Product.findOneAndUpdate(
+      filter,
+      [{ $set: { stock: { $add: ['$stock', delta] } } }, STOCK_STATUS_STAGE],
+      { new: true }
+    );
+
+    if (product) {
+      await this.recordMovement(product, product.stock - delta, movement);
+      await this.syncBundleStock(product._id);
+      if (delta > 0) {
+        await this.notifyStockIncrease(product);
+      }
+    }
+
+    return product;
+  }
+
+  /**
+   * Set a product's stock to an absolute quantity (manual adjustments and stocktakes)
+   * @param {string} productId - Product ID
+   * @param {number} quantity - New stock quantity
+   * @param {object} movement - Movement details ({ type, user, reason, warehouse })
+   * @returns {Promise<object>} Updated product
+   */
+  async setStock(productId, quantity, movement = {}) {
+    await this.assertStockSettable(productId, movement.warehouse);
+
+    if (movement.warehouse) {
+      return this.setWarehouseStock(productId, movement.warehouse, quantity, movement);
+    }
+
+    return this.setStockTotal(productId, quantity, movement);
+  }
+
+  /**
+   * Fail when a product's stock cannot be set directly
+   * @param {string} productId - Product ID
+   * @param {string} warehouseId - Warehouse being counted (optional)
+   * @returns {Promise<void>}
+   */
+  async assertStockSettable(productId, warehouseId = null) {
+    if (await Product.exists({ _id: productId, productType: 'bundle' })) {
+      throw new ValidationError('Bundle stock is calculated from its components; adjust the components instead');
+    }
+
+    if (!warehouseId && await this.hasWarehouseStock(productId)) {
+      throw new ValidationError('Stock for this product is held in warehouses; specify the warehouse to adjust');
+    }
+  }
+
+  /**
+   * Overwrite a product's total stock and record the change
+   * @param {string} productId - Product ID
+   * @param {number} quantity - New stock quantity
+   * @param {object} movement - Movement details
+   * @returns {Promise<object>} Updated product
+   */
+  async setStockTotal(productId, quantity, movement = {}) {
+    const fields = { stock: quantity, updatedAt: new Date() };
+    if (movement.user && mongoose.Types.ObjectId.isValid(movement.user)) {
+      fields.updatedBy = new mongoose.Types.ObjectId(movement.user);
+    }
+
+    const previous = await Product.findOneAndUpdate(
+      { _id: productId, deletedAt: { $exists: false } },
+      [{ $set: fields }, STOCK_STATUS_STAGE],
+      { new: false }
+    );
+
+    if (!previous) {
+      throw new NotFoundError('Product');
+    }
+
+    const product = await Product.findById(productId);
+    await this.recordMovement(product, previous.stock, movement);
+    await this.syncBundleStock(productId);
+    if (product.stock > previous.stock) {
+      await this.notifyStockIncrease(product);
+    }
+
+    return product;
+  }
+
+  /**
+   * Work out how many bundles can be made from their components' stock
+   * @param {Array} components - Bundle components as { product, quantity }
+   * @returns {Promise<object>} { stock, trackQuantity }; untracked when no component is tracked
+   */
+  async calculateBundleStock(components = []) {
+    const products = await Product.find({
+      _id: { $in: components.map(component => component.product) },
+      deletedAt: { $exists: false }
+    }).select('stock stockStatus trackQuantity').lean();
+    const productMap = new Map(products.map(product => [product._id.toString(), product]));
+
+    let stock = Infinity;
+    for (const component of components) {
+      const product = productMap.get(component.product.toString());
+      if (!product) {
+        stock = 0;
+      } else if (this.isStockTracked(product)) {
+        stock = Math.min(stock, Math.floor(Math.max(product.stock, 0) / component.quantity));
+      }
+    }
+
+    return stock === Infinity ? { stock: 0, trackQuantity: false } : { stock, trackQuantity: true };
+  }
+
+  /**
+   * Recalculate the stock of every bundle containing a product
+   * @param {string} productId - Component product ID
+   * @returns {Promise<void>}
+   */
+  async syncBundleStock(productId) {
+    try {
+      const bundles = await Product.find({ 'bundleComponents.product': productId, productType: 'bundle' })
+        .select('bundleComponents')
+        .lean();
+
+      for (const bundle of bundles) {
+        const { stock, trackQuantity } = await this.calculateBundleStock(bundle.bundleComponents);
+        const previous = await Product.findOneAndUpdate(
+          { _id: bundle._id },
+          [{ $set: { stock, trackQuantity } }, STOCK_STATUS_STAGE],
+          { new: false }
+        );
+        if (previous && stock > previous.stock) {
+          await this.notifyStockIncrease(await Product.findById(bundle._id));
+        }
+      }
+    } catch (error) {
+      // The component change has already been applied, so log instead of failing the request
+      logger.error('Failed to update bundle stock', { productId, error: error.message });
+    }
+  }
+
+  /**
+   * Check whether a product's stock is split across warehouses
+   * @param {string} productId - Product ID
+   * @returns {Promise<boolean>} True when warehouse stock records exist
+   */
+  async hasWarehouseStock(productId) {
+    return !!(await WarehouseStock.exists({ product: productId }));
+  }
+
+  /**
+   * Load an active warehouse
+   * @param {string} warehouseId - Warehouse ID
+   * @returns {Promise<object>} Warehouse
+   */
+  async getActiveWarehouse(warehouseId) {
+    const warehouse = mongoose.Types.ObjectId.isValid(warehouseId) ? await Warehouse.findById(warehouseId) : null;
+    if (!warehouse) {
+      throw new NotFoundError('Warehouse');
+    }
+    if (!warehouse.isActive) {
+      throw new ValidationError(`Warehouse ${warehouse.code} is inactive`);
+    }
+    return warehouse;
+  }
+
+  /**
+   * Set the stock held at one warehouse and move the product total by the same amount.
+   * The first warehouse count for a product replaces its single stock figure.
+   * @param {string} productId - Product ID
+   * @param {string} warehouseId - Warehouse ID
+   * @param {number} quantity - New warehouse quantity
+   * @param {object} movement - Movement details ({ type, user, reason })
+   * @returns {Promise<object>} Updated product
+   */
+  async setWarehouseStock(productId, warehouseId, quantity, movement = {}) {
+    const warehouse = await this.getActiveWarehouse(warehouseId);
+    const product = await Product.findOne({ _id: productId, deletedAt: { $exists: false } }).select('stock');
+    if (!product) {
+      throw new NotFoundError('Product');
+    }
+
+    const isFirstCount = !(await this.hasWarehouseStock(productId));
+
+    const previous = await WarehouseStock.findOneAndUpdate(
+      { product: productId, warehouse: warehouse._id },
+      { $set: { quantity } },
+      { new: false, upsert: true }
+    );
+    const warehouseQuantityBefore = previous ? previous.quantity : 0;
+
+    const warehouseMovement = {
+      ...movement,
+      warehouse: warehouse._id,
+      warehouseQuantityBefore,
+      warehouseQuantityAfter: quantity
+    };
+
+    if (isFirstCount) {
+      return this.setStockTotal(productId, quantity, warehouseMovement);
+    }
+
+    return this.adjustStock(productId, quantity - warehouseQuantityBefore, warehouseMovement, false);
+  }
+
+  /**
+   * Move stock between warehouses (the product total does not change)
+   * @param {object} transfer - Transfer details ({ product, fromWarehouse, toWarehouse, quantity, reason })
+   * @param {string} userId - User making the transfer
+   * @returns {Promise<object>} Source and destination stock after the transfer
+   */
+  async transferStock(transfer, userId) {
+    const { product: productId, fromWarehouse, toWarehouse, quantity, reason } = transfer;
+
+    if (fromWarehouse === toWarehouse) {
+      throw new ValidationError('Source and destination warehouses must be different');
+    }
+
+    const product = await Product.findOne({ _id: productId, deletedAt: { $exists: false } }).select('sku stock');
+    if (!product) {
+      throw new NotFoundError('Product');
+    }
+
+    const source = await this.getActiveWarehouse(fromWarehouse);
+    const destination = await this.getActiveWarehouse(toWarehouse);
+
+    const sourceStock = await WarehouseStock.findOneAndUpdate(
+      { product: product._id, warehouse: source._id, quantity: { $gte: quantity } },
+      { $inc: { quantity: -quantity } },
+      { new: true }
+    );
+    if (!sourceStock) {
+      throw new ValidationError(`Warehouse ${source.code} does not hold ${quantity} unit(s) of ${product.sku}`);
+    }
+
+    const destinationStock = await WarehouseStock.findOneAndUpdate(
+      { product: product._id, warehouse: destination._id },
+      { $inc: { quantity } },
+      { new: true, upsert: true }
+    );
+
+    const transferReason = reason || `Transfer ${source.code} → ${destination.code}`;
+    await this.recordMovement(product, product.stock, {
+      type: 'transfer',
+      user: userId,
+      reason: transferReason,
+      warehouse: source._id,
+      warehouseQuantityBefore: sourceStock.quantity + quantity,
+      warehouseQuantityAfter: sourceStock.quantity,
+      relatedWarehouse: destination._id
+    });
+    await this.recordMovement(product, product.stock, {
+      type: 'transfer',
+      user: userId,
+      reason: transferReason,
+      warehouse: destination._id,
+      warehouseQuantityBefore: destinationStock.quantity - quantity,
+      warehouseQuantityAfter: destinationStock.quantity,
+      relatedWarehouse: source._id
+    });
+
+    logger.info('Stock transferred', {
+      productId: product._id,
+      from: source.code,
+      to: destination.code,
+      quantity,
+      userId
+    });
+
+    return {
+      product: product._id,
+      sku: product.sku,
+      quantity,
+      from: { warehouse: source._id, code: source.code, quantity: sourceStock.quantity },
+      to: { warehouse: destination._id, code: destination.code, quantity: destinationStock.quantity }
+    };
+  }
+
+  /**
+   * Take units for an order line from the ranked warehouses, preferring one warehouse
+   * that can ship the whole line and splitting across warehouses otherwise
+   * @param {object} product - Product document
+   * @param {number} quantity - Units required
+   * @param {Array} warehouses - Warehouses ranked for the shipping address
+   * @returns {Promise<object>} { allocations, remaining, available }
+   */
+  async allocateFromWarehouses(product, quantity, warehouses) {
+    const stocks = await WarehouseStock.find({
+      product: product._id,
+      warehouse: { $in: warehouses.map(warehouse => warehouse._id) },
+      quantity: { $gt: 0 }
+    });
+    const stockMap = new Map(stocks.map(stock => [stock.warehouse.toString(), stock]));
+    const available = stocks.reduce((sum, stock) => sum + stock.quantity, 0);
+
+    const candidates = warehouses.filter(warehouse => stockMap.has(warehouse._id.toString()));
+    const wholeLine = candidates.findIndex(warehouse => stockMap.get(warehouse._id.toString()).quantity >= quantity);
+    if (wholeLine > 0) {
+      candidates.unshift(...candidates.splice(wholeLine, 1));
+    }
+
+    const allocations = [];
+    let remaining = quantity;
+    for (const warehouse of candidates) {
+      if (remaining === 0) break;
+
+      const stock = stockMap.get(warehouse._id.toString());
+      const take = Math.min(stock.quantity, remaining);
+      const updated = await WarehouseStock.findOneAndUpdate(
+        { _id: stock._id, quantity: { $gte: take } },
+        { $inc: { quantity: -take } },
+        { new: true }
+      );
+      // Another order took these units first; try the next warehouse
+      if (!updated) continue;
+
+      allocations.push({ warehouse: warehouse._id, quantity: take, warehouseQuantityAfter: updated.quantity });
+      remaining -= take;
+    }
+
+    return { allocations, remaining, available };
+  }
+
+  /**
+   * Put allocated units back into their warehouses
+   * @param {string} productId - Product ID
+   * @param {Array} allocations - Allocations as { warehouse, quantity }
+   * @returns {Promise<Array>} Warehouse quantities after the return
+   */
+  async returnToWarehouses(productId, allocations) {
+    const results = [];
+    for (const allocation of allocations) {
+      const stock = await WarehouseStock.findOneAndUpdate(
+        { product: productId, warehouse: allocation.warehouse },
+        { $inc: { quantity: allocation.quantity } },
+        { new: true, upsert: true }
+      );
+      results.push(stock.quantity);
+    }
+    return results;
+  }
+
+  /**
+   * Take units of one product from stock, from warehouses serving the order where it is stocked in them
+   * @param {object} product - Product document
+   * @param {number} quantity - Units to take
+   * @param {object} movement - Movement details ({ type, order, user, reason })
+   * @param {Function} getWarehouses - Resolves the warehouses ranked for the shipping address
+   * @returns {Promise<object>} { quantity, allocations }, with the units available when short
+   */
+  async reserveUnits(product, quantity, movement, getWarehouses) {
+    if (!this.isStockTracked(product)) {
+      return { quantity: 0, allocations: [] };
+    }
+
+    if (await this.hasWarehouseStock(product._id)) {
+      const { allocations, remaining, available } = await this.allocateFromWarehouses(product, quantity, await getWarehouses());
+
+      if (remaining > 0) {
+        await this.returnToWarehouses(product._id, allocations);
+        return { quantity: 0, allocations: [], available };
+      }
+
+      for (const allocation of allocations) {
+        await this.adjustStock(product._id, -allocation.quantity, {
+          ...movement,
+          warehouse: allocation.warehouse,
+          warehouseQuantityBefore: allocation.warehouseQuantityAfter + allocation.quantity,
+          warehouseQuantityAfter: allocation.warehouseQuantityAfter
+        }, false);
+      }
+
+      return {
+        quantity,
+        allocations: allocations.map(allocation => ({ warehouse: allocation.warehouse, quantity: allocation.quantity }))
+      };
+    }
+
+    const updated = await this.adjustStock(product._id, -quantity, movement);
+    if (updated) {
+      return { quantity, allocations: [] };
+    }
+
+    const current = await Product.findById(product._id).select('stock');
+    return { quantity: 0, allocations: [], available: Math.max(current ? current.stock : 0, 0) };
+  }
+
+  /**
+   * Take the component units for a number of bundles, or none of them when any component is short
+   * @param {object} bundle - Bundle product
+   * @param {number} quantity - Bundles ordered
+   * @param {object} movement - Movement details ({ type, order, user })
+   * @param {Function} getWarehouses - Resolves the warehouses ranked for the shipping address
+   * @returns {Promise<object>} { quantity, allocations, components }, with the bundles available when short
+   */
+  async reserveBundleUnits(bundle, quantity, movement, getWarehouses) {
+    const components = bundle.bundleComponents || [];
+    const products = await Product.find({
+      _id: { $in: components.map(component => component.product) },
+      deletedAt: { $exists: false }
+    });
+    const productMap = new Map(products.map(product => [product._id.toString(), product]));
+    const componentMovement = { ...movement, reason: `Bundle ${bundle.sku}` };
+
+    const taken = [];
+    for (const component of components) {
+      const product = productMap.get(component.product.toString());
+      const result = product
+        ? await this.reserveUnits(product, quantity * component.quantity, componentMovement, getWarehouses)
+        : { quantity: 0, allocations: [], available: 0 };
+
+      if (result.available !== undefined) {
+        await this.releaseBundleComponents(taken, {
+          ...componentMovement,
+          type: 'cancellation',
+          reason: `Bundle ${bundle.sku} not placed: insufficient stock`
+        });
+        return { quantity: 0, allocations: [], components: [], available: Math.floor(result.available / component.quantity) };
+      }
+
+      taken.push({
+        product: product._id,
+        sku: product.sku,
+        quantity: component.quantity,
+        stockReserved: result.quantity,
+        allocations: result.allocations
+      });
+    }
+
+    return { quantity: 0, allocations: [], components: taken };
+  }
+
+  /**
+   * Decrement stock for every order line, or nothing at all when any line is short.
+   * Products stocked in warehouses are allocated to warehouses serving the shipping address,
+   * and bundles take their components' stock.
+   * @param {Array} lines - Lines as { product, quantity }
+   * @param {object} context - Order context ({ order, user, shippingAddress })
+   * @returns {Promise<Array>} Reservation per line as { quantity, allocations, components }
+   */
+  async reserveOrderStock(lines, context = {}) {
+    const reserved = [];
+    const errors = [];
+    let rankedWarehouses = null;
+    const getWarehouses = async () => {
+      rankedWarehouses = rankedWarehouses || await WarehouseService.rankWarehouses(context.shippingAddress);
+      return rankedWarehouses;
+    };
+
+    for (const line of lines) {
+      const { product, quantity } = line;
+      const movement = { type: 'order', order: context.order, user: context.user };
+
+      const { available, ...reservation } = product.productType === 'bundle'
+        ? await this.reserveBundleUnits(product, quantity, movement, getWarehouses)
+        : await this.reserveUnits(product, quantity, movement, getWarehouses);
+      reserved.push(reservation);
+
+      if (available !== undefined) {
+        errors.push({
+          product: product._id,
+          sku: product.sku,
+          requested: quantity,
+          available,
+          message: available > 0
+            ? `Only ${available} unit(s) of ${product.sku} in stock`
+            : `${product.sku} is out of stock`
+        });
+      }
+    }
+
+    if (errors.length > 0) {
+      await this.releaseReservedStock(lines, reserved, { ...context, reason: 'Order not placed: insufficient stock' });
+      throw new ValidationError('Insufficient stock for one or more items', errors);
+    }
+
+    return reserved;
+  }
+
+  /**
+   * Return reserved units to stock and their warehouses
+   * @param {string} productId - Product ID
+   * @param {number} quantity - Units reserved
+   * @param {Array} allocations - Warehouse allocations for the units
+   * @param {object} movement - Movement details ({ type, order, user, reason })
+   */
+  async releaseUnits(productId, quantity, allocations = [], movement = {}) {
+    if (allocations.length === 0) {
+      await this.adjustStock(productId, quantity, movement);
+      return;
+    }
+
+    const quantitiesAfter = await this.returnToWarehouses(productId, allocations);
+    for (let i = 0; i < allocations.length; i++) {
+      await this.adjustStock(productId, allocations[i].quantity, {
+        ...movement,
+        warehouse: allocations[i].warehouse,
+        warehouseQuantityBefore: quantitiesAfter[i] - allocations[i].quantity,
+        warehouseQuantityAfter: quantitiesAfter[i]
+      });
+    }
+  }
+
+  /**
+   * Return the component units reserved for a bundle line
+   * @param {Array} components - Components as { product, stockReserved, allocations }
+   * @param {object} movement - Movement details ({ type, order, user, reason })
+   */
+  async releaseBundleComponents(components = [], movement = {}) {
+    for (const component of components) {
+      if (component.stockReserved > 0) {
+        await this.releaseUnits(component.product._id || component.product, component.stockReserved, component.allocations || [], movement);
+      }
+    }
+  }
+
+  /**
+   * Return reserved units to stock (used when order placement fails after reserving)
+   * @param {Array} lines - Lines as { product, quantity }
+   * @param {Array} reserved - Reservation per line as { quantity, allocations }
+   * @param {object} context - Order context ({ order, user, reason })
+   */
+  async releaseReservedStock(lines, reserved, context = {}) {
+    const movement = {
+      type: 'cancellation',
+      order: context.order,
+      user: context.user,
+      reason: context.reason || 'Order not placed'
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+      if (reserved[i] && reserved[i].quantity > 0) {
+        await this.releaseUnits(lines[i].product._id, reserved[i].quantity, reserved[i].allocations, movement);
+      }
+      if (reserved[i] && reserved[i].components) {
+        await this.releaseBundleComponents(reserved[i].components, movement);
+      }
+    }
+  }
+
+  /**
+   * Restore the stock reserved by an order (only the first call for an order has any effect)
+   * @param {object} order - Order document
+   * @param {string} userId - User cancelling or returning the order
+   * @returns {Promise<boolean>} True when stock was restored
+   */
+  async restoreOrderStock(order, userId) {
+    const claimedAt = new Date();
+    const claim = await Order.updateOne(
+      { _id: order._id, stockRestoredAt: { $exists: false } },
+      { $set: { stockRestoredAt: claimedAt } }
+    );
+    if (claim.modifiedCount === 0) {
+      return false;
+    }
+
+    order.stockRestoredAt = claimedAt;
+    const isReturn = order.status === 'returned';
+
+    const movement = {
+      type: isReturn ? 'return' : 'cancellation',
+      order: order._id,
+      user: userId,
+      reason: isReturn ? `Order ${order.orderNumber} returned` : `Order ${order.orderNumber} cancelled`
+    };
+
+    for (const item of order.items) {
+      if (item.stockReserved > 0) {
+        await this.releaseUnits(item.product._id || item.product, item.stockReserved, item.allocations || [], movement);
+      }
+      await this.releaseBundleComponents(item.bundleComponents, movement);
+    }
+
+    logger.info('Order stock restored', {
+      orderId: order._id,
+      orderNumber: order.orderNumber,
+      status: order.status
+    });
+
+    return true;
+  }
+
+  /**
+   * Get the stock movements for a product, newest first
+   * @param {string} productId - Product ID
+   * @param {object} options - Query options (page, limit, type, warehouse, from, to)
+   * @returns {Promise<object>} Product summary, movements and pagination
+   */
+  async getStockHistory(productId, options = {}) {
+    if (!mongoose.Types.ObjectId.isValid(productId)) {
+      throw new ValidationError('Invalid product ID format');
+    }
+
+    const product = await Product.findById(productId).select('productName sku stock stockStatus trackQuantity');
+    if (!product) {
+      throw new NotFoundError('Product');
+    }
+
+    const page = Math.max(parseInt(options.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(options.limit, 10) || 50, 1), 200);
+
+    const filter = { product: product._id };
+    if (options.type) {
+      filter.type = options.type;
+    }
+    if (options.warehouse) {
+      filter.warehouse = options.warehouse;
+    }
+    if (options.from || options.to) {
+      filter.createdAt = {};
+      if (options.from) filter.createdAt.$gte = new Date(options.from);
+      if (options.to) filter.createdAt.$lte = new Date(options.to);
+    }
+
+    const [movements, total] = await Promise.all([
+      InventoryMovement.find(filter)
+        .populate('user', 'firstName lastName username')
+        .populate('order', 'orderNumber status')
+        .populate('warehouse', 'name code')
+        .populate('relatedWarehouse', 'name code')
+        .sort('-createdAt')
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      InventoryMovement.countDocuments(filter)
+    ]);
+
+    return {
+      product,
+      movements,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Work out each product's stock level at the end of a point in time by
+   * rolling back the movements recorded since then
+   * @param {object} options - Report options (date, categories, brandId, search)
+   * @returns {Promise<object>} Report date and per-product stock levels
+   */
+  async getStockOnDate(options = {}) {
+    const date = new Date(options.date);
+    if (!options.date || isNaN(date.getTime())) {
+      throw new ValidationError('A valid date is required');
+    }
+    // A bare date means the close of that day
+    if (/^\d{4}-\d{2}-\d{2}$/.test(options.date)) {
+      date.setUTCHours(23, 59, 59, 999);
+    }
+
+    const filter = { trackQuantity: true, createdAt: { $lte: date } };
+    if (options.categories) {
+      filter.categories = { $in: Array.isArray(options.categories) ? options.categories : [options.categories] };
+    }
+    if (options.brandId) {
+      filter.brandId = options.brandId;
+    }
+    if (options.search) {
+      const pattern = { $regex: options.search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+      filter.$or = [{ productName: pattern }, { sku: pattern }];
+    }
+
+    const products = await Product.find(filter)
+      .select('productName sku stock stockStatus deletedAt')
+      .sort('sku')
+      .lean();
+
+    const changesSince = await InventoryMovement.aggregate([
+      { $match: { product: { $in: products.map(product => product._id) }, createdAt: { $gt: date } } },
+      { $group: { _id: '$product', quantityChange: { $sum: '$quantityChange' }, movements: { $sum: 1 } } }
+    ]);
+    const changeMap = new Map(changesSince.map(change => [change._id.toString(), change]));
+
+    return {
+      date,
+      products: products.map(product => {
+        const change = changeMap.get(product._id.toString());
+        const changeSinceDate = change ? change.quantityChange : 0;
+        return {
+          _id: product._id,
+          productName: product.productName,
+          sku: product.sku,
+          isDeleted: !!product.deletedAt,
+          currentStock: product.stock,
+          stockOnDate: product.stock - changeSinceDate,
+          changeSinceDate,
+          movementsSinceDate: change ? change.movements : 0
+        };
+      })
+    };
+  }
+}
+
+module.exports = new InventoryService();
@@ -0,0 +1,374 @@
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const Address = require('../models/Address');
+const OrderNotificationService = require('./OrderNotificationService');
+const PricingService = require('./PricingService');
+const InventoryService = require('./InventoryService');
+const PriceListService = require('./PriceListService');
+const CustomerGroupService = require('./CustomerGroupService');
+const CompanyService = require('./CompanyService');
+const { ValidationError, NotFoundError, ConflictError } = require('../middleware/errorHandler');
+const { logger } = require('../middleware/logger');
+
+// Order statuses that put reserved stock back on the shelf
+const RESTOCK_STATUSES = ['cancelled', 'returned'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Order fields taken from the request once pricing and addresses are resolved; status,
+// tracking and stock fields are always set by the server
+const ORDER_FIELDS = [
+  'customer', 'company', 'customerEmail', 'customerPhone', 'items', 'shippingCost', 'currency',
+  'shippingAddress', 'billingAddress', 'paymentInfo', 'shippingMethod', 'priority', 'notes'
+];
+
+// Extra fields an admin may set when placing an order
+const ADMIN_ORDER_FIELDS = ['estimatedDeliveryDate', 'internalNotes', 'tags'];
+
+/**
+ * Order Service - Handles order placement shared by the order and cart endpoints
+ */
+class OrderService {
+  /**
+   * Check whether a product can be sold (the cart applies the same rule)
+   * @param {object} product - Product
+   * @returns {boolean} True when the product is active, published and not deleted
+   */
+  isSellable(product) {
+    return Boolean(product) && !product.deletedAt && product.status === 'active' && !!product.isPublished;
+  }
+
+  /**
+   * Load the products for the requested order lines
+   * @param {Array} items - Order items from the request
+   * @param {boolean} allowOverrides - Whether line price overrides are accepted (admin only)
+   * @returns {Promise<Array>} Lines as { product, quantity, overrides }
+   */
+  async loadOrderLines(items, allowOverrides = false) {
+    if (!items || items.length === 0) {
+      throw new ValidationError('Order must contain at least one item');
+    }
+
+    const lines = [];
+    for (const item of items) {
+      const product = await Product.findOne({ _id: item.product, deletedAt: { $exists: false } });
+      if (!product) {
+        throw new ValidationError(`Product with ID ${item.product} not found`);
+      }
+      if (!this.isSellable(product)) {
+        throw new ValidationError(`${product.sku} is no longer available`);
+      }
+      if (product.variantAxes && product.variantAxes.length > 0) {
+        throw new ValidationError(`${product.sku} has variants; order a specific variant`);
+      }
+
+      const overrides = {};
+      if (allowOverrides) {
+        ['unitPrice', 'discount', 'taxRate'].forEach(field => {
+          if (item[field] !== undefined) overrides[field] = item[field];
+        });
+      }
+
+      lines.push({ product, quantity: parseInt(item.quantity, 10), overrides });
+    }
+
+    return lines;
+  }
+
+  /**
+   * Reject products the customer's group may not see
+   * @param {Array} lines - Lines from loadOrderLines
+   * @param {object} group - Customer group (optional)
+   * @returns {Promise<void>}
+   */
+  async assertGroupCanOrder(lines, group) {
+    const hiddenCategories = await CustomerGroupService.getHiddenCategoryIds(group);
+    const hidden = lines.filter(line => !CustomerGroupService.isProductVisible(line.product, hiddenCategories));
+    if (hidden.length > 0) {
+      throw new ValidationError(`Not available to ${group.name} customers: ${hidden.map(line => line.product.sku).join(', ')}`);
+    }
+  }
+
+  /**
+   * Resolve the shipping address, falling back to the customer's default address, then their company's
+   * @param {object} orderData - Order data from the request
+   * @param {object} user - Authenticated customer
+   * @param {object} company - Customer's company (optional)
+   * @returns {Promise<object>} Shipping address
+   */
+  async resolveShippingAddress(orderData, user, company = null) {
+    if (orderData.shippingAddress) {
+      return orderData.shippingAddress;
+    }
+
+    const defaultAddress = await Address.getDefaultAddress(user._id);
+    if (defaultAddress) {
+      return {
+        addressLine1: defaultAddress.street,
+        addressLine2: defaultAddress.street2 || '',
+        city: defaultAddress.city,
+        state: defaultAddress.state || '',
+        country: defaultAddress.country || 'Australia',
+        postalCode: defaultAddress.postalCode || '',
+        phone: user.phoneNumber || ''
+      };
+    }
+
+    const companyAddress = company && CompanyService.getOrderAddress(company, user);
+    if (companyAddress) {
+      return companyAddress;
+    }
+
+    if (orderData.billingAddress) {
+      return orderData.billingAddress;
+    }
+
+    throw new ValidationError('No shipping address provided and no default address found. Please add an address first.');
+  }
+
+  /**
+   * Copy the accepted order fields so nothing else in the request reaches the order
+   * @param {object} orderData - Order data after pricing and address resolution
+   * @param {boolean} isAdmin - Whether an admin is placing the order
+   * @returns {object} Fields for the new order
+   */
+  pickOrderFields(orderData, isAdmin) {
+    const fields = isAdmin ? [...ORDER_FIELDS, ...ADMIN_ORDER_FIELDS] : ORDER_FIELDS;
+    return fields.reduce((picked, field) => {
+      if (orderData[field] !== undefined) picked[field] = orderData[field];
+      return picked;
+    }, {});
+  }
+
+  /**
+   * Create a new order for a customer
+   * @param {object} orderData - Order data (items, addresses, payment info)
+   * @param {object} user - Authenticated customer placing the order
+   * @returns {Promise<object>} Saved order populated with customer and products
+   */
+  async createOrder(orderData, user) {
+    // Set customer details from authenticated user token
+    orderData.customer = user._id;
+    orderData.customerEmail = user.email;
+    orderData.customerPhone = user.phoneNumber || orderData.customerPhone;
+
+    // Prices always come from the catalog; only admins may override them
+    PricingService.assertNoClientOverrides(orderData, user);
+    const isAdmin = user.role === 'admin';
+
+    // Company members order for their company when their role allows it
+    const membership = await CompanyService.getMembership(user._id);
+    if (membership && !isAdmin) {
+      CompanyService.assertCan(membership, 'place_orders');
+    }
+    const company = membership ? membership.company : null;
+    orderData.company = company ? company._id : undefined;
+
+    const lines = await this.loadOrderLines(orderData.items, isAdmin);
+    const group = await CustomerGroupService.getCustomerGroup(user);
+    if (!isAdmin) {
+      await this.assertGroupCanOrder(lines, group);
+    }
+
+    const pricing = PricingService.priceOrder(lines, {
+      customer: user,
+      customerPricing: await PriceListService.getCustomerPricing(user, group),
+      shippingMethod: orderData.shippingMethod,
+      shippingCost: isAdmin ? orderData.shippingCost : undefined,
+      overriddenBy: user._id
+    });
+
+    const merchandiseTotal = pricing.subtotal - pricing.totalDiscount;
+    if (!isAdmin && group && group.minimumOrderValue > 0 && merchandiseTotal < group.minimumOrderValue) {
+      throw new ValidationError(
+        `${group.name} orders must be at least $${group.minimumOrderValue.toFixed(2)} after discounts (this order is $${merchandiseTotal.toFixed(2)})`
+      );
+    }
+
+    if (company) {
+      if (orderData.companyAddressId) {
+        orderData.shippingAddress = CompanyService.getOrderAddress(company, user, orderData.companyAddressId);
+      }
+      if (!orderData.billingAddress && company.billingAddress) {
+        orderData.billingAddress = CompanyService.toOrderAddress(company.billingAddress, user, company);
+      }
+    }
+    orderData.shippingAddress = await this.resolveShippingAddress(orderData, user, company);
+
+    orderData.items = pricing.items.map(item => ({
+      product: item.product._id,
+      productName: item.product.productName,
+      sku: item.product.sku,
+      quantity: item.quantity,
+      unitPrice: item.unitPrice,
+      discount: item.discount,
+      taxRate: item.taxRate,
+      taxAmount: item.taxAmount,
+      totalPrice: item.totalPrice,
+      priceBreakdown: item.priceBreakdown
+    }));
+    orderData.shippingCost = pricing.shippingCost;
+
+    // Set default payment info if not provided; customers only choose the payment method
+    if (!orderData.paymentInfo || !isAdmin) {
+      orderData.paymentInfo = {
+        paymentMethod: orderData.paymentInfo?.paymentMethod || 'invoice',
+        paymentStatus: 'pending'
+      };
+    }
+
+    // Payment falls due after the customer group's terms (admins may set their own date)
+    if (group && group.paymentTermsDays > 0 && !(isAdmin && orderData.paymentInfo.paymentDueDate)) {
+      orderData.paymentInfo.paymentDueDate = new Date(Date.now() + group.paymentTermsDays * DAY_MS);
+    }
+
+    const order = new Order(this.pickOrderFields(orderData, isAdmin));
+
+    // Company buyers' orders wait for an owner or approver
+    if (company && !isAdmin && !CompanyService.can(membership, 'approve_orders')) {
+      order.approval = { status: 'pending' };
+    }
+
+    // Add initial tracking entry
+    order.addTrackingUpdate('pending', order.approval ? 'Order created, waiting for company approval' : 'Order created', user._id);
+
+    // Validate before touching stock, then take the stock before saving so concurrent orders cannot oversell
+    await order.validate();
+    const stockContext = { order: order._id, user: user._id, shippingAddress: order.shippingAddress };
+    const reserved = await InventoryService.reserveOrderStock(lines, stockContext);
+    order.items.forEach((item, index) => {
+      item.stockReserved = reserved[index].quantity;
+      item.allocations = reserved[index].allocations;
+      if (reserved[index].components) {
+        item.bundleComponents = reserved[index].components;
+      }
+    });
+
+    try {
+      await order.save();
+    } catch (error) {
+      await InventoryService.releaseReservedStock(lines, reserved, { ...stockContext, reason: 'Order could not be saved' });
+      throw error;
+    }
+
+    // Populate customer and product details for response
+    await order.populate('customer', 'username email firstName lastName phoneNumber');
+    await order.populate('items.product', 'productName sku price');
+
+    logger.info('Order created', {
+      orderId: order._id,
+      orderNumber: order.orderNumber,
+      customerId: user._id,
+      itemCount: order.items.length,
+      totalAmount: order.totalAmount
+    });
+
+    return order;
+  }
+
+  /**
+   * Restore reserved stock once an order is cancelled or returned
+   * @param {object} order - Order document
+   * @param {string} userId - User who cancelled or returned the order
+   * @returns {Promise<boolean>} True when stock was restored
+   */
+  async restockIfClosed(order, userId) {
+    if (!RESTOCK_STATUSES.includes(order.status)) {
+      return false;
+    }
+
+    return InventoryService.restoreOrderStock(order, userId);
+  }
+
+  /**
+   * Approve or reject a company order waiting for approval; rejected orders are cancelled
+   * and their stock restored
+   * @param {string} orderId - Order ID
+   * @param {object} user - Company owner or approver
+   * @param {boolean} approved - True to approve, false to reject
+   * @param {string} notes - Reason for the decision (optional)
+   * @returns {Promise<object>} Updated order
+   */
+  async decideApproval(orderId, user, approved, notes) {
+    const membership = await CompanyService.getRequiredMembership(user._id);
+    CompanyService.assertCan(membership, 'approve_orders');
+
+    const decision = {
+      'approval.status': approved ? 'approved' : 'rejected',
+      'approval.decidedBy': user._id,
+      'approval.decidedAt': new Date()
+    };
+    if (notes) decision['approval.notes'] = notes;
+
+    // Claim the decision in one write so two approvers cannot both act on the order
+    const order = await Order.findOneAndUpdate(
+      { _id: orderId, company: membership.company._id, isActive: true, status: 'pending', 'approval.status': 'pending' },
+      { $set: decision },
+      { new: true, runValidators: true }
+    );
+    if (!order) {
+      if (!(await Order.exists({ _id: orderId, company: membership.company._id, isActive: true }))) {
+        throw new NotFoundError('Order');
+      }
+      throw new ConflictError('This order is not waiting for approval');
+    }
+
+    if (approved) {
+      order.addTrackingUpdate('pending', notes || 'Approved by company', user._id);
+    } else {
+      const reason = notes || 'Rejected by company';
+      order.addTrackingUpdate('cancelled', reason, user._id);
+      order.cancelledAt = new Date();
+      order.cancelledBy = user._id;
+      order.cancellationReason = reason;
+    }
+
+    await order.save();
+    await this.restockIfClosed(order, user._id);
+
+    await order.populate('customer', 'firstName lastName email');
+    await order.populate('items.product', 'productName sku price');
+
+    logger.info('Company order approval decided', {
+      orderId: order._id,
+      orderNumber: order.orderNumber,
+      companyId: membership.company._id,
+      decision: order.approval.status,
+      userId: user._id
+    });
+
+    return order;
+  }
+
+  /**
+   * Send customer and admin notifications for a new order (does not wait for delivery)
+   * @param {object} order - Order populated with customer
+   */
+  notifyOrderPlaced(order) {
+    OrderNotificationService.sendOrderConfirmation(order, order.customer)
+      .then(success => {
+        if (success) {
+          console.log(`✅ Order confirmation SMS sent to ${order.customer.phoneNumber}`);
+        } else {
+          console.log(`⚠️ Failed to send order confirmation SMS to ${order.customer.phoneNumber}`);
+        }
+      })
+      .catch(error => {
+        console.error('❌ Error sending order confirmation SMS:', error.message);
+      });
+
+    OrderNotificationService.sendAdminNotification(order, order.customer)
+      .then(success => {
+        if (success) {
+          console.log(`✅ Admin notification SMS sent for order ${order.orderNumber}`);
+        } else {
+          console.log(`⚠️ Failed to send admin notification SMS`);
+        }
+      })
+      .catch(error => {
+        console.error('❌ Error sending admin notification SMS:', error.message);
+      });
+  }
+}
+
+module.exports = new OrderService();
@@ -0,0 +1,659 @@
+const mongoose = require('mongoose');
+const PriceList = require('../models/PriceList');
+const PriceListLine = require('../models/PriceListLine');
+const Product = require('../models/Product');
+const Brand = require('../models/Brand');
+const Category = require('../models/Category');
+const User = require('../models/User');
+const CustomerGroup = require('../models/CustomerGroup');
+const PricingService = require('./PricingService');
+const CustomerGroupService = require('./CustomerGroupService');
+const ProductImportService = require('./ProductImportService');
+const { NotFoundError, ValidationError, ConflictError } = require('../middleware/errorHandler');
+const { logger } = require('../middleware/logger');
+
+// Lines accepted in one upload
+const MAX_UPLOAD_ROWS = 10000;
+
+// Upload headers match whatever their case or spacing ("SKU", "Valid From", "valid_to")
+const headerKey = header => header.toString().toLowerCase().replace(/[\s_-]+/g, '');
+
+/**
+ * Build a filter matching documents whose validity dates include a moment
+ * @param {Date} date - Moment to check
+ * @returns {Array} Conditions for $and
+ */
+const validOn = (date) => [
+  { $or: [{ validFrom: null }, { validFrom: { $lte: date } }] },
+  { $or: [{ validTo: null }, { validTo: { $gte: date } }] }
+];
+
+/**
+ * Price List Service - Customer-specific contract prices and the admin management of them
+ */
+class PriceListService {
+  /**
+   * Read page and limit from query options
+   * @param {object} options - Query options
+   * @returns {object} { page, limit }
+   */
+  getPaging(options = {}) {
+    return {
+      page: Math.max(parseInt(options.page, 10) || 1, 1),
+      limit: Math.min(Math.max(parseInt(options.limit, 10) || 10, 1), 100)
+    };
+  }
+
+  /**
+   * Load the customer's group pricing and the categories their group may not see
+   * @param {string} customerId - Customer ID (optional; guests get the default group)
+   * @returns {Promise<object>} { customerPricing, hiddenCategories }
+   */
+  async getShopperContext(customerId) {
+    const customer = customerId ? { _id: customerId } : null;
+    const group = await CustomerGroupService.getCustomerGroup(customer);
+    const [customerPricing, hiddenCategories] = await Promise.all([
+      this.getCustomerPricing(customer, group),
+      CustomerGroupService.getHiddenCategoryIds(group)
+    ]);
+    return { customerPricing, hiddenCategories };
+  }
+
+  /**
+   * Load the customer's group and the price lists that currently apply to them (directly or
+   * through the group), ready for PricingService.priceLine
+   * @param {object} customer - Authenticated user or { _id } (optional; guests get the default group)
+   * @param {object} group - The customer's group when the caller has already loaded it (optional)
+   * @returns {Promise<object|null>} { group, products, brands, categories } with maps of lines, or null when neither applies
+   */
+  async getCustomerPricing(customer, group) {
+    if (group === undefined) {
+      group = await CustomerGroupService.getCustomerGroup(customer);
+    }
+
+    const audience = [];
+    if (customer?._id) audience.push({ customers: customer._id });
+    if (group) audience.push({ customerGroups: group._id });
+    if (audience.length === 0) return null;
+
+    const now = new Date();
+    const lists = await PriceList.find({ $or: audience, isActive: true, $and: validOn(now) })
+      .select('name')
+      .lean();
+    if (lists.length === 0 && !group) return null;
+
+    const pricing = { group, products: new Map(), brands: new Map(), categories: new Map() };
+    if (lists.length === 0) return pricing;
+
+    const listNames = new Map(lists.map(list => [list._id.toString(), list.name]));
+    const lines = await PriceListLine.find({ priceList: { $in: lists.map(list => list._id) }, $and: validOn(now) })
+      .select('priceList scope product brand category type value')
+      .lean();
+
+    const add = (map, key, line) => {
+      const id = key.toString();
+      if (!map.has(id)) map.set(id, []);
+      map.get(id).push(line);
+    };
+
+    const categoryLines = [];
+    lines.forEach(line => {
+      const entry = { ...line, priceListName: listNames.get(line.priceList.toString()) };
+      if (line.scope === 'product') add(pricing.products, line.product, entry);
+      if (line.scope === 'brand') add(pricing.brands, line.brand, entry);
+      if (line.scope === 'category') categoryLines.push(entry);
+    });
+
+    // Category lines also cover every subcategory
+    if (categoryLines.length > 0) {
+      const categories = await Category.find().select('parent').lean();
+      const children = new Map();
+      categories.forEach(category => {
+        if (!category.parent) return;
+        const parentId = category.parent.toString();
+        if (!children.has(parentId)) children.set(parentId, []);
+        children.get(parentId).push(category._id.toString());
+      });
+
+      categoryLines.forEach(line => {
+        const queue = [line.category.toString()];
+        const seen = new Set();
+        while (queue.length > 0) {
+          const categoryId = queue.shift();
+          if (seen.has(categoryId)) continue;
+          seen.add(categoryId);
+          add(pricing.categories, categoryId, line);
+          queue.push(...(children.get(categoryId) || []));
+        }
+      });
+    }
+
+    return pricing;
+  }
+
+  /**
+   * Show customers their own price on product responses: the contract price, or the catalog
+   * price less the group discount, whichever is lower. The catalog price moves to listPrice and
+   * the price list or group is named; variants are priced too.
+   * @param {object|Array} products - Product object(s)
+   * @param {object} customerPricing - Customer pricing from getCustomerPricing
+   * @returns {object|Array} The same product(s)
+   */
+  applyToProducts(products, customerPricing) {
+    if (!customerPricing || !products) return products;
+
+    const groupDiscount = PricingService.findGroupDiscount(customerPricing);
+    const productList = Array.isArray(products) ? products : [products];
+    productList.forEach(product => {
+      const listPrice = product.price;
+      const contract = PricingService.findPriceListPrice(product, customerPricing);
+      const groupPrice = Math.round(listPrice * (100 - groupDiscount)) / 100;
+
+      if (contract && contract.unitPrice < listPrice && contract.unitPrice <= groupPrice) {
+        product.listPrice = listPrice;
+        product.price = contract.unitPrice;
+        product.priceList = { _id: contract.line.priceList, name: contract.line.priceListName };
+      } else if (groupPrice < listPrice) {
+        product.listPrice = listPrice;
+        product.price = groupPrice;
+        product.customerGroup = { _id: customerPricing.group._id, name: customerPricing.group.name };
+      }
+      if (Array.isArray(product.variants)) {
+        this.applyToProducts(product.variants, customerPricing);
+      }
+    });
+
+    return products;
+  }
+
+  /**
+   * Check that every assigned customer exists
+   * @param {Array} customerIds - User IDs
+   * @returns {Promise<Array>} Unique customer IDs
+   */
+  async validateCustomers(customerIds = []) {
+    const ids = [...new Set(customerIds.map(String))];
+    if (ids.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+      throw new ValidationError('Invalid customer ID format');
+    }
+
+    const found = await User.countDocuments({ _id: { $in: ids }, role: 'user' });
+    if (found !== ids.length) {
+      throw new ValidationError('One or more customers were not found');
+    }
+    return ids;
+  }
+
+  /**
+   * Check that every assigned customer group exists
+   * @param {Array} groupIds - Customer group IDs
+   * @returns {Promise<Array>} Unique customer group IDs
+   */
+  async validateCustomerGroups(groupIds = []) {
+    const ids = [...new Set(groupIds.map(String))];
+    if (ids.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+      throw new ValidationError('Invalid customer group ID format');
+    }
+
+    const found = await CustomerGroup.countDocuments({ _id: { $in: ids } });
+    if (found !== ids.length) {
+      throw new ValidationError('One or more customer groups were not found');
+    }
+    return ids;
+  }
+
+  /**
+   * List price lists with their line counts
+   * @param {object} options - Query options (customer, customerGroup, isActive, search, page, limit)
+   * @returns {Promise<object>} Price lists and pagination
+   */
+  async getPriceLists(options = {}) {
+    const { page, limit } = this.getPaging(options);
+
+    const filter = {};
+    if (options.customer) filter.customers = options.customer;
+    if (options.customerGroup) filter.customerGroups = options.customerGroup;
+    if (options.isActive !== undefined) filter.isActive = options.isActive === true || options.isActive === 'true';
+    if (options.search) {
+      filter.name = { $regex: options.search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+    }
+
+    const [priceLists, total] = await Promise.all([
+      PriceList.find(filter)
+        .sort({ name: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      PriceList.countDocuments(filter)
+    ]);
+
+    const counts = await PriceListLine.aggregate([
+      { $match: { priceList: { $in: priceLists.map(list => list._id) } } },
+      { $group: { _id: '$priceList', count: { $sum: 1 } } }
+    ]);
+    const countMap = new Map(counts.map(count => [count._id.toString(), count.count]));
+    priceLists.forEach(list => {
+      list.customerCount = list.customers.length;
+      list.customerGroupCount = list.customerGroups.length;
+      list.lineCount = countMap.get(list._id.toString()) || 0;
+      delete list.customers;
+    });
+
+    return {
+      priceLists,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Load a price list by ID
+   * @param {string} priceListId - Price list ID
+   * @returns {Promise<object>} Price list document
+   */
+  async getPriceListDocument(priceListId) {
+    if (!mongoose.Types.ObjectId.isValid(priceListId)) {
+      throw new ValidationError('Invalid price list ID format');
+    }
+
+    const priceList = await PriceList.findById(priceListId);
+    if (!priceList) {
+      throw new NotFoundError('Price list');
+    }
+    return priceList;
+  }
+
+  /**
+   * Get a price list with its customers, customer groups and line count
+   * @param {string} priceListId - Price list ID
+   * @returns {Promise<object>} Price list
+   */
+  async getPriceList(priceListId) {
+    const priceList = await this.getPriceListDocument(priceListId);
+    await priceList.populate('customers', 'firstName lastName email');
+    await priceList.populate('customerGroups', 'name code');
+
+    const priceListObj = priceList.toObject();
+    priceListObj.lineCount = await PriceListLine.countDocuments({ priceList: priceList._id });
+    return priceListObj;
+  }
+
+  /**
+   * Create a price list
+   * @param {object} data - { name, description, customers, customerGroups, validFrom, validTo, isActive }
+   * @param {string} userId - Admin creating the list
+   * @returns {Promise<object>} Created price list
+   */
+  async createPriceList(data, userId) {
+    if (await PriceList.exists({ name: data.name })) {
+      throw new ConflictError('A price list with this name already exists');
+    }
+
+    const priceList = await PriceList.create({
+      name: data.name,
+      description: data.description,
+      customers: await this.validateCustomers(data.customers),
+      customerGroups: await this.validateCustomerGroups(data.customerGroups),
+      validFrom: data.validFrom || undefined,
+      validTo: data.validTo || undefined,
+      isActive: data.isActive !== undefined ? data.isActive : true,
+      createdBy: userId
+    });
+
+    logger.info('Price list created', { priceListId: priceList._id, userId, name: priceList.name });
+
+    return priceList;
+  }
+
+  /**
+   * Update a price list's details, customers or customer groups
+   * @param {string} priceListId - Price list ID
+   * @param {object} data - Fields to change
+   * @param {string} userId - Admin making the change
+   * @returns {Promise<object>} Updated price list
+   */
+  async updatePriceList(priceListId, data, userId) {
+    const priceList = await this.getPriceListDocument(priceListId);
+
+    if (data.name !== undefined && data.name !== priceList.name) {
+      if (await PriceList.exists({ name: data.name, _id: { $ne: priceList._id } })) {
+        throw new ConflictError('A price list with this name already exists');
+      }
+      priceList.name = data.name;
+    }
+    if (data.customers !== undefined) priceList.customers = await this.validateCustomers(data.customers);
+    if (data.customerGroups !== undefined) priceList.customerGroups = await this.validateCustomerGroups(data.customerGroups);
+    ['description', 'isActive'].forEach(field => {
+      if (data[field] !== undefined) priceList[field] = data[field];
+    });
+    ['validFrom', 'validTo'].forEach(field => {
+      if (data[field] !== undefined) priceList[field] = data[field] || undefined;
+    });
+    priceList.updatedBy = userId;
+    await priceList.save();
+
+    logger.info('Price list updated', { priceListId, userId });
+
+    return priceList;
+  }
+
+  /**
+   * Delete a price list and its lines. Orders keep the prices they were placed at.
+   * @param {string} priceListId - Price list ID
+   * @param {string} userId - Admin deleting the list
+   * @returns {Promise<void>}
+   */
+  async deletePriceList(priceListId, userId) {
+    const priceList = await this.getPriceListDocument(priceListId);
+
+    const { deletedCount } = await PriceListLine.deleteMany({ priceList: priceList._id });
+    await priceList.deleteOne();
+
+    logger.info('Price list deleted', { priceListId, userId, linesDeleted: deletedCount });
+  }
+
+  /**
+   * Get the lines of a price list
+   * @param {string} priceListId - Price list ID
+   * @param {object} options - Query options (scope, page, limit)
+   * @returns {Promise<object>} Lines and pagination
+   */
+  async getLines(priceListId, options = {}) {
+    const priceList = await this.getPriceListDocument(priceListId);
+    const { page, limit } = this.getPaging(options);
+
+    const filter = { priceList: priceList._id };
+    if (options.scope) filter.scope = options.scope;
+
+    const [lines, total] = await Promise.all([
+      PriceListLine.find(filter)
+        .populate('product', 'productName sku price')
+        .populate('brand', 'name')
+        .populate('category', 'name slug')
+        .sort({ scope: 1, createdAt: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      PriceListLine.countDocuments(filter)
+    ]);
+
+    return {
+      lines,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Check that a line's product, brand or category exists
+   * @param {object} line - Line data with scope and target
+   * @returns {Promise<void>}
+   */
+  async validateLineTarget(line) {
+    const checks = {
+      product: () => Product.exists({ _id: line.product, deletedAt: { $exists: false } }),
+      brand: () => Brand.exists({ _id: line.brand }),
+      category: () => Category.exists({ _id: line.category })
+    };
+
+    const target = line[line.scope];
+    if (!target || !mongoose.Types.ObjectId.isValid(target) || !await checks[line.scope]()) {
+      throw new ValidationError(`${line.scope.charAt(0).toUpperCase()}${line.scope.slice(1)} not found`);
+    }
+  }
+
+  /**
+   * Add a line to a price list, replacing an existing line for the same target
+   * @param {string} priceListId - Price list ID
+   * @param {object} data - { scope, product | brand | category, type, value, validFrom, validTo }
+   * @returns {Promise<object>} Line
+   */
+  async setLine(priceListId, data) {
+    const priceList = await this.getPriceListDocument(priceListId);
+    await this.validateLineTarget(data);
+
+    const target = { priceList: priceList._id, product: null, brand: null, category: null };
+    target[data.scope] = data[data.scope];
+
+    const line = await PriceListLine.findOne(target) || new PriceListLine(target);
+    Object.assign(line, {
+      scope: data.scope,
+      type: data.type,
+      value: data.value,
+      validFrom: data.validFrom || undefined,
+      validTo: data.validTo || undefined
+    });
+    await line.save();
+
+    return line;
+  }
+
+  /**
+   * Change a line's price or validity dates
+   * @param {string} priceListId - Price list ID
+   * @param {string} lineId - Line ID
+   * @param {object} data - { type, value, validFrom, validTo }
+   * @returns {Promise<object>} Line
+   */
+  async updateLine(priceListId, lineId, data) {
+    const line = await this.getLineDocument(priceListId, lineId);
+
+    ['type', 'value'].forEach(field => {
+      if (data[field] !== undefined) line[field] = data[field];
+    });
+    ['validFrom', 'validTo'].forEach(field => {
+      if (data[field] !== undefined) line[field] = data[field] || undefined;
+    });
+    await line.save();
+
+    return line;
+  }
+
+  /**
+   * Remove a line from a price list
+   * @param {string} priceListId - Price list ID
+   * @param {string} lineId - Line ID
+   * @returns {Promise<void>}
+   */
+  async deleteLine(priceListId, lineId) {
+    const line = await this.getLineDocument(priceListId, lineId);
+    await line.deleteOne();
+  }
+
+  /**
+   * Load a line that belongs to a price list
+   * @param {string} priceListId - Price list ID
+   * @param {string} lineId - Line ID
+   * @returns {Promise<object>} Line document
+   */
+  async getLineDocument(priceListId, lineId) {
+    if (!mongoose.Types.ObjectId.isValid(priceListId) || !mongoose.Types.ObjectId.isValid(lineId)) {
+      throw new ValidationError('Invalid ID format');
+    }
+
+    const line = await PriceListLine.findOne({ _id: lineId, priceList: priceListId });
+    if (!line) {
+      throw new NotFoundError('Price list line');
+    }
+    return line;
+  }
+
+  /**
+   * Read price list lines from an uploaded CSV or XLSX file. Each row names one of sku, brand
+   * (name) or category (slug or name), plus type (fixed or percentage), value and optional
+   * validFrom and validTo dates.
+   * @param {object} file - Uploaded file ({ originalname, buffer })
+   * @returns {Promise<object>} { lines, errors } with lines ready for saving
+   */
+  async parseLinesFile(file) {
+    const extension = (file.originalname.split('.').pop() || '').toLowerCase();
+    if (!['csv', 'xlsx'].includes(extension)) {
+      throw new ValidationError('Price list file must be a .csv or .xlsx file');
+    }
+
+    const rows = await ProductImportService.parseFile(file.buffer, extension);
+    if (rows.length > MAX_UPLOAD_ROWS) {
+      throw new ValidationError(`A price list file can have at most ${MAX_UPLOAD_ROWS} rows`);
+    }
+
+    rows.forEach(row => {
+      row.values = Object.fromEntries(Object.entries(row.values).map(([header, text]) => [headerKey(header), text]));
+    });
+    const value = (row, field) => row.values[headerKey(field)] ?? '';
+    const skus = [...new Set(rows.map(row => value(row, 'sku').toUpperCase()).filter(Boolean))];
+    const [products, brands, categories] = await Promise.all([
+      Product.find({ sku: { $in: skus }, deletedAt: { $exists: false } }).select('sku').lean(),
+      Brand.find().select('name').lean(),
+      Category.find().select('name slug').lean()
+    ]);
+    const productMap = new Map(products.map(product => [product.sku, product._id]));
+    const brandMap = new Map(brands.map(brand => [brand.name.toLowerCase(), brand._id]));
+    const categoryMap = new Map();
+    categories.forEach(category => {
+      categoryMap.set(category.name.toLowerCase(), category._id);
+      if (category.slug) categoryMap.set(category.slug.toLowerCase(), category._id);
+    });
+
+    const lines = [];
+    const errors = [];
+    rows.forEach(row => {
+      const sku = value(row, 'sku').toUpperCase();
+      const brand = value(row, 'brand').toLowerCase();
+      const category = value(row, 'category').toLowerCase();
+      const targets = [sku && 'product', brand && 'brand', category && 'category'].filter(Boolean);
+
+      if (targets.length !== 1) {
+        errors.push({ row: row.rowNumber, error: 'Give exactly one of sku, brand or category' });
+        return;
+      }
+
+      const scope = targets[0];
+      const lookups = {
+        product: { id: productMap.get(sku), label: `SKU ${sku}` },
+        brand: { id: brandMap.get(brand), label: `Brand ${value(row, 'brand')}` },
+        category: { id: categoryMap.get(category), label: `Category ${value(row, 'category')}` }
+      };
+      const targetId = lookups[scope].id;
+      if (!targetId) {
+        errors.push({ row: row.rowNumber, error: `${lookups[scope].label} not found` });
+        return;
+      }
+
+      const type = value(row, 'type').toLowerCase() || 'percentage';
+      const amount = parseFloat(value(row, 'value'));
+      if (!['fixed', 'percentage'].includes(type) || isNaN(amount)) {
+        errors.push({ row: row.rowNumber, error: 'Type must be fixed or percentage with a numeric value' });
+        return;
+      }
+
+      const dates = {};
+      for (const field of ['validFrom', 'validTo']) {
+        const text = value(row, field);
+        if (text && isNaN(new Date(text).getTime())) {
+          errors.push({ row: row.rowNumber, error: `${field} is not a valid date` });
+          return;
+        }
+        dates[field] = text ? new Date(text) : undefined;
+      }
+
+      lines.push({ rowNumber: row.rowNumber, scope, [scope]: targetId, type, value: amount, ...dates });
+    });
+
+    return { lines, errors };
+  }
+
+  /**
+   * Add or replace price list lines from an uploaded CSV or XLSX file
+   * @param {string} priceListId - Price list ID
+   * @param {object} file - Uploaded file ({ originalname, buffer })
+   * @param {object} options - { mode: 'upsert' | 'replace', dryRun }
+   * @param {string} userId - Admin uploading the file
+   * @returns {Promise<object>} Upload summary
+   */
+  async uploadLines(priceListId, file, options = {}, userId) {
+    if (!file) {
+      throw new ValidationError('A price list file is required');
+    }
+
+    const priceList = await this.getPriceListDocument(priceListId);
+    const { lines, errors } = await this.parseLinesFile(file);
+    const dryRun = options.dryRun === true || options.dryRun === 'true';
+    const mode = options.mode === 'replace' ? 'replace' : 'upsert';
+
+    // Validate every line before changing anything so a bad row never leaves a half-applied list
+    const documents = [];
+    for (const line of lines) {
+      const { rowNumber, ...data } = line;
+      const document = new PriceListLine({ priceList: priceList._id, ...data });
+      try {
+        await document.validate();
+        documents.push(document);
+      } catch (error) {
+        errors.push({ row: rowNumber, error: Object.values(error.errors || {}).map(e => e.message).join(', ') || error.message });
+      }
+    }
+
+    const summary = { mode, dryRun, totalRows: documents.length + errors.length, valid: documents.length, errors };
+    if (dryRun || errors.length > 0) {
+      summary.applied = false;
+      return summary;
+    }
+
+    // New lines are written before old ones are removed, so a failed write never empties the list;
+    // every written line gets an updatedAt at or after this moment
+    const uploadedAt = new Date();
+    const result = await PriceListLine.bulkWrite(documents.map(document => {
+      const { _id, ...line } = document.toObject();
+      return {
+        updateOne: {
+          filter: {
+            priceList: priceList._id,
+            product: line.product || null,
+            brand: line.brand || null,
+            category: line.category || null
+          },
+          update: {
+            $set: {
+              scope: line.scope,
+              type: line.type,
+              value: line.value,
+              validFrom: line.validFrom || null,
+              validTo: line.validTo || null
+            }
+          },
+          upsert: true
+        }
+      };
+    }));
+
+    summary.applied = true;
+    summary.created = result.upsertedCount;
+    summary.updated = result.modifiedCount;
+
+    if (mode === 'replace') {
+      const removed = await PriceListLine.deleteMany({ priceList: priceList._id, updatedAt: { $lt: uploadedAt } });
+      summary.removed = removed.deletedCount;
+    }
+
+    logger.info('Price list lines uploaded', {
+      priceListId,
+      userId,
+      mode,
+      created: summary.created,
+      updated: summary.updated,
+      removed: summary.removed
+    });
+
+    return summary;
+  }
+}
+
+module.exports = new PriceListService();
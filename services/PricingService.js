@@ -0,0 +1,230 @@
+const { AppError, AuthorizationError } = require('../middleware/errorHandler');
+
+// Line fields a customer may not send - prices always come from the catalog
+const ITEM_PRICE_FIELDS = ['unitPrice', 'discount', 'taxRate', 'taxAmount', 'totalPrice'];
+const ORDER_PRICE_FIELDS = ['shippingCost', 'subtotal', 'totalDiscount', 'totalTax', 'totalAmount'];
+
+/**
+ * Round a currency amount to cents
+ * @param {number} amount - Amount to round
+ * @returns {number} Rounded amount
+ */
+const roundCurrency = (amount) => Math.round((amount + Number.EPSILON) * 100) / 100;
+
+/**
+ * Pricing Service - Derives order and cart prices from the catalog and customer context
+ */
+class PricingService {
+  /**
+   * Find the quantity level that applies to a quantity
+   * @param {object} product - Product document
+   * @param {number} quantity - Requested quantity
+   * @returns {object|null} Matching quantity level or null
+   */
+  findQuantityLevel(product, quantity) {
+    const levels = product.quantityLevels || [];
+
+    // Tiers never overlap (ProductService.normalizeQuantityLevels), so the first match is the only one
+    return levels.find(level => {
+      if (typeof level.minQuantity !== 'number' || quantity < level.minQuantity) return false;
+      return typeof level.maxQuantity !== 'number' || quantity <= level.maxQuantity;
+    }) || null;
+  }
+
+  /**
+   * Find the best contract price for a product in a customer's price lists. Product lines
+   * (including lines for a variant's parent) win over brand and category lines; among the
+   * lines that apply, the lowest price is used.
+   * @param {object} product - Product document
+   * @param {object} customerPricing - Customer pricing from PriceListService.getCustomerPricing
+   * @returns {object|null} { unitPrice, line } or null when no line applies
+   */
+  findPriceListPrice(product, customerPricing) {
+    if (!customerPricing) return null;
+
+    const idOf = ref => (ref && ref._id ? ref._id : ref)?.toString();
+    let lines = [
+      ...(customerPricing.products.get(idOf(product._id)) || []),
+      ...(customerPricing.products.get(idOf(product.parentProduct)) || [])
+    ];
+    if (lines.length === 0) {
+      lines = [
+        ...(customerPricing.brands.get(idOf(product.brandId)) || []),
+        ...(product.categories || []).flatMap(category => customerPricing.categories.get(idOf(category)) || [])
+      ];
+    }
+
+    const listPrice = parseFloat(product.price) || 0;
+    let best = null;
+    lines.forEach(line => {
+      const unitPrice = line.type === 'fixed' ? line.value : roundCurrency(listPrice * (1 - line.value / 100));
+      if (!best || unitPrice < best.unitPrice) best = { unitPrice, line };
+    });
+
+    return best;
+  }
+
+  /**
+   * Get the default discount of the customer's group
+   * @param {object} customerPricing - Customer pricing from PriceListService.getCustomerPricing
+   * @returns {number} Percentage off the catalog price (0 when the group has none)
+   */
+  findGroupDiscount(customerPricing) {
+    const discount = customerPricing?.group?.defaultDiscount || 0;
+    return Math.min(Math.max(discount, 0), 100);
+  }
+
+  /**
+   * Get the shipping cost for a shipping method from its SHIPPING_<METHOD>_COST setting
+   * (server.js refuses to start without them)
+   * @param {string} shippingMethod - Shipping method
+   * @param {number} merchandiseTotal - Order total after discounts, before tax
+   * @returns {number} Shipping cost
+   */
+  calculateShipping(shippingMethod = 'standard', merchandiseTotal = 0) {
+    const freeThreshold = parseFloat(process.env.FREE_SHIPPING_THRESHOLD);
+    if (shippingMethod === 'standard' && !isNaN(freeThreshold) && merchandiseTotal >= freeThreshold) {
+      return 0;
+    }
+
+    const setting = `SHIPPING_${shippingMethod.toUpperCase()}_COST`;
+    const rate = parseFloat(process.env[setting]);
+    if (isNaN(rate) || rate < 0) {
+      throw new AppError(`Shipping is not configured: set ${setting}`, 500);
+    }
+
+    return rate;
+  }
+
+  /**
+   * Reject price fields supplied by non-admin clients
+   * @param {object} orderData - Order data from the request
+   * @param {object} user - Authenticated user
+   */
+  assertNoClientOverrides(orderData, user) {
+    if (user && user.role === 'admin') return;
+
+    const orderFields = ORDER_PRICE_FIELDS.filter(field => orderData[field] !== undefined);
+    const itemFields = new Set();
+    (orderData.items || []).forEach(item => {
+      ITEM_PRICE_FIELDS.forEach(field => {
+        if (item[field] !== undefined) itemFields.add(`items.${field}`);
+      });
+    });
+
+    const fields = [...orderFields, ...itemFields];
+    if (fields.length > 0) {
+      throw new AuthorizationError(`Prices are calculated by the server and cannot be supplied: ${fields.join(', ')}`);
+    }
+  }
+
+  /**
+   * Price a single line from the catalog
+   * @param {object} product - Product document
+   * @param {number} quantity - Line quantity
+   * @param {object} context - Pricing context ({ customer, customerPricing, overrides, overriddenBy })
+   * @returns {object} Line pricing with a breakdown of how it was derived
+   */
+  priceLine(product, quantity, context = {}) {
+    const overrides = context.overrides || {};
+    const listPrice = parseFloat(product.price) || 0;
+    let unitPrice = listPrice;
+    let discount = 0;
+    let pricingSource = 'catalog';
+
+    let level = this.findQuantityLevel(product, quantity);
+    if (level) {
+      if (typeof level.price === 'number' && level.price > 0) unitPrice = level.price;
+      if (level.discount > 0) discount = Math.min(level.discount, 100);
+      pricingSource = 'quantity_level';
+    }
+
+    // The group's default discount replaces the quantity level when it gives a better price
+    const groupDiscount = this.findGroupDiscount(context.customerPricing);
+    if (groupDiscount > 0 && listPrice * (1 - groupDiscount / 100) < unitPrice * (1 - discount / 100)) {
+      unitPrice = listPrice;
+      discount = groupDiscount;
+      level = null;
+      pricingSource = 'customer_group';
+    }
+
+    // A contract price is used unless the customer already gets a better price
+    const contract = this.findPriceListPrice(product, context.customerPricing);
+    if (contract && contract.unitPrice <= unitPrice * (1 - discount / 100)) {
+      unitPrice = contract.unitPrice;
+      discount = 0;
+      level = null;
+      pricingSource = 'price_list';
+    }
+
+    let taxRate = product.taxRate || 0;
+    const catalogUnitPrice = unitPrice;
+    const tierDiscount = discount;
+
+    // Admin overrides replace the catalog values but keep them in the breakdown
+    const hasOverride = ['unitPrice', 'discount', 'taxRate'].some(field => overrides[field] !== undefined);
+    if (overrides.unitPrice !== undefined) unitPrice = parseFloat(overrides.unitPrice);
+    if (overrides.discount !== undefined) discount = parseFloat(overrides.discount);
+    if (overrides.taxRate !== undefined) taxRate = parseFloat(overrides.taxRate);
+    if (hasOverride) pricingSource = 'admin_override';
+
+    const grossAmount = unitPrice * quantity;
+    const discountAmount = roundCurrency((grossAmount * discount) / 100);
+    const netAmount = grossAmount - discountAmount;
+    const taxAmount = roundCurrency((netAmount * taxRate) / 100);
+
+    return {
+      unitPrice,
+      discount,
+      taxRate,
+      discountAmount,
+      taxAmount,
+      totalPrice: roundCurrency(netAmount + taxAmount),
+      priceBreakdown: {
+        listPrice,
+        catalogUnitPrice,
+        quantityLevel: level ? level.level : undefined,
+        tierDiscount,
+        pricingSource,
+        priceList: pricingSource === 'price_list' ? contract.line.priceList : undefined,
+        priceListName: pricingSource === 'price_list' ? contract.line.priceListName : undefined,
+        customerGroup: pricingSource === 'customer_group' ? context.customerPricing.group._id : undefined,
+        customerGroupName: pricingSource === 'customer_group' ? context.customerPricing.group.name : undefined,
+        overriddenBy: hasOverride ? context.overriddenBy : undefined,
+        calculatedAt: new Date()
+      }
+    };
+  }
+
+  /**
+   * Price a complete order
+   * @param {Array} lines - Lines as { product, quantity, overrides }
+   * @param {object} context - Pricing context ({ customer, customerPricing, shippingMethod, shippingCost, overriddenBy })
+   * @returns {object} Priced lines and order totals
+   */
+  priceOrder(lines, context = {}) {
+    const items = lines.map(line => ({
+      product: line.product,
+      quantity: line.quantity,
+      ...this.priceLine(line.product, line.quantity, { ...context, overrides: line.overrides })
+    }));
+
+    const subtotal = roundCurrency(items.reduce((sum, item) => sum + item.unitPrice * item.quantity, 0));
+    const totalDiscount = roundCurrency(items.reduce((sum, item) => sum + item.discountAmount, 0));
+    const totalTax = roundCurrency(items.reduce((sum, item) => sum + item.taxAmount, 0));
+    const shippingCost = context.shippingCost !== undefined
+      ? parseFloat(context.shippingCost)
+      : this.calculateShipping(context.shippingMethod, subtotal - totalDiscount);
+
+    return {
+      items,
+      subtotal,
+      totalDiscount,
+      totalTax,
+      shippingCost,
+      totalAmount: roundCurrency(subtotal - totalDiscount + totalTax + shippingCost)
+    };
+  }
+}
+
+module.exports = new PricingService();
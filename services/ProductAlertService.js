@@ -0,0 +1,373 @@
+const mongoose = require('mongoose');
+const ProductAlert = require('../models/ProductAlert');
+const Product = require('../models/Product');
+const User = require('../models/User');
+const InventoryService = require('./InventoryService');
+const { sendEmail, escapeHtml, renderEmailLayout } = require('../utils/email');
+const { sendSMS } = require('../utils/sms');
+const { NotFoundError, ValidationError, ConflictError, AuthorizationError } = require('../middleware/errorHandler');
+const { logger } = require('../middleware/logger');
+
+// Queued alerts sent per run, and delivery attempts before an alert is marked failed
+const BATCH_SIZE = 50;
+const MAX_ATTEMPTS = 3;
+
+// An alert left in sending this long (e.g. the process stopped mid-send) is picked up again
+const SENDING_TIMEOUT_MS = 10 * 60 * 1000;
+
+const formatPrice = price => `$${Number(price || 0).toFixed(2)}`;
+
+/**
+ * Product Alert Service - Back-in-stock and price-drop subscriptions, queued when the
+ * condition is met and sent by email and SMS
+ */
+class ProductAlertService {
+  constructor() {
+    this.processing = false;
+
+    // Stock returned by cancellations, returns, warehouse counts, imports and bundle syncs
+    InventoryService.onStockIncrease(product => this.checkProduct(product));
+  }
+
+  /**
+   * Read page and limit from query options
+   * @param {object} options - Query options
+   * @returns {object} { page, limit }
+   */
+  getPaging(options = {}) {
+    return {
+      page: Math.max(parseInt(options.page, 10) || 1, 1),
+      limit: Math.min(Math.max(parseInt(options.limit, 10) || 10, 1), 100)
+    };
+  }
+
+  /**
+   * Check whether a product can currently be bought
+   * @param {object} product - Product
+   * @returns {boolean} True when in stock
+   */
+  isInStock(product) {
+    if (product.stockStatus === 'out_of_stock') return false;
+    return !InventoryService.isStockTracked(product) || product.stock > 0;
+  }
+
+  /**
+   * Subscribe a customer to an alert for a product. Subscribing again to the same kind of
+   * alert updates the existing subscription.
+   * @param {string} productId - Product ID
+   * @param {object} user - Authenticated customer
+   * @param {object} data - { type, channels, targetPrice }
+   * @returns {Promise<object>} Alert
+   */
+  async subscribe(productId, user, data) {
+    if (!mongoose.Types.ObjectId.isValid(productId)) {
+      throw new ValidationError('Invalid product ID format');
+    }
+
+    const product = await Product.findOne({ _id: productId, deletedAt: { $exists: false } })
+      .select('productName sku price stock stockStatus trackQuantity status isPublished variantAxes')
+      .lean();
+    if (!product || !product.isPublished || !['active', 'inactive'].includes(product.status)) {
+      throw new NotFoundError('Product');
+    }
+    if (product.variantAxes && product.variantAxes.length > 0) {
+      throw new ValidationError(`Choose a variant of ${product.sku}`);
+    }
+
+    const channels = [...new Set(data.channels && data.channels.length > 0 ? data.channels : ['email'])];
+    if (channels.includes('sms') && !user.phoneNumber) {
+      throw new ValidationError('Add a phone number to your account to get SMS alerts');
+    }
+
+    const update = { $set: { channels } };
+    if (data.type === 'back_in_stock') {
+      if (product.status === 'active' && this.isInStock(product)) {
+        throw new ConflictError('This product is already in stock');
+      }
+    } else {
+      update.$set.priceAtSubscription = product.price;
+      if (data.targetPrice !== undefined && data.targetPrice !== null) {
+        const targetPrice = parseFloat(data.targetPrice);
+        if (targetPrice >= product.price) {
+          throw new ValidationError(`Target price must be below the current price of ${formatPrice(product.price)}`);
+        }
+        update.$set.targetPrice = targetPrice;
+      } else {
+        update.$unset = { targetPrice: 1 };
+      }
+    }
+
+    const alert = await ProductAlert.findOneAndUpdate(
+      { user: user._id, product: product._id, type: data.type, status: 'active' },
+      update,
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    logger.info('Product alert subscribed', { alertId: alert._id, productId, userId: user._id, type: data.type });
+
+    return alert;
+  }
+
+  /**
+   * Get a customer's alerts, newest first
+   * @param {string} userId - Customer ID
+   * @param {object} options - Query options (type, status, page, limit)
+   * @returns {Promise<object>} Alerts and pagination
+   */
+  async getMyAlerts(userId, options = {}) {
+    const { page, limit } = this.getPaging(options);
+    const filter = { user: userId };
+    if (options.type) filter.type = options.type;
+    if (options.status) filter.status = options.status;
+
+    const [alerts, total] = await Promise.all([
+      ProductAlert.find(filter)
+        .select('-attempts -processingAt -lastError')
+        .populate('product', 'productName sku price mainImage stockStatus')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      ProductAlert.countDocuments(filter)
+    ]);
+
+    return {
+      alerts,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * List alerts for staff
+   * @param {object} options - Query options (type, status, product, page, limit)
+   * @returns {Promise<object>} Alerts and pagination
+   */
+  async getAlerts(options = {}) {
+    const { page, limit } = this.getPaging(options);
+    const filter = {};
+    if (options.type) filter.type = options.type;
+    if (options.status) filter.status = options.status;
+    if (options.product) filter.product = options.product;
+
+    const [alerts, total] = await Promise.all([
+      ProductAlert.find(filter)
+        .populate('product', 'productName sku price stock stockStatus')
+        .populate('user', 'firstName lastName email')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      ProductAlert.countDocuments(filter)
+    ]);
+
+    return {
+      alerts,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Delete an alert; customers may only delete their own
+   * @param {string} alertId - Alert ID
+   * @param {object} user - Authenticated user
+   * @returns {Promise<void>}
+   */
+  async deleteAlert(alertId, user) {
+    if (!mongoose.Types.ObjectId.isValid(alertId)) {
+      throw new ValidationError('Invalid alert ID format');
+    }
+
+    const alert = await ProductAlert.findById(alertId);
+    if (!alert) {
+      throw new NotFoundError('Alert');
+    }
+    if (user.role !== 'admin' && alert.user.toString() !== user._id.toString()) {
+      throw new AuthorizationError('You can only delete your own alerts');
+    }
+
+    await alert.deleteOne();
+
+    logger.info('Product alert deleted', { alertId, userId: user._id });
+  }
+
+  /**
+   * Queue the alerts whose condition a product now meets and start sending them. Failures are
+   * logged rather than thrown so they never block the product change that triggered them.
+   * @param {object} product - Product after the change
+   * @returns {Promise<number>} Alerts queued
+   */
+  async checkProduct(product) {
+    try {
+      if (!product || product.deletedAt || product.status !== 'active' || !product.isPublished) return 0;
+
+      const conditions = [{
+        type: 'price_drop',
+        $or: [
+          { targetPrice: { $gte: product.price } },
+          { targetPrice: null, priceAtSubscription: { $gt: product.price } }
+        ]
+      }];
+      if (this.isInStock(product)) {
+        conditions.push({ type: 'back_in_stock' });
+      }
+
+      const result = await ProductAlert.updateMany(
+        { product: product._id, status: 'active', $or: conditions },
+        { $set: { status: 'queued', triggeredAt: new Date(), triggeredPrice: product.price, triggeredStock: product.stock } }
+      );
+
+      if (result.modifiedCount > 0) {
+        logger.info('Product alerts queued', { productId: product._id, count: result.modifiedCount });
+        this.processQueue().catch(error => {
+          logger.error('Failed to send product alerts', { error: error.message });
+        });
+      }
+      return result.modifiedCount;
+    } catch (error) {
+      logger.error('Failed to check product alerts', { productId: product?._id, error: error.message });
+      return 0;
+    }
+  }
+
+  /**
+   * Send queued alerts. Each alert is claimed before sending so two runs never send it twice;
+   * failed sends go back on the queue until they run out of attempts.
+   * @returns {Promise<number>} Alerts sent
+   */
+  async processQueue() {
+    if (this.processing) return 0;
+    this.processing = true;
+
+    let sent = 0;
+    try {
+      const due = await ProductAlert.find({
+        $or: [
+          { status: 'queued' },
+          { status: 'sending', processingAt: { $lt: new Date(Date.now() - SENDING_TIMEOUT_MS) } }
+        ]
+      })
+        .sort({ triggeredAt: 1 })
+        .limit(BATCH_SIZE)
+        .lean();
+
+      for (const queued of due) {
+        const alert = await ProductAlert.findOneAndUpdate(
+          { _id: queued._id, status: queued.status, attempts: queued.attempts },
+          { $set: { status: 'sending', processingAt: new Date() }, $inc: { attempts: 1 } },
+          { new: true }
+        ).lean();
+        if (!alert) continue;
+
+        let sentChannels = [];
+        let lastError = 'No notification could be delivered';
+        try {
+          sentChannels = await this.deliver(alert);
+        } catch (error) {
+          lastError = error.message;
+        }
+
+        if (sentChannels.length > 0) {
+          sent++;
+          await ProductAlert.updateOne(
+            { _id: alert._id },
+            { $set: { status: 'sent', sentAt: new Date(), sentChannels }, $unset: { processingAt: 1, lastError: 1 } }
+          );
+        } else {
+          const status = alert.attempts >= MAX_ATTEMPTS ? 'failed' : 'queued';
+          await ProductAlert.updateOne({ _id: alert._id }, { $set: { status, lastError }, $unset: { processingAt: 1 } });
+          logger.warn('Product alert not delivered', { alertId: alert._id, attempts: alert.attempts, status, error: lastError });
+        }
+      }
+
+      if (sent > 0) {
+        logger.info('Product alerts sent', { count: sent });
+      }
+    } finally {
+      this.processing = false;
+    }
+
+    return sent;
+  }
+
+  /**
+   * Send one alert on each of its channels
+   * @param {object} alert - Alert being sent
+   * @returns {Promise<Array>} Channels the alert was delivered on
+   */
+  async deliver(alert) {
+    const [user, product] = await Promise.all([
+      User.findById(alert.user).select('firstName email phoneNumber').lean(),
+      Product.findById(alert.product).select('productName sku price').lean()
+    ]);
+    if (!user || !product) {
+      throw new Error('Customer or product no longer exists');
+    }
+
+    const message = this.buildMessage(alert, user, product);
+    const sentChannels = [];
+
+    if (alert.channels.includes('email') && user.email) {
+      if (await sendEmail(user.email, message.subject, message.html, message.text)) {
+        sentChannels.push('email');
+      }
+    }
+
+    if (alert.channels.includes('sms') && user.phoneNumber) {
+      const smsSent = await sendSMS(user.phoneNumber, message.sms, {
+        senderId: process.env.SMS_SENDER_ID || 'OrderAlert',
+        smsType: 'Transactional'
+      });
+      if (smsSent) sentChannels.push('sms');
+    }
+
+    return sentChannels;
+  }
+
+  /**
+   * Build the email and SMS text for an alert
+   * @param {object} alert - Alert being sent
+   * @param {object} user - Customer
+   * @param {object} product - Product
+   * @returns {object} { subject, html, text, sms }
+   */
+  buildMessage(alert, user, product) {
+    const companyName = process.env.COMPANY_NAME || 'Online Electrical Wholesale';
+    const companyWebsite = process.env.COMPANY_WEBSITE || 'https://onlineelectricalwholesale.com.au';
+    const name = user.firstName || 'Customer';
+    const productLabel = `${product.productName} (${product.sku})`;
+    const price = alert.triggeredPrice !== undefined ? alert.triggeredPrice : product.price;
+
+    let subject;
+    let summary;
+    if (alert.type === 'back_in_stock') {
+      subject = `${product.productName} is back in stock`;
+      summary = `${productLabel} is back in stock at ${formatPrice(price)}.`;
+    } else {
+      subject = `Price drop on ${product.productName}`;
+      summary = `${productLabel} is now ${formatPrice(price)}` +
+        (alert.priceAtSubscription ? `, down from ${formatPrice(alert.priceAtSubscription)}.` : '.');
+    }
+
+    const html = renderEmailLayout(subject, `
+                  <p style="margin: 0 0 20px; color: #666666; font-size: 16px; line-height: 1.6;">Hello ${escapeHtml(name)},</p>
+                  <p style="margin: 0 0 20px; color: #666666; font-size: 16px; line-height: 1.6;">${escapeHtml(summary)}</p>
+                  <p style="margin: 0; color: #999999; font-size: 14px; line-height: 1.6;">You asked us to let you know. This alert has now been used; subscribe again for future changes.</p>`);
+
+    const text = `Hello ${name},\n\n${summary}\n\nYou asked us to let you know. This alert has now been used; subscribe again for future changes.\n\n${companyName}\n${companyWebsite}`;
+    const sms = `${companyName}: ${summary} ${companyWebsite}`;
+
+    return { subject, html, text, sms };
+  }
+}
+
+module.exports = new ProductAlertService();
@@ -0,0 +1,278 @@
+const { once } = require('events');
+const ExcelJS = require('exceljs');
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+const Attribute = require('../models/Attribute');
+const ProductService = require('./ProductService');
+const { logger } = require('../middleware/logger');
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' }
+};
+
+// Products enriched and written per batch
+const BATCH_SIZE = 200;
+
+// Spreadsheet columns; headers match the import aliases so an export can be edited and re-imported
+const COLUMNS = [
+  { header: 'SKU', value: row => row.sku },
+  { header: 'Product Name', value: row => row.productName },
+  { header: 'Parent SKU', value: row => row.parentSku },
+  { header: 'Status', value: row => row.status },
+  { header: 'Published', value: row => row.isPublished },
+  { header: 'Seller', value: row => row.seller },
+  { header: 'Brand', value: row => row.brand },
+  { header: 'Categories', value: row => row.categorySlugs.join('|') },
+  { header: 'Category Paths', value: row => row.categoryPaths.join('|') },
+  { header: 'Price', value: row => row.price },
+  { header: 'Compare Price', value: row => row.comparePrice },
+  { header: 'Cost Price', value: row => row.costPrice },
+  { header: 'Tax Rate', value: row => row.taxRate },
+  { header: 'Quantity Tiers', value: row => row.quantityTiers },
+  { header: 'Stock', value: row => row.stock },
+  { header: 'Stock Status', value: row => row.stockStatus },
+  { header: 'Low Stock Threshold', value: row => row.lowStockThreshold },
+  { header: 'Track Quantity', value: row => row.trackQuantity },
+  { header: 'Weight', value: row => row.weight },
+  { header: 'Short Description', value: row => row.shortDescription },
+  { header: 'Main Image', value: row => row.mainImage },
+  { header: 'Other Images', value: row => row.otherImages.join('|') },
+  { header: 'Updated At', value: row => row.updatedAt },
+  { header: 'Deleted At', value: row => row.deletedAt }
+];
+
+/**
+ * Quote a value for CSV output. Text starting like a formula is prefixed with ' so
+ * spreadsheet apps show it rather than run it.
+ * @param {any} value - Cell value
+ * @returns {string} CSV field
+ */
+const csvField = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Product Export Service - Streams the filtered catalog as CSV, XLSX or NDJSON
+ */
+class ProductExportService {
+  /**
+   * Get the content type and file name for an export format
+   * @param {string} format - csv, xlsx or ndjson
+   * @returns {object} { contentType, fileName }
+   */
+  getFormatDetails(format) {
+    const details = EXPORT_FORMATS[format] || EXPORT_FORMATS.csv;
+    const date = new Date().toISOString().slice(0, 10);
+    return { contentType: details.contentType, fileName: `products-${date}.${details.extension}` };
+  }
+
+  /**
+   * Load every category so paths can be built without a query per product
+   * @returns {Promise<Map>} Category ID -> { name, slug, path }
+   */
+  async loadCategoryPaths() {
+    const categories = await Category.find().select('name slug parent').lean();
+    const byId = new Map(categories.map(category => [category._id.toString(), category]));
+
+    const paths = new Map();
+    categories.forEach(category => {
+      const names = [];
+      const visited = new Set();
+      let current = category;
+      while (current && !visited.has(current._id.toString())) {
+        visited.add(current._id.toString());
+        names.unshift(current.name);
+        current = current.parent ? byId.get(current.parent.toString()) : null;
+      }
+      paths.set(category._id.toString(), { name: category.name, slug: category.slug, path: names.join(' > ') });
+    });
+
+    return paths;
+  }
+
+  /**
+   * Get the names of attributes used by the exported products, for the attribute columns
+   * @param {object} filter - Product filter
+   * @returns {Promise<Array>} Attribute names in alphabetical order
+   */
+  async getAttributeColumns(filter) {
+    const attributeIds = (await Product.distinct('attributes.id', filter))
+      .filter(id => id && mongoose.Types.ObjectId.isValid(id));
+    if (attributeIds.length === 0) return [];
+
+    const attributes = await Attribute.find({ _id: { $in: attributeIds } }).select('name').sort('name').lean();
+    return attributes.map(attribute => attribute.name);
+  }
+
+  /**
+   * Describe quantity tiers as text, e.g. "1-9: 12.50 | 10+: 5% off"
+   * @param {Array} levels - Quantity levels
+   * @returns {string} Tier summary
+   */
+  formatQuantityTiers(levels = []) {
+    return levels.map(level => {
+      const range = level.maxQuantity ? `${level.minQuantity}-${level.maxQuantity}` : `${level.minQuantity}+`;
+      const price = level.price !== undefined && level.price !== null
+        ? level.price.toFixed(2)
+        : `${level.discount || 0}% off`;
+      return `${range}: ${price}`;
+    }).join(' | ');
+  }
+
+  /**
+   * Flatten an enriched product into an export row
+   * @param {object} product - Product with attribute names
+   * @param {object} context - Category paths and parent SKUs
+   * @returns {object} Export row
+   */
+  toExportRow(product, context) {
+    const categories = (product.categories || [])
+      .map(id => context.categoryPaths.get(id.toString()))
+      .filter(category => category);
+
+    return {
+      id: product._id.toString(),
+      sku: product.sku,
+      productName: product.productName,
+      parentSku: product.parentProduct ? context.parentSkus.get(product.parentProduct.toString()) || null : null,
+      status: product.status,
+      isPublished: product.isPublished,
+      seller: product.seller,
+      brand: product.brandId?.name || null,
+      categorySlugs: categories.map(category => category.slug || category.name),
+      categoryPaths: categories.map(category => category.path),
+      price: product.price,
+      comparePrice: product.comparePrice,
+      costPrice: product.costPrice,
+      taxRate: product.taxRate,
+      quantityLevels: (product.quantityLevels || []).map(({ level, minQuantity, maxQuantity, price, discount }) => ({
+        level, minQuantity, maxQuantity, price, discount
+      })),
+      quantityTiers: this.formatQuantityTiers(product.quantityLevels),
+      stock: product.stock,
+      stockStatus: product.stockStatus,
+      lowStockThreshold: product.lowStockThreshold,
+      trackQuantity: product.trackQuantity,
+      weight: product.weight,
+      shortDescription: product.shortDescription,
+      mainImage: product.mainImage,
+      otherImages: product.otherImages || [],
+      attributes: (product.attributes || [])
+        .filter(attribute => attribute.name)
+        .map(attribute => ({ name: attribute.name, value: attribute.value })),
+      updatedAt: product.updatedAt,
+      deletedAt: product.deletedAt || null
+    };
+  }
+
+  /**
+   * Stream the products matching the listing filters to a writable response
+   * @param {object} options - getProducts filters plus format and sort
+   * @param {object} res - Writable stream (Express response)
+   * @returns {Promise<number>} Number of products exported
+   */
+  async exportProducts(options, res) {
+    const format = EXPORT_FORMATS[options.format] ? options.format : 'csv';
+
+    // Every SKU is its own row, so variants are included unless explicitly excluded
+    const { filter } = await ProductService.buildProductFilter({
+      ...options,
+      includeVariants: options.includeVariants ?? true
+    });
+
+    const [categoryPaths, attributeColumns] = await Promise.all([
+      this.loadCategoryPaths(),
+      format === 'ndjson' ? [] : this.getAttributeColumns(filter)
+    ]);
+    const context = { categoryPaths, parentSkus: new Map() };
+
+    const headers = [...COLUMNS.map(column => column.header), ...attributeColumns.map(name => `attr:${name}`)];
+    const toCells = (row) => {
+      const attributeValues = new Map(row.attributes.map(attribute => [attribute.name, attribute.value]));
+      return [
+        ...COLUMNS.map(column => column.value(row)),
+        ...attributeColumns.map(name => attributeValues.get(name))
+      ];
+    };
+
+    let workbook;
+    let worksheet;
+    const write = async (chunk) => {
+      if (!res.write(chunk)) await once(res, 'drain');
+    };
+
+    if (format === 'xlsx') {
+      workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+      worksheet = workbook.addWorksheet('Products');
+      worksheet.columns = headers.map(header => ({ header, key: header, width: Math.max(12, header.length + 2) }));
+      worksheet.getRow(1).font = { bold: true };
+      worksheet.getRow(1).commit();
+    } else if (format === 'csv') {
+      // BOM so spreadsheet applications read the file as UTF-8
+      await write('﻿' + headers.map(csvField).join(',') + '\r\n');
+    }
+
+    const writeBatch = async (batch) => {
+      const parentIds = batch
+        .filter(product => product.parentProduct && !context.parentSkus.has(product.parentProduct.toString()))
+        .map(product => product.parentProduct);
+      if (parentIds.length > 0) {
+        const parents = await Product.find({ _id: { $in: parentIds } }).select('sku').lean();
+        parents.forEach(parent => context.parentSkus.set(parent._id.toString(), parent.sku));
+      }
+
+      const products = await ProductService.enrichAttributesWithNames(batch);
+      for (const product of products) {
+        const row = this.toExportRow(product, context);
+        if (format === 'xlsx') {
+          worksheet.addRow(toCells(row)).commit();
+        } else if (format === 'csv') {
+          await write(toCells(row).map(csvField).join(',') + '\r\n');
+        } else {
+          await write(JSON.stringify(row) + '\n');
+        }
+      }
+    };
+
+    const cursor = Product.find(filter)
+      .populate('brandId', 'name')
+      .sort(options.sort || 'sku')
+      .lean()
+      .cursor({ batchSize: BATCH_SIZE });
+
+    let count = 0;
+    let batch = [];
+    for await (const product of cursor) {
+      batch.push(product);
+      if (batch.length === BATCH_SIZE) {
+        await writeBatch(batch);
+        count += batch.length;
+        batch = [];
+      }
+    }
+    if (batch.length > 0) {
+      await writeBatch(batch);
+      count += batch.length;
+    }
+
+    if (format === 'xlsx') {
+      await worksheet.commit();
+      await workbook.commit();
+    } else {
+      res.end();
+    }
+
+    logger.info('Product export completed', { format, count, filters: Object.keys(options) });
+    return count;
+  }
+}
+
+module.exports = new ProductExportService();
@@ -0,0 +1,573 @@
+const { Readable } = require('stream');
+const ExcelJS = require('exceljs');
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+const Brand = require('../models/Brand');
+const Attribute = require('../models/Attribute');
+const ImportJob = require('../models/ImportJob');
+const ProductService = require('./ProductService');
+const InventoryService = require('./InventoryService');
+const { NotFoundError, ValidationError } = require('../middleware/errorHandler');
+const { logger } = require('../middleware/logger');
+
+// Spreadsheet headers accepted for each product field (compared lower-case, spaces/underscores collapsed)
+const COLUMN_ALIASES = {
+  sku: ['sku', 'product code', 'item code'],
+  productName: ['productname', 'product name', 'name', 'title'],
+  seller: ['seller', 'supplier'],
+  price: ['price', 'sell price', 'unit price'],
+  comparePrice: ['compareprice', 'compare price', 'rrp'],
+  costPrice: ['costprice', 'cost price', 'cost'],
+  stock: ['stock', 'qty', 'quantity', 'stock on hand'],
+  lowStockThreshold: ['lowstockthreshold', 'low stock threshold'],
+  trackQuantity: ['trackquantity', 'track quantity'],
+  taxRate: ['taxrate', 'tax rate', 'gst'],
+  categories: ['categories', 'category'],
+  brand: ['brand', 'brand name', 'brandid'],
+  status: ['status'],
+  isPublished: ['ispublished', 'published'],
+  shortDescription: ['shortdescription', 'short description'],
+  longDescription: ['longdescription', 'long description', 'description'],
+  guaranteePeriod: ['guaranteeperiod', 'guarantee period', 'warranty'],
+  weight: ['weight'],
+  mainImage: ['mainimage', 'main image', 'image'],
+  otherImages: ['otherimages', 'other images', 'images']
+};
+
+const NUMBER_FIELDS = ['price', 'comparePrice', 'costPrice', 'stock', 'lowStockThreshold', 'taxRate', 'weight'];
+const BOOLEAN_FIELDS = ['trackQuantity', 'isPublished'];
+const LIST_FIELDS = ['categories', 'otherImages'];
+
+// Columns named "attr:<Attribute name>" or "attribute:<Attribute name>" set attribute values
+const ATTRIBUTE_COLUMN = /^attr(?:ibute)?\s*:\s*(.+)$/i;
+
+// Rows between progress updates on the job document
+const PROGRESS_INTERVAL = 25;
+const MAX_ROW_ERRORS = 500;
+
+/**
+ * Normalise a spreadsheet header for alias lookup
+ * @param {string} header - Header text
+ * @returns {string} Normalised header
+ */
+const normalizeHeader = (header) => header.toString().trim().toLowerCase().replace(/[\s_]+/g, ' ');
+
+const HEADER_FIELDS = new Map();
+Object.entries(COLUMN_ALIASES).forEach(([field, aliases]) => {
+  aliases.forEach(alias => HEADER_FIELDS.set(alias, field));
+});
+
+/**
+ * Product Import Service - Bulk creates and updates products from CSV/XLSX files
+ */
+class ProductImportService {
+  /**
+   * Convert an ExcelJS cell value to trimmed text
+   * @param {any} value - Cell value
+   * @returns {string} Cell text
+   */
+  cellText(value) {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return value.toISOString();
+    if (typeof value === 'object') {
+      if (value.richText) return value.richText.map(part => part.text).join('').trim();
+      if (value.text !== undefined) return String(value.text).trim();
+      if (value.result !== undefined) return this.cellText(value.result);
+      if (value.hyperlink) return String(value.hyperlink).trim();
+      return '';
+    }
+    // Undo the ' the CSV export puts in front of text that looks like a formula
+    return String(value).trim().replace(/^'(?=[=+\-@\t\r])/, '');
+  }
+
+  /**
+   * Read the first worksheet of an uploaded file into row objects keyed by header
+   * @param {Buffer} buffer - File contents
+   * @param {string} fileType - 'csv' or 'xlsx'
+   * @returns {Promise<Array>} Rows as { rowNumber, values }
+   */
+  async parseFile(buffer, fileType) {
+    const workbook = new ExcelJS.Workbook();
+    let worksheet;
+
+    try {
+      if (fileType === 'xlsx') {
+        await workbook.xlsx.load(buffer);
+        worksheet = workbook.worksheets[0];
+      } else {
+        worksheet = await workbook.csv.read(Readable.from(buffer.toString('utf8').replace(/^﻿/, '')));
+      }
+    } catch (error) {
+      throw new ValidationError(`Could not read ${fileType.toUpperCase()} file: ${error.message}`);
+    }
+
+    if (!worksheet || worksheet.rowCount < 2) {
+      throw new ValidationError('The file must have a header row and at least one product row');
+    }
+
+    const headers = [];
+    worksheet.getRow(1).eachCell({ includeEmpty: true }, (cell, column) => {
+      headers[column] = this.cellText(cell.value);
+    });
+
+    const rows = [];
+    worksheet.eachRow({ includeEmpty: false }, (row, rowNumber) => {
+      if (rowNumber === 1) return;
+
+      const values = {};
+      row.eachCell({ includeEmpty: false }, (cell, column) => {
+        if (headers[column]) values[headers[column]] = this.cellText(cell.value);
+      });
+
+      if (Object.values(values).some(value => value !== '')) {
+        rows.push({ rowNumber, values });
+      }
+    });
+
+    return rows;
+  }
+
+  /**
+   * Split a list cell on "|" (or "," when no pipe is present)
+   * @param {string} value - Cell text
+   * @returns {Array} List items
+   */
+  splitList(value) {
+    const separator = value.includes('|') ? '|' : ',';
+    return value.split(separator).map(item => item.trim()).filter(item => item);
+  }
+
+  /**
+   * Load the categories, brands and attributes used to resolve names in the file
+   * @returns {Promise<object>} Lookup maps
+   */
+  async loadLookups() {
+    const [categories, brands, attributes] = await Promise.all([
+      Category.find().select('name slug').lean(),
+      Brand.find().select('name').lean(),
+      Attribute.find({ isActive: true }).lean()
+    ]);
+
+    const categoriesByName = new Map();
+    categories.forEach(category => {
+      const key = category.name.trim().toLowerCase();
+      categoriesByName.set(key, [...(categoriesByName.get(key) || []), category]);
+    });
+
+    return {
+      categoryIds: new Set(categories.map(category => category._id.toString())),
+      categoriesBySlug: new Map(categories.filter(category => category.slug).map(category => [category.slug.toLowerCase(), category])),
+      categoriesByName,
+      brandIds: new Set(brands.map(brand => brand._id.toString())),
+      brandsByName: new Map(brands.map(brand => [brand.name.trim().toLowerCase(), brand])),
+      attributesByName: new Map(attributes.map(attribute => [attribute.name.trim().toLowerCase(), attribute]))
+    };
+  }
+
+  /**
+   * Resolve a category reference (ID, slug or name)
+   * @param {string} reference - Category reference from the file
+   * @param {object} lookups - Lookup maps
+   * @returns {string} Category ID
+   */
+  resolveCategory(reference, lookups) {
+    if (mongoose.Types.ObjectId.isValid(reference) && lookups.categoryIds.has(reference)) {
+      return reference;
+    }
+
+    const key = reference.toLowerCase();
+    const bySlug = lookups.categoriesBySlug.get(key);
+    if (bySlug) return bySlug._id.toString();
+
+    const byName = lookups.categoriesByName.get(key) || [];
+    if (byName.length > 1) {
+      throw new Error(`Category name '${reference}' is ambiguous; use its slug`);
+    }
+    if (byName.length === 0) {
+      throw new Error(`Category '${reference}' not found`);
+    }
+    return byName[0]._id.toString();
+  }
+
+  /**
+   * Resolve a brand reference (ID or name)
+   * @param {string} reference - Brand reference from the file
+   * @param {object} lookups - Lookup maps
+   * @returns {string} Brand ID
+   */
+  resolveBrand(reference, lookups) {
+    if (mongoose.Types.ObjectId.isValid(reference) && lookups.brandIds.has(reference)) {
+      return reference;
+    }
+
+    const brand = lookups.brandsByName.get(reference.toLowerCase());
+    if (!brand) {
+      throw new Error(`Brand '${reference}' not found`);
+    }
+    return brand._id.toString();
+  }
+
+  /**
+   * Convert an attribute cell to the attribute's type
+   * @param {object} attribute - Attribute definition
+   * @param {string} value - Cell text
+   * @returns {any} Attribute value
+   */
+  convertAttributeValue(attribute, value) {
+    if (attribute.type === 'number') {
+      const number = Number(value);
+      if (isNaN(number)) throw new Error(`'${attribute.name}' must be a number`);
+      return number;
+    }
+
+    if (attribute.type === 'select') {
+      const option = (attribute.options || []).find(item => item.toLowerCase() === value.toLowerCase());
+      if (!option) throw new Error(`'${value}' is not an option of '${attribute.name}'`);
+      return option;
+    }
+
+    return value;
+  }
+
+  /**
+   * Map one row to product data and collect its validation errors
+   * @param {object} row - Row as { rowNumber, values }
+   * @param {object} context - Lookups, existing products, mode and SKUs already seen
+   * @returns {Promise<object>} { sku, existing, data, stock, errors }
+   */
+  async prepareRow(row, context) {
+    const errors = [];
+    const addError = (field, message) => errors.push({ row: row.rowNumber, sku, field, message });
+    const data = {};
+    const attributes = [];
+    let stock;
+
+    Object.entries(row.values).forEach(([header, value]) => {
+      if (value === '') return;
+
+      const attributeMatch = header.match(ATTRIBUTE_COLUMN);
+      if (attributeMatch) {
+        const attribute = context.lookups.attributesByName.get(attributeMatch[1].trim().toLowerCase());
+        if (!attribute) {
+          errors.push({ row: row.rowNumber, field: header, message: `Attribute '${attributeMatch[1].trim()}' not found` });
+          return;
+        }
+        try {
+          attributes.push({ id: attribute._id.toString(), value: this.convertAttributeValue(attribute, value) });
+        } catch (error) {
+          errors.push({ row: row.rowNumber, field: header, message: error.message });
+        }
+        return;
+      }
+
+      const field = HEADER_FIELDS.get(normalizeHeader(header));
+      if (!field) return;
+
+      if (NUMBER_FIELDS.includes(field)) {
+        const number = Number(value);
+        if (isNaN(number)) {
+          errors.push({ row: row.rowNumber, field, message: `${field} must be a number` });
+          return;
+        }
+        data[field] = number;
+      } else if (BOOLEAN_FIELDS.includes(field)) {
+        const bool = ProductService.normalizeBoolean(value);
+        if (bool === null) {
+          errors.push({ row: row.rowNumber, field, message: `${field} must be true or false` });
+          return;
+        }
+        data[field] = bool;
+      } else if (LIST_FIELDS.includes(field)) {
+        data[field] = this.splitList(value);
+      } else {
+        data[field] = value;
+      }
+    });
+
+    const sku = (data.sku || '').toUpperCase();
+    errors.forEach(error => { error.sku = sku; });
+    delete data.sku;
+
+    if (!sku) {
+      addError('sku', 'SKU is required');
+      return { sku, errors };
+    }
+    if (context.seenSkus.has(sku)) {
+      addError('sku', `SKU also appears on row ${context.seenSkus.get(sku)}`);
+      return { sku, errors };
+    }
+    context.seenSkus.set(sku, row.rowNumber);
+
+    const existing = context.existingBySku.get(sku);
+    if (existing && existing.deletedAt) {
+      addError('sku', 'SKU belongs to a deleted product; restore it before importing');
+      return { sku, errors };
+    }
+    if (context.mode === 'update' && !existing) {
+      addError('sku', 'No product with this SKU to update');
+      return { sku, errors };
+    }
+
+    // In create mode an existing SKU is a conflict; otherwise it is the product to update
+    try {
+      await ProductService.checkSkuUniqueness(sku, existing && context.mode !== 'create' ? existing._id : null);
+    } catch (error) {
+      addError('sku', error.message);
+      return { sku, errors };
+    }
+
+    if (data.categories) {
+      data.categories = data.categories.map(reference => {
+        try {
+          return this.resolveCategory(reference, context.lookups);
+        } catch (error) {
+          addError('categories', error.message);
+          return null;
+        }
+      }).filter((id, index, ids) => id && ids.indexOf(id) === index);
+    }
+    if (data.brand) {
+      try {
+        data.brandId = this.resolveBrand(data.brand, context.lookups);
+      } catch (error) {
+        addError('brand', error.message);
+      }
+    }
+    delete data.brand;
+
+    // Attribute columns update individual values; the product's other attributes are kept
+    if (attributes.length > 0) {
+      const merged = new Map((existing?.attributes || []).map(attribute => [attribute.id, attribute]));
+      attributes.forEach(attribute => merged.set(attribute.id, attribute));
+      data.attributes = [...merged.values()];
+    }
+
+    // Stock goes through the inventory ledger rather than the product update
+    if (data.stock !== undefined) {
+      stock = data.stock;
+      delete data.stock;
+      if (!Number.isInteger(stock) || stock < 0) {
+        addError('stock', 'Stock must be a whole number of at least 0');
+      } else if (existing) {
+        // Checked here so a row whose stock cannot be set leaves the product untouched
+        try {
+          await InventoryService.assertStockSettable(existing._id);
+        } catch (error) {
+          addError('stock', error.message);
+        }
+      }
+    }
+
+    // New products need the same fields as createProduct; fields already reported are skipped
+    if (!existing) {
+      const requireField = (field, missing, message) => {
+        if (missing && !errors.some(error => error.field === field)) addError(field, message);
+      };
+      requireField('productName', !data.productName, 'Product name is required');
+      requireField('price', !data.price || data.price <= 0, 'Valid price is required');
+      requireField('categories', !data.categories || data.categories.length === 0, 'At least one category is required');
+      requireField('brand', !data.brandId, 'Brand is required');
+    }
+
+    if (errors.length === 0) {
+      try {
+        await ProductService.validateCategoriesAndBrand(data.categories, data.brandId);
+      } catch (error) {
+        addError(data.categories ? 'categories' : 'brand', error.message);
+      }
+
+      const validationError = new Product({ sku, ...data }).validateSync(Object.keys(data));
+      if (validationError) {
+        Object.values(validationError.errors).forEach(fieldError => addError(fieldError.path, fieldError.message));
+      }
+    }
+
+    return { sku, existing, data, stock, errors };
+  }
+
+  /**
+   * Validate an import file and, unless it is a dry run, queue it for processing
+   * @param {object} file - Uploaded file ({ originalname, buffer })
+   * @param {object} options - Import options ({ dryRun, mode })
+   * @param {string} userId - Admin running the import
+   * @returns {Promise<object>} Import job (completed for dry runs, queued otherwise)
+   */
+  async startImport(file, options = {}, userId) {
+    if (!file) {
+      throw new ValidationError('An import file is required');
+    }
+
+    const extension = (file.originalname.split('.').pop() || '').toLowerCase();
+    if (!['csv', 'xlsx'].includes(extension)) {
+      throw new ValidationError('Import file must be a .csv or .xlsx file');
+    }
+
+    const dryRun = options.dryRun === true || options.dryRun === 'true';
+    const rows = await this.parseFile(file.buffer, extension);
+
+    const job = await ImportJob.create({
+      dryRun,
+      mode: options.mode || 'upsert',
+      fileName: file.originalname,
+      fileType: extension,
+      totalRows: rows.length,
+      createdBy: userId
+    });
+
+    logger.info('Product import started', {
+      jobId: job._id,
+      userId,
+      fileName: job.fileName,
+      totalRows: rows.length,
+      dryRun,
+      mode: job.mode
+    });
+
+    if (dryRun) {
+      return this.processJob(job, rows, userId);
+    }
+
+    setImmediate(() => {
+      this.processJob(job, rows, userId).catch(error => {
+        logger.error('Product import failed', { jobId: job._id, error: error.message, stack: error.stack });
+      });
+    });
+
+    return job;
+  }
+
+  /**
+   * Validate and apply every row of an import job
+   * @param {object} job - Import job document
+   * @param {Array} rows - Parsed rows
+   * @param {string} userId - Admin running the import
+   * @returns {Promise<object>} Finished job
+   */
+  async processJob(job, rows, userId) {
+    job.status = 'processing';
+    job.startedAt = new Date();
+    await job.save();
+
+    const recordErrors = (errors) => {
+      const room = MAX_ROW_ERRORS - job.rowErrors.length;
+      if (errors.length > room) job.errorsTruncated = true;
+      if (room > 0) job.rowErrors.push(...errors.slice(0, room));
+    };
+
+    try {
+      const skus = rows.map(row => {
+        const skuHeader = Object.keys(row.values).find(header => HEADER_FIELDS.get(normalizeHeader(header)) === 'sku');
+        return skuHeader ? row.values[skuHeader].toUpperCase() : null;
+      }).filter(sku => sku);
+      const existingProducts = await Product.find({ sku: { $in: skus } }).select('sku deletedAt attributes').lean();
+
+      const context = {
+        mode: job.mode,
+        lookups: await this.loadLookups(),
+        existingBySku: new Map(existingProducts.map(product => [product.sku, product])),
+        seenSkus: new Map()
+      };
+
+      for (const row of rows) {
+        const prepared = await this.prepareRow(row, context);
+
+        if (prepared.errors.length > 0) {
+          job.failedCount++;
+          recordErrors(prepared.errors);
+        } else if (job.dryRun) {
+          prepared.existing ? job.updatedCount++ : job.createdCount++;
+        } else {
+          try {
+            await this.applyRow(prepared, job, userId);
+            prepared.existing ? job.updatedCount++ : job.createdCount++;
+          } catch (error) {
+            job.failedCount++;
+            const details = Array.isArray(error.errors) && error.errors.length > 0
+              ? error.errors.map(detail => ({ row: row.rowNumber, sku: prepared.sku, field: detail.field, message: detail.message }))
+              : [{ row: row.rowNumber, sku: prepared.sku, message: error.message }];
+            recordErrors(details);
+          }
+        }
+
+        job.processedRows++;
+        if (!job.dryRun && job.processedRows % PROGRESS_INTERVAL === 0) {
+          await job.save();
+        }
+      }
+
+      job.status = 'completed';
+    } catch (error) {
+      job.status = 'failed';
+      job.failureReason = error.message;
+    }
+
+    job.finishedAt = new Date();
+    await job.save();
+
+    logger.info('Product import finished', {
+      jobId: job._id,
+      status: job.status,
+      dryRun: job.dryRun,
+      created: job.createdCount,
+      updated: job.updatedCount,
+      failed: job.failedCount
+    });
+
+    return job;
+  }
+
+  /**
+   * Create or update the product for a validated row
+   * @param {object} prepared - Prepared row
+   * @param {object} job - Import job document
+   * @param {string} userId - Admin running the import
+   */
+  async applyRow(prepared, job, userId) {
+    const product = prepared.existing
+      ? await ProductService.updateProduct(prepared.existing._id, prepared.data, null, userId)
+      : await ProductService.createProduct({ ...prepared.data, sku: prepared.sku }, null, userId);
+
+    if (prepared.stock !== undefined && prepared.stock !== product.stock) {
+      await InventoryService.setStock(product._id, prepared.stock, {
+        type: 'import',
+        user: userId,
+        reason: `Import ${job._id} (${job.fileName})`
+      });
+    }
+  }
+
+  /**
+   * List recent import jobs
+   * @param {object} options - Query options (limit)
+   * @returns {Promise<Array>} Jobs without their row errors
+   */
+  async getImportJobs(options = {}) {
+    const limit = Math.min(parseInt(options.limit, 10) || 20, 100);
+    return ImportJob.find()
+      .select('-rowErrors')
+      .populate('createdBy', 'firstName lastName username')
+      .sort('-createdAt')
+      .limit(limit)
+      .lean();
+  }
+
+  /**
+   * Get an import job with its row errors
+   * @param {string} jobId - Import job ID
+   * @returns {Promise<object>} Import job
+   */
+  async getImportJob(jobId) {
+    if (!mongoose.Types.ObjectId.isValid(jobId)) {
+      throw new ValidationError('Invalid import job ID format');
+    }
+
+    const job = await ImportJob.findById(jobId).populate('createdBy', 'firstName lastName username').lean();
+    if (!job) {
+      throw new NotFoundError('Import job');
+    }
+    return job;
+  }
+}
+
+module.exports = new ProductImportService();
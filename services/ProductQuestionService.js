@@ -0,0 +1,317 @@
+const mongoose = require('mongoose');
+const ProductQuestion = require('../models/ProductQuestion');
+const Product = require('../models/Product');
+const { sendEmail, escapeHtml, renderEmailLayout } = require('../utils/email');
+const { NotFoundError, ValidationError, ConflictError, AuthorizationError } = require('../middleware/errorHandler');
+const { logger } = require('../middleware/logger');
+
+// Unanswered questions a customer can have open on one product
+const MAX_OPEN_QUESTIONS = 5;
+
+// Published questions included with a product detail read
+const PRODUCT_DETAIL_QUESTIONS = 5;
+
+/**
+ * Product Question Service - Customer questions about products, answered and published by staff
+ */
+class ProductQuestionService {
+  /**
+   * Read page and limit from query options
+   * @param {object} options - Query options
+   * @returns {object} { page, limit }
+   */
+  getPaging(options = {}) {
+    return {
+      page: Math.max(parseInt(options.page, 10) || 1, 1),
+      limit: Math.min(Math.max(parseInt(options.limit, 10) || 10, 1), 100)
+    };
+  }
+
+  /**
+   * Post a question about a product
+   * @param {string} productId - Product ID
+   * @param {string} question - Question text
+   * @param {object} user - Authenticated customer
+   * @returns {Promise<object>} Question
+   */
+  async askQuestion(productId, question, user) {
+    if (!mongoose.Types.ObjectId.isValid(productId)) {
+      throw new ValidationError('Invalid product ID format');
+    }
+
+    const product = await Product.findOne({ _id: productId, deletedAt: { $exists: false } }).select('_id').lean();
+    if (!product) {
+      throw new NotFoundError('Product');
+    }
+
+    const openQuestions = await ProductQuestion.countDocuments({
+      product: product._id,
+      user: user._id,
+      answer: { $exists: false },
+      status: { $ne: 'rejected' }
+    });
+    if (openQuestions >= MAX_OPEN_QUESTIONS) {
+      throw new ConflictError('You already have several unanswered questions about this product');
+    }
+
+    const created = await ProductQuestion.create({
+      product: product._id,
+      user: user._id,
+      question
+    });
+
+    logger.info('Product question posted', { questionId: created._id, productId, userId: user._id });
+
+    return created;
+  }
+
+  /**
+   * Get a product's published questions, newest first
+   * @param {string} productId - Product ID
+   * @param {object} options - Query options (page, limit)
+   * @returns {Promise<object>} Questions and pagination
+   */
+  async getProductQuestions(productId, options = {}) {
+    if (!mongoose.Types.ObjectId.isValid(productId)) {
+      throw new ValidationError('Invalid product ID format');
+    }
+
+    const { page, limit } = this.getPaging(options);
+    const filter = { product: productId, status: 'published' };
+
+    const [questions, total] = await Promise.all([
+      ProductQuestion.find(filter)
+        .select('question answer.message answer.answeredAt publishedAt createdAt user')
+        .populate('user', 'firstName')
+        .sort({ publishedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      ProductQuestion.countDocuments(filter)
+    ]);
+
+    return {
+      questions,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Get the latest published questions for a product detail read
+   * @param {string} productId - Product ID
+   * @returns {Promise<object>} { questions, total }
+   */
+  async getProductQuestionPreview(productId) {
+    const { questions, pagination } = await this.getProductQuestions(productId, { limit: PRODUCT_DETAIL_QUESTIONS });
+    return { questions, total: pagination.total };
+  }
+
+  /**
+   * Get the questions a customer has asked, whatever their status
+   * @param {string} userId - Customer ID
+   * @param {object} options - Query options (page, limit)
+   * @returns {Promise<object>} Questions and pagination
+   */
+  async getMyQuestions(userId, options = {}) {
+    const { page, limit } = this.getPaging(options);
+    const filter = { user: userId };
+
+    const [questions, total] = await Promise.all([
+      ProductQuestion.find(filter)
+        .select('-answer.answeredBy -askerNotifiedAt')
+        .populate('product', 'productName sku mainImage')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      ProductQuestion.countDocuments(filter)
+    ]);
+
+    return {
+      questions,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * List questions for staff
+   * @param {object} options - Query options (status, product, answered, page, limit)
+   * @returns {Promise<object>} Questions and pagination
+   */
+  async getQuestions(options = {}) {
+    const { page, limit } = this.getPaging(options);
+
+    const filter = {};
+    if (options.status) filter.status = options.status;
+    if (options.product) filter.product = options.product;
+    if (options.answered !== undefined) {
+      filter.answer = { $exists: options.answered === true || options.answered === 'true' };
+    }
+
+    const [questions, total] = await Promise.all([
+      ProductQuestion.find(filter)
+        .populate('product', 'productName sku')
+        .populate('user', 'firstName lastName email')
+        .populate('answer.answeredBy', 'firstName lastName')
+        .sort({ createdAt: options.sort === 'newest' ? -1 : 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      ProductQuestion.countDocuments(filter)
+    ]);
+
+    return {
+      questions,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Load a question by ID
+   * @param {string} questionId - Question ID
+   * @returns {Promise<object>} Question document
+   */
+  async getQuestionDocument(questionId) {
+    if (!mongoose.Types.ObjectId.isValid(questionId)) {
+      throw new ValidationError('Invalid question ID format');
+    }
+
+    const question = await ProductQuestion.findById(questionId);
+    if (!question) {
+      throw new NotFoundError('Question');
+    }
+    return question;
+  }
+
+  /**
+   * Answer a question, publishing it unless asked not to, and email the asker
+   * @param {string} questionId - Question ID
+   * @param {object} data - { answer, publish }
+   * @param {string} adminId - Staff member answering
+   * @returns {Promise<object>} Question
+   */
+  async answerQuestion(questionId, data, adminId) {
+    const question = await this.getQuestionDocument(questionId);
+    const answerChanged = !question.answer || question.answer.message !== data.answer;
+
+    question.answer = { message: data.answer, answeredBy: adminId, answeredAt: new Date() };
+    if (data.publish !== false && data.publish !== 'false') {
+      question.status = 'published';
+      question.publishedAt = question.publishedAt || new Date();
+    }
+    await question.save();
+
+    logger.info('Product question answered', { questionId, adminId, status: question.status });
+
+    if (answerChanged) {
+      this.notifyAsker(question);
+    }
+
+    return question;
+  }
+
+  /**
+   * Publish, unpublish or reject a question
+   * @param {string} questionId - Question ID
+   * @param {string} status - published, pending or rejected
+   * @param {string} adminId - Staff member making the change
+   * @returns {Promise<object>} Question
+   */
+  async setQuestionStatus(questionId, status, adminId) {
+    const question = await this.getQuestionDocument(questionId);
+
+    if (status === 'published' && !question.answer) {
+      throw new ValidationError('Answer the question before publishing it');
+    }
+
+    question.status = status;
+    if (status === 'published') {
+      question.publishedAt = question.publishedAt || new Date();
+    }
+    await question.save();
+
+    logger.info('Product question status changed', { questionId, adminId, status });
+
+    return question;
+  }
+
+  /**
+   * Delete a question; customers may only withdraw their own unanswered questions
+   * @param {string} questionId - Question ID
+   * @param {object} user - Authenticated user
+   * @returns {Promise<void>}
+   */
+  async deleteQuestion(questionId, user) {
+    const question = await this.getQuestionDocument(questionId);
+
+    if (user.role !== 'admin') {
+      if (question.user.toString() !== user._id.toString()) {
+        throw new AuthorizationError('You can only delete your own questions');
+      }
+      if (question.answer) {
+        throw new ConflictError('Answered questions cannot be deleted');
+      }
+    }
+
+    await question.deleteOne();
+
+    logger.info('Product question deleted', { questionId, userId: user._id });
+  }
+
+  /**
+   * Email the asker that their question has been answered (does not wait for delivery)
+   * @param {object} answered - Answered question
+   */
+  notifyAsker(answered) {
+    const send = async () => {
+      const question = await ProductQuestion.findById(answered._id)
+        .populate('user', 'firstName email')
+        .populate('product', 'productName sku')
+        .lean();
+      if (!question?.user?.email || !question.answer) return false;
+
+      const companyName = process.env.COMPANY_NAME || 'Online Electrical Wholesale';
+      const companyWebsite = process.env.COMPANY_WEBSITE || 'https://onlineelectricalwholesale.com.au';
+      const productName = question.product ? `${question.product.productName} (${question.product.sku})` : 'a product';
+      const name = question.user.firstName || 'Customer';
+      const subject = `Your question about ${question.product?.productName || 'our product'} has been answered`;
+
+      const htmlBody = renderEmailLayout('Your question has been answered', `
+                  <p style="margin: 0 0 20px; color: #666666; font-size: 16px; line-height: 1.6;">Hello ${escapeHtml(name)},</p>
+                  <p style="margin: 0 0 20px; color: #666666; font-size: 16px; line-height: 1.6;">Our team has answered your question about <strong style="color: #333333;">${escapeHtml(productName)}</strong>.</p>
+                  <p style="margin: 0 0 8px; color: #333333; font-size: 14px; font-weight: 600;">Your question</p>
+                  <p style="margin: 0 0 20px; padding: 15px; background-color: #f8f9fa; border-radius: 6px; color: #666666; font-size: 15px; line-height: 1.6;">${escapeHtml(question.question)}</p>
+                  <p style="margin: 0 0 8px; color: #333333; font-size: 14px; font-weight: 600;">Our answer</p>
+                  <p style="margin: 0 0 20px; padding: 15px; background-color: #f8f9fa; border-radius: 6px; color: #666666; font-size: 15px; line-height: 1.6;">${escapeHtml(question.answer.message)}</p>`);
+
+      const textBody = `Hello ${name},\n\nOur team has answered your question about ${productName}.\n\nYour question:\n${question.question}\n\nOur answer:\n${question.answer.message}\n\n${companyName}\n${companyWebsite}`;
+
+      const sent = await sendEmail(question.user.email, subject, htmlBody, textBody);
+      if (sent) {
+        await ProductQuestion.updateOne({ _id: question._id }, { $set: { askerNotifiedAt: new Date() } });
+      }
+      return sent;
+    };
+
+    send().catch(error => {
+      logger.error('Failed to send question answered email', { questionId: answered._id, error: error.message });
+    });
+  }
+}
+
+module.exports = new ProductQuestionService();
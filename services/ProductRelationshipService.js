@@ -0,0 +1,339 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const ProductRevisionService = require('./ProductRevisionService');
+const { NotFoundError, ValidationError } = require('../middleware/errorHandler');
+const { logger } = require('../middleware/logger');
+
+const RELATIONSHIP_TYPES = ['related', 'accessory', 'replacement', 'frequently_bought_together'];
+
+// Links kept per product across all types
+const MAX_RELATIONSHIPS = 100;
+
+// Replacement links followed before giving up on a supersession chain
+const MAX_REPLACEMENT_DEPTH = 10;
+
+// Fields returned for linked products
+const LINKED_PRODUCT_FIELDS = 'productName sku price comparePrice mainImage shortDescription stock stockStatus status isPublished parentProduct brandId categories';
+
+// Linked products shoppers can see
+const VISIBLE_FILTER = { status: 'active', isPublished: true, deletedAt: { $exists: false } };
+
+/**
+ * Product Relationship Service - Manages related, accessory, replacement and
+ * frequently-bought-together links between products
+ */
+class ProductRelationshipService {
+  /**
+   * Validate and de-duplicate a product's relationships
+   * @param {string} productId - Product the links belong to
+   * @param {Array} relationships - Links as { type, product, sortOrder, note }
+   * @returns {Promise<Array>} Normalised relationships
+   */
+  async normalizeRelationships(productId, relationships) {
+    if (!Array.isArray(relationships)) {
+      throw new ValidationError('Relationships must be an array');
+    }
+
+    const seen = new Set();
+    const normalized = [];
+    relationships.forEach((relationship, index) => {
+      const type = relationship?.type;
+      const relatedId = relationship?.product?.toString();
+
+      if (!RELATIONSHIP_TYPES.includes(type)) {
+        throw new ValidationError(`Relationship ${index + 1}: type must be one of ${RELATIONSHIP_TYPES.join(', ')}`);
+      }
+      if (!relatedId || !mongoose.Types.ObjectId.isValid(relatedId)) {
+        throw new ValidationError(`Relationship ${index + 1}: invalid product ID`);
+      }
+      if (relatedId === productId.toString()) {
+        throw new ValidationError(`Relationship ${index + 1}: a product cannot be linked to itself`);
+      }
+
+      const key = `${type}:${relatedId}`;
+      if (seen.has(key)) return;
+      seen.add(key);
+
+      normalized.push({
+        type,
+        product: new mongoose.Types.ObjectId(relatedId),
+        sortOrder: parseInt(relationship.sortOrder, 10) || 0,
+        note: relationship.note ? relationship.note.toString().trim() : undefined
+      });
+    });
+
+    if (normalized.length > MAX_RELATIONSHIPS) {
+      throw new ValidationError(`A product can have at most ${MAX_RELATIONSHIPS} relationships`);
+    }
+
+    const replacements = normalized.filter(relationship => relationship.type === 'replacement');
+    if (replacements.length > 1) {
+      throw new ValidationError('A product can only have one replacement');
+    }
+
+    const relatedIds = [...new Set(normalized.map(relationship => relationship.product.toString()))];
+    if (relatedIds.length > 0) {
+      const found = await Product.find({ _id: { $in: relatedIds }, deletedAt: { $exists: false } }).select('_id').lean();
+      const foundIds = new Set(found.map(product => product._id.toString()));
+      const missing = relatedIds.filter(id => !foundIds.has(id));
+      if (missing.length > 0) {
+        throw new ValidationError(`Linked products not found: ${missing.join(', ')}`);
+      }
+    }
+
+    if (replacements.length === 1) {
+      await this.checkReplacementLoop(productId, replacements[0].product);
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Make sure a replacement does not lead back to the product it replaces
+   * @param {string} productId - Product being superseded
+   * @param {string} replacementId - Proposed replacement
+   * @returns {Promise<void>}
+   */
+  async checkReplacementLoop(productId, replacementId) {
+    let currentId = replacementId;
+    for (let depth = 0; currentId && depth < MAX_REPLACEMENT_DEPTH; depth++) {
+      if (currentId.toString() === productId.toString()) {
+        throw new ValidationError('Replacement would create a supersession loop');
+      }
+      const current = await Product.findById(currentId).select('relationships').lean();
+      currentId = current?.relationships?.find(relationship => relationship.type === 'replacement')?.product;
+    }
+  }
+
+  /**
+   * Load a product that relationships can be changed on
+   * @param {string} productId - Product ID
+   * @returns {Promise<object>} Product document
+   */
+  async getEditableProduct(productId) {
+    if (!mongoose.Types.ObjectId.isValid(productId)) {
+      throw new ValidationError('Invalid product ID format');
+    }
+
+    const product = await Product.findOne({ _id: productId, deletedAt: { $exists: false } });
+    if (!product) {
+      throw new NotFoundError('Product');
+    }
+    return product;
+  }
+
+  /**
+   * Save a product's relationships and record the revision
+   * @param {object} product - Product document
+   * @param {Array} relationships - Normalised relationships
+   * @param {string} userId - User making the change
+   * @returns {Promise<object>} Relationships as returned by getRelationships
+   */
+  async saveRelationships(product, relationships, userId) {
+    const before = product.toObject();
+
+    product.relationships = relationships;
+    product.updatedBy = userId;
+    await product.save();
+
+    await ProductRevisionService.recordRevision(product._id, before, {
+      action: 'update',
+      user: userId,
+      note: 'Relationships updated'
+    });
+
+    logger.info('Product relationships updated', {
+      productId: product._id,
+      userId,
+      relationshipCount: relationships.length
+    });
+
+    return this.getRelationships(product._id);
+  }
+
+  /**
+   * Get a product's links with the linked products, plus the products that link to it
+   * @param {string} productId - Product ID
+   * @returns {Promise<object>} { relationships, linkedFrom }
+   */
+  async getRelationships(productId) {
+    if (!mongoose.Types.ObjectId.isValid(productId)) {
+      throw new ValidationError('Invalid product ID format');
+    }
+
+    const product = await Product.findById(productId)
+      .select('relationships')
+      .populate('relationships.product', `${LINKED_PRODUCT_FIELDS} deletedAt`)
+      .lean();
+    if (!product) {
+      throw new NotFoundError('Product');
+    }
+
+    const linking = await Product.find({ 'relationships.product': product._id })
+      .select('productName sku status isPublished deletedAt relationships')
+      .lean();
+
+    const linkedFrom = linking.flatMap(source => source.relationships
+      .filter(relationship => relationship.product.toString() === product._id.toString())
+      .map(relationship => ({
+        type: relationship.type,
+        product: {
+          _id: source._id,
+          productName: source.productName,
+          sku: source.sku,
+          status: source.status,
+          isPublished: source.isPublished,
+          deletedAt: source.deletedAt
+        }
+      })));
+
+    return {
+      relationships: [...(product.relationships || [])].sort((a, b) => a.sortOrder - b.sortOrder),
+      linkedFrom
+    };
+  }
+
+  /**
+   * Replace all of a product's relationships
+   * @param {string} productId - Product ID
+   * @param {Array} relationships - Links as { type, product, sortOrder, note }
+   * @param {string} userId - User making the change
+   * @returns {Promise<object>} Updated relationships
+   */
+  async setRelationships(productId, relationships, userId) {
+    const product = await this.getEditableProduct(productId);
+    const normalized = await this.normalizeRelationships(productId, relationships);
+    return this.saveRelationships(product, normalized, userId);
+  }
+
+  /**
+   * Add a link, or update its order and note if it already exists. A new replacement
+   * takes the place of the current one.
+   * @param {string} productId - Product ID
+   * @param {object} relationship - { type, product, sortOrder, note }
+   * @param {string} userId - User making the change
+   * @returns {Promise<object>} Updated relationships
+   */
+  async addRelationship(productId, relationship, userId) {
+    const product = await this.getEditableProduct(productId);
+
+    const existing = (product.relationships || [])
+      .map(({ type, product: relatedId, sortOrder, note }) => ({ type, product: relatedId, sortOrder, note }))
+      .filter(current => !(current.type === relationship.type && current.product.toString() === relationship.product?.toString()))
+      .filter(current => !(relationship.type === 'replacement' && current.type === 'replacement'));
+
+    const normalized = await this.normalizeRelationships(productId, [...existing, relationship]);
+    return this.saveRelationships(product, normalized, userId);
+  }
+
+  /**
+   * Remove a link to another product
+   * @param {string} productId - Product ID
+   * @param {string} relatedId - Linked product ID
+   * @param {string} type - Only remove links of this type (all types when omitted)
+   * @param {string} userId - User making the change
+   * @returns {Promise<object>} Updated relationships
+   */
+  async removeRelationship(productId, relatedId, type, userId) {
+    const product = await this.getEditableProduct(productId);
+
+    const remaining = (product.relationships || []).filter(relationship =>
+      !(relationship.product.toString() === relatedId && (!type || relationship.type === type))
+    );
+    if (remaining.length === product.relationships.length) {
+      throw new NotFoundError('Product relationship');
+    }
+
+    return this.saveRelationships(product, remaining, userId);
+  }
+
+  /**
+   * Follow a product's replacement links to the first product shoppers can buy
+   * @param {object} product - Product with its relationships
+   * @returns {Promise<object|null>} Replacement product, or null when there is none
+   */
+  async resolveReplacement(product) {
+    const visited = new Set([product._id.toString()]);
+    let replacementId = product.relationships?.find(relationship => relationship.type === 'replacement')?.product;
+
+    for (let depth = 0; replacementId && depth < MAX_REPLACEMENT_DEPTH; depth++) {
+      if (visited.has(replacementId.toString())) break;
+      visited.add(replacementId.toString());
+
+      const replacement = await Product.findById(replacementId)
+        .select(`${LINKED_PRODUCT_FIELDS} deletedAt relationships`)
+        .populate('brandId', 'name')
+        .lean();
+      if (!replacement) break;
+
+      if (replacement.status === 'active' && replacement.isPublished && !replacement.deletedAt) {
+        const { relationships, deletedAt, ...summary } = replacement;
+        return summary;
+      }
+      replacementId = replacement.relationships?.find(relationship => relationship.type === 'replacement')?.product;
+    }
+
+    return null;
+  }
+
+  /**
+   * Add the linked products shoppers can see to a product, grouped by type, with the
+   * supersession details for products that have been replaced
+   * @param {object} product - Product (plain object) with its relationships
+   * @returns {Promise<object>} The same product
+   */
+  async attachRelationships(product) {
+    const relationships = [...(product.relationships || [])].sort((a, b) => a.sortOrder - b.sortOrder);
+    const linkedIds = relationships
+      .filter(relationship => relationship.type !== 'replacement')
+      .map(relationship => relationship.product);
+
+    const [linkedProducts, superseded] = await Promise.all([
+      linkedIds.length > 0
+        ? Product.find({ _id: { $in: linkedIds }, ...VISIBLE_FILTER })
+          .select(LINKED_PRODUCT_FIELDS)
+          .populate('brandId', 'name')
+          .lean()
+        : [],
+      Product.find({ relationships: { $elemMatch: { type: 'replacement', product: product._id } }, deletedAt: { $exists: false } })
+        .select('productName sku status categories')
+        .lean()
+    ]);
+    const linkedById = new Map(linkedProducts.map(linked => [linked._id.toString(), linked]));
+
+    const linkedOfType = (type) => relationships
+      .filter(relationship => relationship.type === type)
+      .map(relationship => linkedById.get(relationship.product.toString()))
+      .filter(linked => linked);
+
+    product.linkedProducts = {
+      related: linkedOfType('related'),
+      accessories: linkedOfType('accessory'),
+      frequentlyBoughtTogether: linkedOfType('frequently_bought_together')
+    };
+    product.supersedes = superseded;
+
+    // Archived products point shoppers at the product that replaced them
+    const replacedBy = await this.resolveReplacement(product);
+    product.supersession = replacedBy
+      ? { replacedBy, redirect: product.status === 'archived' }
+      : null;
+
+    return product;
+  }
+
+  /**
+   * Remove every link to products that no longer exist
+   * @param {Array} productIds - Purged product IDs
+   * @returns {Promise<number>} Products updated
+   */
+  async removeLinksTo(productIds) {
+    const result = await Product.updateMany(
+      { 'relationships.product': { $in: productIds } },
+      { $pull: { relationships: { product: { $in: productIds } } } }
+    );
+    return result.modifiedCount;
+  }
+}
+
+module.exports = new ProductRelationshipService();
@@ -0,0 +1,167 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const ProductRevision = require('../models/ProductRevision');
+const { NotFoundError, ValidationError } = require('../middleware/errorHandler');
+const { logger } = require('../middleware/logger');
+
+// Bookkeeping fields that are not part of a product's content
+const SNAPSHOT_EXCLUDED_FIELDS = [
+  '_id', '__v', 'createdAt', 'updatedAt', 'createdBy', 'updatedBy', 'deletedAt', 'deletedBy', 'averageRating', 'reviewCount'
+];
+
+/**
+ * Product Revision Service - Stores a versioned snapshot for every product save
+ */
+class ProductRevisionService {
+  /**
+   * Reduce a product to its content fields with JSON-safe values (IDs as strings)
+   * @param {object} product - Product document or plain object
+   * @returns {object} Snapshot
+   */
+  toSnapshot(product) {
+    const plain = typeof product.toObject === 'function' ? product.toObject({ depopulate: true, virtuals: false }) : product;
+    const snapshot = JSON.parse(JSON.stringify(plain));
+    SNAPSHOT_EXCLUDED_FIELDS.forEach(field => delete snapshot[field]);
+    return snapshot;
+  }
+
+  /**
+   * List the fields that differ between two snapshots
+   * @param {object} before - Snapshot before the save
+   * @param {object} after - Snapshot after the save
+   * @returns {Array} Changes as { field, from, to }
+   */
+  diffSnapshots(before, after) {
+    const fields = [...new Set([...Object.keys(before), ...Object.keys(after)])].sort();
+    return fields
+      .filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+      .map(field => ({ field, from: before[field] ?? null, to: after[field] ?? null }));
+  }
+
+  /**
+   * Record a revision of a product after it has been saved. Failures are logged rather than
+   * thrown so a history problem never undoes the save itself.
+   * @param {string} productId - Product ID
+   * @param {object|null} before - Product as it was before the save (null for new products)
+   * @param {object} options - { action, user, note }
+   * @returns {Promise<object|null>} Revision, or null when nothing changed
+   */
+  async recordRevision(productId, before, options = {}) {
+    try {
+      const current = await Product.findById(productId).lean();
+      if (!current) return null;
+
+      const snapshot = this.toSnapshot(current);
+      const changes = before ? this.diffSnapshots(this.toSnapshot(before), snapshot) : [];
+      if (before && changes.length === 0 && ['update', 'stock'].includes(options.action)) {
+        return null;
+      }
+
+      // Retry once if another save took the same version number
+      for (let attempt = 0; attempt < 2; attempt++) {
+        const latest = await ProductRevision.findOne({ product: productId }).sort({ version: -1 }).select('version').lean();
+        try {
+          return await ProductRevision.create({
+            product: productId,
+            version: (latest?.version || 0) + 1,
+            action: options.action || 'update',
+            changes,
+            snapshot,
+            note: options.note,
+            user: options.user
+          });
+        } catch (error) {
+          if (error.code !== 11000 || attempt === 1) throw error;
+        }
+      }
+    } catch (error) {
+      logger.error('Failed to record product revision', {
+        productId,
+        action: options.action,
+        error: error.message
+      });
+    }
+    return null;
+  }
+
+  /**
+   * Find the status a product had before it was last deleted
+   * @param {string} productId - Product ID
+   * @returns {Promise<string|null>} Previous status, or null when unknown
+   */
+  async getStatusBeforeDeletion(productId) {
+    const deletion = await ProductRevision.findOne({ product: productId, action: 'delete' })
+      .sort({ version: -1 })
+      .select('changes')
+      .lean();
+    if (!deletion) return null;
+
+    // Deleting archives the product, so no status change means it was already archived
+    const statusChange = deletion.changes.find(change => change.field === 'status');
+    return statusChange ? statusChange.from : 'archived';
+  }
+
+  /**
+   * Get a product's revisions, newest first, without their snapshots
+   * @param {string} productId - Product ID
+   * @param {object} options - Query options (page, limit, field)
+   * @returns {Promise<object>} Revisions and pagination
+   */
+  async getRevisions(productId, options = {}) {
+    if (!mongoose.Types.ObjectId.isValid(productId)) {
+      throw new ValidationError('Invalid product ID format');
+    }
+
+    const page = Math.max(parseInt(options.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(options.limit, 10) || 20, 1), 100);
+
+    const filter = { product: productId };
+    if (options.field) {
+      filter['changes.field'] = options.field;
+    }
+
+    const [revisions, total] = await Promise.all([
+      ProductRevision.find(filter)
+        .select('-snapshot')
+        .populate('user', 'firstName lastName username email')
+        .sort({ version: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      ProductRevision.countDocuments(filter)
+    ]);
+
+    return {
+      revisions,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Get one revision with its snapshot
+   * @param {string} productId - Product ID
+   * @param {number} version - Revision version
+   * @returns {Promise<object>} Revision
+   */
+  async getRevision(productId, version) {
+    if (!mongoose.Types.ObjectId.isValid(productId)) {
+      throw new ValidationError('Invalid product ID format');
+    }
+
+    const revision = await ProductRevision.findOne({ product: productId, version: parseInt(version, 10) })
+      .populate('user', 'firstName lastName username email')
+      .lean();
+    if (!revision) {
+      throw new NotFoundError('Product revision');
+    }
+
+    return revision;
+  }
+}
+
+module.exports = new ProductRevisionService();
@@ -0,0 +1,205 @@
+const Product = require('../models/Product');
+const ProductService = require('./ProductService');
+const ProductAlertService = require('./ProductAlertService');
+const ProductRevisionService = require('./ProductRevisionService');
+const SearchService = require('./SearchService');
+const { logger } = require('../middleware/logger');
+
+// How often pending publish/unpublish times and featured expiries are checked
+const DEFAULT_INTERVAL_MS = 60 * 1000;
+
+// Product date field behind each kind of scheduled change
+const SCHEDULE_FIELDS = {
+  publish: 'publishAt',
+  unpublish: 'unpublishAt',
+  featured_expiry: 'featuredUntil'
+};
+
+// Only active products go live on schedule; archived, inactive and draft ones have the schedule cleared
+const PUBLISHABLE_STATUSES = ['active'];
+
+// Minimum time between automatic trash purges
+const TRASH_PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+// Products handled per transition on each run
+const BATCH_SIZE = 100;
+
+/**
+ * Product Scheduler Service - Applies scheduled publishing, unpublishing and featured expiry,
+ * purges the product trash and sends queued stock and price alerts, in-process
+ */
+class ProductSchedulerService {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+    this.lastTrashPurgeAt = 0;
+  }
+
+  /**
+   * Start checking for due changes
+   * @param {number} intervalMs - Milliseconds between runs
+   */
+  start(intervalMs = parseInt(process.env.PRODUCT_SCHEDULER_INTERVAL_MS, 10) || DEFAULT_INTERVAL_MS) {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.runOnce(), intervalMs);
+    // Let the process exit during shutdown without waiting for the next run
+    this.timer.unref();
+    this.runOnce();
+
+    logger.info('Product scheduler started', { intervalMs });
+  }
+
+  /**
+   * Stop the scheduler
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * List pending scheduled changes, soonest first
+   * @param {object} options - Query options (type, until, limit)
+   * @returns {Promise<Array>} Changes as { type, at, product }
+   */
+  async getUpcomingChanges(options = {}) {
+    const limit = Math.min(parseInt(options.limit, 10) || 100, 500);
+    const until = options.until ? new Date(options.until) : null;
+    const types = options.type ? [options.type] : Object.keys(SCHEDULE_FIELDS);
+
+    const changes = [];
+    for (const type of types) {
+      const field = SCHEDULE_FIELDS[type];
+      const filter = { [field]: until ? { $ne: null, $lte: until } : { $ne: null }, deletedAt: { $exists: false } };
+      if (type === 'featured_expiry') filter.isFeatured = true;
+
+      const products = await Product.find(filter)
+        .select(`productName sku status isPublished isFeatured ${field}`)
+        .sort({ [field]: 1 })
+        .limit(limit)
+        .lean();
+
+      products.forEach(product => changes.push({ type, at: product[field], product }));
+    }
+
+    return changes.sort((a, b) => a.at - b.at).slice(0, limit);
+  }
+
+  /**
+   * Apply one kind of due change. Each product is updated only if it is still due and its schedule
+   * is still the one that was read, so an admin edit or a second instance never gets overwritten.
+   * @param {object} transition - { name, dueFilter, field, buildUpdate, note }
+   * @param {Date} now - Current time
+   * @returns {Promise<number>} Products changed
+   */
+  async applyTransition(transition, now) {
+    const due = await Product.find({ ...transition.dueFilter(now), deletedAt: { $exists: false } })
+      .sort({ [transition.field]: 1 })
+      .limit(BATCH_SIZE)
+      .lean();
+
+    let applied = 0;
+    for (const product of due) {
+      const update = transition.buildUpdate(product, now);
+      update.$set.updatedAt = now;
+
+      const result = await Product.updateOne(
+        { ...transition.dueFilter(now), _id: product._id, [transition.field]: product[transition.field] },
+        update
+      );
+      if (result.modifiedCount === 0) continue;
+
+      applied++;
+      await ProductRevisionService.recordRevision(product._id, product, {
+        action: 'schedule',
+        note: transition.note
+      });
+    }
+
+    if (applied > 0) {
+      logger.info(`Scheduled ${transition.name} applied`, { count: applied });
+    }
+    return applied;
+  }
+
+  /**
+   * Apply every change that is due: publish first, so a product whose publish and unpublish
+   * times both passed ends up unpublished
+   * @returns {Promise<object>} Counts per change
+   */
+  async runOnce() {
+    if (this.running) return null;
+    this.running = true;
+
+    const now = new Date();
+    const counts = { publishCancelled: 0, published: 0, unpublished: 0, featuredExpired: 0 };
+
+    try {
+      counts.publishCancelled = await this.applyTransition({
+        name: 'publish cancellation',
+        field: 'publishAt',
+        dueFilter: date => ({ publishAt: { $lte: date }, status: { $nin: PUBLISHABLE_STATUSES } }),
+        buildUpdate: () => ({
+          $set: {},
+          $unset: { publishAt: 1 }
+        }),
+        note: 'Scheduled publish cancelled: product is not active'
+      }, now);
+
+      counts.published = await this.applyTransition({
+        name: 'publish',
+        field: 'publishAt',
+        dueFilter: date => ({ publishAt: { $lte: date }, status: { $in: PUBLISHABLE_STATUSES } }),
+        buildUpdate: (product, date) => ({
+          $set: { isPublished: true, publishedAt: product.publishedAt || date },
+          $unset: { publishAt: 1 }
+        }),
+        note: 'Published on schedule'
+      }, now);
+
+      counts.unpublished = await this.applyTransition({
+        name: 'unpublish',
+        field: 'unpublishAt',
+        dueFilter: date => ({ unpublishAt: { $lte: date } }),
+        buildUpdate: () => ({
+          $set: { isPublished: false },
+          $unset: { unpublishAt: 1 }
+        }),
+        note: 'Unpublished on schedule'
+      }, now);
+
+      counts.featuredExpired = await this.applyTransition({
+        name: 'featured expiry',
+        field: 'featuredUntil',
+        dueFilter: date => ({ isFeatured: true, featuredUntil: { $lte: date } }),
+        buildUpdate: () => ({
+          $set: { isFeatured: false, featuredOrder: 0, featuredUntil: null }
+        }),
+        note: 'Featured period ended'
+      }, now);
+
+      if (counts.published > 0 || counts.unpublished > 0) {
+        SearchService.clearSuggestIndex('scheduled publishing');
+      }
+
+      if (now.getTime() - this.lastTrashPurgeAt >= TRASH_PURGE_INTERVAL_MS) {
+        this.lastTrashPurgeAt = now.getTime();
+        counts.trashPurged = await ProductService.purgeExpiredTrash();
+      }
+
+      // Picks up alerts whose first send failed or was interrupted
+      counts.alertsSent = await ProductAlertService.processQueue();
+    } catch (error) {
+      logger.error('Product scheduler run failed', { error: error.message, stack: error.stack });
+    } finally {
+      this.running = false;
+    }
+
+    return counts;
+  }
+}
+
+module.exports = new ProductSchedulerService();
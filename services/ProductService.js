@@ -2,10 +2,59 @@ const Product = require('../models/Product');
 const Category = require('../models/Category');
 const Brand = require('../models/Brand');
 const Attribute = require('../models/Attribute');
+const Cart = require('../models/Cart');
+const SavedList = require('../models/SavedList');
+const PriceListLine = require('../models/PriceListLine');
+const ProductRevision = require('../models/ProductRevision');
+const Review = require('../models/Review');
+const ProductQuestion = require('../models/ProductQuestion');
+const ProductAlert = require('../models/ProductAlert');
+const WarehouseStock = require('../models/WarehouseStock');
+const PricingService = require('./PricingService');
+const InventoryService = require('./InventoryService');
+const WarehouseService = require('./WarehouseService');
+const SearchService = require('./SearchService');
+const ProductRevisionService = require('./ProductRevisionService');
+const ProductRelationshipService = require('./ProductRelationshipService');
+const ProductQuestionService = require('./ProductQuestionService');
+const ProductAlertService = require('./ProductAlertService');
 const { NotFoundError, ValidationError, ConflictError } = require('../middleware/errorHandler');
 const { logger } = require('../middleware/logger');
+const { restoreDeleted } = require('../utils/dbUtils');
+const { deleteFile } = require('../utils/fileUtils');
 const mongoose = require('mongoose');
 
+// Fields a new variant copies from its parent unless they are supplied
+const VARIANT_INHERITED_FIELDS = [
+  'seller', 'comparePrice', 'costPrice', 'taxRate', 'trackQuantity', 'lowStockThreshold',
+  'guaranteePeriod', 'isReturnable', 'isCancelable', 'isDeliveryAvailable',
+  'shortDescription', 'longDescription', 'specificationsFile', 'status', 'isPublished',
+  'weight', 'dimensions', 'parcel', 'meta'
+];
+
+// Listing sort aliases; rating sorts break ties on the number of reviews
+const SORT_ALIASES = {
+  rating: { averageRating: 1, reviewCount: 1 },
+  '-rating': { averageRating: -1, reviewCount: -1 }
+};
+
+// Component lines a bundle can have
+const MAX_BUNDLE_COMPONENTS = 50;
+
+// Days a deleted product stays in the trash before it is purged automatically
+const TRASH_RETENTION_DAYS = parseInt(process.env.PRODUCT_TRASH_RETENTION_DAYS, 10) || 30;
+
+// Product fields holding uploaded files
+const PRODUCT_FILE_FIELDS = ['mainImage', 'otherImages', 'specificationsFile', 'image360Url'];
+
+// Fields a rollback leaves alone: stock is physical and moves through the inventory ledger,
+// featured placement, publish schedules and product relationships are managed on their own,
+// and variant links are fixed
+const ROLLBACK_EXCLUDED_FIELDS = [
+  'stock', 'stockStatus', 'parentProduct', 'isFeatured', 'featuredOrder', 'featuredUntil', 'publishAt', 'unpublishAt',
+  'relationships'
+];
+
 /**
  * Product Service - Handles all product-related business logic
  */
@@ -95,19 +144,94 @@ class ProductService {
     return null;
   }
 
+  /**
+   * Helper function to convert quantity levels to numeric tiers and reject overlaps
+   * @param {array|null} levels - Quantity levels from the request
+   * @returns {array|null} Tiers sorted by minimum quantity and renumbered from 1
+   */
+  normalizeQuantityLevels(levels) {
+    if (!levels) return levels;
+    if (!Array.isArray(levels)) {
+      throw new ValidationError('Quantity levels must be an array');
+    }
+
+    const toNumber = (value) => (value === undefined || value === null || value === '' ? undefined : Number(value));
+    const errors = [];
+
+    const tiers = levels.map((level, index) => {
+      const tier = {
+        minQuantity: toNumber(level.minQuantity),
+        maxQuantity: toNumber(level.maxQuantity),
+        price: toNumber(level.price),
+        discount: toNumber(level.discount) ?? 0
+      };
+      const field = `quantityLevels[${index}]`;
+
+      if (!Number.isInteger(tier.minQuantity) || tier.minQuantity < 1) {
+        errors.push({ field: `${field}.minQuantity`, message: 'Minimum quantity must be a whole number of at least 1' });
+      }
+      if (tier.maxQuantity !== undefined && (!Number.isInteger(tier.maxQuantity) || tier.maxQuantity < tier.minQuantity)) {
+        errors.push({ field: `${field}.maxQuantity`, message: 'Maximum quantity must be a whole number not below the minimum quantity' });
+      }
+      if (tier.price !== undefined && (isNaN(tier.price) || tier.price < 0)) {
+        errors.push({ field: `${field}.price`, message: 'Tier price must be a positive number' });
+      }
+      if (isNaN(tier.discount) || tier.discount < 0 || tier.discount > 100) {
+        errors.push({ field: `${field}.discount`, message: 'Tier discount must be between 0 and 100' });
+      }
+      if (tier.price === undefined && !tier.discount) {
+        errors.push({ field, message: 'Tier must set a price or a discount' });
+      }
+
+      return tier;
+    });
+
+    if (errors.length > 0) {
+      throw new ValidationError('Invalid quantity levels', errors);
+    }
+
+    tiers.sort((a, b) => a.minQuantity - b.minQuantity);
+
+    // Only the last tier may be open-ended, and each tier must start after the previous one ends
+    for (let i = 1; i < tiers.length; i++) {
+      const previous = tiers[i - 1];
+      const current = tiers[i];
+      if (previous.maxQuantity === undefined || previous.maxQuantity >= current.minQuantity) {
+        const previousRange = `${previous.minQuantity}-${previous.maxQuantity ?? '+'}`;
+        const currentRange = `${current.minQuantity}-${current.maxQuantity ?? '+'}`;
+        errors.push({ field: 'quantityLevels', message: `Tier ${previousRange} overlaps tier ${currentRange}` });
+      }
+    }
+
+    if (errors.length > 0) {
+      throw new ValidationError('Quantity levels overlap', errors);
+    }
+
+    return tiers.map((tier, index) => {
+      const normalized = { level: index + 1, minQuantity: tier.minQuantity, discount: tier.discount };
+      if (tier.maxQuantity !== undefined) normalized.maxQuantity = tier.maxQuantity;
+      if (tier.price !== undefined) normalized.price = tier.price;
+      return normalized;
+    });
+  }
+
   /**
    * Helper function to process product data
    * @param {object} data - Request body data
    * @returns {object} Processed product data
    */
   processProductData(data) {
-    const processed = {
-      attributes: this.safeJsonParse(data.attributes, 'attributes'),
-      quantityLevels: this.safeJsonParse(data.quantityLevels, 'quantityLevels'),
-      parcel: this.safeJsonParse(data.parcel, 'parcel'),
-      additionalFields: this.safeJsonParse(data.additionalFields, 'additionalFields'),
-      meta: this.safeJsonParse(data.meta, 'meta')
-    };
+    // Only JSON fields that were sent are processed, so partial updates (bulk edits, imports)
+    // leave the others untouched instead of clearing them
+    const processed = {};
+    ['attributes', 'quantityLevels', 'parcel', 'additionalFields', 'meta'].forEach(field => {
+      if (data[field] !== undefined) {
+        processed[field] = this.safeJsonParse(data[field], field);
+      }
+    });
+    if (processed.quantityLevels !== undefined) {
+      processed.quantityLevels = this.normalizeQuantityLevels(processed.quantityLevels);
+    }
 
     // Handle categories array (ensure it's an array of ObjectIds)
     if (data.categories) {
@@ -125,6 +249,14 @@ class ProductService {
       }
     }
 
+    // Variant fields are only touched when supplied
+    if (data.variantAxes !== undefined) {
+      processed.variantAxes = this.safeJsonParse(data.variantAxes, 'variantAxes') || [];
+    }
+    if (data.variantOptions !== undefined) {
+      processed.variantOptions = this.safeJsonParse(data.variantOptions, 'variantOptions') || [];
+    }
+
     // Handle dimensions object
     if (data.dimensions) {
       if (typeof data.dimensions === 'string') {
@@ -191,6 +323,27 @@ class ProductService {
     return isArray ? productList : productList[0];
   }
 
+  /**
+   * Helper function to add per-warehouse stock availability to products
+   * @param {object|Array} products - Single product object or array of products
+   * @returns {Promise<object|Array>} Product(s) with an availability summary
+   */
+  async attachAvailability(products) {
+    const productList = Array.isArray(products) ? products : [products];
+    if (productList.length === 0) return products;
+
+    const availability = await WarehouseService.getAvailability(productList.map(product => product._id));
+    productList.forEach(product => {
+      product.availability = {
+        total: product.stock,
+        inStock: !product.trackQuantity || product.stockStatus === 'pre_order' || product.stock > 0,
+        warehouses: availability.get(product._id.toString()) || []
+      };
+    });
+
+    return products;
+  }
+
   /**
    * Get full category hierarchy path for a category
    * @param {string} categoryId - Category ID
@@ -214,6 +367,173 @@ class ProductService {
     return hierarchy;
   }
 
+  /**
+   * Normalise publishAt/unpublishAt in product data and check they are in order
+   * @param {object} data - Product data (empty values clear a schedule)
+   * @param {object} existing - Current product, for updates
+   */
+  normalizeSchedule(data, existing = {}) {
+    ['publishAt', 'unpublishAt'].forEach(field => {
+      if (data[field] === undefined) return;
+      if (data[field] === null || data[field] === '' || data[field] === 'null') {
+        data[field] = null;
+        return;
+      }
+
+      const date = new Date(data[field]);
+      if (isNaN(date.getTime())) {
+        throw new ValidationError(`Invalid ${field} date`);
+      }
+      data[field] = date;
+    });
+
+    const publishAt = data.publishAt !== undefined ? data.publishAt : existing.publishAt;
+    const unpublishAt = data.unpublishAt !== undefined ? data.unpublishAt : existing.unpublishAt;
+    if (publishAt && unpublishAt && unpublishAt <= publishAt) {
+      throw new ValidationError('Unpublish time must be after the publish time');
+    }
+  }
+
+  /**
+   * Check bundle components exist and can be sold as part of a kit, merging repeated products
+   * @param {Array} components - Components as { product, quantity }
+   * @param {string} bundleId - The bundle's own ID, for updates
+   * @returns {Promise<Array>} Components as { product, quantity }
+   */
+  async validateBundleComponents(components, bundleId = null) {
+    if (!Array.isArray(components) || components.length === 0) {
+      throw new ValidationError('A bundle needs at least one component');
+    }
+
+    const quantities = new Map();
+    components.forEach((component, index) => {
+      const productId = (component?.product?._id || component?.product)?.toString();
+      const quantity = Number(component?.quantity ?? 1);
+
+      if (!productId || !mongoose.Types.ObjectId.isValid(productId)) {
+        throw new ValidationError(`Bundle component ${index + 1}: invalid product ID`);
+      }
+      if (!Number.isInteger(quantity) || quantity < 1) {
+        throw new ValidationError(`Bundle component ${index + 1}: quantity must be a whole number of at least 1`);
+      }
+      if (bundleId && productId === bundleId.toString()) {
+        throw new ValidationError('A bundle cannot contain itself');
+      }
+      quantities.set(productId, (quantities.get(productId) || 0) + quantity);
+    });
+
+    if (quantities.size > MAX_BUNDLE_COMPONENTS) {
+      throw new ValidationError(`A bundle can have at most ${MAX_BUNDLE_COMPONENTS} components`);
+    }
+
+    const products = await Product.find({ _id: { $in: [...quantities.keys()] }, deletedAt: { $exists: false } })
+      .select('sku productType variantAxes')
+      .lean();
+    const productMap = new Map(products.map(product => [product._id.toString(), product]));
+
+    const errors = [];
+    quantities.forEach((quantity, productId) => {
+      const product = productMap.get(productId);
+      if (!product) {
+        errors.push({ product: productId, message: 'Component product not found' });
+      } else if (product.productType === 'bundle') {
+        errors.push({ product: productId, sku: product.sku, message: `${product.sku} is a bundle; bundles cannot contain other bundles` });
+      } else if (product.variantAxes && product.variantAxes.length > 0) {
+        errors.push({ product: productId, sku: product.sku, message: `${product.sku} has variants; add a specific variant` });
+      }
+    });
+    if (errors.length > 0) {
+      throw new ValidationError('Invalid bundle components', errors);
+    }
+
+    return [...quantities].map(([product, quantity]) => ({ product, quantity }));
+  }
+
+  /**
+   * Price a bundle from its components
+   * @param {Array} components - Components as { product, quantity }
+   * @param {object} pricing - Bundle pricing ({ discount })
+   * @returns {Promise<object>} { price, comparePrice }; comparePrice is the components bought separately
+   */
+  async calculateBundlePrice(components, pricing = {}) {
+    const products = await Product.find({ _id: { $in: components.map(component => component.product) } })
+      .select('price')
+      .lean();
+    const priceMap = new Map(products.map(product => [product._id.toString(), product.price || 0]));
+
+    const total = components.reduce((sum, component) => sum + (priceMap.get(component.product.toString()) || 0) * component.quantity, 0);
+    const discount = Math.min(Math.max(Number(pricing.discount) || 0, 0), 100);
+
+    return {
+      price: Math.round(total * (100 - discount)) / 100,
+      comparePrice: Math.round(total * 100) / 100
+    };
+  }
+
+  /**
+   * Validate bundle fields in product data and set the bundle's stock, and its price when it
+   * is priced from its components. Bundle stock always comes from the components.
+   * @param {object} data - Product data (bundleComponents and bundlePricing may be JSON strings)
+   * @param {object} existing - Current product, for updates
+   */
+  async normalizeBundle(data, existing = null) {
+    ['bundleComponents', 'bundlePricing'].forEach(field => {
+      if (data[field] !== undefined) {
+        data[field] = this.safeJsonParse(data[field], field);
+      }
+    });
+
+    if (existing && data.productType !== undefined && data.productType !== existing.productType) {
+      throw new ConflictError('Product type cannot be changed after the product is created');
+    }
+
+    const productType = existing ? existing.productType : (data.productType || 'simple');
+    if (productType !== 'bundle') {
+      if (data.bundleComponents && data.bundleComponents.length > 0) {
+        throw new ValidationError('Only bundle products can have components');
+      }
+      delete data.bundleComponents;
+      delete data.bundlePricing;
+      return;
+    }
+
+    const variantAxes = data.variantAxes !== undefined ? this.safeJsonParse(data.variantAxes, 'variantAxes') : existing?.variantAxes;
+    if (data.parentProduct || existing?.parentProduct || (variantAxes && variantAxes.length > 0)) {
+      throw new ValidationError('Bundles cannot have variants');
+    }
+
+    if (data.bundleComponents !== undefined || !existing) {
+      data.bundleComponents = await this.validateBundleComponents(data.bundleComponents, existing?._id);
+    }
+    const components = data.bundleComponents || existing.bundleComponents;
+
+    const pricing = data.bundlePricing || existing?.bundlePricing;
+    if (pricing?.mode === 'components') {
+      Object.assign(data, await this.calculateBundlePrice(components, pricing));
+    }
+
+    Object.assign(data, await InventoryService.calculateBundleStock(components));
+  }
+
+  /**
+   * Re-price and re-count the bundles containing a product after it changes
+   * @param {string} productId - Component product ID
+   */
+  async refreshBundlesContaining(productId) {
+    const bundles = await Product.find({
+      'bundleComponents.product': productId,
+      productType: 'bundle',
+      'bundlePricing.mode': 'components'
+    }).select('bundleComponents bundlePricing').lean();
+
+    for (const bundle of bundles) {
+      const prices = await this.calculateBundlePrice(bundle.bundleComponents, bundle.bundlePricing);
+      await Product.updateOne({ _id: bundle._id }, { $set: prices });
+    }
+
+    await InventoryService.syncBundleStock(productId);
+  }
+
   /**
    * Validate categories and brand exist (supports nth level nested categories)
    * @param {Array} categoryIds - Array of category IDs
@@ -312,6 +632,239 @@ class ProductService {
     }
   }
 
+  /**
+   * Validate the variant axes of a parent product
+   * @param {Array} axisIds - Attribute IDs used as variant axes
+   * @returns {Promise<Array>} Attribute documents in axis order
+   */
+  async validateVariantAxes(axisIds) {
+    const ids = axisIds.map(id => id.toString());
+    if (new Set(ids).size !== ids.length) {
+      throw new ValidationError('Variant axes must not repeat an attribute');
+    }
+    if (ids.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+      throw new ValidationError('Invalid variant axis attribute ID format');
+    }
+
+    const attributes = await Attribute.find({ _id: { $in: ids } });
+    const attributeMap = new Map(attributes.map(attribute => [attribute._id.toString(), attribute]));
+
+    return ids.map(id => {
+      const attribute = attributeMap.get(id);
+      if (!attribute) {
+        throw new ValidationError(`Variant axis attribute ${id} does not exist`);
+      }
+      if (attribute.type !== 'select' || !attribute.isActive) {
+        throw new ValidationError(`Attribute '${attribute.name}' must be an active select attribute to be used as a variant axis`);
+      }
+      return attribute;
+    });
+  }
+
+  /**
+   * Validate a variant's options against its parent's axes and its siblings
+   * @param {object} parent - Parent product document
+   * @param {Array} options - Variant options as { attribute, value }
+   * @param {string} excludeId - Variant ID to ignore when checking for duplicates (for updates)
+   * @returns {Promise<Array>} Options in the parent's axis order
+   */
+  async validateVariantOptions(parent, options, excludeId = null) {
+    if (!Array.isArray(options) || options.length === 0) {
+      throw new ValidationError('Variant options are required');
+    }
+
+    const axes = await this.validateVariantAxes(parent.variantAxes);
+    const optionMap = new Map(options.map(option => [option.attribute?.toString(), option.value]));
+    if (optionMap.size !== options.length || options.length !== axes.length) {
+      throw new ValidationError(`Variant must set exactly one value for each axis: ${axes.map(axis => axis.name).join(', ')}`);
+    }
+
+    const normalized = axes.map(axis => {
+      const value = optionMap.get(axis._id.toString());
+      if (value === undefined) {
+        throw new ValidationError(`Variant is missing a value for '${axis.name}'`);
+      }
+      const match = axis.options.find(option => option.toLowerCase() === String(value).trim().toLowerCase());
+      if (!match) {
+        throw new ValidationError(`'${value}' is not an option of '${axis.name}'`);
+      }
+      return { attribute: axis._id, value: match };
+    });
+
+    const siblingFilter = {
+      parentProduct: parent._id,
+      deletedAt: { $exists: false },
+      $and: normalized.map(option => ({ variantOptions: { $elemMatch: option } }))
+    };
+    if (excludeId) {
+      siblingFilter._id = { $ne: excludeId };
+    }
+
+    const duplicate = await Product.findOne(siblingFilter).select('sku');
+    if (duplicate) {
+      throw new ConflictError(`Variant ${duplicate.sku} already has these options`);
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Load a product that can have variants added to it
+   * @param {string} parentId - Parent product ID
+   * @returns {Promise<object>} Parent product document
+   */
+  async getVariantParent(parentId) {
+    if (!mongoose.Types.ObjectId.isValid(parentId)) {
+      throw new ValidationError('Invalid product ID format');
+    }
+
+    const parent = await Product.findOne({ _id: parentId, deletedAt: { $exists: false } });
+    if (!parent) {
+      throw new NotFoundError('Product');
+    }
+    if (parent.parentProduct) {
+      throw new ValidationError('A variant cannot have variants of its own');
+    }
+    if (!parent.variantAxes || parent.variantAxes.length === 0) {
+      throw new ValidationError('Set variant axes on the product before adding variants');
+    }
+
+    return parent;
+  }
+
+  /**
+   * Group variants under their parent products with the options a shopper can select
+   * @param {Array} products - Parent products as plain objects
+   * @param {object} options - Variant filters ({ status })
+   * @returns {Promise<Array>} Products with variants, variantSelector and priceRange
+   */
+  async attachVariants(products, options = {}) {
+    const parents = products.filter(product => product.variantAxes && product.variantAxes.length > 0);
+    if (parents.length === 0) return products;
+
+    const filter = {
+      parentProduct: { $in: parents.map(parent => parent._id) },
+      deletedAt: { $exists: false }
+    };
+    if (options.status && options.status !== 'all') {
+      filter.status = options.status;
+    }
+
+    const [variants, axes] = await Promise.all([
+      Product.find(filter)
+        .select('parentProduct productName sku price comparePrice stock stockStatus trackQuantity mainImage otherImages variantOptions status isPublished')
+        .sort('sku')
+        .lean(),
+      Attribute.find({ _id: { $in: parents.flatMap(parent => parent.variantAxes) } }).select('name options').lean()
+    ]);
+    const axisMap = new Map(axes.map(axis => [axis._id.toString(), axis]));
+
+    parents.forEach(parent => {
+      const parentVariants = variants.filter(variant => variant.parentProduct.toString() === parent._id.toString());
+
+      parent.variants = parentVariants.map(variant => ({
+        _id: variant._id,
+        productName: variant.productName,
+        sku: variant.sku,
+        price: variant.price,
+        comparePrice: variant.comparePrice,
+        stock: variant.stock,
+        stockStatus: variant.stockStatus,
+        mainImage: variant.mainImage || parent.mainImage,
+        otherImages: variant.otherImages,
+        status: variant.status,
+        options: variant.variantOptions.map(option => ({
+          attribute: option.attribute,
+          name: axisMap.get(option.attribute.toString())?.name || null,
+          value: option.value
+        }))
+      }));
+
+      // Values in the attribute's own order, flagged when no variant with that value can be bought
+      parent.variantSelector = parent.variantAxes.map(axisId => {
+        const axis = axisMap.get((axisId._id || axisId).toString());
+        const used = parentVariants.map(variant => ({
+          variant,
+          value: variant.variantOptions.find(option => option.attribute.toString() === (axisId._id || axisId).toString())?.value
+        }));
+        return {
+          attribute: axisId._id || axisId,
+          name: axis ? axis.name : null,
+          values: (axis ? axis.options : [])
+            .filter(value => used.some(entry => entry.value === value))
+            .map(value => ({
+              value,
+              available: used.some(entry => entry.value === value &&
+                (!entry.variant.trackQuantity || entry.variant.stockStatus === 'pre_order' || entry.variant.stock > 0))
+            }))
+        };
+      });
+
+      const prices = parentVariants.map(variant => variant.price);
+      parent.priceRange = prices.length > 0
+        ? { min: Math.min(...prices), max: Math.max(...prices) }
+        : { min: parent.price, max: parent.price };
+    });
+
+    return products;
+  }
+
+  /**
+   * Create a variant under a parent product; unset fields are inherited from the parent
+   * @param {string} parentId - Parent product ID
+   * @param {object} variantData - Variant data (sku, price, stock, variantOptions, images)
+   * @param {object} files - Uploaded files
+   * @param {string} userId - User ID creating the variant
+   * @returns {object} Created variant
+   */
+  async createVariant(parentId, variantData, files, userId) {
+    const parent = await this.getVariantParent(parentId);
+
+    const inherited = {};
+    VARIANT_INHERITED_FIELDS.forEach(field => {
+      if (parent[field] !== undefined) inherited[field] = parent[field];
+    });
+    inherited.categories = parent.categories.map(category => category.toString());
+    inherited.brandId = parent.brandId.toString();
+
+    const { variantAxes, ...data } = variantData;
+
+    return this.createProduct({
+      price: parent.price,
+      ...inherited,
+      ...data,
+      parentProduct: parent._id
+    }, files, userId);
+  }
+
+  /**
+   * Get the variants of a product
+   * @param {string} productId - Parent product ID
+   * @param {object} options - Variant filters ({ status, hiddenCategories })
+   * @returns {Promise<object>} Parent summary with variants and selectable options
+   */
+  async getProductVariants(productId, options = {}) {
+    if (!mongoose.Types.ObjectId.isValid(productId)) {
+      throw new ValidationError('Invalid product ID format');
+    }
+
+    const filter = this.excludeHiddenCategories({ _id: productId, deletedAt: { $exists: false } }, options.hiddenCategories);
+    const parent = await Product.findOne(filter)
+      .select('productName sku price mainImage variantAxes')
+      .lean();
+    if (!parent) {
+      throw new NotFoundError('Product');
+    }
+
+    await this.attachVariants([parent], { status: options.status || 'active' });
+
+    return {
+      ...parent,
+      variants: parent.variants || [],
+      variantSelector: parent.variantSelector || []
+    };
+  }
+
   /**
    * Create a new product
    * @param {object} productData - Product data
@@ -330,6 +883,9 @@ class ProductService {
       categoriesLength: Array.isArray(productData.categories) ? productData.categories.length : 'not array'
     });
 
+    // Bundles priced from their components get their price before it is checked
+    await this.normalizeBundle(productData);
+
     // Validate required fields
     if (!productData.productName) {
       throw new ValidationError('Product name is required');
@@ -349,12 +905,16 @@ class ProductService {
 
     // Check SKU uniqueness
     await this.checkSkuUniqueness(productData.sku);
+    this.normalizeSchedule(productData);
 
     // Validate categories and brand exist
     await this.validateCategoriesAndBrand(productData.categories, productData.brandId);
 
-    // Process file uploads
+    // Process file uploads; image URLs already in the data (e.g. from an import) are kept when no file is sent
     const fileData = this.processFileUploads(files);
+    Object.keys(fileData).forEach(field => {
+      if (fileData[field].length === 0 && productData[field]) delete fileData[field];
+    });
     
     // Process JSON fields
     const processedData = this.processProductData(productData);
@@ -384,8 +944,21 @@ class ProductService {
       finalProductData.categories = processedData.categories;
     }
 
+    // Variants must match their parent's axes; only top-level products define axes
+    if (finalProductData.parentProduct) {
+      const parent = await this.getVariantParent(finalProductData.parentProduct);
+      finalProductData.variantOptions = await this.validateVariantOptions(parent, finalProductData.variantOptions);
+      delete finalProductData.variantAxes;
+    } else {
+      delete finalProductData.variantOptions;
+      if (finalProductData.variantAxes && finalProductData.variantAxes.length > 0) {
+        await this.validateVariantAxes(finalProductData.variantAxes);
+      }
+    }
+
     const product = new Product(finalProductData);
     await product.save();
+    await ProductRevisionService.recordRevision(product._id, null, { action: 'create', user: userId });
 
     // Populate the created product
     await product.populate([
@@ -395,6 +968,8 @@ class ProductService {
       { path: 'updatedBy', select: 'firstName lastName username' }
     ]);
 
+    SearchService.clearSuggestIndex('product created');
+
     logger.info('Product created successfully', {
       productId: product._id,
       userId,
@@ -408,13 +983,25 @@ class ProductService {
   }
 
   /**
-   * Get all products with filtering and sorting
+   * Leave products in categories hidden from the customer's group out of a filter
+   * @param {object} filter - Product filter
+   * @param {Array} hiddenCategories - Category IDs from CustomerGroupService.getHiddenCategoryIds (optional)
+   * @returns {object} The same filter
+   */
+  excludeHiddenCategories(filter, hiddenCategories = []) {
+    if (hiddenCategories && hiddenCategories.length > 0) {
+      filter.$and = [...(filter.$and || []), { categories: { $nin: hiddenCategories } }];
+    }
+    return filter;
+  }
+
+  /**
+   * Build the product list filter shared by listings and exports
    * @param {object} options - Query options
-   * @returns {object} Products
+   * @returns {Promise<object>} { filter, groupVariants }
    */
-  async getProducts(options = {}) {
+  async buildProductFilter(options = {}) {
     const {
-      sort = '-createdAt',
       categories,
       brandId,
       minPrice,
@@ -425,7 +1012,11 @@ class ProductService {
       isPublished,
       isLowStock,
       includeDeleted,
-      deletedOnly
+      deletedOnly,
+      includeVariants,
+      productType,
+      minRating,
+      hiddenCategories
     } = options;
 
     // Build filter object
@@ -452,6 +1043,7 @@ class ProductService {
       const categoryArray = Array.isArray(categories) ? categories : [categories];
       filter.categories = { $in: categoryArray };
     }
+    this.excludeHiddenCategories(filter, hiddenCategories);
     
     // Brand filter
     if (brandId) {
@@ -470,6 +1062,16 @@ class ProductService {
       filter.stockStatus = stockStatus;
     }
     
+    // Product type filter (simple products or bundles)
+    if (productType) {
+      filter.productType = productType === 'simple' ? { $ne: 'bundle' } : productType;
+    }
+    
+    // Minimum average rating filter
+    if (minRating) {
+      filter.averageRating = { $gte: parseFloat(minRating) };
+    }
+    
     // Published filter
     if (isPublished !== undefined) {
       filter.isPublished = isPublished === 'true' || isPublished === true;
@@ -485,31 +1087,172 @@ class ProductService {
       };
     }
     
-    // Search filter
+    // Variants are listed under their parent unless asked for individually
+    const groupVariants = !(includeVariants === true || includeVariants === 'true');
+    if (groupVariants) {
+      filter.parentProduct = { $exists: false };
+    }
+    
+    // Search filter (synonyms and SKUs typed with or without separators)
     if (search) {
-      filter.$or = [
-        { productName: { $regex: search, $options: 'i' } },
-        { shortDescription: { $regex: search, $options: 'i' } },
-        { longDescription: { $regex: search, $options: 'i' } },
-        { sku: { $regex: search, $options: 'i' } },
-        { seller: { $regex: search, $options: 'i' } }
-      ];
+      filter.$or = await SearchService.buildSearchConditions(search);
+
+      // A variant SKU finds its parent
+      if (groupVariants) {
+        const variantParents = await Product.distinct('parentProduct', {
+          $or: filter.$or.filter(condition => condition.sku),
+          parentProduct: { $exists: true },
+          deletedAt: { $exists: false }
+        });
+        if (variantParents.length > 0) {
+          filter.$or.push({ _id: { $in: variantParents } });
+        }
+      }
     }
     
+    return { filter, groupVariants };
+  }
+
+  /**
+   * Get all products with filtering and sorting
+   * @param {object} options - Query options
+   * @returns {object} Products
+   */
+  async getProducts(options = {}) {
+    const { sort = '-createdAt', status = 'active' } = options;
+    const { filter, groupVariants } = await this.buildProductFilter(options);
+
     // Execute query with population
     const products = await Product.find(filter)
       .populate('brandId', 'name description')
       .populate('categories', 'name description slug')
       .populate('createdBy', 'firstName lastName username')
       .populate('updatedBy', 'firstName lastName username')
-      .sort(sort)
+      .sort(SORT_ALIASES[sort] || sort)
       .lean();
 
-    // Enrich attributes with names
+    // Enrich attributes with names, warehouse availability and variants
     const enrichedProducts = await this.enrichAttributesWithNames(products);
+    await this.attachAvailability(enrichedProducts);
+    if (groupVariants) {
+      await this.attachVariants(enrichedProducts, { status });
+    }
+
+    const result = {
+      products: options.search ? SearchService.boostExactSkuMatches(enrichedProducts, options.search) : enrichedProducts
+    };
+
+    if (options.includeFacets === true || options.includeFacets === 'true') {
+      result.facets = await this.getProductFacets(filter, options);
+    }
+
+    return result;
+  }
+
+  /**
+   * Count the products matching a listing filter per brand, category, attribute value,
+   * stock status and price bucket. Each facet ignores its own filter so the other
+   * choices in that facet keep their counts.
+   * @param {object} filter - Filter from buildProductFilter
+   * @param {object} options - Query options (priceBuckets)
+   * @returns {Promise<object>} Facet counts
+   */
+  async getProductFacets(filter, options = {}) {
+    const toObjectId = (id) => {
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        throw new ValidationError('Invalid brand or category ID format');
+      }
+      return new mongoose.Types.ObjectId(id.toString());
+    };
+
+    // Aggregations are not cast by the schema, so ID filters are converted here
+    const { brandId, categories, price, stockStatus, ...baseFilter } = filter;
+    const facetFilters = {
+      brand: brandId ? { brandId: toObjectId(brandId) } : {},
+      category: categories ? { categories: { $in: categories.$in.map(toObjectId) } } : {},
+      price: price ? { price } : {},
+      stockStatus: stockStatus ? { stockStatus } : {}
+    };
+    const matchExcept = (facet) => ({
+      $match: Object.assign({}, ...Object.entries(facetFilters)
+        .filter(([name]) => name !== facet)
+        .map(([, facetFilter]) => facetFilter))
+    });
+
+    const priceBuckets = Math.min(Math.max(parseInt(options.priceBuckets, 10) || 5, 1), 20);
+
+    const [facets] = await Product.aggregate([
+      { $match: baseFilter },
+      {
+        $facet: {
+          brands: [
+            matchExcept('brand'),
+            { $group: { _id: '$brandId', count: { $sum: 1 } } },
+            { $lookup: { from: 'brands', localField: '_id', foreignField: '_id', as: 'brand' } },
+            { $unwind: '$brand' },
+            { $project: { _id: 0, brandId: '$_id', name: '$brand.name', count: 1 } },
+            { $sort: { count: -1, name: 1 } }
+          ],
+          categories: [
+            matchExcept('category'),
+            { $unwind: '$categories' },
+            { $group: { _id: '$categories', count: { $sum: 1 } } },
+            { $lookup: { from: 'categories', localField: '_id', foreignField: '_id', as: 'category' } },
+            { $unwind: '$category' },
+            { $project: { _id: 0, categoryId: '$_id', name: '$category.name', slug: '$category.slug', count: 1 } },
+            { $sort: { count: -1, name: 1 } }
+          ],
+          attributes: [
+            matchExcept(null),
+            { $unwind: '$attributes' },
+            { $match: { 'attributes.value': { $nin: [null, ''] } } },
+            { $group: { _id: { id: '$attributes.id', value: '$attributes.value' }, count: { $sum: 1 } } },
+            { $sort: { count: -1 } }
+          ],
+          stockStatus: [
+            matchExcept('stockStatus'),
+            { $group: { _id: '$stockStatus', count: { $sum: 1 } } },
+            { $project: { _id: 0, status: '$_id', count: 1 } },
+            { $sort: { count: -1 } }
+          ],
+          priceBuckets: [
+            matchExcept('price'),
+            { $bucketAuto: { groupBy: '$price', buckets: priceBuckets, output: { count: { $sum: 1 } } } },
+            { $project: { _id: 0, min: '$_id.min', max: '$_id.max', count: 1 } }
+          ],
+          priceRange: [
+            matchExcept('price'),
+            { $group: { _id: null, min: { $min: '$price' }, max: { $max: '$price' } } },
+            { $project: { _id: 0, min: 1, max: 1 } }
+          ]
+        }
+      }
+    ]);
+
+    // Group attribute values under their attribute; inactive or removed attributes are left out
+    const attributeIds = [...new Set(facets.attributes.map(entry => entry._id.id))]
+      .filter(id => mongoose.Types.ObjectId.isValid(id));
+    const attributes = await Attribute.find({ _id: { $in: attributeIds }, isActive: true })
+      .select('name type')
+      .lean();
+    const attributeFacets = new Map(attributes.map(attribute => [attribute._id.toString(), {
+      attributeId: attribute._id,
+      name: attribute.name,
+      type: attribute.type,
+      values: []
+    }]));
+    facets.attributes.forEach(entry => {
+      const attributeFacet = attributeFacets.get(entry._id.id);
+      if (attributeFacet) attributeFacet.values.push({ value: entry._id.value, count: entry.count });
+    });
 
     return {
-      products: enrichedProducts
+      brands: facets.brands,
+      categories: facets.categories,
+      attributes: [...attributeFacets.values()].sort((a, b) => a.name.localeCompare(b.name)),
+      stockStatus: facets.stockStatus,
+      priceBuckets: facets.priceBuckets,
+      priceRange: facets.priceRange[0] || null
     };
   }
 
@@ -532,6 +1275,7 @@ class ProductService {
     const product = await Product.findOne(filter)
       .populate('brandId', 'name description')
       .populate('categories', 'name description slug')
+      .populate('bundleComponents.product', 'productName sku price mainImage stock stockStatus status categories deletedAt')
       .populate('createdBy', 'firstName lastName username')
       .populate('updatedBy', 'firstName lastName username')
       .lean();
@@ -540,8 +1284,22 @@ class ProductService {
       throw new NotFoundError('Product');
     }
 
-    // Enrich attributes with names
+    // Enrich attributes with names and warehouse availability
     const enrichedProduct = await this.enrichAttributesWithNames(product);
+    await this.attachAvailability(enrichedProduct);
+
+    // Parents list their variants; a variant carries its parent's group so shoppers can switch options
+    if (product.parentProduct) {
+      const parent = await Product.findOne({ _id: product.parentProduct, deletedAt: { $exists: false } })
+        .select('productName sku price mainImage variantAxes categories')
+        .lean();
+      if (parent) {
+        await this.attachVariants([parent], { status: 'active' });
+        enrichedProduct.variantGroup = parent;
+      }
+    } else {
+      await this.attachVariants([enrichedProduct], { status: 'active' });
+    }
 
     // Get related products from the same category(ies)
     // Fetch related products if product has categories (regardless of product status)
@@ -585,6 +1343,7 @@ class ProductService {
       const relatedProducts = await Product.find({
         _id: { $ne: new mongoose.Types.ObjectId(productId) }, // Exclude current product
         categories: { $in: categoryIds }, // Products with matching category(ies)
+        parentProduct: { $exists: false }, // Variants are shown through their parent
         status: 'active', // Only active products
         isPublished: true, // Only published products
         deletedAt: { $exists: false } // Not deleted
@@ -615,6 +1374,17 @@ class ProductService {
       });
     }
 
+    // Hand-picked related products come before the category suggestions
+    await ProductRelationshipService.attachRelationships(enrichedProduct);
+    const pickedIds = new Set(enrichedProduct.linkedProducts.related.map(related => related._id.toString()));
+    enrichedProduct.relatedProducts = [
+      ...enrichedProduct.linkedProducts.related,
+      ...enrichedProduct.relatedProducts.filter(related => !pickedIds.has(related._id.toString()))
+    ];
+
+    // Latest answered customer questions
+    enrichedProduct.questions = await ProductQuestionService.getProductQuestionPreview(product._id);
+
     return enrichedProduct;
   }
 
@@ -624,9 +1394,10 @@ class ProductService {
    * @param {object} updateData - Data to update
    * @param {object} files - Uploaded files
    * @param {string} userId - User ID updating the product
+   * @param {object} options - Revision details ({ revisionAction, revisionNote })
    * @returns {object} Updated product
    */
-  async updateProduct(productId, updateData, files, userId) {
+  async updateProduct(productId, updateData, files, userId, options = {}) {
     if (!mongoose.Types.ObjectId.isValid(productId)) {
       throw new ValidationError('Invalid product ID format');
     }
@@ -647,6 +1418,15 @@ class ProductService {
       updateFields: Object.keys(updateData)
     });
 
+    this.normalizeSchedule(updateData, existingProduct);
+    await this.normalizeBundle(updateData, existingProduct);
+
+    // Stock held in warehouses can only change through warehouse adjustments
+    const stockChanged = updateData.stock !== undefined && Number(updateData.stock) !== existingProduct.stock;
+    if (stockChanged && await InventoryService.hasWarehouseStock(productId)) {
+      throw new ValidationError('Stock for this product is held in warehouses; adjust it per warehouse');
+    }
+
     // Check SKU uniqueness if SKU is being updated
     if (updateData.sku && updateData.sku !== existingProduct.sku) {
       await this.checkSkuUniqueness(updateData.sku, productId);
@@ -717,6 +1497,27 @@ class ProductService {
       finalUpdateData.sku = finalUpdateData.sku.toUpperCase();
     }
 
+    // Variant links are fixed; options are re-checked against the parent
+    delete finalUpdateData.parentProduct;
+    if (existingProduct.parentProduct) {
+      delete finalUpdateData.variantAxes;
+      if (processedData.variantOptions) {
+        const parent = await this.getVariantParent(existingProduct.parentProduct);
+        finalUpdateData.variantOptions = await this.validateVariantOptions(parent, processedData.variantOptions, productId);
+      }
+    } else {
+      delete finalUpdateData.variantOptions;
+      if (processedData.variantAxes) {
+        await this.validateVariantAxes(processedData.variantAxes);
+
+        const axesChanged = processedData.variantAxes.map(String).join() !== existingProduct.variantAxes.map(String).join();
+        const hasVariants = await Product.exists({ parentProduct: productId, deletedAt: { $exists: false } });
+        if (axesChanged && hasVariants) {
+          throw new ConflictError('Variant axes cannot change while the product has variants');
+        }
+      }
+    }
+
     const product = await Product.findByIdAndUpdate(
       productId,
       finalUpdateData,
@@ -731,6 +1532,30 @@ class ProductService {
       { path: 'updatedBy', select: 'firstName lastName username' }
     ]);
 
+    await ProductRevisionService.recordRevision(productId, existingProduct, {
+      action: options.revisionAction || 'update',
+      user: userId,
+      note: options.revisionNote
+    });
+
+    // Stock edited through the product form still goes in the ledger; bundle stock is derived
+    if (product.stock !== existingProduct.stock && product.productType !== 'bundle') {
+      await InventoryService.recordMovement(product, existingProduct.stock, {
+        type: 'adjustment',
+        user: userId,
+        reason: 'Product updated'
+      });
+    }
+
+    if (product.productType !== 'bundle') {
+      await this.refreshBundlesContaining(productId);
+    }
+
+    // Covers bulk updates too, which go through here one product at a time
+    await ProductAlertService.checkProduct(product);
+
+    SearchService.clearSuggestIndex('product updated');
+
     logger.info('Product updated successfully', {
       productId: product._id,
       userId,
@@ -743,6 +1568,45 @@ class ProductService {
     return await this.enrichAttributesWithNames(productObj);
   }
 
+  /**
+   * Restore a product's content to an earlier revision; the rollback is itself recorded as a revision
+   * @param {string} productId - Product ID
+   * @param {number} version - Revision version to restore
+   * @param {string} userId - Admin rolling back
+   * @returns {object} Updated product
+   */
+  async rollbackProduct(productId, version, userId) {
+    const revision = await ProductRevisionService.getRevision(productId, version);
+
+    const current = await Product.findOne({ _id: productId, deletedAt: { $exists: false } }).lean();
+    if (!current) {
+      throw new NotFoundError('Product');
+    }
+
+    // Fields added since the revision are removed again
+    const rollbackData = {};
+    const unset = {};
+    const fields = new Set([...Object.keys(revision.snapshot), ...Object.keys(ProductRevisionService.toSnapshot(current))]);
+    fields.forEach(field => {
+      if (ROLLBACK_EXCLUDED_FIELDS.includes(field)) return;
+      if (revision.snapshot[field] !== undefined) {
+        rollbackData[field] = revision.snapshot[field];
+      } else {
+        unset[field] = 1;
+      }
+    });
+    if (Object.keys(unset).length > 0) {
+      rollbackData.$unset = unset;
+    }
+
+    logger.info('Product rollback requested', { productId, version: revision.version, userId });
+
+    return this.updateProduct(productId, rollbackData, null, userId, {
+      revisionAction: 'rollback',
+      revisionNote: `Rolled back to version ${revision.version}`
+    });
+  }
+
   /**
    * Delete product by ID (soft delete)
    * @param {string} productId - Product ID
@@ -783,6 +1647,27 @@ class ProductService {
       deletedAt: new Date(),
       deletedBy: userId
     });
+    await ProductRevisionService.recordRevision(productId, product, { action: 'delete', user: userId });
+
+    // Variants cannot be sold without their parent; each gets its own revision so a restore
+    // brings back the status it had
+    const variantIds = [];
+    if (product.variantAxes && product.variantAxes.length > 0) {
+      const filter = { parentProduct: product._id, deletedAt: { $exists: false } };
+      const variants = await Product.find(filter).lean();
+      variantIds.push(...variants.map(variant => variant._id));
+      await Product.updateMany({ _id: { $in: variantIds } }, { status: 'archived', deletedAt: new Date(), deletedBy: userId });
+      for (const variant of variants) {
+        await ProductRevisionService.recordRevision(variant._id, variant, { action: 'delete', user: userId });
+      }
+    }
+
+    // Bundles containing the deleted products can no longer be made up
+    for (const deletedId of [product._id, ...variantIds]) {
+      await InventoryService.syncBundleStock(deletedId);
+    }
+
+    SearchService.clearSuggestIndex('product deleted');
 
     logger.info('Product deleted successfully', {
       productId,
@@ -798,6 +1683,205 @@ class ProductService {
     };
   }
 
+  /**
+   * List soft-deleted products with the date each will be purged
+   * @param {object} options - Query options (page, limit, search)
+   * @returns {Promise<object>} Products and pagination
+   */
+  async getDeletedProducts(options = {}) {
+    const page = Math.max(parseInt(options.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(options.limit, 10) || 20, 1), 100);
+
+    const filter = { deletedAt: { $exists: true } };
+    if (options.search) {
+      filter.$or = await SearchService.buildSearchConditions(options.search);
+    }
+
+    const [products, total] = await Promise.all([
+      Product.find(filter)
+        .select('productName sku mainImage price status parentProduct deletedAt deletedBy')
+        .populate('deletedBy', 'firstName lastName username')
+        .sort({ deletedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Product.countDocuments(filter)
+    ]);
+
+    products.forEach(product => {
+      product.purgeAt = new Date(product.deletedAt.getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+    });
+
+    return {
+      products,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Restore a soft-deleted product, and the variants deleted along with it
+   * @param {string} productId - Product ID
+   * @param {string} userId - Admin restoring the product
+   * @returns {Promise<object>} Restored product
+   */
+  async restoreProduct(productId, userId) {
+    if (!mongoose.Types.ObjectId.isValid(productId)) {
+      throw new ValidationError('Invalid product ID format');
+    }
+
+    const product = await Product.findOne({ _id: productId, deletedAt: { $exists: true } }).lean();
+    if (!product) {
+      throw new NotFoundError('Deleted product');
+    }
+
+    if (product.parentProduct) {
+      const parentDeleted = await Product.exists({ _id: product.parentProduct, deletedAt: { $exists: true } });
+      if (parentDeleted) {
+        throw new ConflictError('Restore the parent product before its variants');
+      }
+    }
+
+    // Variants deleted with the parent come back with it; ones deleted earlier stay in the trash
+    const cascadedVariants = await Product.find({
+      parentProduct: product._id,
+      deletedAt: { $gte: product.deletedAt }
+    }).select('_id').lean();
+
+    for (const item of [product, ...cascadedVariants]) {
+      const before = item === product ? product : await Product.findById(item._id).lean();
+      const previousStatus = await ProductRevisionService.getStatusBeforeDeletion(item._id);
+
+      await restoreDeleted(Product, item._id, userId);
+      if (previousStatus && previousStatus !== 'active') {
+        await Product.updateOne({ _id: item._id }, { status: previousStatus });
+      }
+      await ProductRevisionService.recordRevision(item._id, before, { action: 'restore', user: userId });
+      await InventoryService.syncBundleStock(item._id);
+    }
+
+    SearchService.clearSuggestIndex('product restored');
+
+    logger.info('Product restored', {
+      productId,
+      userId,
+      sku: product.sku,
+      restoredVariants: cascadedVariants.length
+    });
+
+    return this.getProductById(productId);
+  }
+
+  /**
+   * Permanently delete a product from the trash, with its variants, reviews, questions, stock records,
+   * revision history, cart and saved list lines, price list lines and uploaded files. Inventory movements
+   * are kept for audit.
+   * @param {string} productId - Product ID
+   * @param {string} userId - Admin purging the product (null for automatic purges)
+   * @returns {Promise<object>} Purge result
+   */
+  async purgeProduct(productId, userId = null) {
+    if (!mongoose.Types.ObjectId.isValid(productId)) {
+      throw new ValidationError('Invalid product ID format');
+    }
+
+    const product = await Product.findById(productId).lean();
+    if (!product) {
+      throw new NotFoundError('Product');
+    }
+    if (!product.deletedAt) {
+      throw new ConflictError('Only deleted products can be purged; delete the product first');
+    }
+
+    const variants = await Product.find({ parentProduct: product._id }).lean();
+    if (variants.some(variant => !variant.deletedAt)) {
+      throw new ConflictError('Product still has active variants');
+    }
+
+    const purged = [product, ...variants];
+    const purgedIds = purged.map(item => item._id);
+
+    // Bundles made up from the product would be left with a missing component
+    const bundles = await Product.find({ 'bundleComponents.product': { $in: purgedIds }, _id: { $nin: purgedIds } })
+      .select('sku')
+      .lean();
+    if (bundles.length > 0) {
+      throw new ConflictError(`Product is a component of bundle(s) ${bundles.map(bundle => bundle.sku).join(', ')}; remove it from them first`);
+    }
+
+    await Promise.all([
+      Product.deleteMany({ _id: { $in: purgedIds } }),
+      WarehouseStock.deleteMany({ product: { $in: purgedIds } }),
+      ProductRevision.deleteMany({ product: { $in: purgedIds } }),
+      Review.deleteMany({ product: { $in: purgedIds } }),
+      ProductQuestion.deleteMany({ product: { $in: purgedIds } }),
+      ProductAlert.deleteMany({ product: { $in: purgedIds } }),
+      Cart.updateMany({ 'items.product': { $in: purgedIds } }, { $pull: { items: { product: { $in: purgedIds } } } }),
+      SavedList.updateMany({ 'items.product': { $in: purgedIds } }, { $pull: { items: { product: { $in: purgedIds } } } }),
+      PriceListLine.deleteMany({ product: { $in: purgedIds } }),
+      ProductRelationshipService.removeLinksTo(purgedIds)
+    ]);
+
+    // Files can be shared with duplicated products or inherited by variants, so only unused ones are removed
+    const files = [...new Set(purged.flatMap(item => PRODUCT_FILE_FIELDS.flatMap(field => item[field] || [])))];
+    let filesDeleted = 0;
+    for (const file of files) {
+      const stillUsed = await Product.exists({ $or: PRODUCT_FILE_FIELDS.map(field => ({ [field]: file })) });
+      if (!stillUsed && await deleteFile(file)) {
+        filesDeleted++;
+      }
+    }
+
+    logger.info('Product purged', {
+      productId,
+      userId,
+      sku: product.sku,
+      variantsPurged: variants.length,
+      filesDeleted
+    });
+
+    return {
+      productId,
+      sku: product.sku,
+      variantsPurged: variants.length,
+      filesDeleted
+    };
+  }
+
+  /**
+   * Purge products that have been in the trash longer than the retention period
+   * @returns {Promise<number>} Products purged
+   */
+  async purgeExpiredTrash() {
+    const cutoff = new Date(Date.now() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+
+    // Variants go with their parent, so only top-level products and orphaned variants are purged directly
+    const expired = await Product.find({ deletedAt: { $lte: cutoff } })
+      .select('_id parentProduct')
+      .lean();
+    const expiredIds = new Set(expired.map(item => item._id.toString()));
+
+    let purged = 0;
+    for (const item of expired) {
+      if (item.parentProduct && expiredIds.has(item.parentProduct.toString())) continue;
+      try {
+        await this.purgeProduct(item._id);
+        purged++;
+      } catch (error) {
+        logger.warn('Automatic product purge skipped', { productId: item._id, error: error.message });
+      }
+    }
+
+    if (purged > 0) {
+      logger.info('Expired products purged from trash', { purged, retentionDays: TRASH_RETENTION_DAYS });
+    }
+    return purged;
+  }
+
   /**
    * Get category tree structure with product counts
    * @param {string} parentId - Parent category ID (null for root categories)
@@ -895,6 +1979,7 @@ class ProductService {
     if (status !== 'all') {
       filter.status = status;
     }
+    this.excludeHiddenCategories(filter, options.hiddenCategories);
 
     try {
       const products = await Product.find(filter)
@@ -947,6 +2032,7 @@ class ProductService {
     if (status !== 'all') {
       filter.status = status;
     }
+    this.excludeHiddenCategories(filter, options.hiddenCategories);
 
     const products = await Product.find(filter)
       .populate('brandId', 'name description')
@@ -991,7 +2077,8 @@ class ProductService {
       isActive: true 
     });
 
-    if (!category) {
+    const hiddenCategories = options.hiddenCategories || [];
+    if (!category || hiddenCategories.some(id => id.toString() === category._id.toString())) {
       throw new NotFoundError('Category');
     }
     
@@ -1009,6 +2096,7 @@ class ProductService {
     if (status !== 'all') {
       filter.status = status;
     }
+    this.excludeHiddenCategories(filter, hiddenCategories);
 
     try {
       // Build field selection
@@ -1154,14 +2242,58 @@ class ProductService {
     return await this.createProduct(duplicateData, null, userId);
   }
 
+  /**
+   * Quote the price of a product for a quantity, applying the matching tier
+   * @param {string} productId - Product ID
+   * @param {number} quantity - Requested quantity
+   * @param {object} customer - Authenticated customer (optional)
+   * @param {object} customerPricing - Customer pricing from PriceListService.getCustomerPricing (optional)
+   * @param {Array} hiddenCategories - Categories hidden from the customer's group (optional)
+   * @returns {object} Price quote with the product's tiers
+   */
+  async getPriceQuote(productId, quantity, customer = null, customerPricing = null, hiddenCategories = []) {
+    if (!mongoose.Types.ObjectId.isValid(productId)) {
+      throw new ValidationError('Invalid product ID format');
+    }
+
+    const filter = this.excludeHiddenCategories({ _id: productId, deletedAt: { $exists: false } }, hiddenCategories);
+    const product = await Product.findOne(filter)
+      .select('productName sku price comparePrice taxRate quantityLevels status brandId categories parentProduct');
+    if (!product) {
+      throw new NotFoundError('Product');
+    }
+
+    const line = PricingService.priceLine(product, quantity, { customer, customerPricing });
+
+    return {
+      productId: product._id,
+      productName: product.productName,
+      sku: product.sku,
+      quantity,
+      unitPrice: line.unitPrice,
+      discount: line.discount,
+      taxRate: line.taxRate,
+      discountAmount: line.discountAmount,
+      taxAmount: line.taxAmount,
+      totalPrice: line.totalPrice,
+      listPrice: line.priceBreakdown.listPrice,
+      quantityLevel: line.priceBreakdown.quantityLevel ?? null,
+      pricingSource: line.priceBreakdown.pricingSource,
+      priceList: line.priceBreakdown.priceListName ?? null,
+      customerGroup: line.priceBreakdown.customerGroupName ?? null,
+      quantityLevels: product.quantityLevels
+    };
+  }
+
   /**
    * Update product stock
    * @param {string} productId - Product ID
    * @param {number} quantity - New stock quantity
    * @param {string} userId - User ID updating the stock
+   * @param {object} options - Movement details ({ type: 'adjustment' | 'stocktake', reason, warehouse })
    * @returns {object} Updated product
    */
-  async updateProductStock(productId, quantity, userId) {
+  async updateProductStock(productId, quantity, userId, options = {}) {
     if (!mongoose.Types.ObjectId.isValid(productId)) {
       throw new ValidationError('Invalid product ID format');
     }
@@ -1170,27 +2302,32 @@ class ProductService {
       throw new ValidationError('Stock quantity must be a non-negative number');
     }
 
-    const product = await Product.findOneAndUpdate(
-      { _id: productId, deletedAt: { $exists: false } },
-      { 
-        stock: quantity,
-        updatedBy: userId,
-        updatedAt: new Date()
-      },
-      { new: true, runValidators: true }
-    ).populate([
+    const type = options.type || 'adjustment';
+    if (!['adjustment', 'stocktake'].includes(type)) {
+      throw new ValidationError('Stock change type must be adjustment or stocktake');
+    }
+
+    const before = await Product.findById(productId).lean();
+
+    await InventoryService.setStock(productId, quantity, {
+      type,
+      user: userId,
+      reason: options.reason,
+      warehouse: options.warehouse
+    });
+    await ProductRevisionService.recordRevision(productId, before, { action: 'stock', user: userId, note: options.reason });
+
+    const product = await Product.findById(productId).populate([
       { path: 'brandId', select: 'name description' },
       { path: 'categories', select: 'name description slug' }
     ]);
 
-    if (!product) {
-      throw new NotFoundError('Product');
-    }
-
     logger.info('Product stock updated', {
       productId,
       userId,
       newQuantity: quantity,
+      type,
+      warehouse: options.warehouse,
       productName: product.productName
     });
 
@@ -1212,7 +2349,8 @@ class ProductService {
       priceMin,
       priceMax,
       search,
-      featuredUntil
+      featuredUntil,
+      hiddenCategories
     } = query;
 
     // Build filter
@@ -1235,6 +2373,7 @@ class ProductService {
     if (category) {
       filter.categories = new mongoose.Types.ObjectId(category);
     }
+    this.excludeHiddenCategories(filter, hiddenCategories);
 
     // Add brand filter
     if (brand) {
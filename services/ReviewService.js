@@ -0,0 +1,398 @@
+const mongoose = require('mongoose');
+const Review = require('../models/Review');
+const Product = require('../models/Product');
+const Order = require('../models/Order');
+const { NotFoundError, ValidationError, ConflictError, AuthorizationError } = require('../middleware/errorHandler');
+const { logger } = require('../middleware/logger');
+
+// Sort orders accepted for review listings
+const REVIEW_SORTS = {
+  newest: { createdAt: -1 },
+  oldest: { createdAt: 1 },
+  highest: { rating: -1, createdAt: -1 },
+  lowest: { rating: 1, createdAt: -1 }
+};
+
+// Customer details shown with a published review
+const REVIEWER_FIELDS = 'firstName lastName';
+
+/**
+ * Review Service - Customer product reviews, moderation and product rating summaries
+ */
+class ReviewService {
+  /**
+   * Read page and limit from query options
+   * @param {object} options - Query options
+   * @returns {object} { page, limit }
+   */
+  getPaging(options = {}) {
+    return {
+      page: Math.max(parseInt(options.page, 10) || 1, 1),
+      limit: Math.min(Math.max(parseInt(options.limit, 10) || 10, 1), 100)
+    };
+  }
+
+  /**
+   * Find a delivered order in which the customer bought the product (or one of its variants)
+   * @param {string} userId - Customer ID
+   * @param {object} product - Product being reviewed
+   * @returns {Promise<object|null>} Order
+   */
+  async findDeliveredOrder(userId, product) {
+    const variantIds = await Product.distinct('_id', { parentProduct: product._id });
+
+    return Order.findOne({
+      customer: userId,
+      status: 'delivered',
+      'items.product': { $in: [product._id, ...variantIds] }
+    }).select('_id orderNumber').sort({ createdAt: -1 }).lean();
+  }
+
+  /**
+   * Recalculate a product's average rating and review count from its approved reviews
+   * @param {string} productId - Product ID
+   * @returns {Promise<object>} { averageRating, reviewCount }
+   */
+  async updateProductRating(productId) {
+    const [summary] = await Review.aggregate([
+      { $match: { product: new mongoose.Types.ObjectId(productId.toString()), status: 'approved' } },
+      { $group: { _id: null, average: { $avg: '$rating' }, count: { $sum: 1 } } }
+    ]);
+
+    const rating = {
+      averageRating: summary ? Math.round(summary.average * 100) / 100 : 0,
+      reviewCount: summary ? summary.count : 0
+    };
+
+    // Ratings are not product content, so the product's updatedAt is left alone
+    await Product.updateOne({ _id: productId }, { $set: rating }, { timestamps: false });
+
+    return rating;
+  }
+
+  /**
+   * Submit a review; it stays hidden until an admin approves it
+   * @param {string} productId - Product ID
+   * @param {object} data - { rating, title, comment }
+   * @param {object} user - Authenticated customer
+   * @returns {Promise<object>} Review
+   */
+  async createReview(productId, data, user) {
+    if (!mongoose.Types.ObjectId.isValid(productId)) {
+      throw new ValidationError('Invalid product ID format');
+    }
+
+    const product = await Product.findOne({ _id: productId, deletedAt: { $exists: false } }).select('_id sku').lean();
+    if (!product) {
+      throw new NotFoundError('Product');
+    }
+
+    if (await Review.exists({ product: product._id, user: user._id })) {
+      throw new ConflictError('You have already reviewed this product');
+    }
+
+    const order = await this.findDeliveredOrder(user._id, product);
+    if (!order) {
+      throw new AuthorizationError('Only customers who have received this product can review it');
+    }
+
+    let review;
+    try {
+      review = await Review.create({
+        product: product._id,
+        user: user._id,
+        order: order._id,
+        rating: data.rating,
+        title: data.title,
+        comment: data.comment
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new ConflictError('You have already reviewed this product');
+      }
+      throw error;
+    }
+
+    logger.info('Review submitted', { reviewId: review._id, productId, userId: user._id, rating: review.rating });
+
+    return review;
+  }
+
+  /**
+   * Get a product's approved reviews with its rating breakdown
+   * @param {string} productId - Product ID
+   * @param {object} options - Query options (page, limit, sort, rating)
+   * @returns {Promise<object>} Reviews, summary and pagination
+   */
+  async getProductReviews(productId, options = {}) {
+    if (!mongoose.Types.ObjectId.isValid(productId)) {
+      throw new ValidationError('Invalid product ID format');
+    }
+
+    const product = await Product.findOne({ _id: productId, deletedAt: { $exists: false } })
+      .select('averageRating reviewCount')
+      .lean();
+    if (!product) {
+      throw new NotFoundError('Product');
+    }
+
+    const { page, limit } = this.getPaging(options);
+    const filter = { product: product._id, status: 'approved' };
+    if (options.rating) {
+      filter.rating = parseInt(options.rating, 10);
+    }
+
+    const [reviews, total, distribution] = await Promise.all([
+      Review.find(filter)
+        .select('-order -moderatedBy -rejectionReason')
+        .populate('user', REVIEWER_FIELDS)
+        .sort(REVIEW_SORTS[options.sort] || REVIEW_SORTS.newest)
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Review.countDocuments(filter),
+      Review.aggregate([
+        { $match: { product: product._id, status: 'approved' } },
+        { $group: { _id: '$rating', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const ratingCounts = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+    distribution.forEach(entry => {
+      ratingCounts[entry._id] = entry.count;
+    });
+
+    return {
+      reviews,
+      summary: {
+        averageRating: product.averageRating || 0,
+        reviewCount: product.reviewCount || 0,
+        ratingCounts
+      },
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Get the reviews written by a customer, whatever their status
+   * @param {string} userId - Customer ID
+   * @param {object} options - Query options (page, limit)
+   * @returns {Promise<object>} Reviews and pagination
+   */
+  async getMyReviews(userId, options = {}) {
+    const { page, limit } = this.getPaging(options);
+    const filter = { user: userId };
+
+    const [reviews, total] = await Promise.all([
+      Review.find(filter)
+        .populate('product', 'productName sku mainImage')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Review.countDocuments(filter)
+    ]);
+
+    return {
+      reviews,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Load a review owned by the customer
+   * @param {string} reviewId - Review ID
+   * @param {object} user - Authenticated customer
+   * @returns {Promise<object>} Review document
+   */
+  async getOwnReview(reviewId, user) {
+    if (!mongoose.Types.ObjectId.isValid(reviewId)) {
+      throw new ValidationError('Invalid review ID format');
+    }
+
+    const review = await Review.findById(reviewId);
+    if (!review) {
+      throw new NotFoundError('Review');
+    }
+    if (review.user.toString() !== user._id.toString()) {
+      throw new AuthorizationError('You can only change your own reviews');
+    }
+
+    return review;
+  }
+
+  /**
+   * Edit a review; the edited review goes back into moderation
+   * @param {string} reviewId - Review ID
+   * @param {object} data - { rating, title, comment }
+   * @param {object} user - Authenticated customer
+   * @returns {Promise<object>} Review
+   */
+  async updateReview(reviewId, data, user) {
+    const review = await this.getOwnReview(reviewId, user);
+    const wasApproved = review.status === 'approved';
+
+    ['rating', 'title', 'comment'].forEach(field => {
+      if (data[field] !== undefined) review[field] = data[field];
+    });
+    review.status = 'pending';
+    review.rejectionReason = undefined;
+    review.moderatedBy = undefined;
+    review.moderatedAt = undefined;
+    await review.save();
+
+    if (wasApproved) {
+      await this.updateProductRating(review.product);
+    }
+
+    logger.info('Review updated', { reviewId, userId: user._id });
+
+    return review;
+  }
+
+  /**
+   * Delete a customer's own review
+   * @param {string} reviewId - Review ID
+   * @param {object} user - Authenticated customer
+   * @returns {Promise<void>}
+   */
+  async deleteOwnReview(reviewId, user) {
+    const review = await this.getOwnReview(reviewId, user);
+    await this.deleteReview(review._id, user._id);
+  }
+
+  /**
+   * List reviews for moderation
+   * @param {object} options - Query options (status, product, rating, page, limit)
+   * @returns {Promise<object>} Reviews and pagination
+   */
+  async getReviews(options = {}) {
+    const { page, limit } = this.getPaging(options);
+
+    const filter = {};
+    if (options.status) filter.status = options.status;
+    if (options.product) filter.product = options.product;
+    if (options.user) filter.user = options.user;
+    if (options.rating) filter.rating = parseInt(options.rating, 10);
+
+    const [reviews, total] = await Promise.all([
+      Review.find(filter)
+        .populate('product', 'productName sku')
+        .populate('user', 'firstName lastName email')
+        .populate('order', 'orderNumber')
+        .populate('moderatedBy', 'firstName lastName')
+        .sort(REVIEW_SORTS[options.sort] || REVIEW_SORTS.newest)
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Review.countDocuments(filter)
+    ]);
+
+    return {
+      reviews,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Approve or reject a review and refresh the product's rating
+   * @param {string} reviewId - Review ID
+   * @param {object} decision - { status: 'approved' | 'rejected', reason }
+   * @param {string} adminId - Admin moderating the review
+   * @returns {Promise<object>} Review
+   */
+  async moderateReview(reviewId, decision, adminId) {
+    if (!mongoose.Types.ObjectId.isValid(reviewId)) {
+      throw new ValidationError('Invalid review ID format');
+    }
+    if (!['approved', 'rejected'].includes(decision.status)) {
+      throw new ValidationError('Status must be approved or rejected');
+    }
+
+    const review = await Review.findById(reviewId);
+    if (!review) {
+      throw new NotFoundError('Review');
+    }
+
+    const previousStatus = review.status;
+    review.status = decision.status;
+    review.rejectionReason = decision.status === 'rejected' ? decision.reason : undefined;
+    review.moderatedBy = adminId;
+    review.moderatedAt = new Date();
+    await review.save();
+
+    if (previousStatus === 'approved' || review.status === 'approved') {
+      await this.updateProductRating(review.product);
+    }
+
+    logger.info('Review moderated', { reviewId, adminId, previousStatus, status: review.status });
+
+    return review;
+  }
+
+  /**
+   * Add or replace the store reply to a review
+   * @param {string} reviewId - Review ID
+   * @param {string} message - Reply text
+   * @param {string} adminId - Admin replying
+   * @returns {Promise<object>} Review
+   */
+  async replyToReview(reviewId, message, adminId) {
+    if (!mongoose.Types.ObjectId.isValid(reviewId)) {
+      throw new ValidationError('Invalid review ID format');
+    }
+
+    const review = await Review.findByIdAndUpdate(
+      reviewId,
+      { reply: { message, repliedBy: adminId, repliedAt: new Date() } },
+      { new: true, runValidators: true }
+    );
+    if (!review) {
+      throw new NotFoundError('Review');
+    }
+
+    logger.info('Review reply saved', { reviewId, adminId });
+
+    return review;
+  }
+
+  /**
+   * Delete a review and refresh the product's rating
+   * @param {string} reviewId - Review ID
+   * @param {string} userId - User deleting the review
+   * @returns {Promise<void>}
+   */
+  async deleteReview(reviewId, userId) {
+    if (!mongoose.Types.ObjectId.isValid(reviewId)) {
+      throw new ValidationError('Invalid review ID format');
+    }
+
+    const review = await Review.findByIdAndDelete(reviewId);
+    if (!review) {
+      throw new NotFoundError('Review');
+    }
+
+    if (review.status === 'approved') {
+      await this.updateProductRating(review.product);
+    }
+
+    logger.info('Review deleted', { reviewId, productId: review.product, userId });
+  }
+}
+
+module.exports = new ReviewService();
@@ -0,0 +1,579 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const SavedList = require('../models/SavedList');
+const Product = require('../models/Product');
+const CartService = require('./CartService');
+const OrderService = require('./OrderService');
+const InventoryService = require('./InventoryService');
+const ProductRelationshipService = require('./ProductRelationshipService');
+const PriceListService = require('./PriceListService');
+const CustomerGroupService = require('./CustomerGroupService');
+const { NotFoundError, ValidationError, ConflictError } = require('../middleware/errorHandler');
+const { logger } = require('../middleware/logger');
+
+// Lists a customer can keep, and lines per list
+const MAX_LISTS_PER_USER = 50;
+const MAX_LIST_ITEMS = 200;
+
+const LIST_PRODUCT_FIELDS = 'productName sku price comparePrice mainImage stock stockStatus trackQuantity status isPublished quantityLevels taxRate variantAxes brandId categories parentProduct deletedAt relationships';
+
+/**
+ * Saved List Service - Customer wishlists and job lists that can be shared and ordered later
+ */
+class SavedListService {
+  /**
+   * Read page and limit from query options
+   * @param {object} options - Query options
+   * @returns {object} { page, limit }
+   */
+  getPaging(options = {}) {
+    return {
+      page: Math.max(parseInt(options.page, 10) || 1, 1),
+      limit: Math.min(Math.max(parseInt(options.limit, 10) || 10, 1), 100)
+    };
+  }
+
+  /**
+   * Generate a new share link token
+   * @returns {string} Share token
+   */
+  generateShareToken() {
+    return crypto.randomBytes(24).toString('hex');
+  }
+
+  /**
+   * Load the products on one or more lists
+   * @param {Array} lists - Saved lists
+   * @returns {Promise<Map>} Products keyed by ID
+   */
+  async loadProducts(lists) {
+    const productIds = lists.flatMap(list => list.items.map(item => item.product));
+    if (productIds.length === 0) return new Map();
+
+    const products = await Product.find({ _id: { $in: productIds } }).select(LIST_PRODUCT_FIELDS).lean();
+    return new Map(products.map(product => [product._id.toString(), product]));
+  }
+
+  /**
+   * Work out whether a listed product can still be ordered
+   * @param {object} item - List item
+   * @param {object} product - Current product, or undefined when it was removed
+   * @param {Array} hiddenCategories - Categories the customer's group may not see
+   * @returns {object} { availability, notice } where notice is null when the line can be ordered as listed
+   */
+  getItemAvailability(item, product, hiddenCategories = []) {
+    const sku = product?.sku || item.sku;
+
+    if (!product || product.deletedAt || !CustomerGroupService.isProductVisible(product, hiddenCategories)) {
+      return { availability: 'unavailable', notice: `${sku} is no longer available` };
+    }
+    if (product.status === 'archived') {
+      return { availability: 'archived', notice: `${sku} has been discontinued` };
+    }
+    if (product.status !== 'active') {
+      return { availability: 'unavailable', notice: `${sku} is not currently available` };
+    }
+    if (product.variantAxes && product.variantAxes.length > 0) {
+      return { availability: 'choose_variant', notice: `Choose a variant of ${sku}` };
+    }
+    if (InventoryService.isStockTracked(product) && product.stock < item.quantity) {
+      return product.stock > 0
+        ? { availability: 'low_stock', notice: `Only ${product.stock} unit(s) of ${sku} in stock` }
+        : { availability: 'out_of_stock', notice: `${sku} is out of stock` };
+    }
+
+    return { availability: 'available', notice: null };
+  }
+
+  /**
+   * Add current prices, availability and notices to a list. Products the viewer's group may not
+   * see are shown as unavailable without their details, or left out with hideHidden.
+   * @param {object} list - Saved list document
+   * @param {object} options - { customerId, products, hideHidden } where products is a preloaded product map
+   * @returns {Promise<object>} List response
+   */
+  async formatList(list, options = {}) {
+    const products = options.products || await this.loadProducts([list]);
+    const { customerPricing, hiddenCategories } = await PriceListService.getShopperContext(options.customerId);
+    const listObj = list.toObject ? list.toObject() : list;
+    const notices = [];
+    let subtotal = 0;
+
+    if (options.hideHidden) {
+      listObj.items = listObj.items.filter(item =>
+        CustomerGroupService.isProductVisible(products.get(item.product.toString()), hiddenCategories)
+      );
+    }
+
+    listObj.items = await Promise.all(listObj.items.map(async item => {
+      const product = products.get(item.product.toString());
+      const { availability, notice } = this.getItemAvailability(item, product, hiddenCategories);
+      const line = { ...item, availability, notice };
+
+      if (product && !product.deletedAt && CustomerGroupService.isProductVisible(product, hiddenCategories)) {
+        const { relationships, deletedAt, quantityLevels, variantAxes, brandId, categories, parentProduct, ...summary } = product;
+        line.product = summary;
+        line.productName = product.productName;
+        line.sku = product.sku;
+      }
+
+      if (['available', 'low_stock', 'out_of_stock'].includes(availability)) {
+        const { unitPrice, lineTotal } = CartService.priceLine(product, item.quantity, options.customerId || null, customerPricing);
+        line.unitPrice = unitPrice;
+        line.lineTotal = lineTotal;
+        subtotal += lineTotal;
+      }
+
+      if (availability === 'archived') {
+        line.replacedBy = await ProductRelationshipService.resolveReplacement(product);
+      }
+
+      if (notice) {
+        notices.push({ product: item.product, sku: line.sku, type: availability, message: notice });
+      }
+
+      return line;
+    }));
+
+    listObj.itemCount = listObj.items.length;
+    listObj.subtotal = Math.round(subtotal * 100) / 100;
+    listObj.notices = notices;
+    return listObj;
+  }
+
+  /**
+   * Load one of the customer's lists
+   * @param {string} listId - List ID
+   * @param {string} userId - Customer ID
+   * @returns {Promise<object>} Saved list document
+   */
+  async getOwnList(listId, userId) {
+    if (!mongoose.Types.ObjectId.isValid(listId)) {
+      throw new ValidationError('Invalid list ID format');
+    }
+
+    const list = await SavedList.findOne({ _id: listId, user: userId });
+    if (!list) {
+      throw new NotFoundError('List');
+    }
+    return list;
+  }
+
+  /**
+   * Load a product that can be saved to a list
+   * @param {string} productId - Product ID
+   * @param {Array} hiddenCategories - Categories the customer's group may not see
+   * @returns {Promise<object>} Product
+   */
+  async getListableProduct(productId, hiddenCategories = []) {
+    if (!mongoose.Types.ObjectId.isValid(productId)) {
+      throw new ValidationError('Invalid product ID format');
+    }
+
+    const product = await Product.findOne({ _id: productId, deletedAt: { $exists: false } })
+      .select('productName sku status variantAxes categories')
+      .lean();
+    if (!product || !['active', 'archived'].includes(product.status) ||
+      !CustomerGroupService.isProductVisible(product, hiddenCategories)) {
+      throw new NotFoundError('Product');
+    }
+    if (product.variantAxes && product.variantAxes.length > 0) {
+      throw new ValidationError(`Choose a variant of ${product.sku}`);
+    }
+    return product;
+  }
+
+  /**
+   * Get the customer's lists with item counts and the number of lines needing attention
+   * @param {string} userId - Customer ID
+   * @param {object} options - Query options (page, limit)
+   * @returns {Promise<object>} Lists and pagination
+   */
+  async getLists(userId, options = {}) {
+    const { page, limit } = this.getPaging(options);
+    const filter = { user: userId };
+
+    const [lists, total] = await Promise.all([
+      SavedList.find(filter)
+        .sort({ updatedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      SavedList.countDocuments(filter)
+    ]);
+
+    const products = await this.loadProducts(lists);
+    const summaries = lists.map(list => {
+      const { items, ...summary } = list;
+      summary.itemCount = items.length;
+      summary.noticeCount = items.filter(item =>
+        this.getItemAvailability(item, products.get(item.product.toString())).notice
+      ).length;
+      return summary;
+    });
+
+    return {
+      lists: summaries,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Get one of the customer's lists with current prices and notices
+   * @param {string} listId - List ID
+   * @param {string} userId - Customer ID
+   * @returns {Promise<object>} List
+   */
+  async getList(listId, userId) {
+    const list = await this.getOwnList(listId, userId);
+    return this.formatList(list, { customerId: userId });
+  }
+
+  /**
+   * Build list lines from request items, merging repeated products
+   * @param {Array} items - [{ product, quantity, note }]
+   * @param {string} userId - Customer ID
+   * @returns {Promise<Array>} List items
+   */
+  async buildItems(items = [], userId) {
+    const { hiddenCategories } = await PriceListService.getShopperContext(userId);
+    const lines = new Map();
+
+    for (const item of items) {
+      const product = await this.getListableProduct(item.product, hiddenCategories);
+      const key = product._id.toString();
+      const quantity = parseInt(item.quantity, 10) || 1;
+
+      if (lines.has(key)) {
+        lines.get(key).quantity += quantity;
+      } else {
+        lines.set(key, {
+          product: product._id,
+          productName: product.productName,
+          sku: product.sku,
+          quantity,
+          note: item.note
+        });
+      }
+    }
+
+    if (lines.size > MAX_LIST_ITEMS) {
+      throw new ValidationError(`A list can have at most ${MAX_LIST_ITEMS} products`);
+    }
+    return [...lines.values()];
+  }
+
+  /**
+   * Create a list for the customer
+   * @param {string} userId - Customer ID
+   * @param {object} data - { name, description, items }
+   * @returns {Promise<object>} Created list
+   */
+  async createList(userId, data) {
+    const listCount = await SavedList.countDocuments({ user: userId });
+    if (listCount >= MAX_LISTS_PER_USER) {
+      throw new ConflictError(`You can keep at most ${MAX_LISTS_PER_USER} lists`);
+    }
+
+    const list = await SavedList.create({
+      user: userId,
+      name: data.name,
+      description: data.description,
+      items: await this.buildItems(data.items, userId)
+    });
+
+    logger.info('Saved list created', { listId: list._id, userId, items: list.items.length });
+
+    return this.formatList(list, { customerId: userId });
+  }
+
+  /**
+   * Rename a list or change its description
+   * @param {string} listId - List ID
+   * @param {string} userId - Customer ID
+   * @param {object} data - { name, description }
+   * @returns {Promise<object>} Updated list
+   */
+  async updateList(listId, userId, data) {
+    const list = await this.getOwnList(listId, userId);
+
+    if (data.name !== undefined) list.name = data.name;
+    if (data.description !== undefined) list.description = data.description;
+    await list.save();
+
+    return this.formatList(list, { customerId: userId });
+  }
+
+  /**
+   * Delete a list
+   * @param {string} listId - List ID
+   * @param {string} userId - Customer ID
+   * @returns {Promise<void>}
+   */
+  async deleteList(listId, userId) {
+    const list = await this.getOwnList(listId, userId);
+    await list.deleteOne();
+
+    logger.info('Saved list deleted', { listId, userId });
+  }
+
+  /**
+   * Add a product to a list (increments quantity when it is already listed)
+   * @param {string} listId - List ID
+   * @param {string} userId - Customer ID
+   * @param {object} data - { product, quantity, note }
+   * @returns {Promise<object>} Updated list
+   */
+  async addItem(listId, userId, data) {
+    const list = await this.getOwnList(listId, userId);
+    const { hiddenCategories } = await PriceListService.getShopperContext(userId);
+    const product = await this.getListableProduct(data.product, hiddenCategories);
+    const quantity = parseInt(data.quantity, 10) || 1;
+
+    const existingItem = list.findItem(product._id);
+    if (existingItem) {
+      existingItem.quantity += quantity;
+      if (data.note !== undefined) existingItem.note = data.note;
+    } else {
+      if (list.items.length >= MAX_LIST_ITEMS) {
+        throw new ValidationError(`A list can have at most ${MAX_LIST_ITEMS} products`);
+      }
+      list.items.push({
+        product: product._id,
+        productName: product.productName,
+        sku: product.sku,
+        quantity,
+        note: data.note
+      });
+    }
+    await list.save();
+
+    return this.formatList(list, { customerId: userId });
+  }
+
+  /**
+   * Change the quantity or note of a listed product
+   * @param {string} listId - List ID
+   * @param {string} userId - Customer ID
+   * @param {string} productId - Product ID
+   * @param {object} data - { quantity, note }
+   * @returns {Promise<object>} Updated list
+   */
+  async updateItem(listId, userId, productId, data) {
+    const list = await this.getOwnList(listId, userId);
+    const item = list.findItem(productId);
+    if (!item) {
+      throw new NotFoundError('List item');
+    }
+
+    if (data.quantity !== undefined) item.quantity = parseInt(data.quantity, 10);
+    if (data.note !== undefined) item.note = data.note;
+    await list.save();
+
+    return this.formatList(list, { customerId: userId });
+  }
+
+  /**
+   * Remove a product from a list
+   * @param {string} listId - List ID
+   * @param {string} userId - Customer ID
+   * @param {string} productId - Product ID
+   * @returns {Promise<object>} Updated list
+   */
+  async removeItem(listId, userId, productId) {
+    const list = await this.getOwnList(listId, userId);
+    const item = list.findItem(productId);
+    if (!item) {
+      throw new NotFoundError('List item');
+    }
+
+    list.items = list.items.filter(line => line !== item);
+    await list.save();
+
+    return this.formatList(list, { customerId: userId });
+  }
+
+  /**
+   * Turn on the share link for a list (keeps the existing link when already shared)
+   * @param {string} listId - List ID
+   * @param {string} userId - Customer ID
+   * @returns {Promise<object>} { shareToken, sharedAt }
+   */
+  async shareList(listId, userId) {
+    const list = await this.getOwnList(listId, userId);
+
+    if (!list.shareToken) {
+      list.shareToken = this.generateShareToken();
+      list.sharedAt = new Date();
+      await list.save();
+
+      logger.info('Saved list shared', { listId, userId });
+    }
+
+    return { shareToken: list.shareToken, sharedAt: list.sharedAt };
+  }
+
+  /**
+   * Turn off the share link for a list; the old link stops working
+   * @param {string} listId - List ID
+   * @param {string} userId - Customer ID
+   * @returns {Promise<void>}
+   */
+  async unshareList(listId, userId) {
+    const list = await this.getOwnList(listId, userId);
+
+    list.shareToken = undefined;
+    list.sharedAt = undefined;
+    await list.save();
+
+    logger.info('Saved list share link removed', { listId, userId });
+  }
+
+  /**
+   * Load a list from its share link
+   * @param {string} token - Share token
+   * @returns {Promise<object>} Saved list document
+   */
+  async getSharedListDocument(token) {
+    const list = token ? await SavedList.findOne({ shareToken: token }).populate('user', 'firstName') : null;
+    if (!list) {
+      throw new NotFoundError('List');
+    }
+    return list;
+  }
+
+  /**
+   * Get a shared list, priced for the viewer
+   * @param {string} token - Share token
+   * @param {string} viewerId - Signed-in viewer ID, if any
+   * @returns {Promise<object>} List
+   */
+  async getSharedList(token, viewerId = null) {
+    const list = await this.getSharedListDocument(token);
+    const formatted = await this.formatList(list, { customerId: viewerId, hideHidden: true });
+
+    const { user, shareToken, ...shared } = formatted;
+    shared.sharedBy = user?.firstName || null;
+    return shared;
+  }
+
+  /**
+   * Copy a shared list into the customer's own lists
+   * @param {string} token - Share token
+   * @param {string} userId - Customer ID
+   * @returns {Promise<object>} Created list
+   */
+  async copySharedList(token, userId) {
+    const shared = await this.getSharedListDocument(token);
+
+    const listCount = await SavedList.countDocuments({ user: userId });
+    if (listCount >= MAX_LISTS_PER_USER) {
+      throw new ConflictError(`You can keep at most ${MAX_LISTS_PER_USER} lists`);
+    }
+
+    // Products the customer's group may not see are not copied
+    const [products, { hiddenCategories }] = await Promise.all([
+      this.loadProducts([shared]),
+      PriceListService.getShopperContext(userId)
+    ]);
+    const items = shared.items.filter(item =>
+      CustomerGroupService.isProductVisible(products.get(item.product.toString()), hiddenCategories)
+    );
+
+    const list = await SavedList.create({
+      user: userId,
+      name: shared.name,
+      description: shared.description,
+      items: items.map(({ product, productName, sku, quantity, note }) => ({
+        product, productName, sku, quantity, note
+      }))
+    });
+
+    logger.info('Shared list copied', { listId: list._id, sourceListId: shared._id, userId });
+
+    return this.formatList(list, { customerId: userId });
+  }
+
+  /**
+   * Add every product on a list to the customer's cart at current catalog prices
+   * @param {string} listId - List ID
+   * @param {string} userId - Customer ID
+   * @returns {Promise<object>} Updated cart, with issues for lines that were dropped or reduced
+   */
+  async addListToCart(listId, userId) {
+    const list = await this.getOwnList(listId, userId);
+    if (list.items.length === 0) {
+      throw new ValidationError('List is empty');
+    }
+
+    const cart = await CartService.getOrCreateCart({ userId });
+    list.items.forEach(listItem => {
+      const existingItem = cart.findItem(listItem.product);
+      if (existingItem) {
+        existingItem.quantity += listItem.quantity;
+      } else {
+        cart.items.push({ product: listItem.product, quantity: listItem.quantity });
+      }
+    });
+
+    // Repricing drops lines that can no longer be sold and caps lines to the stock on hand
+    const issues = await CartService.repriceCart(cart);
+
+    logger.info('Saved list added to cart', { listId, cartId: cart._id, userId, lines: list.items.length });
+
+    return CartService.saveAndFormat(cart, issues);
+  }
+
+  /**
+   * Order every product on a list at current catalog prices
+   * @param {string} listId - List ID
+   * @param {object} user - Authenticated customer
+   * @param {object} checkoutData - Addresses, payment info, shipping method and notes
+   * @returns {Promise<object>} Created order
+   */
+  async orderList(listId, user, checkoutData = {}) {
+    const list = await this.getOwnList(listId, user._id);
+    if (list.items.length === 0) {
+      throw new ValidationError('List is empty');
+    }
+
+    // Reject the order when a line cannot be supplied as listed so the customer can review the list first
+    const products = await this.loadProducts([list]);
+    const issues = list.items
+      .map(item => ({ item, ...this.getItemAvailability(item, products.get(item.product.toString())) }))
+      .filter(({ notice }) => notice)
+      .map(({ item, availability, notice }) => ({ product: item.product, sku: item.sku, type: availability, message: notice }));
+    if (issues.length > 0) {
+      throw new ValidationError('Some list items are no longer available as requested', issues);
+    }
+
+    const { shippingAddress, billingAddress, paymentInfo, shippingMethod, notes } = checkoutData;
+    const order = await OrderService.createOrder({
+      items: list.items.map(item => ({
+        product: item.product,
+        quantity: item.quantity
+      })),
+      shippingAddress,
+      billingAddress,
+      paymentInfo,
+      shippingMethod,
+      notes
+    }, user);
+
+    logger.info('Saved list ordered', {
+      listId,
+      userId: user._id,
+      orderId: order._id,
+      orderNumber: order.orderNumber
+    });
+
+    return order;
+  }
+}
+
+module.exports = new SavedListService();
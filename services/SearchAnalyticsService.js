@@ -0,0 +1,194 @@
+const SearchLog = require('../models/SearchLog');
+const { NotFoundError, ValidationError } = require('../middleware/errorHandler');
+const { logger } = require('../middleware/logger');
+
+// Reports cover the last 30 days unless a range is given
+const DEFAULT_REPORT_DAYS = 30;
+
+/**
+ * Search Analytics Service - Records searches and click-throughs and reports on them
+ */
+class SearchAnalyticsService {
+  /**
+   * Normalise a query for grouping
+   * @param {string} query - Search text
+   * @returns {string} Lower-case query with single spaces
+   */
+  normalizeQuery(query) {
+    return (query || '').toString().trim().toLowerCase().replace(/\s+/g, ' ');
+  }
+
+  /**
+   * Record a search without delaying the response
+   * @param {object} search - { query, source, resultCount, userId }
+   * @returns {string|null} Search ID for click tracking, null when nothing was recorded
+   */
+  recordSearch({ query, source, resultCount, userId }) {
+    const normalizedQuery = this.normalizeQuery(query);
+    if (!normalizedQuery) return null;
+
+    const log = new SearchLog({
+      query: query.toString().trim().slice(0, 200),
+      normalizedQuery: normalizedQuery.slice(0, 200),
+      source,
+      resultCount,
+      user: userId
+    });
+
+    log.save().catch(error => {
+      logger.warn('Failed to record search', { query: normalizedQuery, source, error: error.message });
+    });
+
+    return log._id;
+  }
+
+  /**
+   * Record the product opened from a search; only the first click counts
+   * @param {object} click - { searchId, productId, position }
+   * @returns {Promise<void>}
+   */
+  async recordClick({ searchId, productId, position }) {
+    const result = await SearchLog.updateOne(
+      { _id: searchId, clickedProduct: { $exists: false } },
+      { $set: { clickedProduct: productId, clickPosition: position, clickedAt: new Date() } }
+    );
+
+    if (result.matchedCount === 0 && !(await SearchLog.exists({ _id: searchId }))) {
+      throw new NotFoundError('Search');
+    }
+  }
+
+  /**
+   * Build the match stage shared by the reports
+   * @param {object} options - { from, to, source }
+   * @returns {object} Match conditions
+   */
+  buildReportMatch(options = {}) {
+    const to = options.to ? new Date(options.to) : new Date();
+    const from = options.from
+      ? new Date(options.from)
+      : new Date(to.getTime() - DEFAULT_REPORT_DAYS * 24 * 60 * 60 * 1000);
+
+    if (isNaN(from.getTime()) || isNaN(to.getTime()) || from > to) {
+      throw new ValidationError('Invalid report date range');
+    }
+
+    return {
+      createdAt: { $gte: from, $lte: to },
+      source: options.source || 'listing'
+    };
+  }
+
+  /**
+   * Group searches by query with counts, results and clicks
+   * @param {object} match - Match conditions
+   * @returns {Array} Aggregation stages
+   */
+  queryGroupStages(match) {
+    return [
+      { $match: match },
+      {
+        $group: {
+          _id: '$normalizedQuery',
+          searches: { $sum: 1 },
+          users: { $addToSet: '$user' },
+          averageResults: { $avg: '$resultCount' },
+          zeroResultSearches: { $sum: { $cond: [{ $eq: ['$resultCount', 0] }, 1, 0] } },
+          clicks: { $sum: { $cond: [{ $ifNull: ['$clickedProduct', false] }, 1, 0] } },
+          lastSearchedAt: { $max: '$createdAt' }
+        }
+      },
+      {
+        $project: {
+          _id: 0,
+          query: '$_id',
+          searches: 1,
+          uniqueUsers: { $size: { $setDifference: ['$users', [null]] } },
+          averageResults: { $round: ['$averageResults', 1] },
+          zeroResultSearches: 1,
+          clicks: 1,
+          clickThroughRate: { $round: [{ $divide: ['$clicks', '$searches'] }, 3] },
+          lastSearchedAt: 1
+        }
+      }
+    ];
+  }
+
+  /**
+   * Most frequent search queries
+   * @param {object} options - { from, to, source, limit }
+   * @returns {Promise<object>} Report
+   */
+  async getTopQueries(options = {}) {
+    const match = this.buildReportMatch(options);
+    const limit = Math.min(parseInt(options.limit, 10) || 50, 500);
+
+    const queries = await SearchLog.aggregate([
+      ...this.queryGroupStages(match),
+      { $sort: { searches: -1, query: 1 } },
+      { $limit: limit }
+    ]);
+
+    return { from: match.createdAt.$gte, to: match.createdAt.$lte, source: match.source, queries };
+  }
+
+  /**
+   * Queries that returned no products, most frequent first
+   * @param {object} options - { from, to, source, limit }
+   * @returns {Promise<object>} Report
+   */
+  async getZeroResultQueries(options = {}) {
+    const match = { ...this.buildReportMatch(options), resultCount: 0 };
+    const limit = Math.min(parseInt(options.limit, 10) || 50, 500);
+
+    const queries = await SearchLog.aggregate([
+      ...this.queryGroupStages(match),
+      { $sort: { searches: -1, query: 1 } },
+      { $limit: limit }
+    ]);
+
+    return { from: match.createdAt.$gte, to: match.createdAt.$lte, source: match.source, queries };
+  }
+
+  /**
+   * Click-through by query, lowest first, with the products clicked most for each query
+   * @param {object} options - { from, to, source, limit, minSearches }
+   * @returns {Promise<object>} Report
+   */
+  async getConversionByQuery(options = {}) {
+    const match = this.buildReportMatch(options);
+    const limit = Math.min(parseInt(options.limit, 10) || 50, 500);
+    const minSearches = parseInt(options.minSearches, 10) || 5;
+
+    const queries = await SearchLog.aggregate([
+      ...this.queryGroupStages(match),
+      { $match: { searches: { $gte: minSearches } } },
+      { $sort: { clickThroughRate: 1, searches: -1 } },
+      { $limit: limit }
+    ]);
+
+    // Products opened most often for the reported queries
+    const clicked = await SearchLog.aggregate([
+      { $match: { ...match, normalizedQuery: { $in: queries.map(entry => entry.query) }, clickedProduct: { $exists: true } } },
+      { $group: { _id: { query: '$normalizedQuery', product: '$clickedProduct' }, clicks: { $sum: 1 } } },
+      { $sort: { clicks: -1 } },
+      { $lookup: { from: 'products', localField: '_id.product', foreignField: '_id', as: 'product' } },
+      { $unwind: '$product' },
+      {
+        $group: {
+          _id: '$_id.query',
+          products: { $push: { product: '$_id.product', productName: '$product.productName', sku: '$product.sku', clicks: '$clicks' } }
+        }
+      }
+    ]);
+    const clickedByQuery = new Map(clicked.map(entry => [entry._id, entry.products.slice(0, 5)]));
+
+    queries.forEach(entry => {
+      entry.topClickedProducts = clickedByQuery.get(entry.query) || [];
+    });
+
+    return { from: match.createdAt.$gte, to: match.createdAt.$lte, source: match.source, minSearches, queries };
+  }
+}
+
+module.exports = new SearchAnalyticsService();
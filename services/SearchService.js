@@ -0,0 +1,571 @@
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+const Brand = require('../models/Brand');
+const SearchSynonym = require('../models/SearchSynonym');
+const { NotFoundError, ValidationError, ConflictError } = require('../middleware/errorHandler');
+const { logger } = require('../middleware/logger');
+const mongoose = require('mongoose');
+
+// Suggestion index kept in memory so keystroke lookups never hit the database
+const suggestIndex = {
+  data: null,
+  timestamp: null,
+  building: null,
+  ttl: 5 * 60 * 1000, // 5 minutes
+  isStale() {
+    return !this.timestamp || (Date.now() - this.timestamp) > this.ttl;
+  },
+  clear() {
+    this.data = null;
+    this.timestamp = null;
+  }
+};
+
+// Active synonym groups, cleared whenever an admin changes them
+const synonymCache = {
+  data: null,
+  timestamp: null,
+  ttl: 5 * 60 * 1000, // 5 minutes
+  isStale() {
+    return !this.timestamp || (Date.now() - this.timestamp) > this.ttl;
+  },
+  set(data) {
+    this.data = data;
+    this.timestamp = Date.now();
+  },
+  get() {
+    return this.isStale() ? null : this.data;
+  },
+  clear() {
+    this.data = null;
+    this.timestamp = null;
+  }
+};
+
+// Text fields matched by the product listing search
+const SEARCH_FIELDS = ['productName', 'shortDescription', 'longDescription', 'sku', 'seller'];
+
+// Upper bound on the phrases a search expands to through synonyms
+const MAX_SEARCH_PHRASES = 10;
+
+const DEFAULT_LIMITS = { products: 8, categories: 5, brands: 5 };
+
+// Score for how a query token matched an indexed token
+const MATCH_SCORES = { exact: 3, prefix: 2, fuzzy: 1 };
+
+/**
+ * Lower-case a value and split it into alphanumeric tokens
+ * @param {string} value - Text to tokenise
+ * @returns {Array} Tokens
+ */
+const tokenize = (value) => (value || '').toString().toLowerCase().split(/[^a-z0-9]+/).filter(token => token);
+
+/**
+ * Escape text for use inside a regular expression
+ * @param {string} value - Text to escape
+ * @returns {string} Escaped text
+ */
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Edit distance (with transpositions) between two strings, giving up once it exceeds max
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @param {number} max - Largest distance of interest
+ * @returns {number} Distance, or max + 1 when further apart
+ */
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previousRow = null;
+  let row = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const nextRow = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+      if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, previousRow[j - 2] + 1);
+      }
+      nextRow[j] = value;
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > max) return max + 1;
+    previousRow = row;
+    row = nextRow;
+  }
+  return row[b.length];
+};
+
+/**
+ * Search Service - Typo-tolerant suggestions for products, categories and brands
+ */
+class SearchService {
+  /**
+   * Typos allowed for a query token; short tokens must match exactly
+   * @param {string} token - Query token
+   * @returns {number} Allowed edit distance
+   */
+  allowedTypos(token) {
+    if (token.length >= 8) return 2;
+    if (token.length >= 4) return 1;
+    return 0;
+  }
+
+  /**
+   * Reduce a SKU or part number to lower-case letters and digits
+   * @param {string} value - SKU as stored or typed
+   * @returns {string} Normalised SKU
+   */
+  normalizeSku(value) {
+    return (value || '').toString().toLowerCase().replace(/[^a-z0-9]/g, '');
+  }
+
+  /**
+   * Whether a search term looks like a part number rather than a word
+   * @param {string} value - Search term
+   * @returns {boolean} True for terms mixing digits with at least three characters
+   */
+  isSkuLike(value) {
+    const normalized = this.normalizeSku(value);
+    return normalized.length >= 3 && /\d/.test(normalized);
+  }
+
+  /**
+   * Regular expression that matches a SKU whatever separators it was typed with
+   * @param {string} value - SKU or part number
+   * @returns {string} Pattern allowing spaces, dashes, dots, slashes or underscores between characters
+   */
+  skuPattern(value) {
+    return this.normalizeSku(value).split('').map(escapeRegex).join('[\\s\\-_./]*');
+  }
+
+  /**
+   * Get the active synonym groups
+   * @returns {Promise<Array>} Arrays of equivalent terms
+   */
+  async getSynonymGroups() {
+    const cached = synonymCache.get();
+    if (cached) return cached;
+
+    const groups = await SearchSynonym.find({ isActive: true }).select('terms').lean();
+    const terms = groups.map(group => group.terms);
+    synonymCache.set(terms);
+    return terms;
+  }
+
+  /**
+   * Expand a search into the phrases it stands for, e.g. "rcd 30ma" -> "safety switch 30ma"
+   * @param {string} search - Search text
+   * @returns {Promise<Array>} Original phrase followed by synonym phrases
+   */
+  async expandSynonyms(search) {
+    const phrases = [search.trim().toLowerCase()];
+    const groups = await this.getSynonymGroups();
+
+    for (const terms of groups) {
+      for (const phrase of [...phrases]) {
+        for (const term of terms) {
+          const pattern = new RegExp(`(^|[^a-z0-9])${escapeRegex(term)}(?=$|[^a-z0-9])`);
+          if (!pattern.test(phrase)) continue;
+
+          terms.filter(other => other !== term).forEach(other => {
+            const expanded = phrase.replace(pattern, `$1${other}`);
+            if (!phrases.includes(expanded) && phrases.length < MAX_SEARCH_PHRASES) phrases.push(expanded);
+          });
+        }
+      }
+    }
+
+    return phrases;
+  }
+
+  /**
+   * Build the $or conditions for a product listing search: the text and its synonyms
+   * across the text fields, plus separator-insensitive matches on SKU-like terms
+   * @param {string} search - Search text
+   * @returns {Promise<Array>} Conditions for a $or filter
+   */
+  async buildSearchConditions(search) {
+    const phrases = await this.expandSynonyms(search);
+    const conditions = phrases.flatMap(phrase =>
+      SEARCH_FIELDS.map(field => ({ [field]: { $regex: escapeRegex(phrase), $options: 'i' } }))
+    );
+
+    const skuTerms = [search, ...search.split(/\s+/)].filter((term, index, terms) =>
+      this.isSkuLike(term) && terms.indexOf(term) === index
+    );
+    skuTerms.forEach(term => conditions.push({ sku: { $regex: this.skuPattern(term), $options: 'i' } }));
+
+    return conditions;
+  }
+
+  /**
+   * Whether a SKU is exactly what was searched for, ignoring case and separators
+   * @param {string} sku - Product SKU
+   * @param {string} search - Search text
+   * @returns {boolean} True for an exact SKU hit
+   */
+  isExactSkuMatch(sku, search) {
+    const normalized = this.normalizeSku(sku);
+    return normalized !== '' && [search, ...search.split(/\s+/)].some(term => this.normalizeSku(term) === normalized);
+  }
+
+  /**
+   * Move products whose SKU (or a variant's SKU) was searched for to the top, keeping the rest in order
+   * @param {Array} products - Products in listing order
+   * @param {string} search - Search text
+   * @returns {Array} Products with exact SKU hits first
+   */
+  boostExactSkuMatches(products, search) {
+    const isHit = (product) => this.isExactSkuMatch(product.sku, search)
+      || (product.variants || []).some(variant => this.isExactSkuMatch(variant.sku, search));
+
+    return [...products.filter(isHit), ...products.filter(product => !isHit(product))];
+  }
+
+  /**
+   * List synonym groups
+   * @param {object} options - Query options (isActive, search)
+   * @returns {Promise<Array>} Synonym groups
+   */
+  async getSynonyms(options = {}) {
+    const filter = {};
+    if (options.isActive !== undefined) {
+      filter.isActive = options.isActive === true || options.isActive === 'true';
+    }
+    if (options.search) {
+      filter.terms = { $regex: escapeRegex(options.search.toLowerCase()) };
+    }
+
+    return SearchSynonym.find(filter).sort({ updatedAt: -1 }).lean();
+  }
+
+  /**
+   * Get a synonym group by ID
+   * @param {string} synonymId - Synonym group ID
+   * @returns {Promise<object>} Synonym group
+   */
+  async getSynonymById(synonymId) {
+    if (!mongoose.Types.ObjectId.isValid(synonymId)) {
+      throw new ValidationError('Invalid synonym ID format');
+    }
+
+    const synonym = await SearchSynonym.findById(synonymId);
+    if (!synonym) {
+      throw new NotFoundError('Synonym');
+    }
+
+    return synonym;
+  }
+
+  /**
+   * Normalise synonym terms and make sure no term already belongs to another group
+   * @param {Array} terms - Terms from the request
+   * @param {string} excludeId - Group being updated
+   * @returns {Promise<Array>} Unique lower-case terms
+   */
+  async prepareSynonymTerms(terms, excludeId = null) {
+    const normalized = [...new Set(terms.map(term => term.toString().trim().toLowerCase().replace(/\s+/g, ' ')).filter(term => term))];
+    if (normalized.length < 2) {
+      throw new ValidationError('A synonym group needs at least two different terms');
+    }
+
+    const filter = { terms: { $in: normalized } };
+    if (excludeId) filter._id = { $ne: excludeId };
+    const existing = await SearchSynonym.findOne(filter).lean();
+    if (existing) {
+      const duplicate = normalized.find(term => existing.terms.includes(term));
+      throw new ConflictError(`'${duplicate}' already belongs to another synonym group`);
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Create a synonym group
+   * @param {object} data - { terms, description, isActive }
+   * @param {string} userId - Admin creating the group
+   * @returns {Promise<object>} Created synonym group
+   */
+  async createSynonym(data, userId) {
+    const terms = await this.prepareSynonymTerms(data.terms || []);
+    const synonym = await SearchSynonym.create({
+      terms,
+      description: data.description,
+      isActive: data.isActive,
+      createdBy: userId,
+      updatedBy: userId
+    });
+
+    synonymCache.clear();
+    logger.info('Search synonym created', { synonymId: synonym._id, terms, userId });
+    return synonym;
+  }
+
+  /**
+   * Update a synonym group
+   * @param {string} synonymId - Synonym group ID
+   * @param {object} data - Fields to update
+   * @param {string} userId - Admin updating the group
+   * @returns {Promise<object>} Updated synonym group
+   */
+  async updateSynonym(synonymId, data, userId) {
+    const synonym = await this.getSynonymById(synonymId);
+
+    if (data.terms !== undefined) {
+      synonym.terms = await this.prepareSynonymTerms(data.terms, synonym._id);
+    }
+    if (data.description !== undefined) synonym.description = data.description;
+    if (data.isActive !== undefined) synonym.isActive = data.isActive;
+    synonym.updatedBy = userId;
+    await synonym.save();
+
+    synonymCache.clear();
+    logger.info('Search synonym updated', { synonymId: synonym._id, userId });
+    return synonym;
+  }
+
+  /**
+   * Delete a synonym group
+   * @param {string} synonymId - Synonym group ID
+   * @param {string} userId - Admin deleting the group
+   */
+  async deleteSynonym(synonymId, userId) {
+    const synonym = await this.getSynonymById(synonymId);
+    await SearchSynonym.deleteOne({ _id: synonym._id });
+
+    synonymCache.clear();
+    logger.info('Search synonym deleted', { synonymId: synonym._id, terms: synonym.terms, userId });
+  }
+
+  /**
+   * Score how a query token matches an indexed token
+   * @param {string} queryToken - Token typed by the user
+   * @param {string} token - Indexed token
+   * @returns {number} Match score, 0 when it does not match
+   */
+  matchToken(queryToken, token) {
+    if (token === queryToken) return MATCH_SCORES.exact;
+    if (token.startsWith(queryToken)) return MATCH_SCORES.prefix;
+
+    const typos = this.allowedTypos(queryToken);
+    if (typos === 0 || token[0] !== queryToken[0]) return 0;
+
+    // A typo in a partly typed word is compared against the same length of the indexed word
+    if (editDistance(queryToken, token.slice(0, queryToken.length), typos) <= typos
+      || editDistance(queryToken, token, typos) <= typos) {
+      return MATCH_SCORES.fuzzy;
+    }
+    return 0;
+  }
+
+  /**
+   * Add an entry to an index section
+   * @param {object} section - { entries, tokens }
+   * @param {object} entry - Suggestion returned to clients
+   * @param {Array} texts - Searchable text for the entry
+   */
+  addEntry(section, entry, texts) {
+    const position = section.entries.length;
+    section.entries.push(entry);
+
+    texts.forEach(text => tokenize(text).forEach(token => {
+      if (!section.tokens.has(token)) section.tokens.set(token, new Set());
+      section.tokens.get(token).add(position);
+    }));
+  }
+
+  /**
+   * Build the suggestion index from published products, active categories and active brands
+   * @returns {Promise<object>} Index sections
+   */
+  async buildIndex() {
+    const [products, categories, brands] = await Promise.all([
+      Product.find({ deletedAt: { $exists: false }, status: 'active', isPublished: true })
+        .select('productName sku mainImage price stockStatus brandId categories parentProduct variantOptions')
+        .lean(),
+      Category.find({ isActive: true }).select('name slug').lean(),
+      Brand.find({ isActive: true }).select('name').lean()
+    ]);
+
+    const brandNames = new Map(brands.map(brand => [brand._id.toString(), brand.name]));
+    const index = {
+      products: { entries: [], tokens: new Map() },
+      categories: { entries: [], tokens: new Map() },
+      brands: { entries: [], tokens: new Map() },
+      skus: new Map()
+    };
+
+    products.forEach(product => {
+      const brand = product.brandId ? brandNames.get(product.brandId.toString()) || null : null;
+      const position = index.products.entries.length;
+      this.addEntry(index.products, {
+        _id: product._id,
+        productName: product.productName,
+        sku: product.sku,
+        mainImage: product.mainImage,
+        price: product.price,
+        stockStatus: product.stockStatus,
+        brand,
+        // Kept so customer pricing can match brand and category price list lines
+        brandId: product.brandId || null,
+        categories: product.categories || [],
+        parentProduct: product.parentProduct || null,
+        inStock: product.stockStatus !== 'out_of_stock'
+      }, [product.productName, product.sku, brand]);
+
+      // Whole SKUs without separators, so "ab1234" finds "AB-1234"
+      index.skus.set(this.normalizeSku(product.sku), position);
+    });
+    categories.forEach(category => this.addEntry(index.categories, category, [category.name]));
+    brands.forEach(brand => this.addEntry(index.brands, brand, [brand.name]));
+
+    logger.info('Search suggestion index built', {
+      products: index.products.entries.length,
+      categories: index.categories.entries.length,
+      brands: index.brands.entries.length
+    });
+
+    return index;
+  }
+
+  /**
+   * Get the suggestion index, rebuilding it when stale
+   * @returns {Promise<object>} Index sections
+   */
+  async getIndex() {
+    if (suggestIndex.data && !suggestIndex.isStale()) {
+      return suggestIndex.data;
+    }
+
+    // Concurrent requests share a single rebuild
+    if (!suggestIndex.building) {
+      suggestIndex.building = this.buildIndex()
+        .then(index => {
+          suggestIndex.data = index;
+          suggestIndex.timestamp = Date.now();
+          return index;
+        })
+        .finally(() => {
+          suggestIndex.building = null;
+        });
+    }
+
+    return suggestIndex.building;
+  }
+
+  /**
+   * Drop the suggestion index so the next lookup sees catalog changes
+   * @param {string} reason - Why the index was cleared
+   */
+  clearSuggestIndex(reason = 'unknown') {
+    suggestIndex.clear();
+    logger.debug(`Search suggestion index cleared: ${reason}`);
+  }
+
+  /**
+   * Rank the entries of one index section; every query token must match
+   * @param {object} section - { entries, tokens }
+   * @param {Array} queryTokens - Tokens typed by the user
+   * @returns {Map} Entry position -> score
+   */
+  scoreSection(section, queryTokens) {
+    let scores = null;
+
+    for (const queryToken of queryTokens) {
+      const tokenScores = new Map();
+      section.tokens.forEach((positions, token) => {
+        const score = this.matchToken(queryToken, token);
+        if (score === 0) return;
+        positions.forEach(position => {
+          tokenScores.set(position, Math.max(tokenScores.get(position) || 0, score));
+        });
+      });
+
+      if (scores === null) {
+        scores = tokenScores;
+      } else {
+        const combined = new Map();
+        scores.forEach((score, position) => {
+          if (tokenScores.has(position)) combined.set(position, score + tokenScores.get(position));
+        });
+        scores = combined;
+      }
+
+      if (scores.size === 0) break;
+    }
+
+    return scores || new Map();
+  }
+
+  /**
+   * Pick the best scoring entries of a section
+   * @param {object} section - { entries, tokens }
+   * @param {Map} scores - Entry position -> score
+   * @param {number} limit - Number of suggestions
+   * @param {Function} tieBreak - Extra ordering for equal scores
+   * @returns {Array} Suggestions with their score
+   */
+  topEntries(section, scores, limit, tieBreak = () => 0) {
+    return [...scores.entries()]
+      .map(([position, score]) => ({ ...section.entries[position], score }))
+      .sort((a, b) => b.score - a.score || tieBreak(a, b))
+      .slice(0, limit);
+  }
+
+  /**
+   * Suggest products, categories and brands for a partly typed query
+   * @param {string} query - Search text
+   * @param {object} options - Query options (limit, hiddenCategories)
+   * @returns {Promise<object>} Ranked suggestions
+   */
+  async suggest(query, options = {}) {
+    const queryTokens = tokenize(query);
+    const limit = parseInt(options.limit, 10);
+    const limits = limit > 0
+      ? { products: limit, categories: Math.min(limit, DEFAULT_LIMITS.categories), brands: Math.min(limit, DEFAULT_LIMITS.brands) }
+      : DEFAULT_LIMITS;
+
+    if (queryTokens.length === 0) {
+      return { query, products: [], categories: [], brands: [] };
+    }
+
+    const index = await this.getIndex();
+
+    const productScores = this.scoreSection(index.products, queryTokens);
+    const skuMatch = index.skus.get(queryTokens.join(''));
+    if (skuMatch !== undefined) {
+      // An exact SKU beats any name match
+      productScores.set(skuMatch, (productScores.get(skuMatch) || 0) + MATCH_SCORES.exact * queryTokens.length + 10);
+    }
+
+    // Categories hidden from the customer's group are never suggested, nor are their products
+    const hidden = new Set((options.hiddenCategories || []).map(String));
+    const categoryScores = this.scoreSection(index.categories, queryTokens);
+    if (hidden.size > 0) {
+      productScores.forEach((score, position) => {
+        const { categories } = index.products.entries[position];
+        if (categories.some(id => hidden.has(id.toString()))) productScores.delete(position);
+      });
+      categoryScores.forEach((score, position) => {
+        if (hidden.has(index.categories.entries[position]._id.toString())) categoryScores.delete(position);
+      });
+    }
+
+    const byName = (a, b) => (a.productName || a.name).localeCompare(b.productName || b.name);
+    const products = this.topEntries(index.products, productScores, limits.products, (a, b) =>
+      Number(b.inStock) - Number(a.inStock) || byName(a, b)
+    );
+
+    return {
+      query,
+      products,
+      categories: this.topEntries(index.categories, categoryScores, limits.categories, byName),
+      brands: this.topEntries(index.brands, this.scoreSection(index.brands, queryTokens), limits.brands, byName)
+    };
+  }
+}
+
+module.exports = new SearchService();
@@ -28,7 +28,8 @@ class UserService {
     const user = await User.findById(userId)
       .select('-password -passwordResetToken -passwordResetExpires')
       .populate('deactivatedBy', 'username firstName lastName')
-      .populate('reactivatedBy', 'username firstName lastName');
+      .populate('reactivatedBy', 'username firstName lastName')
+      .populate('customerGroup', 'name code');
 
     if (!user) {
       throw new NotFoundError('User');
@@ -43,7 +44,7 @@ class UserService {
    * @returns {object} Users
    */
   async getAllUsers(options = {}) {
-    const { search, role, isActive } = options;
+    const { search, role, isActive, customerGroup } = options;
     
     // Build filter object
     const filter = {};
@@ -66,9 +67,14 @@ class UserService {
       filter.isActive = isActive === 'true';
     }
     
+    if (customerGroup) {
+      filter.customerGroup = customerGroup;
+    }
+    
     // Get all users
     const users = await User.find(filter)
       .select('-password -passwordResetToken -passwordResetExpires')
+      .populate('customerGroup', 'name code')
       .sort({ createdAt: -1 });
 
     return {
@@ -0,0 +1,244 @@
+const mongoose = require('mongoose');
+const Warehouse = require('../models/Warehouse');
+const WarehouseStock = require('../models/WarehouseStock');
+const { NotFoundError, ValidationError, ConflictError } = require('../middleware/errorHandler');
+const { logger } = require('../middleware/logger');
+
+// Shipping addresses may carry the full state name instead of the code
+const STATE_CODES = {
+  'NEW SOUTH WALES': 'NSW',
+  'VICTORIA': 'VIC',
+  'QUEENSLAND': 'QLD',
+  'SOUTH AUSTRALIA': 'SA',
+  'WESTERN AUSTRALIA': 'WA',
+  'TASMANIA': 'TAS',
+  'NORTHERN TERRITORY': 'NT',
+  'AUSTRALIAN CAPITAL TERRITORY': 'ACT'
+};
+
+const WAREHOUSE_FIELDS = ['name', 'code', 'address', 'contactPhone', 'servesStates', 'servesPostcodes', 'priority', 'isDefault', 'isActive'];
+
+/**
+ * Warehouse Service - Manages stock locations and picks the warehouse for an address
+ */
+class WarehouseService {
+  /**
+   * Normalise a state name or code to its code
+   * @param {string} state - State name or code
+   * @returns {string} Upper-case state code
+   */
+  normalizeState(state) {
+    if (!state) return '';
+    const upper = state.toString().trim().toUpperCase();
+    return STATE_CODES[upper] || upper;
+  }
+
+  /**
+   * Pick the allowed warehouse fields from request data
+   * @param {object} data - Request body
+   * @returns {object} Warehouse data
+   */
+  pickWarehouseData(data) {
+    const warehouseData = {};
+    WAREHOUSE_FIELDS.forEach(field => {
+      if (data[field] !== undefined) warehouseData[field] = data[field];
+    });
+
+    if (warehouseData.servesStates) {
+      warehouseData.servesStates = warehouseData.servesStates.map(state => this.normalizeState(state));
+    }
+
+    return warehouseData;
+  }
+
+  /**
+   * Only one warehouse can be the default
+   * @param {string} warehouseId - Warehouse that is now the default
+   */
+  async clearOtherDefaults(warehouseId) {
+    await Warehouse.updateMany({ _id: { $ne: warehouseId }, isDefault: true }, { isDefault: false });
+  }
+
+  /**
+   * Create a warehouse
+   * @param {object} data - Warehouse data
+   * @param {string} userId - Admin creating the warehouse
+   * @returns {Promise<object>} Created warehouse
+   */
+  async createWarehouse(data, userId) {
+    const warehouseData = this.pickWarehouseData(data);
+
+    const existing = await Warehouse.findOne({ code: (warehouseData.code || '').toUpperCase() });
+    if (existing) {
+      throw new ConflictError(`Warehouse with code '${warehouseData.code}' already exists`);
+    }
+
+    const warehouse = await Warehouse.create({ ...warehouseData, createdBy: userId, updatedBy: userId });
+    if (warehouse.isDefault) {
+      await this.clearOtherDefaults(warehouse._id);
+    }
+
+    logger.info('Warehouse created', { warehouseId: warehouse._id, code: warehouse.code, userId });
+    return warehouse;
+  }
+
+  /**
+   * List warehouses
+   * @param {object} options - Query options (isActive)
+   * @returns {Promise<Array>} Warehouses ordered by priority
+   */
+  async getWarehouses(options = {}) {
+    const filter = {};
+    if (options.isActive !== undefined) {
+      filter.isActive = options.isActive === true || options.isActive === 'true';
+    }
+
+    return Warehouse.find(filter).sort({ priority: 1, name: 1 }).lean();
+  }
+
+  /**
+   * Get a warehouse by ID
+   * @param {string} warehouseId - Warehouse ID
+   * @returns {Promise<object>} Warehouse
+   */
+  async getWarehouseById(warehouseId) {
+    if (!mongoose.Types.ObjectId.isValid(warehouseId)) {
+      throw new ValidationError('Invalid warehouse ID format');
+    }
+
+    const warehouse = await Warehouse.findById(warehouseId);
+    if (!warehouse) {
+      throw new NotFoundError('Warehouse');
+    }
+
+    return warehouse;
+  }
+
+  /**
+   * Update a warehouse
+   * @param {string} warehouseId - Warehouse ID
+   * @param {object} data - Fields to update
+   * @param {string} userId - Admin updating the warehouse
+   * @returns {Promise<object>} Updated warehouse
+   */
+  async updateWarehouse(warehouseId, data, userId) {
+    const warehouse = await this.getWarehouseById(warehouseId);
+    const warehouseData = this.pickWarehouseData(data);
+
+    if (warehouseData.code && warehouseData.code.toUpperCase() !== warehouse.code) {
+      const existing = await Warehouse.findOne({ code: warehouseData.code.toUpperCase(), _id: { $ne: warehouse._id } });
+      if (existing) {
+        throw new ConflictError(`Warehouse with code '${warehouseData.code}' already exists`);
+      }
+    }
+
+    Object.assign(warehouse, warehouseData, { updatedBy: userId });
+    await warehouse.save();
+
+    if (warehouse.isDefault) {
+      await this.clearOtherDefaults(warehouse._id);
+    }
+
+    logger.info('Warehouse updated', { warehouseId: warehouse._id, userId, updateFields: Object.keys(warehouseData) });
+    return warehouse;
+  }
+
+  /**
+   * Delete a warehouse that no longer holds stock
+   * @param {string} warehouseId - Warehouse ID
+   * @param {string} userId - Admin deleting the warehouse
+   */
+  async deleteWarehouse(warehouseId, userId) {
+    const warehouse = await this.getWarehouseById(warehouseId);
+
+    const heldStock = await WarehouseStock.exists({ warehouse: warehouse._id, quantity: { $gt: 0 } });
+    if (heldStock) {
+      throw new ConflictError('Warehouse still holds stock; transfer it or deactivate the warehouse instead');
+    }
+
+    await WarehouseStock.deleteMany({ warehouse: warehouse._id });
+    await Warehouse.deleteOne({ _id: warehouse._id });
+
+    logger.info('Warehouse deleted', { warehouseId: warehouse._id, code: warehouse.code, userId });
+  }
+
+  /**
+   * Get the stock held at a warehouse
+   * @param {string} warehouseId - Warehouse ID
+   * @param {object} options - Query options (includeEmpty)
+   * @returns {Promise<object>} Warehouse and its stock lines
+   */
+  async getWarehouseStock(warehouseId, options = {}) {
+    const warehouse = await this.getWarehouseById(warehouseId);
+
+    const filter = { warehouse: warehouse._id };
+    if (options.includeEmpty !== 'true' && options.includeEmpty !== true) {
+      filter.quantity = { $gt: 0 };
+    }
+
+    const stock = await WarehouseStock.find(filter)
+      .populate('product', 'productName sku stock stockStatus')
+      .sort({ updatedAt: -1 })
+      .lean();
+
+    return { warehouse, stock };
+  }
+
+  /**
+   * Order active warehouses by how well they serve a shipping address:
+   * postcode match, then state match, then the default warehouse, then priority
+   * @param {object} shippingAddress - Order shipping address (state, postalCode)
+   * @returns {Promise<Array>} Ranked warehouses
+   */
+  async rankWarehouses(shippingAddress = {}) {
+    const warehouses = await Warehouse.find({ isActive: true });
+    const state = this.normalizeState(shippingAddress.state);
+
+    const score = (warehouse) => {
+      if (warehouse.servesPostcode(shippingAddress.postalCode)) return 3;
+      if (state && warehouse.servesStates.includes(state)) return 2;
+      if (warehouse.isDefault) return 1;
+      return 0;
+    };
+
+    return warehouses
+      .map(warehouse => ({ warehouse, score: score(warehouse) }))
+      .sort((a, b) => b.score - a.score || a.warehouse.priority - b.warehouse.priority)
+      .map(entry => entry.warehouse);
+  }
+
+  /**
+   * Get per-warehouse availability for products
+   * @param {Array} productIds - Product IDs
+   * @returns {Promise<Map>} Product ID -> [{ warehouse, name, code, state, quantity }]
+   */
+  async getAvailability(productIds) {
+    const ids = productIds.map(id => new mongoose.Types.ObjectId(id.toString()));
+
+    const rows = await WarehouseStock.aggregate([
+      { $match: { product: { $in: ids }, quantity: { $gt: 0 } } },
+      { $lookup: { from: 'warehouses', localField: 'warehouse', foreignField: '_id', as: 'warehouse' } },
+      { $unwind: '$warehouse' },
+      { $match: { 'warehouse.isActive': true } },
+      { $sort: { 'warehouse.priority': 1 } },
+      {
+        $group: {
+          _id: '$product',
+          warehouses: {
+            $push: {
+              warehouse: '$warehouse._id',
+              name: '$warehouse.name',
+              code: '$warehouse.code',
+              state: '$warehouse.address.state',
+              quantity: '$quantity'
+            }
+          }
+        }
+      }
+    ]);
+
+    return new Map(rows.map(row => [row._id.toString(), row.warehouses]));
+  }
+}
+
+module.exports = new WarehouseService();
@@ -336,5 +336,63 @@ async function sendRawEmail(to, fromEmail, senderName, subject, htmlBody, textBo
   }
 }
 
-module.exports = { sendEmail, sendOtpEmail };
+/**
+ * Escape text for use in an HTML email
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text with line breaks kept
+ */
+const escapeHtml = (text = '') => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;')
+  .replace(/\r?\n/g, '<br>');
+
+/**
+ * Wrap a notification in the store's email layout: a card with a heading and a footer link to the website
+ * @param {string} heading - Heading text (escaped here)
+ * @param {string} content - Body HTML; the caller escapes any text it includes
+ * @returns {string} HTML email body
+ */
+function renderEmailLayout(heading, content) {
+  const companyName = process.env.COMPANY_NAME || 'Online Electrical Wholesale';
+  const companyWebsite = process.env.COMPANY_WEBSITE || 'https://onlineelectricalwholesale.com.au';
+
+  return `
+    <!DOCTYPE html>
+    <html lang="en">
+    <head>
+      <meta charset="UTF-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>${escapeHtml(heading)}</title>
+    </head>
+    <body style="margin: 0; padding: 0; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif; background-color: #f5f5f5;">
+      <table role="presentation" style="width: 100%; border-collapse: collapse; background-color: #f5f5f5; padding: 20px;">
+        <tr>
+          <td align="center" style="padding: 20px 0;">
+            <table role="presentation" style="width: 100%; max-width: 600px; background-color: #ffffff; border-radius: 8px; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">
+              <tr>
+                <td style="padding: 30px;">
+                  <h2 style="margin: 0 0 20px; color: #333333; font-size: 20px; font-weight: 600;">${escapeHtml(heading)}</h2>
+                  ${content}
+                </td>
+              </tr>
+              <tr>
+                <td style="padding: 20px 30px; background-color: #f8f9fa; border-radius: 0 0 8px 8px; border-top: 1px solid #dee2e6;">
+                  <p style="margin: 0; color: #999999; font-size: 12px; line-height: 1.5; text-align: center;">
+                    <a href="${escapeHtml(companyWebsite)}" style="color: #007bff; text-decoration: none;">Visit ${escapeHtml(companyName)}</a>
+                  </p>
+                </td>
+              </tr>
+            </table>
+          </td>
+        </tr>
+      </table>
+    </body>
+    </html>
+  `;
+}
+
+module.exports = { sendEmail, sendOtpEmail, escapeHtml, renderEmailLayout };
 
@@ -1,4 +1,6 @@
+const { DeleteObjectCommand } = require('@aws-sdk/client-s3');
 const s3Config = require('../config/s3Config');
+const { logger } = require('../middleware/logger');
 
 /**
  * Generates a full URL for a given filename from S3 or CloudFront.
@@ -30,4 +32,62 @@ const getFileUrl = (filename) => {
   return `https://${s3Config.bucketName}.s3.${process.env.AWS_REGION}.amazonaws.com/${filename}`;
 };
 
-module.exports = { getFileUrl };
+/**
+ * Works out the S3 key for a stored file URL or key.
+ * @param {string} fileUrl - URL or key as stored in the database.
+ * @returns {string|null} The S3 key, or null for files hosted elsewhere or malformed URLs.
+ */
+const getFileKey = (fileUrl) => {
+  if (!fileUrl) {
+    return null;
+  }
+
+  if (!fileUrl.startsWith('http://') && !fileUrl.startsWith('https://')) {
+    return fileUrl;
+  }
+
+  try {
+    if (s3Config.cloudFrontDomain && fileUrl.startsWith(`${s3Config.cloudFrontDomain}/`)) {
+      return decodeURIComponent(fileUrl.slice(s3Config.cloudFrontDomain.length + 1));
+    }
+
+    const url = new URL(fileUrl);
+    const bucketHosts = [
+      `${s3Config.bucketName}.s3.${process.env.AWS_REGION}.amazonaws.com`,
+      `${s3Config.bucketName}.s3.amazonaws.com`
+    ];
+    if (!bucketHosts.includes(url.hostname)) {
+      return null;
+    }
+
+    return decodeURIComponent(url.pathname.replace(/^\//, ''));
+  } catch (error) {
+    logger.warn('Could not read S3 key from file URL', { fileUrl, error: error.message });
+    return null;
+  }
+};
+
+/**
+ * Deletes a file from S3. Failures are logged, not thrown, so cleanup never blocks the caller.
+ * @param {string} fileUrl - URL or key as stored in the database.
+ * @returns {Promise<boolean>} True if the file was deleted.
+ */
+const deleteFile = async (fileUrl) => {
+  const key = getFileKey(fileUrl);
+  if (!key || !s3Config.hasS3Config) {
+    return false;
+  }
+
+  try {
+    await s3Config.s3Client.send(new DeleteObjectCommand({
+      Bucket: s3Config.bucketName,
+      Key: key
+    }));
+    return true;
+  } catch (error) {
+    logger.error('Error deleting file from S3', { key, error: error.message });
+    return false;
+  }
+};
+
+module.exports = { getFileUrl, getFileKey, deleteFile };